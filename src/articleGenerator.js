@@ -1,5 +1,7 @@
 import { JSDOM } from 'jsdom';
 import createDOMPurify from 'dompurify';
+import { Localizer } from './i18n.js';
+import { config } from './config.js';
 
 const MAX_RECENT_INTERESTS = 5;
 const MAX_RECENT_HIGHLIGHTS = 3;
@@ -17,17 +19,49 @@ const SANITIZE_CONFIG = {
     FORBID_TAGS: ['script', 'object', 'embed', 'iframe', 'form', 'input', 'textarea', 'select', 'button'],
 };
 
+// Whole articles from other sources keep DOMPurify's default elements, such as code blocks
+// and tables, and its default URL check, which lets relative image paths through
+const ARTICLE_SANITIZE_CONFIG = {
+    FORBID_ATTR: SANITIZE_CONFIG.FORBID_ATTR,
+    FORBID_TAGS: SANITIZE_CONFIG.FORBID_TAGS
+};
+
 // Robust HTML sanitization using DOMPurify
 function sanitizeHTML(text) {
     return DOMPurify.sanitize(String(text), SANITIZE_CONFIG);
 }
 
+/**
+ * Sanitizes the body of an article taken from an untrusted source, such as an imported EPUB:
+ * scripts, event handlers and script URLs are removed, the article's markup is kept
+ * @param {string} html
+ * @returns {string}
+ */
+export function sanitizeArticleHTML(html) {
+    return DOMPurify.sanitize(String(html), ARTICLE_SANITIZE_CONFIG);
+}
+
 
 export class ArticleGenerator {
     constructor(contentManager) {
         this.contentManager = contentManager;
     }
 
+    // Generated articles are written in the issue language
+    getLocalizer() {
+        return new Localizer(this.contentManager.content.metadata?.locale ?? config.content.locale);
+    }
+
+    // Generated articles are written again for every issue. The copy from the last issue is
+    // replaced, so the store keeps one of each and rebuilding unchanged content keeps its issue number.
+    replaceGeneratedArticle(title, content, category, author, tags) {
+        const tagList = JSON.stringify(tags);
+        this.contentManager.content.articles = this.contentManager.content.articles.filter(article =>
+            article.title !== title || article.category !== category || article.author !== author ||
+            JSON.stringify(article.tags) !== tagList);
+        return this.contentManager.addArticle(title, content, category, author, tags);
+    }
+
     generateInterestArticle() {
         if (this.contentManager.content.interests.length === 0) {
             console.log('No interests to generate article from');
@@ -42,24 +76,30 @@ export class ArticleGenerator {
             return "";
         }
 
+        const localizer = this.getLocalizer();
+        const priorityLabel = priority => {
+            const key = `priority.${String(priority).toLowerCase()}`;
+            const label = localizer.t(key);
+            return label === key ? priority.charAt(0).toUpperCase() + priority.slice(1) : label;
+        };
+
         const content = `
-        <p>This month, several topics have captured my attention and sparked deeper exploration:</p>
+        <p>${localizer.t('interests.intro')}</p>
 
         ${recentInterests.map(interest => `
         <h2>${sanitizeHTML(interest.topic)}</h2>
-        <p><strong>Priority:</strong> ${sanitizeHTML(interest.priority.charAt(0).toUpperCase() + interest.priority.slice(1))}</p>
+        <p><strong>${localizer.t('interests.priority')}:</strong> ${sanitizeHTML(priorityLabel(interest.priority))}</p>
         <p>${sanitizeHTML(interest.description)}</p>
         `).join('')}
 
-        <h2>Reflection</h2>
-        <p>These interests reflect my ongoing curiosity about ${recentInterests.map(i => sanitizeHTML(i.topic.toLowerCase())).join(', ')}.
-        I plan to explore these topics further in upcoming conversations and research.</p>
+        <h2>${localizer.t('interests.reflection')}</h2>
+        <p>${localizer.t('interests.reflectionText', { topics: recentInterests.map(i => sanitizeHTML(i.topic.toLowerCase())).join(', ') })}</p>
         `;
 
-        return this.contentManager.addArticle(
-            "Current Interests & Explorations",
+        return this.replaceGeneratedArticle(
+            localizer.t('interests.title'),
             content,
-            "Personal Growth",
+            localizer.t('interests.category'),
             null,
             ["interests", "exploration", "learning"]
         );
@@ -79,29 +119,29 @@ export class ArticleGenerator {
             return "";
         }
 
+        const localizer = this.getLocalizer();
         const content = `
-        <p>Here are some of the most insightful conversations and discoveries from my recent chats with Claude:</p>
+        <p>${localizer.t('highlights.intro')}</p>
 
         ${recentHighlights.map(highlight => `
         <h2>${sanitizeHTML(highlight.title)}</h2>
-        <p><em>Category: ${sanitizeHTML(highlight.category)}</em></p>
+        <p><em>${localizer.t('highlights.categoryLabel', { category: sanitizeHTML(highlight.category) })}</em></p>
 
-        <h3>Key Insights</h3>
+        <h3>${localizer.t('highlights.keyInsights')}</h3>
         <p>${sanitizeHTML(highlight.insights)}</p>
 
-        <h3>Notable Exchange</h3>
+        <h3>${localizer.t('highlights.notableExchange')}</h3>
         <blockquote>${sanitizeHTML(highlight.conversation)}</blockquote>
         `).join('')}
 
-        <h2>Reflections</h2>
-        <p>These conversations highlight the value of AI as a thinking partner, helping me explore complex topics
-        and gain new perspectives on familiar subjects.</p>
+        <h2>${localizer.t('highlights.reflections')}</h2>
+        <p>${localizer.t('highlights.reflectionText')}</p>
         `;
 
-        return this.contentManager.addArticle(
-            "Insights from AI Conversations",
+        return this.replaceGeneratedArticle(
+            localizer.t('highlights.title'),
             content,
-            "AI & Learning",
+            localizer.t('highlights.category'),
             "Claude AI",
             ["conversations", "insights", "learning"]
         );
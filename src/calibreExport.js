@@ -0,0 +1,146 @@
+/**
+ * Calibre library export of an issue
+ * @fileoverview Files a generated issue the way a Calibre library stores books:
+ * `Author/Title (id)/` holding the EPUB, a metadata.opf and cover.jpg. The OPF carries the
+ * series, issue number and the issue's sections as tags, so Calibre picks up the full
+ * metadata when the folder is added, or when it rebuilds a library's database from its
+ * folders. Ids follow the ones already in the library, and exporting an issue again
+ * replaces its folder's files.
+ */
+
+import * as syncFs from 'fs';
+import path from 'path';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { escapeXml } from './xmlUtils.js';
+
+// Calibre's own limit for each part of a book's path
+const PATH_LIMIT = 100;
+// Characters file names cannot hold on some systems; control characters are replaced as well
+const UNSAFE_CHARACTERS = '\\/:*?"<>|';
+const JPEG_QUALITY = 90;
+
+/**
+ * Turns a title or author into a folder or file name the way Calibre does: characters that
+ * are not allowed in file names become underscores, and long names are clipped
+ * @param {string} name
+ * @returns {string}
+ */
+export function toCalibreName(name) {
+    const sanitized = Array.from(String(name), char =>
+        char.charCodeAt(0) < 0x20 || UNSAFE_CHARACTERS.includes(char) ? '_' : char).join('').trim();
+    return sanitized.slice(0, PATH_LIMIT).trim().replace(/\.+$/, '') || 'Unknown';
+}
+
+// Book ids used in the library, keyed by "author/title" folder
+function readBookIds(libraryDir, fsUtils) {
+    const ids = new Map();
+    if (!fsUtils.existsSync(libraryDir)) {
+        return ids;
+    }
+    fsUtils.readdirSync(libraryDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(author => {
+            fsUtils.readdirSync(path.join(libraryDir, author.name), { withFileTypes: true })
+                .filter(entry => entry.isDirectory())
+                .forEach(book => {
+                    const match = book.name.match(/^(.*) \((\d+)\)$/);
+                    if (match) {
+                        ids.set(`${author.name}/${match[1]}`, Number(match[2]));
+                    }
+                });
+        });
+    return ids;
+}
+
+// Calibre stores covers as JPEG; PNG covers are converted, over white where they are transparent
+function pngToJPEG(data) {
+    const image = PNG.sync.read(data);
+    for (let offset = 0; offset < image.data.length; offset += 4) {
+        const alpha = image.data[offset + 3] / 255;
+        for (let channel = offset; channel < offset + 3; channel++) {
+            image.data[channel] = Math.round(image.data[channel] * alpha + 255 * (1 - alpha));
+        }
+    }
+    return jpeg.encode({ data: image.data, width: image.width, height: image.height }, JPEG_QUALITY).data;
+}
+
+/**
+ * Returns the issue's cover as a JPEG. A user-supplied JPEG or PNG cover is used; covers in
+ * other formats are replaced by the generated artwork.
+ * @param {Object} generator - EPUB generator filled by buildMagazine
+ * @returns {Buffer}
+ */
+export function getCoverJPEG(generator) {
+    const cover = generator.coverImage;
+    if (cover?.mediaType === 'image/jpeg') {
+        return cover.data;
+    }
+    if (cover?.mediaType === 'image/png') {
+        return pngToJPEG(cover.data);
+    }
+    if (cover) {
+        console.warn(`Warning: Calibre covers must be JPEG or PNG; using the generated cover instead of '${cover.filename}'.`);
+    }
+    return generator.createCoverGenerator().generateJPEG(JPEG_QUALITY);
+}
+
+/**
+ * Renders the metadata.opf Calibre keeps next to each book
+ * @param {Object} generator - EPUB generator filled by buildMagazine
+ * @param {number} id - Calibre book id
+ * @returns {string} OPF 2.0 XML
+ */
+export function renderCalibreOPF(generator, id) {
+    const date = generator.currentDate.toISOString().replace(/\.\d{3}Z$/, '+00:00');
+    const lines = [
+        `<dc:identifier opf:scheme="calibre" id="calibre_id">${id}</dc:identifier>`,
+        `<dc:identifier opf:scheme="uuid" id="uuid_id">${generator.getIdentifier().replace(/^urn:uuid:/, '')}</dc:identifier>`,
+        `<dc:title>${escapeXml(generator.getIssueTitle())}</dc:title>`,
+        `<dc:creator opf:role="aut">${escapeXml(generator.author)}</dc:creator>`,
+        `<dc:date>${date}</dc:date>`,
+        `<dc:description>${escapeXml(generator.description)}</dc:description>`,
+        ...generator.getLanguages().map(language => `<dc:language>${escapeXml(language)}</dc:language>`),
+        ...generator.getCoverSectionNames().map(section => `<dc:subject>${escapeXml(section)}</dc:subject>`)
+    ];
+    if (generator.hasFixedIssueNumber) {
+        lines.push(`<meta name="calibre:series" content="${escapeXml(generator.title)}"/>`);
+        lines.push(`<meta name="calibre:series_index" content="${generator.issueNumber}"/>`);
+    }
+    lines.push(`<meta name="calibre:timestamp" content="${date}"/>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="uuid_id" version="2.0">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
+${lines.map(line => `        ${line}`).join('\n')}
+    </metadata>
+    <guide>
+        <reference type="cover" title="Cover" href="cover.jpg"/>
+    </guide>
+</package>
+`;
+}
+
+/**
+ * Writes an issue into a Calibre library folder
+ * @param {Object} generator - EPUB generator filled by buildMagazine
+ * @param {Buffer} epub - The generated EPUB
+ * @param {string} libraryDir - Calibre library folder; created when missing
+ * @param {Object} [fsUtils] - File system functions, for testing
+ * @returns {{id: number, bookDir: string, epubPath: string}}
+ */
+export function exportToCalibre(generator, epub, libraryDir, fsUtils = syncFs) {
+    const author = toCalibreName(generator.author);
+    const title = toCalibreName(generator.getIssueTitle());
+    const ids = readBookIds(libraryDir, fsUtils);
+    const id = ids.get(`${author}/${title}`) ?? Math.max(0, ...ids.values()) + 1;
+
+    const bookDir = path.join(libraryDir, author, `${title} (${id})`);
+    fsUtils.mkdirSync(bookDir, { recursive: true });
+    const epubPath = path.join(bookDir, `${toCalibreName(`${title} - ${author}`)}.epub`);
+    fsUtils.writeFileSync(epubPath, epub);
+    fsUtils.writeFileSync(path.join(bookDir, 'metadata.opf'), renderCalibreOPF(generator, id));
+    fsUtils.writeFileSync(path.join(bookDir, 'cover.jpg'), getCoverJPEG(generator));
+
+    return { id, bookDir, epubPath };
+}
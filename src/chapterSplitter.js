@@ -0,0 +1,135 @@
+/**
+ * Splitting of oversized chapters
+ * @fileoverview Some reading systems slow down or refuse content documents above a size
+ * limit. Chapters over the limit are split between top-level blocks of their content into
+ * 'chapter3.xhtml', 'chapter3-2.xhtml', ..., and links into the moved parts (footnotes,
+ * appendix backlinks) are pointed at the file the target ended up in.
+ */
+
+import { JSDOM } from 'jsdom';
+
+const XML_PROLOGUE = '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n';
+
+function partFilename(filename, number) {
+    return number === 1 ? filename : filename.replace(/(\.xhtml)?$/, `-${number}$1`);
+}
+
+// The element whose children are shared out between the parts
+function findContainer(document) {
+    return document.querySelector('.article-content') || document.querySelector('article') || document.body;
+}
+
+// Child indexes from the root element down to `node`, to find the same element in a copy
+function pathTo(node) {
+    const path = [];
+    for (let current = node; current.parentElement; current = current.parentElement) {
+        path.unshift([...current.parentElement.children].indexOf(current));
+    }
+    return path;
+}
+
+function follow(document, path) {
+    return path.reduce((element, index) => element.children[index], document.documentElement);
+}
+
+/**
+ * Splits one document's container children into groups that fit `maxBytes` alongside the
+ * rest of the page. A single block larger than the limit gets a part of its own.
+ */
+function splitDocument({ filename, xhtml }, maxBytes) {
+    const dom = new JSDOM(xhtml, { contentType: 'application/xhtml+xml' });
+    const { document, XMLSerializer } = dom.window;
+    const serializer = new XMLSerializer();
+    const size = node => Buffer.byteLength(serializer.serializeToString(node));
+
+    const container = findContainer(document);
+    const blocks = [...container.childNodes].filter(node => node.nodeType !== 3 || node.textContent.trim());
+    const containerPath = pathTo(container);
+    const shell = document.cloneNode(true);
+    follow(shell, containerPath).replaceChildren();
+    // Blocks serialised on their own repeat the namespace declaration, so this errs on the small side
+    const budget = Math.max(1, maxBytes - Buffer.byteLength(XML_PROLOGUE) - size(shell.documentElement));
+
+    const groups = [[]];
+    let used = 0;
+    blocks.forEach(node => {
+        const nodeSize = size(node);
+        if (used + nodeSize > budget && groups[groups.length - 1].length > 0) {
+            groups.push([]);
+            used = 0;
+        }
+        groups[groups.length - 1].push(node);
+        used += nodeSize;
+    });
+    if (groups.length === 1) {
+        return [{ filename, xhtml }];
+    }
+
+    return groups.map((group, index) => {
+        const part = document.cloneNode(true);
+        const partContainer = follow(part, containerPath);
+        partContainer.replaceChildren(...group.map(node => part.importNode(node, true)));
+
+        // Headers stay with the first part and anything after the content with the last
+        for (let element = partContainer; element !== part.body && element.parentElement; element = element.parentElement) {
+            while (index > 0 && element.previousSibling) {
+                element.previousSibling.remove();
+            }
+            while (index < groups.length - 1 && element.nextSibling) {
+                element.nextSibling.remove();
+            }
+        }
+        return { filename: partFilename(filename, index + 1), document: part, serializer };
+    });
+}
+
+/**
+ * Splits documents larger than `maxBytes` and fixes links between them
+ * @param {Array<{filename: string, xhtml: string}>} documents - Complete XHTML documents
+ * @param {Object} options
+ * @param {number} options.maxBytes - Largest document size in bytes
+ * @returns {Array<Array<{filename: string, xhtml: string}>>} The parts of each document, in
+ * order; a document within the limit is its only part
+ */
+export function splitDocuments(documents, { maxBytes }) {
+    const results = documents.map(document =>
+        Buffer.byteLength(document.xhtml) > maxBytes ? splitDocument(document, maxBytes) : [document]);
+
+    // Original file name -> id -> file name of the part the id is in now
+    const moved = new Map();
+    results.forEach((parts, index) => {
+        if (parts.length > 1) {
+            const ids = new Map();
+            parts.forEach(part => part.document.querySelectorAll('[id]').forEach(element => ids.set(element.id, part.filename)));
+            moved.set(documents[index].filename, ids);
+        }
+    });
+    if (moved.size === 0) {
+        return results;
+    }
+
+    const targets = [...moved.keys()];
+    return results.map((parts, index) => parts.map(part => {
+        const filename = documents[index].filename;
+        if (!part.document && !targets.some(target => part.xhtml.includes(`href="${target}#`))) {
+            return part;
+        }
+
+        const dom = part.document ? null : new JSDOM(part.xhtml, { contentType: 'application/xhtml+xml' });
+        const document = part.document || dom.window.document;
+        const serializer = part.serializer || new dom.window.XMLSerializer();
+        document.querySelectorAll('a[href*="#"]').forEach(link => {
+            const href = link.getAttribute('href');
+            const [file, id] = [href.slice(0, href.indexOf('#')), href.slice(href.indexOf('#') + 1)];
+            const target = moved.get(file || filename)?.get(id);
+            if (target && target !== part.filename) {
+                link.setAttribute('href', `${target}#${id}`);
+            } else if (target && file) {
+                link.setAttribute('href', `#${id}`);
+            }
+        });
+        return { filename: part.filename, xhtml: XML_PROLOGUE + serializer.serializeToString(document.documentElement) };
+    }));
+}
+
+export default splitDocuments;
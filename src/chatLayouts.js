@@ -0,0 +1,142 @@
+/**
+ * Layouts for Claude chats in an issue
+ * @fileoverview Renders a chat as a full transcript, as condensed questions and answers,
+ * as an essay made of Claude's replies, or as its starred messages only
+ */
+
+import { escapeXml } from './xmlUtils.js';
+
+export const CHAT_LAYOUTS = ['transcript', 'qa', 'essay', 'highlights'];
+export const DEFAULT_CHAT_LAYOUT = 'transcript';
+
+// Source language of artifact types that do not name one
+const ARTIFACT_LANGUAGES = {
+    'text/html': 'html',
+    'image/svg+xml': 'svg',
+    'application/vnd.ant.mermaid': 'mermaid',
+    'application/vnd.ant.react': 'jsx'
+};
+
+// Questions longer than this are cut after their first sentence for the heading
+const MAX_QUESTION_HEADING = 200;
+
+/**
+ * Whether a value names a chat layout
+ * @param {*} layout
+ * @returns {boolean}
+ */
+export function isChatLayout(layout) {
+    return CHAT_LAYOUTS.includes(layout);
+}
+
+/**
+ * Renders a chat's conversation as chapter content
+ * @param {Object} chat - Chat with a `conversation` of `{ sender, text, timestamp, starred, artifacts }` messages
+ * @param {Object} options
+ * @param {string} [options.layout='transcript'] - One of {@link CHAT_LAYOUTS}
+ * @param {import('./i18n.js').Localizer} options.localizer - Localizer for labels and dates
+ * @param {import('./markdownRenderer.js').MarkdownRenderer} options.markdownRenderer - Renders message text
+ * @returns {string} XHTML fragment
+ */
+export function renderChat(chat, { layout = DEFAULT_CHAT_LAYOUT, localizer, markdownRenderer }) {
+    const messages = chat.conversation.map((message, index) => ({ ...message, number: index + 1 }));
+    const render = message => [
+        markdownRenderer.render(message.text || ''),
+        ...(message.artifacts || []).map(artifact => renderArtifact(artifact, markdownRenderer))
+    ].join('\n');
+
+    if (layout === 'highlights') {
+        const starred = messages.filter(message => message.starred);
+        if (starred.length > 0) {
+            return renderTranscript(starred, localizer, render, localizer.t('chat.highlights'));
+        }
+        console.warn(`Warning: Chat "${chat.title}" has no starred messages; using the full transcript.`);
+    }
+    if (layout === 'qa') {
+        return renderQuestionsAndAnswers(messages, localizer, render, markdownRenderer);
+    }
+    if (layout === 'essay') {
+        const parts = messages
+            .filter(message => message.sender !== 'human')
+            .map(message => `<div class="essay-part">${render(message)}</div>`);
+        return `<div class="chat-essay">${parts.join('\n')}</div>`;
+    }
+    return renderTranscript(messages, localizer, render, localizer.t('chat.transcript'));
+}
+
+// Each message is an article labelled by its sender line, so screen readers can jump between them
+function renderTranscript(messages, localizer, render, label) {
+    const items = messages.map(message => {
+        const messageDate = message.timestamp ? localizer.formatDateTime(new Date(message.timestamp)) : localizer.t('chat.unknownDate');
+        return `
+                        <div class="claude-message" role="article" aria-labelledby="message-${message.number}">
+                            <p class="message-meta" id="message-${message.number}"><strong>${message.sender === 'human' ? localizer.t('chat.you') : 'Claude'}</strong> (${messageDate}):</p>
+                            <div class="message-body">
+                                ${render(message)}
+                            </div>
+                        </div>
+                    `;
+    });
+    return `<div class="chat-transcript" role="log" aria-label="${escapeXml(label)}">${items.join('')}</div>`;
+}
+
+// Each question opens a section headed by its first line; the replies up to the next question are the answer
+function renderQuestionsAndAnswers(messages, localizer, render, markdownRenderer) {
+    const exchanges = [];
+    messages.forEach(message => {
+        if (message.sender === 'human' || exchanges.length === 0) {
+            exchanges.push({ question: message.sender === 'human' ? message : null, answers: [] });
+        }
+        if (message.sender !== 'human') {
+            exchanges[exchanges.length - 1].answers.push(message);
+        }
+    });
+
+    const sections = exchanges.map(({ question, answers }) => {
+        let heading = '';
+        if (question) {
+            const { title, rest } = splitQuestion(question.text || '');
+            heading = `<h2 class="chat-question" id="message-${question.number}">${markdownRenderer.renderInline(title)}</h2>`;
+            if (rest || question.artifacts?.length) {
+                heading += `\n<div class="chat-question-detail">${render({ ...question, text: rest })}</div>`;
+            }
+        }
+        const answer = answers.map(message => render(message)).join('\n');
+        return `<section class="chat-exchange">
+${heading}
+${answer ? `<div class="chat-answer">${answer}</div>` : ''}
+</section>`;
+    });
+
+    return `<div class="chat-qa" role="region" aria-label="${escapeXml(localizer.t('chat.questionsAndAnswers'))}">${sections.join('\n')}</div>`;
+}
+
+// Documents are typeset; code, HTML, SVG and diagrams are shown as source
+function renderArtifact(artifact, markdownRenderer) {
+    const caption = `<figcaption class="artifact-title">${escapeXml(artifact.title)}</figcaption>`;
+    if (artifact.type === 'text/markdown') {
+        return `<figure class="artifact">${caption}<div class="artifact-document">${markdownRenderer.render(artifact.content)}</div></figure>`;
+    }
+    const language = artifact.language || ARTIFACT_LANGUAGES[artifact.type];
+    const classAttr = language ? ` class="language-${escapeXml(language.replace(/[^\w+#.-]/g, ''))}"` : '';
+    return `<figure class="artifact">${caption}<pre><code${classAttr}>${escapeXml(artifact.content)}</code></pre></figure>`;
+}
+
+// Splits a question into the text for its heading (the first line, or its first sentence
+// when that line is long) and whatever follows
+function splitQuestion(text) {
+    const lines = text.trim().split('\n');
+    let title = lines.shift().replace(/^\s*(?:#{1,6}\s+|[-*+]\s+|>\s*)/, '').trim();
+    let rest = lines.join('\n').trim();
+
+    if (title.length > MAX_QUESTION_HEADING) {
+        const sentence = title.match(/^.+?[.?!](?=\s)/);
+        if (sentence) {
+            rest = `${title.slice(sentence[0].length).trim()}${rest ? `\n\n${rest}` : ''}`;
+            title = sentence[0];
+        }
+    }
+    return { title, rest };
+}
+
+export default renderChat;
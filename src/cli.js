@@ -3,7 +3,15 @@ import { ContentManager } from './contentManager.js';
 import { ArticleGenerator } from './articleGenerator.js';
 import { MagazineGenerator } from './magazineGenerator.js';
 import { ScratchFileManager } from './scratchFileManager.js';
+import { VaultExporter } from './vaultExporter.js';
+import { EPUBImporter } from './epubImporter.js';
+import { KindleDelivery } from './kindleDelivery.js';
 import { createTemplate } from './templateManager.js';
+import { checkEPUB, formatReport } from './epubChecker.js';
+import { CHAT_LAYOUTS, isChatLayout } from './chatLayouts.js';
+import { listThemes } from './themes.js';
+import { DEVICE_NAMES, isDeviceProfile } from './deviceProfiles.js';
+import { DEFAULT_FORMAT, FORMAT_NAMES, PDF_PAGE_SIZES, isOutputFormat, isPDFPageSize } from './outputFormats.js';
 import { resolve } from 'path';
 import { fileURLToPath } from 'url';
 
@@ -11,6 +19,9 @@ const contentManager = new ContentManager();
 const articleGenerator = new ArticleGenerator(contentManager);
 const magazineGenerator = new MagazineGenerator(contentManager, articleGenerator);
 const scratchFileManager = new ScratchFileManager(contentManager);
+const vaultExporter = new VaultExporter(contentManager);
+const epubImporter = new EPUBImporter(contentManager);
+const kindleDelivery = new KindleDelivery(contentManager);
 
 // Interactive CLI interface
 export function startInteractiveSession() {
@@ -269,6 +280,26 @@ function parseOptionalFilePath(args, optionName, defaultPath) {
         : defaultPath;
 }
 
+/**
+ * Checks an EPUB file and prints the conformance report
+ * @param {string} filePath - Path to the EPUB file
+ * @returns {Promise<boolean>} True if no errors were found
+ */
+export async function validateEPUBFile(filePath) {
+    console.log(`Validating ${filePath}...`);
+    const report = await checkEPUB(filePath);
+
+    if (report.errors.length > 0 || report.warnings.length > 0) {
+        console.log(formatReport(report));
+    }
+    if (report.valid) {
+        console.log(`✅ No errors found (${report.warnings.length} warning${report.warnings.length === 1 ? '' : 's'}).`);
+    } else {
+        console.log(`❌ ${report.errors.length} error${report.errors.length === 1 ? '' : 's'} found.`);
+    }
+    return report.valid;
+}
+
 function manageClaudeChats(rl, page = 1, pageSize = 10) {
     const chats = contentManager.content.claudeChats;
     const totalPages = Math.ceil(chats.length / pageSize);
@@ -285,13 +316,23 @@ function manageClaudeChats(rl, page = 1, pageSize = 10) {
 
     chatsToShow.forEach((chat, index) => {
         const displayIndex = startIndex + index + 1;
-        console.log(`${displayIndex}. [${chat.selected ? 'X' : ' '}] ${chat.title} (ID: ${chat.id.substring(0, 8)}...)`);
+        const layout = chat.layout ? `, layout: ${chat.layout}` : '';
+        console.log(`${displayIndex}. [${chat.selected ? 'X' : ' '}] ${chat.title} (ID: ${chat.id.substring(0, 8)}...${layout})`);
     });
 
     console.log(`\nPage ${page}/${totalPages}. Total chats: ${chats.length}`);
-    console.log('Enter chat number to toggle selection, (N)ext page, (P)revious page, (B)ack to main menu:');
+    console.log('Enter chat number to toggle selection, L<number> to change its layout, (N)ext page, (P)revious page, (B)ack to main menu:');
 
     rl.question('Your choice: ', (choice) => {
+        const layoutChoice = choice.match(/^l(\d+)$/i);
+        if (layoutChoice && chats[Number(layoutChoice[1]) - 1]) {
+            // Cycles through the layouts and back to the issue default
+            const chat = chats[Number(layoutChoice[1]) - 1];
+            const next = chat.layout ? CHAT_LAYOUTS[CHAT_LAYOUTS.indexOf(chat.layout) + 1] ?? null : CHAT_LAYOUTS[0];
+            contentManager.setChatLayout(chat.id, next);
+            manageClaudeChats(rl, page, pageSize);
+            return;
+        }
         const numChoice = parseInt(choice);
         // Check if the choice is a number corresponding to an item on the current page
         if (!isNaN(numChoice) && numChoice >= startIndex + 1 && numChoice <= Math.min(endIndex, chats.length)) {
@@ -326,17 +367,161 @@ export async function runCli() {
     if (thisFile.includes(pathPassedToNode) || pathPassedToNode.includes('content_collector.js')) { // Adjusted condition
         const args = process.argv.slice(2);
 
-        if (args.includes('--template')) {
+        if (args[0] === 'validate') {
+            if (!args[1]) {
+                console.error('Error: validate requires an EPUB file path.');
+                console.log('Usage: magazeen validate <file.epub>');
+                process.exitCode = 1;
+                return;
+            }
+            try {
+                const valid = await validateEPUBFile(args[1]);
+                if (!valid) {
+                    process.exitCode = 1;
+                }
+            } catch (error) {
+                console.error(`Error: Could not read '${args[1]}': ${error.message}`);
+                process.exitCode = 1;
+            }
+        } else if (args[0] === 'import-epub') {
+            if (!args[1]) {
+                console.error('Error: import-epub requires an EPUB file path.');
+                console.log('Usage: magazeen import-epub <file.epub>');
+                process.exitCode = 1;
+                return;
+            }
+            console.log(`Importing EPUB: ${args[1]}`);
+            const result = await epubImporter.importFromFile(args[1]);
+            if (result.success) {
+                const source = result.magazeen ? 'a Magazeen issue' : `"${result.title || args[1]}"`;
+                console.log(`✅ Success! Imported ${result.articles} articles and ${result.chats} chats from ${source}.`);
+                result.skipped.forEach(({ title, reason }) => console.log(`⚠️  Skipped "${title}": ${reason}`));
+            } else {
+                console.error(`❌ Failed: ${result.message}`);
+                process.exitCode = 1;
+            }
+        } else if (args.includes('--template')) {
             createTemplate();
-        } else if (args.includes('--generate')) {
+        } else if (args.includes('--generate') || args[0] === 'generate') {
             // Check page limit before generation
             const pageInfo = contentManager.getPageLimitInfo();
             if (pageInfo.hasLimit && pageInfo.isAtLimit) {
                 console.log(`⚠️  Magazine has ${pageInfo.currentPages} pages (limit: ${pageInfo.pageLimit}). Generating anyway...`);
             }
-            magazineGenerator.generateMagazine()
-                .then(path => console.log(`Magazine generated: ${path}`))
+            const options = {};
+            if (args.includes('--cover')) {
+                const coverIndex = args.indexOf('--cover') + 1;
+                if (coverIndex < args.length && args[coverIndex] && !args[coverIndex].startsWith('--')) {
+                    options.coverImage = args[coverIndex];
+                } else {
+                    console.error('Error: --cover option requires an image path.');
+                    process.exitCode = 1;
+                    return;
+                }
+            }
+            for (const [flag, option] of [['--issue', 'issueNumber'], ['--volume', 'volume']]) {
+                if (!args.includes(flag)) {
+                    continue;
+                }
+                const value = Number(args[args.indexOf(flag) + 1]);
+                if (!Number.isInteger(value) || value <= 0) {
+                    console.error(`Error: ${flag} option requires a positive whole number.`);
+                    process.exitCode = 1;
+                    return;
+                }
+                options[option] = value;
+            }
+            if (args.includes('--layout')) {
+                const layout = args[args.indexOf('--layout') + 1];
+                if (!isChatLayout(layout)) {
+                    console.error(`Error: --layout option requires one of: ${CHAT_LAYOUTS.join(', ')}.`);
+                    process.exitCode = 1;
+                    return;
+                }
+                options.chatLayout = layout;
+            }
+            if (args.includes('--device')) {
+                const device = args[args.indexOf('--device') + 1];
+                if (!isDeviceProfile(device)) {
+                    console.error(`Error: --device option requires one of: ${DEVICE_NAMES.join(', ')}.`);
+                    process.exitCode = 1;
+                    return;
+                }
+                options.device = device;
+            }
+            if (args.includes('--kepub')) {
+                options.kepub = true;
+            }
+            if (args.includes('--format')) {
+                const format = args[args.indexOf('--format') + 1];
+                if (!isOutputFormat(format)) {
+                    console.error(`Error: --format option requires one of: ${FORMAT_NAMES.join(', ')}.`);
+                    process.exitCode = 1;
+                    return;
+                }
+                options.format = format;
+            }
+            if (args.includes('--page-size')) {
+                const pageSize = args[args.indexOf('--page-size') + 1];
+                if (!isPDFPageSize(pageSize)) {
+                    console.error(`Error: --page-size option requires one of: ${Object.keys(PDF_PAGE_SIZES).join(', ')}.`);
+                    process.exitCode = 1;
+                    return;
+                }
+                options.pageSize = pageSize;
+            }
+            if (args.includes('--theme')) {
+                const theme = args[args.indexOf('--theme') + 1];
+                if (!theme || theme.startsWith('--')) {
+                    console.error(`Error: --theme option requires a theme directory or one of: ${listThemes().join(', ')}.`);
+                    process.exitCode = 1;
+                    return;
+                }
+                options.theme = theme;
+            }
+            if (args.includes('--calibre')) {
+                options.calibreLibrary = parseOptionalFilePath(args, '--calibre', 'out/calibre');
+            }
+            // --deliver sends the issue to the stored Kindle address, or to the one given after it
+            let deliverTo;
+            if (args.includes('--deliver')) {
+                const address = args[args.indexOf('--deliver') + 1];
+                deliverTo = address && !address.startsWith('--') ? address : null;
+                if ((options.format && options.format !== DEFAULT_FORMAT) || options.kepub) {
+                    console.error('Error: --deliver only sends EPUB issues; leave out --format and --kepub.');
+                    process.exitCode = 1;
+                    return;
+                }
+            }
+            magazineGenerator.generateMagazine(options)
+                .then(async path => {
+                    console.log(`Magazine generated: ${path}`);
+                    if (deliverTo === undefined) {
+                        return;
+                    }
+                    const result = await kindleDelivery.deliver(path, deliverTo ? { to: deliverTo } : {});
+                    if (result.success) {
+                        console.log(`📬 Sent to Kindle: ${result.to}`);
+                    } else {
+                        console.error(`❌ Failed to send to Kindle: ${result.message}`);
+                        process.exitCode = 1;
+                    }
+                })
                 .catch(error => console.error('Error:', error));
+        } else if (args.includes('--kindle-email')) {
+            const address = args[args.indexOf('--kindle-email') + 1];
+            if (!address || address.startsWith('--')) {
+                console.error('Error: --kindle-email option requires an address, or none to clear it.');
+                console.log('Usage: magazeen --kindle-email <name@kindle.com>');
+                return;
+            }
+            try {
+                contentManager.setKindleEmail(address === 'none' ? null : address);
+                console.log(address === 'none' ? 'Kindle address cleared.' : `Kindle address set to ${address}.`);
+            } catch (error) {
+                console.error(`Error: ${error.message}`);
+                process.exitCode = 1;
+            }
         } else if (args.includes('--page-limit')) {
             const limitIndex = args.indexOf('--page-limit') + 1;
             if (limitIndex < args.length && args[limitIndex] && !args[limitIndex].startsWith('--')) {
@@ -360,6 +545,23 @@ export async function runCli() {
                 console.log('  magazeen --page-limit 0     # Remove page limit');
                 console.log('  magazeen --template         # Create template');
                 console.log('  magazeen --generate         # Generate magazine');
+                console.log('  magazeen --generate --cover <image>  # Generate with a custom cover');
+                console.log('  magazeen --generate --issue <n> --volume <n>  # Set the issue number and volume');
+                console.log('  magazeen --generate --layout <layout>  # Lay out chats as transcript, qa, essay or highlights');
+                console.log('  magazeen --chat-layout <chat-id> <layout>  # Give one chat its own layout; default uses the issue\'s');
+                console.log('  magazeen --star <chat-id> <message-number>  # Star a message; --unstar removes the star');
+                console.log('  magazeen --generate --theme <name>     # Style the issue with a theme (see --themes)');
+                console.log('  magazeen --generate --device <device>  # Make the issue for default, kindle, kobo, remarkable or phone');
+                console.log('  magazeen --generate --kepub            # Write a Kobo .kepub.epub file');
+                console.log('  magazeen generate --format html        # Write the issue as a single HTML page');
+                console.log('  magazeen generate --format pdf --page-size Letter  # Write a PDF for printing (A5 or Letter)');
+                console.log('  magazeen --generate --calibre [dir]  # Also file the EPUB in a Calibre library folder (default: out/calibre)');
+                console.log('  magazeen --generate --deliver [address]  # Email the EPUB to your Kindle (see --kindle-email)');
+                console.log('  magazeen --kindle-email <address>    # Set the Send-to-Kindle address; none clears it');
+                console.log('  magazeen --themes           # List available themes');
+                console.log('  magazeen --export-vault [dir] [--all-chats]  # Write the content as Markdown notes (default: out/vault)');
+                console.log('  magazeen validate <file.epub>         # Check an EPUB for conformance problems');
+                console.log('  magazeen import-epub <file.epub>      # Import the articles and chats of an EPUB');
                 console.log('  magazeen --import-claude <file.json>  # Import Claude chats from file');
                 console.log('  magazeen --import-claude-url <url>    # Import Claude chats from URL');
             }
@@ -430,6 +632,46 @@ export async function runCli() {
                     result.errors.forEach(error => console.error(`   ${error}`));
                 }
             }
+        } else if (args.includes('--export-vault')) {
+            const vaultDir = parseOptionalFilePath(args, '--export-vault', 'out/vault');
+            const chats = args.includes('--all-chats') ? 'all' : 'selected';
+
+            console.log(`Exporting content to Markdown vault: ${vaultDir}`);
+            const result = vaultExporter.exportToVault(vaultDir, { chats });
+
+            if (result.success) {
+                console.log(`✅ Success! Wrote ${result.notes} notes: ${result.articles} articles, ${result.chats} chats, ${result.interests} interests, ${result.chatHighlights} chat highlights and ${result.issues} issues.`);
+            } else {
+                console.error(`❌ Failed: ${result.message}`);
+                process.exitCode = 1;
+            }
+        } else if (args.includes('--chat-layout')) {
+            const index = args.indexOf('--chat-layout');
+            const [chatId, layout] = [args[index + 1], args[index + 2]];
+            if (!chatId || !(layout === 'default' || isChatLayout(layout))) {
+                console.error(`Error: --chat-layout option requires a chat ID and one of: ${CHAT_LAYOUTS.join(', ')}, default.`);
+                console.log('Usage: magazeen --chat-layout <chat-id> <layout>');
+                return;
+            }
+            if (contentManager.setChatLayout(chatId, layout === 'default' ? null : layout)) {
+                console.log(`Chat layout set to ${layout}.`);
+            }
+        } else if (args.includes('--star') || args.includes('--unstar')) {
+            const flag = args.includes('--star') ? '--star' : '--unstar';
+            const index = args.indexOf(flag);
+            const [chatId, messageNumber] = [args[index + 1], Number(args[index + 2])];
+            if (!chatId || !Number.isInteger(messageNumber) || messageNumber <= 0) {
+                console.error(`Error: ${flag} option requires a chat ID and a message number.`);
+                console.log(`Usage: magazeen ${flag} <chat-id> <message-number>`);
+                return;
+            }
+            if (contentManager.setMessageStarred(chatId, messageNumber, flag === '--star')) {
+                console.log(`Message ${messageNumber} ${flag === '--star' ? 'starred' : 'unstarred'}.`);
+            } else {
+                console.error(`Error: Chat ${chatId} has no message ${messageNumber}.`);
+            }
+        } else if (args.includes('--themes')) {
+            listThemes().forEach(theme => console.log(theme));
         } else {
             startInteractiveSession();
         }
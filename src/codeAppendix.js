@@ -0,0 +1,80 @@
+/**
+ * Code appendix for chats
+ * @fileoverview Moves oversized code blocks and artifacts out of chat chapters into an
+ * appendix at the end of the issue, leaving a short summary with a link in their place,
+ * so a long listing does not turn a chat into dozens of pages of code on e-ink
+ */
+
+import { escapeXml, decodeXmlEntities } from './xmlUtils.js';
+
+export const APPENDIX_FILENAME = 'appendix.xhtml';
+
+// Artifacts first, so a code block inside an artifact moves with it
+const LISTING = /<figure class="artifact"[\s\S]*?<\/figure>|<pre\b[\s\S]*?<\/pre>/g;
+
+function textOf(html) {
+    return decodeXmlEntities(html.replace(/<[^>]*>/g, ''));
+}
+
+/**
+ * Replaces code blocks and artifacts longer than `maxLines` lines with a linked summary
+ * @param {string} html - Chapter content
+ * @param {Object} options
+ * @param {number} options.maxLines - Longest listing that stays in place
+ * @param {number} [options.firstNumber=1] - Number of the first listing moved out
+ * @param {import('./i18n.js').Localizer} options.localizer - Localizer for the summary
+ * @returns {{content: string, listings: Array<{number: number, title: string|null, language: string|null, lines: number, html: string}>}}
+ */
+export function extractLongCode(html, { maxLines, firstNumber = 1, localizer }) {
+    const listings = [];
+    if (typeof html !== 'string' || !(maxLines > 0)) {
+        return { content: html, listings };
+    }
+
+    const content = html.replace(LISTING, match => {
+        const lines = textOf(match).replace(/\n+$/, '').split('\n').length;
+        if (lines <= maxLines) {
+            return match;
+        }
+
+        const caption = match.match(/<figcaption\b[^>]*>([\s\S]*?)<\/figcaption>/);
+        const language = match.match(/class="language-([^"\s]+)"/);
+        const listing = {
+            number: firstNumber + listings.length,
+            title: caption ? textOf(caption[1]).trim() : null,
+            language: language ? language[1] : null,
+            lines,
+            html: match
+        };
+        listings.push(listing);
+
+        return `<p class="code-moved" id="listing-${listing.number}-ref"><a href="${APPENDIX_FILENAME}#listing-${listing.number}">${escapeXml(localizer.t('appendix.listing', { number: listing.number }))}</a> (${escapeXml(describeListing(listing, localizer))}): ${escapeXml(localizer.t('appendix.moved'))}</p>`;
+    });
+
+    return { content, listings };
+}
+
+/**
+ * Renders the appendix chapter, each listing with a link back to where it was
+ * @param {Array<Object>} listings - Listings from {@link extractLongCode}, each with the
+ * `chapterTitle` and `chapterFile` of the chapter it came from
+ * @param {import('./i18n.js').Localizer} localizer
+ * @returns {string} XHTML fragment
+ */
+export function renderAppendix(listings, localizer) {
+    return listings.map(listing => `<section class="appendix-listing" id="listing-${listing.number}">
+<h2 class="listing-title">${escapeXml(localizer.t('appendix.listing', { number: listing.number }))}: ${escapeXml(listing.title || listing.chapterTitle)}</h2>
+<p class="listing-meta">${escapeXml(describeListing({ ...listing, title: null }, localizer))}</p>
+${listing.html}
+<p class="listing-backlink"><a href="${listing.chapterFile}#listing-${listing.number}-ref" role="doc-backlink">${escapeXml(localizer.t('appendix.backTo', { title: listing.chapterTitle }))}</a></p>
+</section>`).join('\n');
+}
+
+// "Build script, python, 240 lines"
+function describeListing(listing, localizer) {
+    return [listing.title, listing.language, localizer.t('appendix.lines', { count: listing.lines })]
+        .filter(Boolean)
+        .join(', ');
+}
+
+export default extractLongCode;
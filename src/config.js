@@ -17,15 +17,33 @@ export const config = {
     /** Templates directory */
     templatesDir: process.env.TEMPLATES_DIR || 'src/templates',
     /** CSS styles for EPUB */
-    epubStylesFile: process.env.EPUB_STYLES_FILE || 'src/epub_styles.css'
+    epubStylesFile: process.env.EPUB_STYLES_FILE || 'src/themes/default/styles.css',
+    /** Directory searched for themes that are not built in */
+    themesDir: process.env.THEMES_DIR || 'themes',
+    /** Calibre library folder every generated EPUB is also filed in; null files nothing */
+    calibreLibrary: process.env.CALIBRE_LIBRARY || null
   },
 
   // EPUB generation settings
   epub: {
     /** Average words per EPUB page */
     wordsPerPage: parseInt(process.env.WORDS_PER_PAGE) || 300,
+    /** Reading speed used for the reading time estimates shown to readers */
+    wordsPerMinute: parseInt(process.env.WORDS_PER_MINUTE) || 230,
     /** Maximum file size for uploads (bytes) */
     maxFileSize: (v => !isNaN(v) ? v : 10 * 1024 * 1024)(parseInt(process.env.MAX_FILE_SIZE)),
+    /** Build timestamp (seconds since epoch) for reproducible builds; null uses the current time */
+    sourceDateEpoch: (v => !isNaN(v) ? v : null)(parseInt(process.env.SOURCE_DATE_EPOCH)),
+    /** How conformance problems found after generation are handled: 'error', 'warn' or 'off' */
+    validation: ['error', 'warn', 'off'].includes(process.env.EPUB_VALIDATION) ? process.env.EPUB_VALIDATION : 'error',
+    /** How article images without an alt attribute are handled: 'error' or 'warn' */
+    altText: process.env.EPUB_ALT_TEXT === 'error' ? 'error' : 'warn',
+    /** Code blocks and artifacts in chats longer than this many lines move to an appendix; 0 keeps them in place */
+    codeAppendixLines: (v => !isNaN(v) ? v : 80)(parseInt(process.env.CODE_APPENDIX_LINES)),
+    /** Theme name or directory; null uses the device profile's theme */
+    theme: process.env.EPUB_THEME || null,
+    /** Page size of PDF output: 'A5' or 'Letter' */
+    pdfPageSize: process.env.PDF_PAGE_SIZE || 'A5',
     /** Default EPUB metadata */
     defaults: {
       title: process.env.DEFAULT_TITLE || "My Personal Magazine",
@@ -58,8 +76,34 @@ export const config = {
     enableClustering: process.env.ENABLE_CLUSTERING !== 'false',
     /** Minimum similarity threshold for clustering (0-100) */
     clusteringSimilarity: (v => !isNaN(v) ? v : 30)(parseInt(process.env.CLUSTERING_SIMILARITY)),
-    /** Enable Kindle-optimized EPUB generation */
-    kindleOptimized: process.env.KINDLE_OPTIMIZED === 'true'
+    /** Enable Kindle-optimized EPUB generation (same as DEVICE_PROFILE=kindle) */
+    kindleOptimized: process.env.KINDLE_OPTIMIZED === 'true',
+    /** Reading device the issue is made for: 'default', 'kindle', 'kobo', 'remarkable' or 'phone' */
+    device: process.env.DEVICE_PROFILE || null,
+    /** Write Kobo kepub files ('.kepub.epub'); the device defaults to 'kobo' */
+    kepub: process.env.KOBO_KEPUB === 'true',
+    /** Language of generated issues ('en', 'de' or 'fr', optionally with a region) */
+    locale: process.env.MAGAZINE_LOCALE || 'en',
+    /** Default chat layout: 'transcript', 'qa', 'essay' or 'highlights' */
+    chatLayout: process.env.CHAT_LAYOUT || 'transcript'
+  },
+
+  // Send-to-Kindle delivery over SMTP
+  delivery: {
+    /** SMTP server host; delivery is off when unset */
+    smtpHost: process.env.SMTP_HOST || null,
+    /** SMTP server port */
+    smtpPort: (v => !isNaN(v) ? v : 587)(parseInt(process.env.SMTP_PORT)),
+    /** Connect over TLS (usually port 465) instead of upgrading with STARTTLS */
+    smtpSecure: process.env.SMTP_SECURE === 'true',
+    /** SMTP user name; no authentication when unset */
+    smtpUser: process.env.SMTP_USER || null,
+    /** SMTP password */
+    smtpPass: process.env.SMTP_PASS || null,
+    /** Sender address; it must be on the Kindle account's approved sender list */
+    from: process.env.SMTP_FROM || null,
+    /** Kindle address used when the content file does not set one */
+    kindleEmail: process.env.KINDLE_EMAIL || null
   },
 
   // Logging and monitoring
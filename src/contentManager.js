@@ -4,6 +4,7 @@ import path from 'path';
 import { config } from './config.js';
 import { Logger } from './logger.js';
 import { Validator, ValidationError } from './validation.js';
+import { countWords } from './readingTime.js';
 import https from 'https';
 import http from 'http';
 
@@ -133,6 +134,16 @@ export class ContentManager {
         if (this.content.metadata.wordsPerPage === undefined) {
             this.content.metadata.wordsPerPage = config.epub.wordsPerPage;
         }
+        // Running issue counter and volume for the next issue, plus the history of generated issues
+        if (this.content.metadata.issueNumber === undefined) {
+            this.content.metadata.issueNumber = 1;
+        }
+        if (this.content.metadata.volume === undefined) {
+            this.content.metadata.volume = 1;
+        }
+        if (!this.content.issues) {
+            this.content.issues = [];
+        }
         // Ensure each chat has a 'selected' field
         this.content.claudeChats.forEach(chat => {
             if (typeof chat.selected === 'undefined') {
@@ -377,7 +388,7 @@ export class ContentManager {
     }
 
     countWords(text) {
-        return text.replace(/<[^>]*>/g, ' ').split(/\s+/).filter(word => word.length > 0).length;
+        return countWords(text);
     }
 
     _findClaudeChat(chatId) {
@@ -449,6 +460,87 @@ export class ContentManager {
         }
     }
 
+    /**
+     * Returns the issue number and volume the next generated issue gets. Content that matches
+     * the issue recorded last keeps that issue's number, unless the counter has been changed
+     * since, so rebuilding it does not start a new issue.
+     * @param {string|null} [fingerprint] - Content fingerprint of the issue being built
+     * @returns {{number: number, volume: number}}
+     */
+    getNextIssue(fingerprint = null) {
+        const next = {
+            number: this.content.metadata.issueNumber ?? 1,
+            volume: this.content.metadata.volume ?? 1
+        };
+        const last = (this.content.issues || []).at(-1);
+        if (fingerprint && last?.fingerprint === fingerprint &&
+            last.number + 1 === next.number && last.volume === next.volume) {
+            return { number: last.number, volume: last.volume };
+        }
+        return next;
+    }
+
+    // Override the number of the next issue, e.g. to continue an existing print run
+    setIssueNumber(number) {
+        Validator.validateIssuePosition(number, 'Issue number');
+        this.content.metadata.issueNumber = number;
+        this.saveContent();
+        this.logger.info(`Next issue number set to ${number}`, { issueNumber: number });
+    }
+
+    // Override the volume of the next and following issues
+    setVolume(volume) {
+        Validator.validateIssuePosition(volume, 'Volume');
+        this.content.metadata.volume = volume;
+        this.saveContent();
+        this.logger.info(`Volume set to ${volume}`, { volume });
+    }
+
+    // Send-to-Kindle address issues are delivered to; null falls back to the configured address
+    setKindleEmail(address) {
+        if (address !== null) {
+            Validator.validateEmail(address, 'Kindle address');
+        }
+        this.content.metadata.kindleEmail = address;
+        this.saveContent();
+        this.logger.info(`Kindle address ${address ? 'set' : 'cleared'}`);
+    }
+
+    /**
+     * Records a generated issue and advances the counter past it. Rebuilding an older issue
+     * does not move the counter back.
+     * @param {Object} issue
+     * @param {number} issue.number - Issue number
+     * @param {number} issue.volume - Volume
+     * @param {string} issue.title - Full issue title
+     * @param {Date} issue.date - Issue date
+     * @param {string} [issue.filename] - Name of the generated file
+     * @param {string} [issue.fingerprint] - Content fingerprint, see getNextIssue
+     */
+    recordIssue({ number, volume, title, date, filename = null, fingerprint = null }) {
+        this.content.issues = (this.content.issues || []).filter(issue =>
+            issue.number !== number || issue.volume !== volume);
+        this.content.issues.push({
+            number,
+            volume,
+            title,
+            date: date.toISOString(),
+            filename,
+            fingerprint,
+            generatedAt: new Date().toISOString()
+        });
+
+        const next = this.getNextIssue();
+        if (number >= next.number) {
+            this.content.metadata.issueNumber = number + 1;
+        }
+        if (volume >= next.volume) {
+            this.content.metadata.volume = volume;
+        }
+        this.saveContent();
+        this.logger.info(`Recorded issue ${number} (volume ${volume})`, { number, volume, filename });
+    }
+
     // Get page limit info for display
     getPageLimitInfo() {
         const currentPages = this.getEstimatedPages();
@@ -506,6 +598,71 @@ export class ContentManager {
         }
     }
 
+    // Layout of one chat in the issue; null falls back to the issue's default layout
+    setChatLayout(chatId, layout) {
+        if (layout !== null) {
+            Validator.validateChatLayout(layout);
+        }
+        const chat = this._findClaudeChat(chatId);
+        if (!chat) {
+            this.logger.warn('Chat not found for layout change', { chatId });
+            return false;
+        }
+        if (layout === null) {
+            delete chat.layout;
+        } else {
+            chat.layout = layout;
+        }
+        this.saveContent();
+        this.logger.info(`Chat "${chat.title}" layout set to ${layout ?? 'the issue default'}`, { chatId, layout });
+        return true;
+    }
+
+    // Layout of chats that do not set their own; null falls back to the configured default
+    setDefaultChatLayout(layout) {
+        if (layout !== null) {
+            Validator.validateChatLayout(layout);
+        }
+        this.content.metadata.chatLayout = layout;
+        this.saveContent();
+        this.logger.info(`Default chat layout set to ${layout ?? config.content.chatLayout}`, { chatLayout: layout });
+    }
+
+    /**
+     * Stars or unstars a message for the highlights layout
+     * @param {string} chatId - Chat ID
+     * @param {number} messageNumber - 1-based position of the message in the conversation
+     * @param {boolean} [starred=true]
+     * @returns {boolean} Whether the chat and message were found
+     */
+    setMessageStarred(chatId, messageNumber, starred = true) {
+        const chat = this._findClaudeChat(chatId);
+        const message = chat?.conversation[messageNumber - 1];
+        if (!message) {
+            this.logger.warn('Message not found for starring', { chatId, messageNumber });
+            return false;
+        }
+        if (starred) {
+            message.starred = true;
+        } else {
+            delete message.starred;
+        }
+        this.saveContent();
+        this.logger.info(`Message ${messageNumber} of "${chat.title}" ${starred ? 'starred' : 'unstarred'}`, { chatId, messageNumber });
+        return true;
+    }
+
+    /**
+     * Imports chats in Claude's export format and saves them
+     * @param {Array} exportedChats - Chats with `uuid`, `name` and `chat_messages`
+     * @returns {number} Number of new chats
+     */
+    importClaudeChats(exportedChats) {
+        const count = this._processClaudeChats(exportedChats);
+        this.saveContent();
+        return count;
+    }
+
     /**
      * Process and import chats from parsed JSON data
      * @param {Array} importedChats - Array of chat objects to process
@@ -521,11 +678,15 @@ export class ContentManager {
         let successfullyImportedCount = 0;
         for (const chat of importedChats) {
             if (chat && chat.uuid && chat.name && Array.isArray(chat.chat_messages)) {
-                const conversation = chat.chat_messages.map(msg => ({
-                    sender: msg.sender,
-                    text: msg.text,
-                    timestamp: msg.created_at
-                }));
+                const conversation = chat.chat_messages.map(msg => {
+                    const artifacts = this._extractArtifacts(msg);
+                    return {
+                        sender: msg.sender,
+                        text: msg.text,
+                        timestamp: msg.created_at,
+                        ...(artifacts.length > 0 ? { artifacts } : {})
+                    };
+                });
 
                 const newClaudeChat = {
                     id: chat.uuid,
@@ -545,7 +706,11 @@ export class ContentManager {
                 } else {
                     // Update existing chat but preserve selection status
                     existingChat.title = newClaudeChat.title;
-                    existingChat.conversation = newClaudeChat.conversation;
+                    // Stars survive a re-import as long as the message is unchanged
+                    existingChat.conversation = newClaudeChat.conversation.map((message, index) => {
+                        const previous = existingChat.conversation?.[index];
+                        return previous?.starred && previous.text === message.text ? { ...message, starred: true } : message;
+                    });
                     existingChat.insights = newClaudeChat.insights;
                     existingChat.category = newClaudeChat.category;
                     existingChat.dateAdded = newClaudeChat.dateAdded;
@@ -559,6 +724,28 @@ export class ContentManager {
         return successfullyImportedCount;
     }
 
+    /**
+     * Collects the artifacts Claude created in a message. Exports keep them as `artifacts`
+     * tool calls in the message's `content` blocks; edits to an earlier artifact carry no
+     * full text and are skipped.
+     * @param {Object} message - Message in Claude's export format
+     * @returns {Array<{title: string, type: string, language: string|null, content: string}>}
+     * @private
+     */
+    _extractArtifacts(message) {
+        if (!Array.isArray(message.content)) {
+            return [];
+        }
+        return message.content
+            .filter(block => block?.type === 'tool_use' && block.name === 'artifacts' && typeof block.input?.content === 'string')
+            .map(({ input }) => ({
+                title: input.title || input.id || 'Artifact',
+                type: input.type || 'text/plain',
+                language: input.language || null,
+                content: input.content
+            }));
+    }
+
     importClaudeChatsFromFile(filePath) {
         try {
             if (!this.fsUtils.existsSync(filePath)) {
@@ -0,0 +1,353 @@
+/**
+ * Cover artwork for magazine issues
+ * @fileoverview Draws an issue cover as SVG (for the cover page) and as a PNG
+ * thumbnail (for e-reader libraries) from the title, issue number, date and sections.
+ * A JPEG of the same raster is available for tools that expect one, such as Calibre.
+ */
+
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { escapeXml } from './xmlUtils.js';
+import { Localizer } from './i18n.js';
+
+const COVER_WIDTH = 800;
+const COVER_HEIGHT = 1280;
+const MARGIN = 60;
+const MAX_SECTIONS = 3;
+
+const COLORS = {
+    background: [31, 42, 68],
+    accent: [231, 76, 60],
+    text: [255, 255, 255],
+    subtle: [189, 195, 199]
+};
+
+// 5x7 bitmap glyphs used to rasterise text for the PNG thumbnail
+const GLYPHS = {
+    'A': ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    'B': ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+    'C': ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+    'D': ['####.', '#...#', '#...#', '#...#', '#...#', '#...#', '####.'],
+    'E': ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+    'F': ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+    'G': ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+    'H': ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    'I': ['.###.', '..#..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+    'J': ['..###', '...#.', '...#.', '...#.', '...#.', '#..#.', '.##..'],
+    'K': ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+    'L': ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+    'M': ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+    'N': ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+    'O': ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    'P': ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+    'Q': ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+    'R': ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+    'S': ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+    'T': ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+    'U': ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    'V': ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+    'W': ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+    'X': ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+    'Y': ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+    'Z': ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####'],
+    '0': ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+    '1': ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+    '2': ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+    '3': ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+    '4': ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+    '5': ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+    '6': ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+    '7': ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+    '8': ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+    '9': ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+    ' ': ['.....', '.....', '.....', '.....', '.....', '.....', '.....'],
+    '-': ['.....', '.....', '.....', '#####', '.....', '.....', '.....'],
+    '.': ['.....', '.....', '.....', '.....', '.....', '.##..', '.##..'],
+    ',': ['.....', '.....', '.....', '.....', '.##..', '..#..', '.#...'],
+    ':': ['.....', '.##..', '.##..', '.....', '.##..', '.##..', '.....'],
+    '&': ['.##..', '#..#.', '#.#..', '.#...', '#.#.#', '#..#.', '.##.#'],
+    "'": ['..#..', '..#..', '.#...', '.....', '.....', '.....', '.....'],
+    '!': ['..#..', '..#..', '..#..', '..#..', '..#..', '.....', '..#..'],
+    '?': ['.###.', '#...#', '....#', '...#.', '..#..', '.....', '..#..'],
+    '/': ['.....', '....#', '...#.', '..#..', '.#...', '#....', '.....'],
+    '#': ['.#.#.', '.#.#.', '#####', '.#.#.', '#####', '.#.#.', '.#.#.'],
+    '(': ['...#.', '..#..', '.#...', '.#...', '.#...', '..#..', '...#.'],
+    ')': ['.#...', '..#..', '...#.', '...#.', '...#.', '..#..', '.#...']
+};
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+/**
+ * Upper-cases text and drops anything the bitmap font cannot draw
+ * (accented letters are reduced to their base letter)
+ */
+function toGlyphText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toUpperCase()
+        .split('')
+        .filter(char => GLYPHS[char])
+        .join('');
+}
+
+/**
+ * Greedy word wrap by character count
+ * @param {string} text - Text to wrap
+ * @param {number} maxChars - Maximum characters per line
+ * @returns {Array<string>} Lines
+ */
+function wrapText(text, maxChars) {
+    const lines = [];
+    let current = '';
+    String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+        // Hard-break words that are longer than a whole line
+        while (word.length > maxChars) {
+            if (current) {
+                lines.push(current);
+                current = '';
+            }
+            lines.push(word.slice(0, maxChars));
+            word = word.slice(maxChars);
+        }
+        if (!current) {
+            current = word;
+        } else if (current.length + 1 + word.length <= maxChars) {
+            current += ' ' + word;
+        } else {
+            lines.push(current);
+            current = word;
+        }
+    });
+    if (current) lines.push(current);
+    return lines;
+}
+
+function truncate(text, maxChars) {
+    return text.length > maxChars ? `${text.slice(0, maxChars - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Minimal RGB raster with rectangle and bitmap-text drawing
+ */
+class RasterCanvas {
+    constructor(width, height, background) {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 3);
+        this.fillRect(0, 0, width, height, background);
+    }
+
+    fillRect(x, y, width, height, [r, g, b]) {
+        const x0 = Math.max(0, Math.floor(x));
+        const y0 = Math.max(0, Math.floor(y));
+        const x1 = Math.min(this.width, Math.floor(x + width));
+        const y1 = Math.min(this.height, Math.floor(y + height));
+        for (let row = y0; row < y1; row++) {
+            for (let col = x0; col < x1; col++) {
+                const offset = (row * this.width + col) * 3;
+                this.pixels[offset] = r;
+                this.pixels[offset + 1] = g;
+                this.pixels[offset + 2] = b;
+            }
+        }
+    }
+
+    static measureText(text, scale) {
+        return text.length > 0 ? text.length * (GLYPH_WIDTH + 1) * scale - scale : 0;
+    }
+
+    drawText(text, x, y, scale, color) {
+        text.split('').forEach((char, index) => {
+            const glyph = GLYPHS[char];
+            const left = x + index * (GLYPH_WIDTH + 1) * scale;
+            glyph.forEach((row, rowIndex) => {
+                for (let col = 0; col < GLYPH_WIDTH; col++) {
+                    if (row[col] === '#') {
+                        this.fillRect(left + col * scale, y + rowIndex * scale, scale, scale, color);
+                    }
+                }
+            });
+        });
+    }
+
+    drawCenteredText(text, y, scale, color) {
+        const x = (this.width - RasterCanvas.measureText(text, scale)) / 2;
+        this.drawText(text, x, y, scale, color);
+    }
+
+    toPNG() {
+        const png = new PNG({ width: this.width, height: this.height });
+        png.data = this.pixels;
+        // RGB without alpha; the flat artwork compresses as well without scanline filters, which are slow to pick
+        return PNG.sync.write(png, {
+            colorType: 2,
+            inputColorType: 2,
+            inputHasAlpha: false,
+            deflateLevel: 9,
+            filterType: 0
+        });
+    }
+
+    toJPEG(quality) {
+        // The encoder takes RGBA and ignores the alpha channel
+        const rgba = Buffer.alloc(this.width * this.height * 4, 0xFF);
+        for (let pixel = 0; pixel < this.width * this.height; pixel++) {
+            this.pixels.copy(rgba, pixel * 4, pixel * 3, pixel * 3 + 3);
+        }
+        return jpeg.encode({ data: rgba, width: this.width, height: this.height }, quality).data;
+    }
+}
+
+/**
+ * Builds cover artwork for an issue
+ */
+export class CoverGenerator {
+    /**
+     * @param {Object} details - Cover details
+     * @param {string} details.title - Magazine title
+     * @param {string|number} details.issueNumber - Issue number
+     * @param {number|null} [details.volume] - Volume, shown with the issue number when set
+     * @param {string} details.date - Formatted issue date (e.g. "January 2026")
+     * @param {string} [details.readingTime] - Formatted total reading time, shown below the date
+     * @param {Array<string>} [details.sections] - Section names, most important first
+     * @param {Localizer} [details.localizer] - Localizer for the cover text (default English)
+     */
+    constructor({ title, issueNumber, volume = null, date, readingTime = '', sections = [], localizer = new Localizer() }) {
+        this.title = title || '';
+        this.issueNumber = issueNumber;
+        this.volume = volume;
+        this.localizer = localizer;
+        this.date = date || '';
+        this.readingTime = readingTime || '';
+        this.sections = sections.filter(Boolean).slice(0, MAX_SECTIONS);
+    }
+
+    /**
+     * Renders the cover as a standalone SVG document (no XML declaration, so it can be inlined)
+     * @returns {string} SVG markup
+     */
+    generateSVG() {
+        const [bgR, bgG, bgB] = COLORS.background;
+        const rgb = ([r, g, b]) => `rgb(${r},${g},${b})`;
+        const titleLines = wrapText(this.title, 14).slice(0, 4);
+        const titleTop = 260;
+        const titleLineHeight = 96;
+        const issueTop = titleTop + titleLines.length * titleLineHeight + 80;
+
+        const titleText = titleLines.map((line, index) =>
+            `<text x="${COVER_WIDTH / 2}" y="${titleTop + index * titleLineHeight}" font-size="84" font-weight="bold" text-anchor="middle" fill="${rgb(COLORS.text)}">${escapeXml(line)}</text>`
+        ).join('\n    ');
+
+        const readingTimeHeight = this.readingTime ? 50 : 0;
+        const sectionTop = issueTop + 220 + readingTimeHeight;
+        const sectionText = this.sections.map((section, index) =>
+            `<text x="${COVER_WIDTH / 2}" y="${sectionTop + index * 56}" font-size="34" text-anchor="middle" fill="${rgb(COLORS.subtle)}">${escapeXml(truncate(section, 32))}</text>`
+        ).join('\n    ');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" viewBox="0 0 ${COVER_WIDTH} ${COVER_HEIGHT}" width="100%" height="100%" preserveAspectRatio="xMidYMid meet" role="img" aria-label="${escapeXml(this.getAltText())}">
+    <rect width="${COVER_WIDTH}" height="${COVER_HEIGHT}" fill="rgb(${bgR},${bgG},${bgB})"/>
+    <rect width="${COVER_WIDTH}" height="24" fill="${rgb(COLORS.accent)}"/>
+    <g font-family="Georgia, 'Times New Roman', serif">
+    ${titleText}
+    <text x="${COVER_WIDTH / 2}" y="${issueTop}" font-size="56" font-weight="bold" text-anchor="middle" fill="${rgb(COLORS.accent)}">${escapeXml(this.getIssueLabel())}</text>
+    <text x="${COVER_WIDTH / 2}" y="${issueTop + 70}" font-size="40" text-anchor="middle" fill="${rgb(COLORS.text)}">${escapeXml(this.date)}</text>${this.readingTime ? `
+    <text x="${COVER_WIDTH / 2}" y="${issueTop + 120}" font-size="30" text-anchor="middle" fill="${rgb(COLORS.subtle)}">${escapeXml(this.readingTime)}</text>` : ''}
+    <rect x="${MARGIN * 3}" y="${issueTop + 130 + readingTimeHeight}" width="${COVER_WIDTH - MARGIN * 6}" height="4" fill="${rgb(COLORS.accent)}"/>
+    ${sectionText}
+    </g>
+    <rect y="${COVER_HEIGHT - 24}" width="${COVER_WIDTH}" height="24" fill="${rgb(COLORS.accent)}"/>
+</svg>`;
+    }
+
+    /**
+     * Rasterises the cover into a PNG thumbnail
+     * @returns {Buffer} PNG image data
+     */
+    generatePNG() {
+        return this.drawRaster().toPNG();
+    }
+
+    /**
+     * Rasterises the cover into a JPEG
+     * @param {number} [quality=90] - JPEG quality, 1 to 100
+     * @returns {Buffer} JPEG image data
+     */
+    generateJPEG(quality = 90) {
+        return this.drawRaster().toJPEG(quality);
+    }
+
+    drawRaster() {
+        const canvas = new RasterCanvas(COVER_WIDTH, COVER_HEIGHT, COLORS.background);
+        const contentWidth = COVER_WIDTH - MARGIN * 2;
+
+        canvas.fillRect(0, 0, COVER_WIDTH, 24, COLORS.accent);
+        canvas.fillRect(0, COVER_HEIGHT - 24, COVER_WIDTH, 24, COLORS.accent);
+
+        // Use the largest title scale that fits in four lines
+        const title = toGlyphText(this.title);
+        let titleScale = 12;
+        let titleLines = [];
+        for (; titleScale >= 5; titleScale--) {
+            const maxChars = Math.floor((contentWidth + titleScale) / ((GLYPH_WIDTH + 1) * titleScale));
+            titleLines = wrapText(title, maxChars);
+            if (titleLines.length <= 4) break;
+        }
+        titleLines = titleLines.slice(0, 4);
+
+        let y = 180;
+        titleLines.forEach(line => {
+            canvas.drawCenteredText(line, y, titleScale, COLORS.text);
+            y += (GLYPH_HEIGHT + 3) * titleScale;
+        });
+
+        y += 60;
+        // Volume labels can be too long for the full size
+        const issueLabel = toGlyphText(this.getIssueLabel());
+        let issueScale = 7;
+        while (issueScale > 3 && RasterCanvas.measureText(issueLabel, issueScale) > contentWidth) {
+            issueScale--;
+        }
+        canvas.drawCenteredText(issueLabel, y, issueScale, COLORS.accent);
+        y += (GLYPH_HEIGHT + 4) * issueScale;
+        canvas.drawCenteredText(toGlyphText(this.date), y, 5, COLORS.text);
+        y += (GLYPH_HEIGHT + 6) * 5;
+        if (this.readingTime) {
+            canvas.drawCenteredText(toGlyphText(this.readingTime), y - 20, 3, COLORS.subtle);
+            y += (GLYPH_HEIGHT + 6) * 3;
+        }
+
+        canvas.fillRect(MARGIN * 3, y, COVER_WIDTH - MARGIN * 6, 4, COLORS.accent);
+        y += 60;
+
+        const sectionScale = 4;
+        const maxSectionChars = Math.floor((contentWidth + sectionScale) / ((GLYPH_WIDTH + 1) * sectionScale));
+        this.sections.forEach(section => {
+            const text = toGlyphText(section);
+            const fitted = text.length > maxSectionChars ? `${text.slice(0, maxSectionChars - 3).trimEnd()}...` : text;
+            canvas.drawCenteredText(fitted, y, sectionScale, COLORS.subtle);
+            y += (GLYPH_HEIGHT + 5) * sectionScale;
+        });
+
+        return canvas;
+    }
+
+    getIssueLabel() {
+        return this.volume
+            ? this.localizer.t('volumeIssue', { volume: this.volume, number: this.issueNumber })
+            : this.localizer.t('issue', { number: this.issueNumber });
+    }
+
+    /**
+     * Short text description of the cover for alt text
+     * @returns {string}
+     */
+    getAltText() {
+        const parts = [`${this.title}, ${this.getIssueLabel()}`];
+        if (this.date) parts.push(this.date);
+        if (this.sections.length > 0) parts.push(this.localizer.t('coverFeaturing', { sections: this.sections.join(', ') }));
+        return parts.join(' – ');
+    }
+}
+
+export default CoverGenerator;
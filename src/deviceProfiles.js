@@ -0,0 +1,107 @@
+/**
+ * Device profiles for generated issues
+ * @fileoverview Named reading devices with what the EPUB generator needs to know about them:
+ * screen and image sizes, stylesheet adjustments, how large one content file may get before a
+ * chapter is split, and whether the device's renderer handles MathML and inline SVG
+ */
+
+export const DEFAULT_DEVICE = 'default';
+
+/**
+ * @typedef {Object} DeviceProfile
+ * @property {string} name - Profile name, as used with --device
+ * @property {string} label - Name shown to people
+ * @property {{width: number, height: number}|null} screen - Screen resolution in pixels
+ * @property {{width: number, height: number}|null} maxImage - Largest image worth packaging;
+ * bigger images only add size, since the device scales them down
+ * @property {string} css - Appended to the theme's stylesheet
+ * @property {number|null} maxFileSize - Chapters whose XHTML is larger than this many bytes are
+ * split into several files; null never splits
+ * @property {{mathml: boolean, svg: boolean}} features - Markup the device renders
+ * @property {string} theme - Theme used when the issue does not choose one
+ */
+
+/** @type {Object<string, DeviceProfile>} */
+export const DEVICE_PROFILES = Object.freeze({
+    default: {
+        name: 'default',
+        label: 'Any e-reader',
+        screen: null,
+        maxImage: null,
+        css: '',
+        maxFileSize: null,
+        features: { mathml: true, svg: true },
+        theme: 'default'
+    },
+    kindle: {
+        name: 'kindle',
+        label: 'Kindle Paperwhite',
+        screen: { width: 1236, height: 1648 },
+        maxImage: { width: 1236, height: 1648 },
+        css: '',
+        // Older Kindle firmware slows down badly on larger flows
+        maxFileSize: 256 * 1024,
+        // Kindle conversion drops MathML and handles inline SVG poorly
+        features: { mathml: false, svg: false },
+        theme: 'kindle'
+    },
+    kobo: {
+        name: 'kobo',
+        label: 'Kobo Libra',
+        screen: { width: 1264, height: 1680 },
+        maxImage: { width: 1264, height: 1680 },
+        css: '',
+        // Kobo's Adobe-based renderer refuses files much larger than this
+        maxFileSize: 256 * 1024,
+        features: { mathml: false, svg: true },
+        theme: 'default'
+    },
+    remarkable: {
+        name: 'remarkable',
+        label: 'reMarkable',
+        screen: { width: 1404, height: 1872 },
+        maxImage: { width: 1404, height: 1872 },
+        // Greyscale screen: links are told apart by underline rather than colour
+        css: 'a { color: inherit; text-decoration: underline; }',
+        maxFileSize: null,
+        features: { mathml: false, svg: true },
+        theme: 'kindle'
+    },
+    phone: {
+        name: 'phone',
+        label: 'Phone',
+        screen: { width: 1080, height: 2340 },
+        maxImage: { width: 1080, height: 2340 },
+        // Narrow screens need every bit of width for text
+        css: 'body { margin: 0; padding: 0.5em; }',
+        maxFileSize: null,
+        features: { mathml: true, svg: true },
+        theme: 'default'
+    }
+});
+
+export const DEVICE_NAMES = Object.keys(DEVICE_PROFILES);
+
+/**
+ * Whether a value names a device profile
+ * @param {*} name
+ * @returns {boolean}
+ */
+export function isDeviceProfile(name) {
+    return DEVICE_NAMES.includes(name);
+}
+
+/**
+ * Looks up a device profile by name
+ * @param {string} name
+ * @returns {DeviceProfile}
+ * @throws {Error} If there is no profile with that name
+ */
+export function getDeviceProfile(name) {
+    if (!isDeviceProfile(name)) {
+        throw new Error(`Unknown device profile: ${name}`);
+    }
+    return DEVICE_PROFILES[name];
+}
+
+export default getDeviceProfile;
@@ -0,0 +1,541 @@
+/**
+ * EPUB conformance checker
+ * @fileoverview Offline structural checks for EPUB files: ZIP container, package
+ * document, manifest/spine, navigation documents, XHTML well-formedness and font obfuscation.
+ * Covers the problems readers reject most often; it is not a replacement for epubcheck.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import { JSDOM } from 'jsdom';
+import { obfuscateFont, FONT_OBFUSCATION_ALGORITHM } from './fontObfuscation.js';
+
+const EPUB_MIMETYPE = 'application/epub+zip';
+const OPF_MEDIA_TYPE = 'application/oebps-package+xml';
+const XHTML_MEDIA_TYPE = 'application/xhtml+xml';
+const NCX_MEDIA_TYPE = 'application/x-dtbncx+xml';
+const SPINE_MEDIA_TYPES = [XHTML_MEDIA_TYPE, 'image/svg+xml'];
+
+const NS = {
+    container: 'urn:oasis:names:tc:opendocument:xmlns:container',
+    opf: 'http://www.idpf.org/2007/opf',
+    dc: 'http://purl.org/dc/elements/1.1/',
+    xhtml: 'http://www.w3.org/1999/xhtml',
+    xmlenc: 'http://www.w3.org/2001/04/xmlenc#',
+    ops: 'http://www.idpf.org/2007/ops',
+    ncx: 'http://www.daisy.org/z3986/2005/ncx/'
+};
+
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const MODIFIED_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/;
+// Leading bytes of WOFF2, WOFF, CFF OpenType, TrueType and Apple TrueType fonts
+const FONT_SIGNATURES = ['774f4632', '774f4646', '4f54544f', '00010000', '74727565'];
+
+/**
+ * Thrown when an EPUB fails conformance checks
+ */
+export class EPUBValidationError extends Error {
+    constructor(message, report) {
+        super(message);
+        this.name = 'EPUBValidationError';
+        this.report = report;
+    }
+}
+
+/**
+ * Collects errors and warnings for a single EPUB
+ */
+export class EPUBChecker {
+    constructor() {
+        this.errors = [];
+        this.warnings = [];
+    }
+
+    error(file, message) {
+        this.errors.push({ file, message });
+    }
+
+    warn(file, message) {
+        this.warnings.push({ file, message });
+    }
+
+    /**
+     * Runs all checks against an EPUB
+     * @param {Buffer} data - EPUB file contents
+     * @returns {Promise<{valid: boolean, errors: Array, warnings: Array}>} Report
+     */
+    async check(data) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(data);
+        } catch (error) {
+            this.error(null, `Not a readable ZIP archive: ${error.message}`);
+            return this.getReport();
+        }
+
+        this.checkMimetypeEntry(data);
+        return this.checkParts(zip);
+    }
+
+    /**
+     * Runs the checks on the files of an archive, leaving out the layout of the ZIP itself.
+     * This lets an archive that is still being built be checked before it is streamed.
+     * @param {JSZip} zip - The archive's files
+     * @returns {Promise<{valid: boolean, errors: Array, warnings: Array}>} Report
+     */
+    async checkParts(zip) {
+        this.zip = zip;
+        await this.checkMimetype();
+
+        const opfPath = await this.checkContainer();
+        if (opfPath) {
+            await this.checkPackage(opfPath);
+        }
+
+        return this.getReport();
+    }
+
+    getReport() {
+        return {
+            valid: this.errors.length === 0,
+            errors: this.errors,
+            warnings: this.warnings
+        };
+    }
+
+    async checkMimetype() {
+        const file = this.zip.file('mimetype');
+        if (!file) {
+            this.error('mimetype', 'Missing mimetype file');
+            return;
+        }
+
+        const content = await file.async('string');
+        if (content !== EPUB_MIMETYPE) {
+            this.error('mimetype', `mimetype must contain exactly '${EPUB_MIMETYPE}'`);
+        }
+    }
+
+    // The mimetype file must be the first entry, stored uncompressed and without extra fields
+    checkMimetypeEntry(data) {
+        if (data.length < 30 || data.readUInt32LE(0) !== ZIP_LOCAL_HEADER_SIGNATURE) {
+            this.error('mimetype', 'mimetype must be the first entry in the archive');
+            return;
+        }
+        const nameLength = data.readUInt16LE(26);
+        const firstEntry = data.toString('utf8', 30, 30 + nameLength);
+        if (firstEntry !== 'mimetype') {
+            this.error('mimetype', `mimetype must be the first entry in the archive (found '${firstEntry}')`);
+            return;
+        }
+        if (data.readUInt16LE(8) !== 0) {
+            this.error('mimetype', 'mimetype must be stored without compression');
+        }
+        if (data.readUInt16LE(28) !== 0) {
+            this.warn('mimetype', 'mimetype entry should not have an extra field');
+        }
+    }
+
+    // Returns the package document path named by container.xml
+    async checkContainer() {
+        const containerPath = 'META-INF/container.xml';
+        const document = await this.parseFile(containerPath, 'application/xml');
+        if (!document) {
+            return null;
+        }
+
+        const rootfile = document.getElementsByTagNameNS(NS.container, 'rootfile')[0];
+        const fullPath = rootfile?.getAttribute('full-path');
+        if (!fullPath) {
+            this.error(containerPath, 'No rootfile with a full-path attribute');
+            return null;
+        }
+        if (rootfile.getAttribute('media-type') !== OPF_MEDIA_TYPE) {
+            this.error(containerPath, `rootfile media-type must be '${OPF_MEDIA_TYPE}'`);
+        }
+        if (!this.zip.file(fullPath)) {
+            this.error(containerPath, `Package document '${fullPath}' not found`);
+            return null;
+        }
+        return fullPath;
+    }
+
+    async checkPackage(opfPath) {
+        const document = await this.parseFile(opfPath, 'application/xml');
+        if (!document) {
+            return;
+        }
+
+        const pkg = document.documentElement;
+        if (pkg.localName !== 'package' || pkg.namespaceURI !== NS.opf) {
+            this.error(opfPath, 'Root element must be an OPF <package>');
+            return;
+        }
+
+        const version = pkg.getAttribute('version');
+        if (!version) {
+            this.error(opfPath, 'package element is missing the version attribute');
+        }
+        const isEPUB3 = version?.startsWith('3');
+
+        const identifier = this.checkMetadata(opfPath, pkg, isEPUB3);
+        const manifest = this.checkManifest(opfPath, pkg, isEPUB3);
+        this.checkSpine(opfPath, pkg, manifest);
+        this.checkUnlistedFiles(opfPath, manifest);
+
+        for (const item of manifest.values()) {
+            if (item.mediaType === XHTML_MEDIA_TYPE && item.exists) {
+                await this.checkContentDocument(item, manifest);
+            }
+        }
+
+        const navItem = [...manifest.values()].find(item => item.properties.includes('nav'));
+        if (navItem?.exists) {
+            await this.checkNav(navItem, manifest);
+        }
+
+        const ncxItem = [...manifest.values()].find(item => item.mediaType === NCX_MEDIA_TYPE);
+        if (ncxItem?.exists) {
+            await this.checkNCX(ncxItem, manifest, identifier);
+        }
+
+        if (this.zip.file('META-INF/encryption.xml') && identifier) {
+            await this.checkEncryption(manifest, identifier);
+        }
+    }
+
+    // Obfuscated fonts must be manifest items that decode with the package identifier
+    async checkEncryption(manifest, identifier) {
+        const encryptionPath = 'META-INF/encryption.xml';
+        const document = await this.parseFile(encryptionPath, 'application/xml');
+        if (!document) {
+            return;
+        }
+
+        const manifestPaths = new Set([...manifest.values()].map(item => item.zipPath));
+        for (const data of document.getElementsByTagNameNS(NS.xmlenc, 'EncryptedData')) {
+            const method = data.getElementsByTagNameNS(NS.xmlenc, 'EncryptionMethod')[0];
+            const reference = data.getElementsByTagNameNS(NS.xmlenc, 'CipherReference')[0];
+            if (method?.getAttribute('Algorithm') !== FONT_OBFUSCATION_ALGORITHM || !reference) {
+                continue;
+            }
+
+            const uri = reference.getAttribute('URI');
+            const file = this.zip.file(uri);
+            if (!file || !manifestPaths.has(uri)) {
+                this.error(encryptionPath, `Obfuscated resource '${uri}' is not in the manifest`);
+                continue;
+            }
+            const font = obfuscateFont(await file.async('nodebuffer'), identifier);
+            if (!FONT_SIGNATURES.includes(font.subarray(0, 4).toString('hex'))) {
+                this.error(uri, 'Obfuscated font does not decode with the package identifier');
+            }
+        }
+    }
+
+    // Returns the package identifier
+    checkMetadata(opfPath, pkg, isEPUB3) {
+        const metadata = pkg.getElementsByTagNameNS(NS.opf, 'metadata')[0];
+        if (!metadata) {
+            this.error(opfPath, 'Missing <metadata> element');
+            return null;
+        }
+
+        const uniqueIdentifier = pkg.getAttribute('unique-identifier');
+        const identifiers = [...metadata.getElementsByTagNameNS(NS.dc, 'identifier')];
+        const identifier = identifiers.find(element => element.getAttribute('id') === uniqueIdentifier);
+        if (!uniqueIdentifier || !identifier) {
+            this.error(opfPath, 'unique-identifier must reference a dc:identifier element');
+        } else if (!identifier.textContent.trim()) {
+            this.error(opfPath, 'The package identifier is empty');
+        }
+
+        ['title', 'language'].forEach(name => {
+            const element = metadata.getElementsByTagNameNS(NS.dc, name)[0];
+            if (!element || !element.textContent.trim()) {
+                this.error(opfPath, `Missing or empty dc:${name}`);
+            }
+        });
+
+        const metas = [...metadata.getElementsByTagNameNS(NS.opf, 'meta')];
+        if (isEPUB3) {
+            const modified = metas.filter(meta => meta.getAttribute('property') === 'dcterms:modified');
+            if (modified.length !== 1) {
+                this.error(opfPath, 'EPUB 3 packages need exactly one dcterms:modified meta');
+            } else if (!MODIFIED_DATE_PATTERN.test(modified[0].textContent.trim())) {
+                this.error(opfPath, 'dcterms:modified must use the form CCYY-MM-DDThh:mm:ssZ');
+            }
+        }
+
+        const manifestIds = new Set([...pkg.getElementsByTagNameNS(NS.opf, 'item')].map(item => item.getAttribute('id')));
+        metas.filter(meta => meta.getAttribute('name') === 'cover').forEach(meta => {
+            if (!manifestIds.has(meta.getAttribute('content'))) {
+                this.warn(opfPath, `Cover meta references unknown manifest item '${meta.getAttribute('content')}'`);
+            }
+        });
+
+        return identifier?.textContent.trim() ?? null;
+    }
+
+    // Returns the manifest as a Map of id -> item
+    checkManifest(opfPath, pkg, isEPUB3) {
+        const manifest = new Map();
+        const manifestElement = pkg.getElementsByTagNameNS(NS.opf, 'manifest')[0];
+        if (!manifestElement) {
+            this.error(opfPath, 'Missing <manifest> element');
+            return manifest;
+        }
+
+        const baseDir = path.posix.dirname(opfPath);
+        const hrefs = new Set();
+        [...manifestElement.getElementsByTagNameNS(NS.opf, 'item')].forEach(element => {
+            const id = element.getAttribute('id');
+            const href = element.getAttribute('href');
+            const mediaType = element.getAttribute('media-type');
+
+            if (!id || !href || !mediaType) {
+                this.error(opfPath, `Manifest item '${id || href || '?'}' needs id, href and media-type attributes`);
+                return;
+            }
+            if (manifest.has(id)) {
+                this.error(opfPath, `Duplicate manifest id '${id}'`);
+                return;
+            }
+            if (hrefs.has(href)) {
+                this.error(opfPath, `Manifest lists '${href}' more than once`);
+            }
+            hrefs.add(href);
+
+            const zipPath = resolveHref(baseDir, href);
+            const exists = Boolean(this.zip.file(zipPath));
+            if (!exists) {
+                this.error(opfPath, `Manifest item '${id}' points to missing file '${href}'`);
+            }
+
+            manifest.set(id, {
+                id,
+                href,
+                zipPath,
+                mediaType,
+                exists,
+                properties: (element.getAttribute('properties') || '').split(/\s+/).filter(Boolean)
+            });
+        });
+
+        const items = [...manifest.values()];
+        const navItems = items.filter(item => item.properties.includes('nav'));
+        if (isEPUB3 && navItems.length !== 1) {
+            this.error(opfPath, 'EPUB 3 packages need exactly one manifest item with the nav property');
+        }
+        if (navItems.some(item => item.mediaType !== XHTML_MEDIA_TYPE)) {
+            this.error(opfPath, `The navigation document must be ${XHTML_MEDIA_TYPE}`);
+        }
+        if (items.filter(item => item.properties.includes('cover-image')).length > 1) {
+            this.error(opfPath, 'Only one manifest item may have the cover-image property');
+        }
+
+        return manifest;
+    }
+
+    checkSpine(opfPath, pkg, manifest) {
+        const spine = pkg.getElementsByTagNameNS(NS.opf, 'spine')[0];
+        if (!spine) {
+            this.error(opfPath, 'Missing <spine> element');
+            return;
+        }
+
+        const toc = spine.getAttribute('toc');
+        if (toc && manifest.get(toc)?.mediaType !== NCX_MEDIA_TYPE) {
+            this.error(opfPath, `spine toc attribute must reference the NCX manifest item (got '${toc}')`);
+        }
+
+        const itemrefs = [...spine.getElementsByTagNameNS(NS.opf, 'itemref')];
+        if (itemrefs.length === 0) {
+            this.error(opfPath, 'The spine has no itemref elements');
+        }
+
+        const seen = new Set();
+        itemrefs.forEach(itemref => {
+            const idref = itemref.getAttribute('idref');
+            const item = manifest.get(idref);
+            if (!item) {
+                this.error(opfPath, `Spine itemref '${idref}' does not match a manifest item`);
+                return;
+            }
+            if (seen.has(idref)) {
+                this.error(opfPath, `Spine references '${idref}' more than once`);
+            }
+            seen.add(idref);
+            if (!SPINE_MEDIA_TYPES.includes(item.mediaType)) {
+                this.error(opfPath, `Spine item '${idref}' has media type '${item.mediaType}', which cannot be read directly`);
+            }
+        });
+    }
+
+    // Files in the archive that the manifest does not declare
+    checkUnlistedFiles(opfPath, manifest) {
+        const declared = new Set([...manifest.values()].map(item => item.zipPath));
+        declared.add(opfPath);
+
+        Object.values(this.zip.files).forEach(file => {
+            if (file.dir || file.name === 'mimetype' || file.name.startsWith('META-INF/') || declared.has(file.name)) {
+                return;
+            }
+            this.warn(file.name, 'File is not listed in the manifest');
+        });
+    }
+
+    async checkContentDocument(item, manifest) {
+        const document = await this.parseFile(item.zipPath, XHTML_MEDIA_TYPE);
+        if (!document) {
+            return;
+        }
+
+        const root = document.documentElement;
+        if (root.localName !== 'html' || root.namespaceURI !== NS.xhtml) {
+            this.error(item.zipPath, 'Root element must be <html> in the XHTML namespace');
+            return;
+        }
+        if (!document.getElementsByTagNameNS(NS.xhtml, 'title')[0]?.textContent.trim()) {
+            this.warn(item.zipPath, 'Document has no <title>');
+        }
+        if (document.getElementsByTagNameNS('http://www.w3.org/2000/svg', 'svg').length > 0 && !item.properties.includes('svg')) {
+            this.error(item.zipPath, `Document contains inline SVG but manifest item '${item.id}' lacks the svg property`);
+        }
+        if (document.getElementsByTagNameNS('http://www.w3.org/1998/Math/MathML', 'math').length > 0 && !item.properties.includes('mathml')) {
+            this.error(item.zipPath, `Document contains MathML but manifest item '${item.id}' lacks the mathml property`);
+        }
+
+        const manifestPaths = new Set([...manifest.values()].map(entry => entry.zipPath));
+        const documentDir = path.posix.dirname(item.zipPath);
+        [...document.getElementsByTagNameNS(NS.xhtml, 'img')].forEach(img => {
+            const src = img.getAttribute('src');
+            if (!src || isExternal(src)) {
+                return;
+            }
+            if (!manifestPaths.has(resolveHref(documentDir, src))) {
+                this.error(item.zipPath, `Image '${src}' is not in the manifest`);
+            }
+        });
+    }
+
+    async checkNav(navItem, manifest) {
+        const document = await this.parseFile(navItem.zipPath, XHTML_MEDIA_TYPE);
+        if (!document) {
+            return;
+        }
+
+        const navs = [...document.getElementsByTagNameNS(NS.xhtml, 'nav')];
+        const tocNav = navs.find(nav => getEpubTypes(nav).includes('toc'));
+        if (!tocNav) {
+            this.error(navItem.zipPath, 'Navigation document has no <nav epub:type="toc">');
+            return;
+        }
+        if (!tocNav.getElementsByTagNameNS(NS.xhtml, 'ol')[0]) {
+            this.error(navItem.zipPath, 'The toc nav must contain an <ol> list');
+        }
+
+        this.checkLinks(navItem.zipPath, [...tocNav.getElementsByTagNameNS(NS.xhtml, 'a')].map(a => a.getAttribute('href')), manifest);
+    }
+
+    async checkNCX(ncxItem, manifest, identifier) {
+        const document = await this.parseFile(ncxItem.zipPath, 'application/xml');
+        if (!document) {
+            return;
+        }
+
+        const uid = [...document.getElementsByTagNameNS(NS.ncx, 'meta')]
+            .find(meta => meta.getAttribute('name') === 'dtb:uid');
+        if (identifier && uid?.getAttribute('content') !== identifier) {
+            this.warn(ncxItem.zipPath, 'NCX dtb:uid does not match the package identifier');
+        }
+
+        const sources = [...document.getElementsByTagNameNS(NS.ncx, 'content')].map(content => content.getAttribute('src'));
+        this.checkLinks(ncxItem.zipPath, sources, manifest);
+    }
+
+    // Navigation targets must be manifest items
+    checkLinks(file, hrefs, manifest) {
+        const manifestPaths = new Set([...manifest.values()].map(item => item.zipPath));
+        const dir = path.posix.dirname(file);
+        hrefs.forEach(href => {
+            if (!href || isExternal(href)) {
+                return;
+            }
+            const target = resolveHref(dir, href.split('#')[0]);
+            if (!manifestPaths.has(target)) {
+                this.error(file, `Link target '${href}' is not in the manifest`);
+            }
+        });
+    }
+
+    // Parses an archive entry as XML; records an error and returns null on failure
+    async parseFile(zipPath, contentType) {
+        const file = this.zip.file(zipPath);
+        if (!file) {
+            this.error(zipPath, 'File not found');
+            return null;
+        }
+
+        const content = await file.async('string');
+        try {
+            return new JSDOM(content, { contentType }).window.document;
+        } catch (error) {
+            this.error(zipPath, `Not well-formed XML: ${error.message.split('\n')[0]}`);
+            return null;
+        }
+    }
+}
+
+function resolveHref(baseDir, href) {
+    let decoded = href;
+    try {
+        decoded = decodeURIComponent(href);
+    } catch {
+        // Keep malformed escapes as written
+    }
+    return path.posix.normalize(path.posix.join(baseDir, decoded)).replace(/^\.\//, '');
+}
+
+function isExternal(href) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(href);
+}
+
+function getEpubTypes(element) {
+    return (element.getAttributeNS(NS.ops, 'type') || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Checks an EPUB file or buffer
+ * @param {Buffer|string} input - EPUB contents or a path to an EPUB file
+ * @returns {Promise<{valid: boolean, errors: Array<{file: string, message: string}>, warnings: Array<{file: string, message: string}>}>}
+ */
+export async function checkEPUB(input) {
+    const data = Buffer.isBuffer(input) ? input : await readFile(input);
+    return new EPUBChecker().check(data);
+}
+
+/**
+ * Checks the files of an archive that has not been written yet (see EPUBChecker.checkParts)
+ * @param {JSZip} zip - The archive's files
+ * @returns {Promise<{valid: boolean, errors: Array, warnings: Array}>} Report
+ */
+export async function checkEPUBParts(zip) {
+    return new EPUBChecker().checkParts(zip);
+}
+
+/**
+ * Formats a report as human-readable lines
+ * @param {Object} report - Report returned by checkEPUB
+ * @returns {string}
+ */
+export function formatReport(report) {
+    const format = (level, { file, message }) => `${level}${file ? ` (${file})` : ''}: ${message}`;
+    return [
+        ...report.errors.map(issue => format('ERROR', issue)),
+        ...report.warnings.map(issue => format('WARNING', issue))
+    ].join('\n');
+}
+
+export default checkEPUB;
@@ -0,0 +1,480 @@
+/**
+ * EPUB import into the content store
+ * @fileoverview Reads an EPUB back into articles and chats. Issues Magazeen generated are
+ * recognised by their chapter markup: articles keep their title, category, author and
+ * content, chats are rebuilt message by message from whichever layout they were printed
+ * in, and code moved to the appendix goes back into its chat. Any other EPUB is imported
+ * as one article per chapter. Article markup is sanitized, as the book may come from
+ * anywhere. Images are copied out of the book into an images folder next to the content
+ * file, so the next issue can embed them again.
+ */
+
+import * as syncFs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import JSZip from 'jszip';
+import { JSDOM } from 'jsdom';
+import { Logger } from './logger.js';
+import { ValidationError } from './validation.js';
+import { htmlToMarkdown } from './vaultExporter.js';
+import { Localizer, getSupportedLanguage } from './i18n.js';
+import { getImageMediaType } from './mediaTypes.js';
+import { sanitizeArticleHTML } from './articleGenerator.js';
+
+const NS = {
+    container: 'urn:oasis:names:tc:opendocument:xmlns:container',
+    opf: 'http://www.idpf.org/2007/opf',
+    dc: 'http://purl.org/dc/elements/1.1/'
+};
+
+// Artifact types chatLayouts.js prints under a language of their own
+const ARTIFACT_TYPES = {
+    html: 'text/html',
+    svg: 'image/svg+xml',
+    mermaid: 'application/vnd.ant.mermaid',
+    jsx: 'application/vnd.ant.react'
+};
+
+// Content store limits on article fields (see Validator.validateArticle)
+const MAX_CATEGORY_LENGTH = 50;
+const MAX_AUTHOR_LENGTH = 100;
+const MAX_TITLE_LENGTH = 200;
+
+function parseXML(content) {
+    return new JSDOM(content, { contentType: 'application/xml' }).window.document;
+}
+
+// Content documents are XHTML; books that are not well-formed get the forgiving HTML parser
+function parseContentDocument(content) {
+    try {
+        return new JSDOM(content, { contentType: 'application/xhtml+xml' }).window.document;
+    } catch {
+        return new JSDOM(content).window.document;
+    }
+}
+
+function resolveHref(baseDir, href) {
+    const [file] = href.split('#');
+    let decoded = file;
+    try {
+        decoded = decodeURIComponent(file);
+    } catch {
+        // Keep malformed escapes as written
+    }
+    return path.posix.normalize(path.posix.join(baseDir, decoded));
+}
+
+function isExternal(href) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(href);
+}
+
+function clip(text, length) {
+    const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+    return value.length > length ? value.slice(0, length).trim() : value;
+}
+
+/**
+ * Reads an EPUB's metadata and content documents in reading order
+ * @param {Buffer} data - The EPUB archive
+ * @returns {Promise<{zip: JSZip, metadata: Object, documents: Array<{path: string, document: Document}>, labels: Map<string, string>}>}
+ * The metadata has the title, author, description, language, identifier and series with
+ * the book's position in it; labels are the navigation titles of the documents, by path
+ */
+export async function readEPUB(data) {
+    const zip = await JSZip.loadAsync(data);
+    const containerFile = zip.file('META-INF/container.xml');
+    if (!containerFile) {
+        throw new Error('Not an EPUB: META-INF/container.xml is missing');
+    }
+    const container = parseXML(await containerFile.async('string'));
+    const opfPath = container.getElementsByTagNameNS(NS.container, 'rootfile')[0]?.getAttribute('full-path');
+    const opfFile = opfPath && zip.file(opfPath);
+    if (!opfFile) {
+        throw new Error('Not an EPUB: the package document is missing');
+    }
+    const opf = parseXML(await opfFile.async('string'));
+    const opfDir = path.posix.dirname(opfPath);
+    const text = name => opf.getElementsByTagNameNS(NS.dc, name)[0]?.textContent.trim() || null;
+    const metas = [...opf.getElementsByTagNameNS(NS.opf, 'meta')];
+    const series = metas.find(meta => meta.getAttribute('property') === 'belongs-to-collection');
+    const position = series && metas.find(meta =>
+        meta.getAttribute('refines') === `#${series.getAttribute('id')}` && meta.getAttribute('property') === 'group-position');
+
+    const items = new Map([...opf.getElementsByTagNameNS(NS.opf, 'item')].map(item => [item.getAttribute('id'), {
+        path: resolveHref(opfDir, item.getAttribute('href') || ''),
+        mediaType: item.getAttribute('media-type'),
+        properties: (item.getAttribute('properties') || '').split(/\s+/)
+    }]));
+
+    const documents = [];
+    for (const itemref of opf.getElementsByTagNameNS(NS.opf, 'itemref')) {
+        const item = items.get(itemref.getAttribute('idref'));
+        const file = item && zip.file(item.path);
+        if (!file || item.mediaType !== 'application/xhtml+xml' || item.properties.includes('nav')) {
+            continue;
+        }
+        documents.push({ path: item.path, document: parseContentDocument(await file.async('string')) });
+    }
+
+    // Chapter titles from the EPUB 3 navigation document, or the EPUB 2 NCX
+    const labels = new Map();
+    const nav = [...items.values()].find(item => item.properties.includes('nav'));
+    const ncx = [...items.values()].find(item => item.mediaType === 'application/x-dtbncx+xml');
+    if (nav && zip.file(nav.path)) {
+        const document = parseContentDocument(await zip.file(nav.path).async('string'));
+        document.querySelectorAll('nav a[href]').forEach(link => {
+            const target = resolveHref(path.posix.dirname(nav.path), link.getAttribute('href'));
+            if (!labels.has(target)) {
+                labels.set(target, link.textContent.replace(/\s+/g, ' ').trim());
+            }
+        });
+    } else if (ncx && zip.file(ncx.path)) {
+        const document = parseXML(await zip.file(ncx.path).async('string'));
+        [...document.getElementsByTagName('navPoint')].forEach(point => {
+            const src = point.getElementsByTagName('content')[0]?.getAttribute('src');
+            const label = point.getElementsByTagName('text')[0]?.textContent.trim();
+            const target = src && resolveHref(path.posix.dirname(ncx.path), src);
+            if (target && label && !labels.has(target)) {
+                labels.set(target, label);
+            }
+        });
+    }
+
+    return {
+        zip,
+        metadata: {
+            title: text('title'),
+            author: text('creator'),
+            description: text('description'),
+            language: text('language'),
+            identifier: text('identifier'),
+            series: series?.textContent.trim() || null,
+            seriesPosition: position ? Number(position.textContent) : null
+        },
+        documents,
+        labels
+    };
+}
+
+// Kobo kepubs wrap every sentence in a koboSpan; the wrappers are removed before the content is kept
+function unwrapKoboSpans(element) {
+    element.querySelectorAll('span.koboSpan').forEach(span => span.replaceWith(...span.childNodes));
+}
+
+// The content of a Magazeen chapter (or of its continuation, when the chapter was split), if the document is one
+function getArticleContent(document) {
+    return document.querySelector('article.article .article-content');
+}
+
+// Turns "by Ada" back into "Ada", in the chapter's language
+function parseAuthor(byline, localizer) {
+    const [before, after] = localizer.t('byAuthor', { author: '\u0000' }).split('\u0000');
+    const text = byline.trim();
+    return text.startsWith(before) && text.endsWith(after)
+        ? text.slice(before.length, text.length - after.length).trim() || null
+        : text || null;
+}
+
+function getLocalizer(document) {
+    const language = document.documentElement.getAttribute('xml:lang') || document.documentElement.getAttribute('lang');
+    return new Localizer(getSupportedLanguage(language) ? language : undefined);
+}
+
+// The artifacts printed in a message, removed from it
+function takeArtifacts(body) {
+    return [...body.querySelectorAll('figure.artifact')].map(figure => {
+        const title = figure.querySelector('figcaption')?.textContent.trim() || 'Artifact';
+        const documentBody = figure.querySelector('.artifact-document');
+        const code = figure.querySelector('pre code') || figure.querySelector('pre');
+        figure.remove();
+        if (documentBody) {
+            return { title, type: 'text/markdown', content: htmlToMarkdown(documentBody.innerHTML) };
+        }
+        const language = (code?.getAttribute('class') || '').match(/language-(\S+)/)?.[1] ?? null;
+        return {
+            title,
+            type: ARTIFACT_TYPES[language] ?? (language ? 'application/vnd.ant.code' : 'text/plain'),
+            language: ARTIFACT_TYPES[language] ? null : language,
+            content: code?.textContent ?? ''
+        };
+    });
+}
+
+function toMessage(sender, body) {
+    const artifacts = body ? takeArtifacts(body) : [];
+    return { sender, text: body ? htmlToMarkdown(body.innerHTML) : '', artifacts };
+}
+
+// Rebuilds a chat's messages from the layout it was printed in
+function parseChat(content, localizer) {
+    const transcript = content.querySelector('.chat-transcript');
+    if (transcript) {
+        const highlights = transcript.getAttribute('aria-label') === localizer.t('chat.highlights');
+        const messages = [...transcript.querySelectorAll('.claude-message')].map(message => {
+            const sender = message.querySelector('.message-meta strong')?.textContent.trim() === localizer.t('chat.you') ? 'human' : 'assistant';
+            return { ...toMessage(sender, message.querySelector('.message-body')), starred: highlights };
+        });
+        return { layout: highlights ? 'highlights' : 'transcript', messages };
+    }
+
+    const qa = content.querySelector('.chat-qa');
+    if (qa) {
+        const messages = [];
+        qa.querySelectorAll('.chat-exchange').forEach(exchange => {
+            const question = exchange.querySelector('.chat-question');
+            if (question) {
+                const detail = exchange.querySelector('.chat-question-detail');
+                const message = toMessage('human', detail);
+                const heading = htmlToMarkdown(`<p>${question.innerHTML}</p>`);
+                messages.push({ ...message, text: [heading, message.text].filter(Boolean).join('\n\n') });
+            }
+            const answer = exchange.querySelector('.chat-answer');
+            if (answer) {
+                messages.push(toMessage('assistant', answer));
+            }
+        });
+        return { layout: 'qa', messages };
+    }
+
+    const essay = content.querySelector('.chat-essay');
+    if (essay) {
+        return { layout: 'essay', messages: [...essay.querySelectorAll('.essay-part')].map(part => toMessage('assistant', part)) };
+    }
+    return null;
+}
+
+// A UUID-formatted ID derived from the book and chapter, so importing the same issue again updates its chats
+function chatId(identifier, chapterPath) {
+    const hex = createHash('sha1').update(`${identifier}\n${chapterPath}`).digest('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Imports EPUB files into the content store
+ */
+export class EPUBImporter {
+    /**
+     * @param {Object} contentManager - ContentManager to add the articles and chats to
+     * @param {Object} [fsUtils] - File system functions, for testing
+     */
+    constructor(contentManager, fsUtils = null) {
+        this.contentManager = contentManager;
+        this.fsUtils = fsUtils || {
+            readFileSync: syncFs.readFileSync,
+            existsSync: syncFs.existsSync,
+            mkdirSync: syncFs.mkdirSync,
+            writeFileSync: syncFs.writeFileSync
+        };
+        this.logger = Logger.child({ component: 'EPUBImporter' });
+    }
+
+    // Imported images go next to the content file, like the issue library
+    getImageDir() {
+        return path.join(path.dirname(this.contentManager.contentFile), 'images');
+    }
+
+    /**
+     * Imports the articles and chats of an EPUB file
+     * @param {string} filePath - Path to the EPUB
+     * @returns {Promise<Object>} `{success, title, magazeen, articles, chats, skipped}`, where
+     * skipped lists `{title, reason}` for chapters that were left out, or `{success: false, message}`
+     */
+    async importFromFile(filePath) {
+        let book;
+        try {
+            book = await readEPUB(this.fsUtils.readFileSync(filePath));
+        } catch (error) {
+            return { success: false, message: `Could not read '${filePath}': ${error.message}` };
+        }
+
+        const magazeen = book.documents.some(({ document }) => getArticleContent(document));
+        const items = magazeen ? await this.readIssue(book) : await this.readBook(book);
+        if (items.length === 0) {
+            return { success: false, message: `No chapters with text found in '${filePath}'` };
+        }
+
+        const wasEmpty = this.contentManager.content.articles.length === 0 && this.contentManager.content.claudeChats.length === 0;
+        const result = { success: true, title: book.metadata.title, magazeen, articles: 0, chats: 0, skipped: [] };
+        items.forEach(item => {
+            const reason = item.type === 'chat' ? this.addChat(item) : this.addArticle(item);
+            if (reason) {
+                result.skipped.push({ title: item.title, reason });
+            } else {
+                result[item.type === 'chat' ? 'chats' : 'articles']++;
+            }
+        });
+
+        // A lost content file is rebuilt with the magazine's own details, and numbering goes on after this issue
+        if (magazeen && wasEmpty) {
+            const { metadata } = this.contentManager.content;
+            metadata.title = book.metadata.series || book.metadata.title || metadata.title;
+            metadata.author = book.metadata.author || metadata.author;
+            metadata.description = book.metadata.description || metadata.description;
+            if (book.metadata.seriesPosition) {
+                metadata.issueNumber = book.metadata.seriesPosition + 1;
+            }
+            this.contentManager.saveContent();
+        }
+
+        this.logger.info(`Imported ${result.articles} articles and ${result.chats} chats from '${filePath}'`, {
+            magazeen,
+            skipped: result.skipped.length
+        });
+        return result;
+    }
+
+    // Articles and chats of an issue Magazeen generated, in reading order
+    async readIssue(book) {
+        const appendix = this.readAppendix(book);
+        const chapters = [];
+        book.documents.forEach(({ path: documentPath, document }) => {
+            const content = getArticleContent(document);
+            if (!content || document.querySelector('article.article[role="doc-appendix"]')) {
+                return;
+            }
+            unwrapKoboSpans(content);
+            const title = document.querySelector('.article-title');
+            if (!title && chapters.length > 0) {
+                // A split chapter's continuation has no header
+                chapters[chapters.length - 1].content.append(...content.childNodes);
+                return;
+            }
+            chapters.push({ path: documentPath, document, header: document.querySelector('.article-header'), content });
+        });
+
+        const items = [];
+        for (const { path: chapterPath, document, header, content } of chapters) {
+            const localizer = getLocalizer(document);
+            content.querySelectorAll('p.code-moved').forEach(placeholder => {
+                const number = placeholder.querySelector('a')?.getAttribute('href')?.match(/#listing-(\d+)$/)?.[1];
+                const listing = number && appendix.get(number);
+                if (listing) {
+                    placeholder.replaceWith(document.importNode(listing, true));
+                }
+            });
+            await this.extractImages(book, chapterPath, content);
+
+            const title = header?.querySelector('.article-title')?.textContent.trim() || book.labels.get(chapterPath) || 'Untitled';
+            const category = header?.querySelector('.article-category')?.textContent.trim() || null;
+            const chat = parseChat(content, localizer);
+            if (chat) {
+                items.push({ type: 'chat', id: chatId(book.metadata.identifier, chapterPath), title, category, ...chat });
+                continue;
+            }
+            const byline = header?.querySelector('.article-author')?.textContent;
+            items.push({
+                type: 'article',
+                title,
+                category,
+                author: byline ? parseAuthor(byline, localizer) : null,
+                content: sanitizeArticleHTML(content.innerHTML.trim())
+            });
+        }
+        return items;
+    }
+
+    // Listings moved to the appendix, by number
+    readAppendix(book) {
+        const listings = new Map();
+        book.documents.forEach(({ document }) => {
+            document.querySelectorAll('section.appendix-listing[id^="listing-"]').forEach(section => {
+                const listing = section.querySelector('figure.artifact, pre');
+                if (listing) {
+                    unwrapKoboSpans(listing);
+                    listings.set(section.id.slice('listing-'.length), listing);
+                }
+            });
+        });
+        return listings;
+    }
+
+    // Any other book: one article per content document with text
+    async readBook(book) {
+        const category = clip(book.metadata.title || 'Imported', MAX_CATEGORY_LENGTH);
+        const author = book.metadata.author ? clip(book.metadata.author, MAX_AUTHOR_LENGTH) : null;
+        const items = [];
+        for (const { path: documentPath, document } of book.documents) {
+            const body = document.querySelector('#book-inner') || document.body;
+            if (!body || !body.textContent.trim()) {
+                continue;
+            }
+            body.querySelectorAll('script, style, link').forEach(element => element.remove());
+            unwrapKoboSpans(body);
+            // Links to other chapters cannot work once the book is taken apart
+            body.querySelectorAll('a[href]').forEach(link => {
+                const href = link.getAttribute('href');
+                if (!href.startsWith('#') && !isExternal(href)) {
+                    link.replaceWith(...link.childNodes);
+                }
+            });
+            await this.extractImages(book, documentPath, body);
+
+            const heading = body.querySelector('h1, h2, h3')?.textContent;
+            const title = book.labels.get(documentPath) || heading || document.querySelector('title')?.textContent || `${category} (${items.length + 1})`;
+            items.push({ type: 'article', title: clip(title, MAX_TITLE_LENGTH), category, author, content: sanitizeArticleHTML(body.innerHTML.trim()) });
+        }
+        return items;
+    }
+
+    // Copies the images a chapter shows into the image folder and points the chapter at the copies
+    async extractImages(book, documentPath, element) {
+        for (const image of element.querySelectorAll('img[src]')) {
+            const src = image.getAttribute('src');
+            const file = !isExternal(src) && book.zip.file(resolveHref(path.posix.dirname(documentPath), src));
+            if (!file || !getImageMediaType(file.name)) {
+                continue;
+            }
+            const data = await file.async('nodebuffer');
+            const imageDir = this.getImageDir();
+            const imagePath = path.join(imageDir, `${createHash('sha256').update(data).digest('hex').slice(0, 16)}${path.extname(file.name).toLowerCase()}`);
+            if (!this.fsUtils.existsSync(imagePath)) {
+                if (!this.fsUtils.existsSync(imageDir)) {
+                    this.fsUtils.mkdirSync(imageDir, { recursive: true });
+                }
+                this.fsUtils.writeFileSync(imagePath, data);
+            }
+            image.setAttribute('src', imagePath.split(path.sep).join('/'));
+        }
+    }
+
+    // Returns why the article was left out, or null
+    addArticle({ title, content, category, author }) {
+        if (this.contentManager.content.articles.some(article => article.title === title)) {
+            return 'already in the content store';
+        }
+        try {
+            return this.contentManager.addArticle(title, content, category, author) === null ? 'over the page limit' : null;
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return error.message;
+            }
+            throw error;
+        }
+    }
+
+    // Chats go through the chat import, then get back their layout, stars and selection
+    addChat({ id, title, category, layout, messages }) {
+        const toExportMessage = ({ sender, text, artifacts }) => ({
+            sender,
+            text,
+            content: artifacts.map(input => ({ type: 'tool_use', name: 'artifacts', input }))
+        });
+        this.contentManager.importClaudeChats([{ uuid: id, name: title, chat_messages: messages.map(toExportMessage) }]);
+
+        const chat = this.contentManager.content.claudeChats.find(existing => existing.id === id);
+        if (category) {
+            chat.category = category;
+        }
+        this.contentManager.setChatLayout(id, layout === 'transcript' ? null : layout);
+        messages.forEach((message, index) => {
+            if (message.starred) {
+                this.contentManager.setMessageStarred(id, index + 1, true);
+            }
+        });
+        // Chats in an issue were selected when it was made
+        this.contentManager.selectClaudeChat(id);
+        return null;
+    }
+}
+
+export default EPUBImporter;
@@ -1,39 +1,210 @@
 #!/usr/bin/env node
 
-import { readFileSync, writeFileSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { extname } from 'path';
 import path from 'path';
 import JSZip from 'jszip';
 import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { pipeline } from 'stream/promises';
+import { config } from './config.js';
+import { escapeXml, decodeXmlEntities, toWellFormedXHTML } from './xmlUtils.js';
+import { CoverGenerator } from './coverGenerator.js';
+import { getImageMediaType, getImageDimensions } from './mediaTypes.js';
+import { renderFootnotes } from './footnotes.js';
+import { renderMath } from './mathRenderer.js';
+import { APPENDIX_FILENAME } from './codeAppendix.js';
+import { loadTheme, renderThemeTemplate, DEFAULT_THEME } from './themes.js';
+import { obfuscateFont, generateEncryptionXML } from './fontObfuscation.js';
+import { getDeviceProfile, DEFAULT_DEVICE } from './deviceProfiles.js';
+import { splitDocuments } from './chapterSplitter.js';
+import { countWords, estimateReadingMinutes, formatDuration } from './readingTime.js';
+import { Localizer, detectLanguage, getSupportedLanguage } from './i18n.js';
+import { checkEPUB, checkEPUBParts, formatReport, EPUBValidationError } from './epubChecker.js';
+
+// Namespace for name-based (v5) issue identifiers
+const IDENTIFIER_NAMESPACE = '6f1c3a52-8d4e-4b7a-9c21-5e0d7f3b9a14';
+
+const ACCESSIBILITY_CONFORMANCE = 'EPUB Accessibility 1.1 - WCAG 2.1 Level AA';
+
+// The mimetype entry keeps its own STORE setting; everything else is deflated
+const ZIP_OPTIONS = {
+    compression: "DEFLATE",
+    compressionOptions: { level: 9 }
+};
 
 class EPUBMagazineGenerator {
     constructor() {
         this.zip = new JSZip();
         this.chapters = [];
+        this.sections = [];
+        this.currentSection = null;
+        // Sections and chapters in the order they were added; drives spine and navigation
+        this.readingOrder = [];
         this.images = [];
-        this.currentDate = new Date();
-        this.issueNumber = this.currentDate.getMonth() + 1;
-        this.year = this.currentDate.getFullYear();
+        // Content hash -> packaged file name, so an image referenced twice is stored once
+        this.imagesByHash = new Map();
+        // Directory that relative image paths in article content are resolved against
+        this.assetBaseDir = process.cwd();
+        // User-supplied cover image; a cover is generated when this is not set
+        this.coverImage = null;
+        // Set when building reproducibly; pins dates in the content and the ZIP entries
+        this.buildDate = null;
+        // Issue numbers follow the month unless a running number is set with setIssue()
+        this.hasFixedIssueNumber = false;
+        this.volume = null;
+        this.setCurrentDate(new Date());
+        this.validationMode = config.epub.validation;
+        this.altTextMode = config.epub.altText;
+        // Images in article content without an alt attribute; recorded in 'warn' mode
+        this.imagesWithoutAltText = [];
+        this.localizer = new Localizer(config.content.locale);
+        this.wordsPerMinute = config.epub.wordsPerMinute;
+        // Loaded on first use, so a theme set after initializeEPUB() still applies
+        this.theme = null;
+        this.deviceProfile = getDeviceProfile(DEFAULT_DEVICE);
+        // Extension of the written file; Kobo's kepub variant uses '.kepub.epub'
+        this.fileExtension = '.epub';
+
+        if (config.epub.sourceDateEpoch !== null) {
+            this.setBuildDate(new Date(config.epub.sourceDateEpoch * 1000));
+        }
+    }
+
+    setCurrentDate(date) {
+        this.currentDate = date;
+        // Reproducible builds must not depend on the build machine's time zone
+        if (!this.hasFixedIssueNumber) {
+            this.issueNumber = (this.buildDate ? date.getUTCMonth() : date.getMonth()) + 1;
+        }
+        this.year = this.buildDate ? date.getUTCFullYear() : date.getFullYear();
+    }
+
+    // Running issue number and optional volume; also places the issue in the magazine's series
+    setIssue(number, volume = null) {
+        if (!Number.isInteger(number) || number <= 0) {
+            throw new Error(`Invalid issue number: ${number}`);
+        }
+        if (volume !== null && (!Number.isInteger(volume) || volume <= 0)) {
+            throw new Error(`Invalid volume: ${volume}`);
+        }
+        this.issueNumber = number;
+        this.volume = volume;
+        this.hasFixedIssueNumber = true;
+        return this;
+    }
+
+    // 'error' rejects EPUBs that fail the conformance check, 'warn' only logs the problems, 'off' skips the check
+    setValidationMode(mode) {
+        if (!['error', 'warn', 'off'].includes(mode)) {
+            throw new Error(`Invalid validation mode: ${mode}`);
+        }
+        this.validationMode = mode;
+        return this;
+    }
+
+    // 'error' rejects articles with images that have no alt attribute, 'warn' logs them and
+    // leaves the alternative text claims out of the accessibility metadata
+    setAltTextMode(mode) {
+        if (!['error', 'warn'].includes(mode)) {
+            throw new Error(`Invalid alt text mode: ${mode}`);
+        }
+        this.altTextMode = mode;
+        return this;
     }
 
-    // Returns the CSS file name to use; subclasses can override
-    getCSSFileName() {
-        return "epub_styles.css";
+    // Reading speed behind the reading times shown in chapter headers, the TOC and on the cover
+    setReadingSpeed(wordsPerMinute) {
+        if (!Number.isFinite(wordsPerMinute) || wordsPerMinute <= 0) {
+            throw new Error(`Invalid reading speed: ${wordsPerMinute}`);
+        }
+        this.wordsPerMinute = wordsPerMinute;
+        return this;
     }
 
-    // Returns fallback CSS content if the CSS file cannot be read; subclasses can override
+    // Language of the issue: OPF metadata, boilerplate text and date formatting
+    setLocale(locale) {
+        this.localizer = new Localizer(locale);
+        return this;
+    }
+
+    setAssetBaseDir(dir) {
+        this.assetBaseDir = dir;
+        return this;
+    }
+
+    // Build reproducibly: identical content and build date produce a byte-identical EPUB
+    setBuildDate(date) {
+        const buildDate = date instanceof Date ? date : new Date(date);
+        if (isNaN(buildDate.getTime())) {
+            throw new Error(`Invalid build date: ${date}`);
+        }
+        this.buildDate = buildDate;
+        this.setCurrentDate(buildDate);
+        return this;
+    }
+
+    /**
+     * Sets the reading device the issue is made for
+     * @param {string|import('./deviceProfiles.js').DeviceProfile} profile - Profile name or profile
+     * @returns {EPUBMagazineGenerator}
+     */
+    setDeviceProfile(profile) {
+        this.deviceProfile = typeof profile === 'string' ? getDeviceProfile(profile) : profile;
+        return this;
+    }
+
+    // Theme used when none is set with setTheme(): the device's, or the default theme
+    getDefaultThemeName() {
+        return this.deviceProfile.theme || DEFAULT_THEME;
+    }
+
+    /**
+     * Sets the theme for the stylesheet, embedded fonts and page templates
+     * @param {string|Object} theme - Theme name, theme directory, or a theme from loadTheme()
+     * @returns {EPUBMagazineGenerator}
+     */
+    setTheme(theme) {
+        this.theme = typeof theme === 'string' ? loadTheme(theme) : theme;
+        return this;
+    }
+
+    getTheme() {
+        if (!this.theme) {
+            const name = this.getDefaultThemeName();
+            try {
+                this.theme = loadTheme(name);
+            } catch (error) {
+                console.error(`Warning: Could not load the '${name}' theme. Proceeding without custom styles. Error: ${error.message}`);
+                this.theme = { name, css: this.getDefaultCSS(), fonts: [], templates: {} };
+            }
+        }
+        return this.theme;
+    }
+
+    // Returns fallback CSS content if the default theme cannot be loaded; subclasses can override
     getDefaultCSS() {
         return '';
     }
 
+    // Whether the cover page may use inline SVG; otherwise it shows the PNG cover
+    supportsInlineSVG() {
+        return this.deviceProfile.features.svg;
+    }
+
+    // Whether chapters may contain MathML; otherwise TeX math is written out as Unicode text
+    supportsMathML() {
+        return this.deviceProfile.features.mathml;
+    }
+
     // Initialize EPUB structure
     initializeEPUB(title, author, description) {
         this.title = title;
         this.author = author;
         this.description = description;
         
-        // Create required EPUB structure
-        this.zip.file("mimetype", "application/epub+zip");
+        // Create required EPUB structure; readers expect mimetype first and uncompressed
+        this.zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
         
         // META-INF folder
         this.zip.folder("META-INF");
@@ -42,51 +213,220 @@ class EPUBMagazineGenerator {
         // OEBPS folder for content
         this.oebps = this.zip.folder("OEBPS");
         
-        // Add CSS
-        const cssFileName = this.getCSSFileName();
-        let cssContent = '';
-        try {
-            const cssPath = path.join(path.dirname(fileURLToPath(import.meta.url)), cssFileName);
-            cssContent = readFileSync(cssPath, "utf-8");
-        } catch (error) {
-            console.error(`Warning: Could not read '${cssFileName}'. Proceeding without custom styles. Error: ${error.message}`);
-            cssContent = this.getDefaultCSS();
-        }
-        this.oebps.file("styles.css", cssContent);
-        
         return this;
     }
 
-    // Add a chapter/article to the magazine
-    addArticle(title, content, author = null, category = "General") {
+    // Start a new section; articles added afterwards are grouped under it
+    // until the next call to addSection()
+    addSection(title, description = null) {
+        const sectionIndex = this.sections.length + 1;
+
+        const section = {
+            title,
+            description,
+            filename: `section${sectionIndex}.xhtml`,
+            index: sectionIndex,
+            chapters: []
+        };
+
+        this.sections.push(section);
+        this.readingOrder.push({ type: 'section', item: section });
+        this.currentSection = section;
+
+        return this;
+    }
+
+    // Add a chapter/article to the magazine. The language is detected from the content
+    // when not given; chapters in an undetectable language use the issue language.
+    addArticle(title, content, author = null, category = "General", language = null) {
         const chapterIndex = this.chapters.length + 1;
         const filename = `chapter${chapterIndex}.xhtml`;
         
         const chapter = {
             title,
             filename,
-            content,
+            content: this.checkAltText(this.embedLocalImages(content, title), title),
             author,
             category,
+            language: language || detectLanguage(`${title} ${content}`),
+            wordCount: countWords(content),
+            section: this.currentSection,
             index: chapterIndex
         };
         
         this.chapters.push(chapter);
-        this.oebps.file(filename, this.generateChapterXHTML(chapter));
+        if (this.currentSection) {
+            this.currentSection.chapters.push(chapter);
+        } else {
+            this.readingOrder.push({ type: 'chapter', item: chapter });
+        }
         
         return this;
     }
 
+    // Chapters that are articles, leaving out back matter such as the appendix
+    getArticles() {
+        return this.chapters.filter(chapter => chapter.type !== 'appendix');
+    }
+
+    // Add back matter such as the code appendix. It ends the reading order, outside any
+    // section, and is always written to appendix.xhtml so chapters can link to it up front.
+    addAppendix(title, content) {
+        this.currentSection = null;
+        this.addArticle(title, content, null, title, this.localizer.language);
+        Object.assign(this.chapters[this.chapters.length - 1], { filename: APPENDIX_FILENAME, type: 'appendix' });
+        return this;
+    }
+
+    // Use a user-supplied image as the cover instead of the generated one
+    setCoverImage(imagePath) {
+        const mediaType = getImageMediaType(imagePath);
+        if (!mediaType) {
+            console.warn(`Warning: Cover image '${imagePath}' is not a supported image type. Using the generated cover.`);
+            return this;
+        }
+        if (!existsSync(imagePath)) {
+            console.warn(`Warning: Cover image '${imagePath}' not found. Using the generated cover.`);
+            return this;
+        }
+
+        const data = readFileSync(imagePath);
+        this.checkImageSize(imagePath, data);
+        this.coverImage = {
+            data,
+            filename: `cover${extname(imagePath).toLowerCase()}`,
+            mediaType
+        };
+        return this;
+    }
+
     // Add image to the EPUB
     addImage(imagePath, filename) {
         const imageData = readFileSync(imagePath);
         this.oebps.file(`images/${filename}`, imageData);
         this.images.push(filename);
+        this.imagesByHash.set(createHash('sha256').update(imageData).digest('hex'), filename);
         return this;
     }
 
-    // Generate the complete EPUB
-    async generateEPUB(outputPath) {
+    // Copies a local image into the package, once per distinct file content.
+    // Returns the href to use from a content document, or null if the image cannot be embedded.
+    embedImage(imagePath) {
+        if (!getImageMediaType(imagePath)) {
+            console.warn(`Warning: Image '${imagePath}' is not a supported image type and was left out.`);
+            return null;
+        }
+
+        let imageData;
+        try {
+            imageData = readFileSync(imagePath);
+        } catch {
+            console.warn(`Warning: Image '${imagePath}' not found and was left out.`);
+            return null;
+        }
+
+        const hash = createHash('sha256').update(imageData).digest('hex');
+        if (!this.imagesByHash.has(hash)) {
+            this.checkImageSize(imagePath, imageData);
+            const filename = `${hash.slice(0, 16)}${extname(imagePath).toLowerCase()}`;
+            this.oebps.file(`images/${filename}`, imageData);
+            this.images.push(filename);
+            this.imagesByHash.set(hash, filename);
+        }
+        return `images/${this.imagesByHash.get(hash)}`;
+    }
+
+    // Images are packaged as they are; warns about ones larger than the device can show
+    checkImageSize(imagePath, data) {
+        const maxImage = this.deviceProfile.maxImage;
+        const size = maxImage ? getImageDimensions(data) : null;
+        if (size && (size.width > maxImage.width || size.height > maxImage.height)) {
+            console.warn(`Warning: Image '${imagePath}' is ${size.width}×${size.height} pixels, larger than the ${maxImage.width}×${maxImage.height} the ${this.deviceProfile.label} shows. Scale it down to make the issue smaller.`);
+        }
+    }
+
+    // Rewrites <img> tags that point at local files to packaged copies. Images that cannot be
+    // embedded are replaced by their alt text so the book has no broken references.
+    embedLocalImages(content, title) {
+        if (typeof content !== 'string' || !content.includes('<img')) {
+            return content;
+        }
+
+        return content.replace(/<img\b[^>]*>/gi, tag => {
+            const srcMatch = tag.match(/\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+            const src = srcMatch ? (srcMatch[1] ?? srcMatch[2] ?? srcMatch[3]) : '';
+            const alreadyPackaged = src.startsWith('images/') && this.images.includes(src.slice('images/'.length));
+            // Remote and data: URLs are left alone; only file: URLs and plain paths are local
+            if (!src || alreadyPackaged || (/^[a-z][a-z0-9+.-]*:/i.test(src) && !src.startsWith('file:'))) {
+                return tag;
+            }
+
+            const href = this.embedImage(this.resolveImagePath(decodeXmlEntities(src)));
+            if (href) {
+                return tag.replace(srcMatch[0], ` src="${href}"`);
+            }
+
+            console.warn(`Warning: Removed missing image '${src}' from "${title}".`);
+            const altMatch = tag.match(/\salt\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+            const alt = altMatch ? (altMatch[1] ?? altMatch[2]) : '';
+            return alt ? `<span class="missing-image">[${alt}]</span>` : '';
+        });
+    }
+
+    // Every image needs an alt attribute; an empty one marks a decorative image
+    checkAltText(content, title) {
+        if (typeof content !== 'string') {
+            return content;
+        }
+
+        (content.match(/<img\b[^>]*>/gi) || []).forEach(tag => {
+            if (/\salt\s*=/i.test(tag)) {
+                return;
+            }
+            const srcMatch = tag.match(/\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+            const src = srcMatch ? (srcMatch[1] ?? srcMatch[2] ?? srcMatch[3]) : '';
+            if (this.altTextMode === 'error') {
+                throw new Error(`Image '${src}' in "${title}" has no alt text`);
+            }
+            console.warn(`Warning: Image '${src}' in "${title}" has no alt text.`);
+            this.imagesWithoutAltText.push({ title, src });
+        });
+        return content;
+    }
+
+    resolveImagePath(src) {
+        if (src.startsWith('file:')) {
+            return fileURLToPath(src);
+        }
+        let filePath = src.replace(/[?#].*$/, '');
+        try {
+            filePath = decodeURIComponent(filePath);
+        } catch {
+            // Keep malformed escapes as written
+        }
+        return path.resolve(this.assetBaseDir, filePath);
+    }
+
+    // Adds the generated documents to the archive; chapters and section openers are written
+    // once all articles are in and the locale is final
+    prepareArchive() {
+        this.writeTheme();
+        const documents = this.chapters.map(chapter => ({ filename: chapter.filename, xhtml: this.generateChapterXHTML(chapter) }));
+        const maxFileSize = this.deviceProfile.maxFileSize;
+        const split = maxFileSize ? splitDocuments(documents, { maxBytes: maxFileSize }) : documents.map(document => [document]);
+        this.chapters.forEach((chapter, index) => {
+            const [first, ...rest] = split[index];
+            chapter.hasMathML = /<math[\s>]/.test(first.xhtml);
+            // Further files of a chapter that was split to stay under the device's size limit
+            chapter.parts = rest.map(part => ({ filename: part.filename, hasMathML: /<math[\s>]/.test(part.xhtml) }));
+            split[index].forEach(part => this.oebps.file(part.filename, part.xhtml));
+        });
+        this.sections.forEach(section => {
+            this.oebps.file(section.filename, this.generateSectionXHTML(section));
+        });
+
+        this.generateCover();
+
         // Generate content files
         this.oebps.file("content.opf", this.generateOPF());
         this.oebps.file("toc.ncx", this.generateNCX());
@@ -94,17 +434,91 @@ class EPUBMagazineGenerator {
         this.oebps.file("index.xhtml", this.generateIndexXHTML());
         this.oebps.file("toc.xhtml", this.generateTOCXHTML());
         
-        // Generate the ZIP file
-        const content = await this.zip.generateAsync({
-            type: "nodebuffer",
-            compression: "DEFLATE",
-            compressionOptions: { level: 9 }
+        if (this.buildDate) {
+            // JSZip stamps entries with the time they were added; pin them to the build date
+            this.zip.forEach((relativePath, file) => {
+                file.date = this.buildDate;
+            });
+        }
+    }
+
+    // The theme's stylesheet followed by the device profile's additions
+    getStylesheet() {
+        const deviceCSS = this.deviceProfile.css ? `\n\n/* ${this.deviceProfile.label} */\n${this.deviceProfile.css}\n` : '';
+        return this.getTheme().css + deviceCSS;
+    }
+
+    // Writes the theme's stylesheet and fonts. Obfuscated fonts are keyed to the package
+    // identifier, which is final only once the issue is complete.
+    writeTheme() {
+        const theme = this.getTheme();
+        this.oebps.file("styles.css", this.getStylesheet());
+
+        const obfuscated = [];
+        theme.fonts.forEach(font => {
+            if (font.obfuscate) {
+                this.oebps.file(font.href, obfuscateFont(font.data, this.getIdentifier()));
+                obfuscated.push(`OEBPS/${font.href}`);
+            } else {
+                this.oebps.file(font.href, font.data);
+            }
         });
-        
+        if (obfuscated.length > 0) {
+            this.zip.file("META-INF/encryption.xml", generateEncryptionXML(obfuscated));
+        } else {
+            this.zip.remove("META-INF/encryption.xml");
+        }
+    }
+
+    /**
+     * Generates the EPUB in memory
+     * @returns {Promise<Buffer>} The checked archive
+     */
+    async generateBuffer() {
+        this.prepareArchive();
+
+        const content = await this.zip.generateAsync({ type: "nodebuffer", ...ZIP_OPTIONS });
+        await this.validate(content);
+        return content;
+    }
+
+    /**
+     * Pipes the EPUB into a writable stream (a file, an HTTP response, an upload) and ends it.
+     * The archive's files are checked before the first byte is written, so a failed check never
+     * leaves a truncated file behind; the archive itself is zipped while it streams.
+     * @param {import('stream').Writable} writable - Destination stream
+     * @returns {Promise<import('stream').Writable>} The stream, once everything has been flushed
+     */
+    async generateStream(writable) {
+        this.prepareArchive();
+        await this.validate(this.zip);
+        await pipeline(this.zip.generateNodeStream(ZIP_OPTIONS), writable);
+        return writable;
+    }
+
+    // Generate the complete EPUB
+    async generateEPUB(outputPath) {
+        const content = await this.generateBuffer();
         writeFileSync(outputPath, content);
         return outputPath;
     }
 
+    // Runs the conformance checker on the finished archive, or on the files of an archive that
+    // is about to be streamed; the mimetype entry's place in the ZIP is set by initializeEPUB
+    async validate(archive) {
+        if (this.validationMode === 'off') {
+            return;
+        }
+
+        const report = Buffer.isBuffer(archive) ? await checkEPUB(archive) : await checkEPUBParts(archive);
+        if (!report.valid && this.validationMode === 'error') {
+            throw new EPUBValidationError(`EPUB failed conformance checks:\n${formatReport(report)}`, report);
+        }
+        if (report.errors.length > 0 || report.warnings.length > 0) {
+            console.warn(`EPUB conformance check:\n${formatReport(report)}`);
+        }
+    }
+
     generateContainerXML() {
         return `<?xml version="1.0" encoding="UTF-8"?>
 <container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
@@ -128,28 +542,38 @@ class EPUBMagazineGenerator {
             '<itemref idref="toc"/>'
         ];
 
-        this.chapters.forEach(chapter => {
-            manifestItems.push(`<item id="chapter${chapter.index}" href="${chapter.filename}" media-type="application/xhtml+xml"/>`);
-            spineItems.push(`<itemref idref="chapter${chapter.index}"/>`);
+        if (this.cover) {
+            manifestItems.push(`<item id="cover-image" href="${this.cover.imageHref}" media-type="${this.cover.mediaType}" properties="cover-image"/>`);
+            manifestItems.push(`<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"${this.cover.inlineSVG ? ' properties="svg"' : ''}/>`);
+            spineItems.unshift('<itemref idref="cover"/>');
+        }
+
+        this.getSpineDocuments().forEach(({ id, filename, mathml }) => {
+            manifestItems.push(`<item id="${id}" href="${filename}" media-type="application/xhtml+xml"${mathml ? ' properties="mathml"' : ''}/>`);
+            spineItems.push(`<itemref idref="${id}"/>`);
         });
 
         this.images.forEach((image, index) => {
-            const ext = extname(image).toLowerCase();
-            const mediaType = ext === '.jpg' || ext === '.jpeg' ? 'image/jpeg' : 
-                             ext === '.png' ? 'image/png' : 'image/gif';
+            const mediaType = getImageMediaType(image) || 'application/octet-stream';
             manifestItems.push(`<item id="img${index}" href="images/${image}" media-type="${mediaType}"/>`);
         });
 
+        this.getTheme().fonts.forEach((font, index) => {
+            manifestItems.push(`<item id="font${index}" href="${escapeXml(font.href)}" media-type="${font.mediaType}"/>`);
+        });
+
         return `<?xml version="1.0" encoding="UTF-8"?>
 <package xmlns="http://www.idpf.org/2007/opf" unique-identifier="bookid" version="3.0">
     <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
-        <dc:title>${this.title} - Issue ${this.issueNumber}</dc:title>
-        <dc:creator id="creator">${this.author}</dc:creator>
+        <dc:title>${escapeXml(this.getIssueTitle())}</dc:title>
+        <dc:creator id="creator">${escapeXml(this.author)}</dc:creator>
         <meta refines="#creator" property="role" scheme="marc:relators">aut</meta>
-        <dc:identifier id="bookid">${this.generateUUID()}</dc:identifier>
-        <dc:language>en</dc:language>
+        <dc:identifier id="bookid">${this.getIdentifier()}</dc:identifier>
+        ${this.getLanguages().map(language => `<dc:language>${escapeXml(language)}</dc:language>`).join('\n        ')}
         <dc:date>${this.currentDate.toISOString().split('T')[0]}</dc:date>
-        <dc:description>${this.description}</dc:description>
+        <dc:description>${escapeXml(this.description)}</dc:description>
+        <meta property="dcterms:modified">${this.currentDate.toISOString().replace(/\.\d{3}Z$/, 'Z')}</meta>
+        ${[...this.getSeriesMetadata(), ...this.getAccessibilityMetadata()].join('\n        ')}
         <meta name="cover" content="cover-image"/>
     </metadata>
     <manifest>
@@ -157,33 +581,79 @@ class EPUBMagazineGenerator {
     </manifest>
     <spine toc="ncx">
         ${spineItems.join('\n        ')}
-    </spine>
+    </spine>${this.cover ? `
+    <guide>
+        <reference type="cover" title="${escapeXml(this.localizer.t('cover'))}" href="cover.xhtml"/>
+    </guide>` : ''}
 </package>`;
     }
 
+    // Groups issues with a running number into a series, in order. EPUB 3 readers use
+    // belongs-to-collection; Calibre and Kobo read the calibre:series metadata.
+    getSeriesMetadata() {
+        if (!this.hasFixedIssueNumber) {
+            return [];
+        }
+        return [
+            `<meta property="belongs-to-collection" id="series">${escapeXml(this.title)}</meta>`,
+            '<meta refines="#series" property="collection-type">series</meta>',
+            `<meta refines="#series" property="group-position">${this.issueNumber}</meta>`,
+            `<meta name="calibre:series" content="${escapeXml(this.title)}"/>`,
+            `<meta name="calibre:series_index" content="${this.issueNumber}"/>`
+        ];
+    }
+
+    // EPUB Accessibility 1.1 (schema.org) metadata. Claims that depend on alternative text are
+    // only made when every image has some.
+    getAccessibilityMetadata() {
+        const describedImages = this.imagesWithoutAltText.length === 0;
+        const features = ['structuralNavigation', 'tableOfContents', 'readingOrder', 'displayTransformability'];
+        if (describedImages) {
+            features.push('alternativeText');
+        }
+
+        const properties = [
+            ['schema:accessMode', 'textual'],
+            ['schema:accessMode', 'visual'],
+            ['schema:accessModeSufficient', 'textual,visual'],
+            ...(describedImages ? [['schema:accessModeSufficient', 'textual']] : []),
+            ...features.map(feature => ['schema:accessibilityFeature', feature]),
+            ['schema:accessibilityHazard', 'none'],
+            ['schema:accessibilitySummary', this.localizer.t(describedImages ? 'accessibilitySummary' : 'accessibilitySummaryMissingAltText')],
+            ...(describedImages ? [['dcterms:conformsTo', ACCESSIBILITY_CONFORMANCE]] : [])
+        ];
+        return properties.map(([property, value]) => `<meta property="${property}">${escapeXml(value)}</meta>`);
+    }
+
     generateNCX() {
-        const navPoints = this.chapters.map((chapter, index) => `
-        <navPoint id="navpoint-${index + 3}" playOrder="${index + 3}">
-            <navLabel><text>${chapter.title}</text></navLabel>
-            <content src="${chapter.filename}"/>
-        </navPoint>`).join('');
+        let playOrder = 2;
+        const renderNavPoint = (node, indent) => {
+            const order = ++playOrder;
+            const children = node.children.map(child => renderNavPoint(child, indent + '    ')).join('');
+            return `
+${indent}<navPoint id="navpoint-${order}" playOrder="${order}">
+${indent}    <navLabel><text>${escapeXml(node.title)}</text></navLabel>
+${indent}    <content src="${node.filename}"/>${children}
+${indent}</navPoint>`;
+        };
+        const navPoints = this.getNavigationTree().map(node => renderNavPoint(node, '        ')).join('');
 
         return `<?xml version="1.0" encoding="UTF-8"?>
 <ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
     <head>
-        <meta name="dtb:uid" content="${this.generateUUID()}"/>
-        <meta name="dtb:depth" content="1"/>
+        <meta name="dtb:uid" content="${this.getIdentifier()}"/>
+        <meta name="dtb:depth" content="${this.sections.length > 0 ? 2 : 1}"/>
         <meta name="dtb:totalPageCount" content="0"/>
         <meta name="dtb:maxPageNumber" content="0"/>
     </head>
-    <docTitle><text>${this.title} - Issue ${this.issueNumber}</text></docTitle>
+    <docTitle><text>${escapeXml(this.getIssueTitle())}</text></docTitle>
     <navMap>
         <navPoint id="navpoint-1" playOrder="1">
-            <navLabel><text>Cover</text></navLabel>
+            <navLabel><text>${escapeXml(this.localizer.t('cover'))}</text></navLabel>
             <content src="index.xhtml"/>
         </navPoint>
         <navPoint id="navpoint-2" playOrder="2">
-            <navLabel><text>Table of Contents</text></navLabel>
+            <navLabel><text>${escapeXml(this.localizer.t('tableOfContents'))}</text></navLabel>
             <content src="toc.xhtml"/>
         </navPoint>${navPoints}
     </navMap>
@@ -192,121 +662,411 @@ class EPUBMagazineGenerator {
 
     generateIndexXHTML() {
         return `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
-<html xmlns="http://www.w3.org/1999/xhtml">
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"${this.getLangAttributes()}>
 <head>
-    <title>${this.title}</title>
+    <title>${escapeXml(this.title)}</title>
     <link rel="stylesheet" type="text/css" href="styles.css"/>
     <meta http-equiv="Content-Type" content="text/html; charset=utf-8"/>
 </head>
-<body class="cover">
-    <div class="cover-container">
-        <h1 class="magazine-title">${this.title}</h1>
+<body class="cover" epub:type="frontmatter">
+    <div class="cover-container" epub:type="titlepage">
+        <h1 class="magazine-title">${escapeXml(this.title)}</h1>
         <div class="issue-info">
-            <p class="issue-number">Issue ${this.issueNumber}</p>
-            <p class="issue-date">${this.currentDate.toLocaleDateString('en-US', { 
-                month: 'long', 
-                year: 'numeric' 
-            })}</p>
+            <p class="issue-number">${escapeXml(this.getIssueLabel())}</p>
+            <p class="issue-date">${this.formatIssueDate()}</p>
         </div>
         <div class="cover-description">
-            <p>${this.description}</p>
+            <p>${escapeXml(this.description)}</p>
         </div>
         <div class="article-count">
-            <p>${this.chapters.length} Articles</p>
+            <p>${escapeXml(this.localizer.t('articleCount', { count: this.getArticles().length }))}</p>
+            <p class="reading-time">${escapeXml(this.getTotalReadingTime())}</p>
         </div>
     </div>
 </body>
 </html>`;
     }
 
+    // Cover artwork drawn from the issue's title, number, date and sections
+    createCoverGenerator() {
+        return new CoverGenerator({
+            title: this.title,
+            issueNumber: this.issueNumber,
+            volume: this.volume,
+            date: this.formatIssueDate(),
+            readingTime: this.getTotalReadingTime(),
+            sections: this.getCoverSectionNames(),
+            localizer: this.localizer
+        });
+    }
+
+    // Writes the cover image and cover page; a user-supplied image wins over the generated artwork
+    generateCover() {
+        const coverGenerator = this.createCoverGenerator();
+        const altText = coverGenerator.getAltText();
+
+        let coverPage;
+        if (this.coverImage) {
+            this.cover = {
+                imageHref: `images/${this.coverImage.filename}`,
+                mediaType: this.coverImage.mediaType,
+                inlineSVG: false
+            };
+            this.oebps.file(this.cover.imageHref, this.coverImage.data);
+            coverPage = `<img class="cover-image" src="${this.cover.imageHref}" alt="${escapeXml(altText)}" role="doc-cover"/>`;
+        } else {
+            this.cover = {
+                imageHref: 'images/cover.png',
+                mediaType: 'image/png',
+                inlineSVG: this.supportsInlineSVG()
+            };
+            this.oebps.file(this.cover.imageHref, coverGenerator.generatePNG());
+            coverPage = this.cover.inlineSVG
+                ? coverGenerator.generateSVG()
+                : `<img class="cover-image" src="${this.cover.imageHref}" alt="${escapeXml(altText)}" role="doc-cover"/>`;
+        }
+
+        const template = this.getTheme().templates.cover;
+        const body = template
+            ? renderThemeTemplate(template, {
+                image: coverPage,
+                title: escapeXml(this.title),
+                issue: escapeXml(this.getIssueLabel()),
+                date: escapeXml(this.formatIssueDate()),
+                description: escapeXml(this.description)
+            })
+            : `<div class="cover-image-container">
+        ${coverPage}
+    </div>`;
+
+        this.oebps.file("cover.xhtml", `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"${this.getLangAttributes()}>
+<head>
+    <title>${escapeXml(this.localizer.t('cover'))}</title>
+    <link rel="stylesheet" type="text/css" href="styles.css"/>
+    <meta charset="utf-8"/>
+</head>
+<body class="cover-page" epub:type="cover">
+    ${body}
+</body>
+</html>`);
+    }
+
+    // Largest sections first; falls back to the most common categories for unsectioned issues
+    getCoverSectionNames() {
+        if (this.sections.length > 0) {
+            return [...this.sections]
+                .sort((a, b) => b.chapters.length - a.chapters.length)
+                .map(section => section.title);
+        }
+
+        const categoryCounts = {};
+        this.chapters.forEach(chapter => {
+            if (chapter.category) {
+                categoryCounts[chapter.category] = (categoryCounts[chapter.category] || 0) + 1;
+            }
+        });
+        return Object.entries(categoryCounts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([category]) => category);
+    }
+
+    formatIssueDate() {
+        return this.localizer.formatMonthYear(this.currentDate, this.buildDate ? { timeZone: 'UTC' } : {});
+    }
+
+    getIssueTitle() {
+        return `${this.title} - ${this.getIssueLabel()}`;
+    }
+
+    getReadingTime(chapter, localizer = this.localizer) {
+        const minutes = estimateReadingMinutes(chapter.wordCount, this.wordsPerMinute);
+        return localizer.t('readingTime', { duration: formatDuration(minutes, localizer) });
+    }
+
+    getWordCountLabel(chapter, localizer = this.localizer) {
+        return localizer.t('wordCount', { count: chapter.wordCount, words: localizer.formatNumber(chapter.wordCount) });
+    }
+
+    // Reading time of the whole issue; chapters are rounded individually so the total
+    // matches what the table of contents adds up to
+    getTotalReadingTime() {
+        const minutes = this.getArticles().reduce((total, chapter) =>
+            total + estimateReadingMinutes(chapter.wordCount, this.wordsPerMinute), 0);
+        return this.localizer.t('totalReadingTime', { duration: formatDuration(minutes, this.localizer) });
+    }
+
+    getIssueLabel() {
+        return this.volume
+            ? this.localizer.t('volumeIssue', { volume: this.volume, number: this.issueNumber })
+            : this.localizer.t('issue', { number: this.issueNumber });
+    }
+
+    // Issue language first, then any other chapter languages
+    getLanguages() {
+        const languages = [this.localizer.language];
+        this.chapters.forEach(chapter => {
+            const language = this.getChapterLanguage(chapter);
+            if (!languages.includes(language)) {
+                languages.push(language);
+            }
+        });
+        return languages;
+    }
+
+    // A chapter in the issue's language keeps the issue's region (e.g. 'de-AT')
+    getChapterLanguage(chapter) {
+        if (!chapter.language || getSupportedLanguage(chapter.language) === this.localizer.baseLanguage) {
+            return this.localizer.language;
+        }
+        return chapter.language;
+    }
+
+    getLangAttributes(language = this.localizer.language) {
+        return ` xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}"`;
+    }
+
     generateTOCXHTML() {
-        const tocItems = this.chapters.map(chapter => 
+        const renderChapterItem = chapter =>
             `<li class="toc-item">
                 <a href="${chapter.filename}" class="toc-link">
-                    <span class="toc-title">${chapter.title}</span>
-                    <span class="toc-category">${chapter.category}</span>
-                    ${chapter.author ? `<span class="toc-author">by ${chapter.author}</span>` : ''}
+                    <span class="toc-title">${escapeXml(chapter.title)}</span>
+                    <span class="toc-category">${escapeXml(chapter.category)}</span>
+                    ${chapter.author ? `<span class="toc-author">${escapeXml(this.localizer.t('byAuthor', { author: chapter.author }))}</span>` : ''}
+                    <span class="toc-reading-time">${escapeXml(`${this.getReadingTime(chapter)} · ${this.getWordCountLabel(chapter)}`)}</span>
                 </a>
-            </li>`
-        ).join('\n            ');
+            </li>`;
+
+        const tocItems = this.readingOrder.map(({ type, item }) => {
+            if (type === 'chapter') {
+                return renderChapterItem(item);
+            }
+            const sectionChapters = item.chapters.map(renderChapterItem).join('\n                    ');
+            return `<li class="toc-section">
+                <a href="${item.filename}" class="toc-section-link">${escapeXml(item.title)}</a>
+                <ul class="toc-list">
+                    ${sectionChapters}
+                </ul>
+            </li>`;
+        }).join('\n            ');
+
+        const template = this.getTheme().templates.toc;
+        const body = template
+            ? renderThemeTemplate(template, {
+                heading: escapeXml(this.localizer.t('tableOfContents')),
+                items: tocItems,
+                title: escapeXml(this.title),
+                issue: escapeXml(this.getIssueLabel()),
+                date: escapeXml(this.formatIssueDate())
+            })
+            : `<nav class="toc-container" epub:type="toc" role="doc-toc">
+        <h1 class="toc-header">${escapeXml(this.localizer.t('tableOfContents'))}</h1>
+        <ul class="toc-list">
+            ${tocItems}
+        </ul>
+    </nav>`;
 
         return `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
-<html xmlns="http://www.w3.org/1999/xhtml">
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"${this.getLangAttributes()}>
 <head>
-    <title>Table of Contents</title>
+    <title>${escapeXml(this.localizer.t('tableOfContents'))}</title>
     <link rel="stylesheet" type="text/css" href="styles.css"/>
     <meta http-equiv="Content-Type" content="text/html; charset=utf-8"/>
 </head>
-<body>
-    <div class="toc-container">
-        <h1 class="toc-header">Table of Contents</h1>
-        <ul class="toc-list">
-            ${tocItems}
-        </ul>
-    </div>
+<body epub:type="frontmatter">
+    ${body}
 </body>
 </html>`;
     }
 
     generateNavXHTML() {
-        const navItems = this.chapters.map(chapter => 
-            `<li><a href="${chapter.filename}">${chapter.title}</a></li>`
-        ).join('\n                ');
+        const renderNavItem = (node, indent) => {
+            if (node.children.length === 0) {
+                return `<li><a href="${node.filename}">${escapeXml(node.title)}</a></li>`;
+            }
+            const children = node.children.map(child => renderNavItem(child, indent + '        ')).join(`\n${indent}        `);
+            return `<li><a href="${node.filename}">${escapeXml(node.title)}</a>
+${indent}    <ol>
+${indent}        ${children}
+${indent}    </ol>
+${indent}</li>`;
+        };
+        const navItems = this.getNavigationTree()
+            .map(node => renderNavItem(node, '            '))
+            .join('\n            ');
+
+        const firstDocument = this.getSpineDocuments()[0];
+        const landmarks = [
+            ...(this.cover ? [['cover', 'cover.xhtml', this.localizer.t('cover')]] : []),
+            ['titlepage', 'index.xhtml', this.localizer.t('titlePage')],
+            ['toc', 'toc.xhtml', this.localizer.t('tableOfContents')],
+            ...(firstDocument ? [['bodymatter', firstDocument.filename, this.localizer.t('startOfContent')]] : [])
+        ].map(([type, href, label]) => `<li><a epub:type="${type}" href="${href}">${escapeXml(label)}</a></li>`);
 
         return `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE html>
-<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"${this.getLangAttributes()}>
 <head>
-    <title>Navigation</title>
+    <title>${escapeXml(this.localizer.t('navigation'))}</title>
     <meta charset="utf-8"/>
 </head>
 <body>
     <nav epub:type="toc" id="toc">
-        <h1>Table of Contents</h1>
+        <h1>${escapeXml(this.localizer.t('tableOfContents'))}</h1>
         <ol>
-            <li><a href="index.xhtml">Cover</a></li>
-            <li><a href="toc.xhtml">Table of Contents</a></li>
+            <li><a href="index.xhtml">${escapeXml(this.localizer.t('cover'))}</a></li>
+            <li><a href="toc.xhtml">${escapeXml(this.localizer.t('tableOfContents'))}</a></li>
             ${navItems}
         </ol>
     </nav>
+    <nav epub:type="landmarks" id="landmarks" hidden="hidden">
+        <h2>${escapeXml(this.localizer.t('landmarks'))}</h2>
+        <ol>
+            ${landmarks.join('\n            ')}
+        </ol>
+    </nav>
 </body>
 </html>`;
     }
 
-    generateChapterXHTML(chapter) {
+    generateSectionXHTML(section) {
+        const sectionItems = section.chapters.map(chapter =>
+            `<li><a href="${chapter.filename}">${escapeXml(chapter.title)}</a></li>`
+        ).join('\n                ');
+
         return `<?xml version="1.0" encoding="UTF-8"?>
-<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
-<html xmlns="http://www.w3.org/1999/xhtml">
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"${this.getLangAttributes()}>
 <head>
-    <title>${chapter.title}</title>
+    <title>${escapeXml(section.title)}</title>
     <link rel="stylesheet" type="text/css" href="styles.css"/>
     <meta http-equiv="Content-Type" content="text/html; charset=utf-8"/>
 </head>
-<body>
-    <article class="article">
+<body class="section-opener" epub:type="bodymatter">
+    <section class="section-divider" epub:type="part" role="doc-part">
+        <p class="section-label">${escapeXml(this.localizer.t('section', { number: section.index }))}</p>
+        <h1 class="section-title">${escapeXml(section.title)}</h1>
+        ${section.description ? `<p class="section-description">${escapeXml(section.description)}</p>` : ''}
+        <ul class="section-contents">
+                ${sectionItems}
+        </ul>
+    </section>
+</body>
+</html>`;
+    }
+
+    // Content documents in reading order, each section opener followed by its chapters
+    getSpineDocuments() {
+        const documents = [];
+        const addChapter = chapter => {
+            documents.push({ id: `chapter${chapter.index}`, filename: chapter.filename, mathml: Boolean(chapter.hasMathML) });
+            (chapter.parts || []).forEach((part, index) => {
+                documents.push({ id: `chapter${chapter.index}-${index + 2}`, filename: part.filename, mathml: part.hasMathML });
+            });
+        };
+        this.readingOrder.forEach(({ type, item }) => {
+            if (type === 'chapter') {
+                addChapter(item);
+                return;
+            }
+            documents.push({ id: `section${item.index}`, filename: item.filename });
+            item.chapters.forEach(addChapter);
+        });
+        return documents;
+    }
+
+    // Navigation entries after the cover and TOC: sections nest their chapters
+    getNavigationTree() {
+        return this.readingOrder.map(({ type, item }) => ({
+            title: item.title,
+            filename: item.filename,
+            children: type === 'section'
+                ? item.chapters.map(chapter => ({ title: chapter.title, filename: chapter.filename, children: [] }))
+                : []
+        }));
+    }
+
+    // Localizer for the strings around a chapter (byline, notes heading) in its own language
+    getChapterLocalizer(chapter) {
+        const language = this.getChapterLanguage(chapter);
+        return language === this.localizer.language ? this.localizer : new Localizer(language);
+    }
+
+    // The chapter's content with formulas and footnotes rendered, as well-formed XHTML
+    renderChapterContent(chapter, mathOutput = this.supportsMathML() ? 'mathml' : 'text') {
+        const content = renderMath(chapter.content, { output: mathOutput, title: chapter.title });
+        return toWellFormedXHTML(renderFootnotes(content, { title: this.getChapterLocalizer(chapter).t('notes') }));
+    }
+
+    generateChapterXHTML(chapter) {
+        const language = this.getChapterLanguage(chapter);
+        const chapterLocalizer = this.getChapterLocalizer(chapter);
+        const isAppendix = chapter.type === 'appendix';
+        const author = chapter.author ? chapterLocalizer.t('byAuthor', { author: chapter.author }) : '';
+        const articleContent = this.renderChapterContent(chapter);
+
+        const template = this.getTheme().templates.chapter;
+        const body = template
+            ? renderThemeTemplate(template, {
+                type: isAppendix ? 'appendix' : 'chapter',
+                title: escapeXml(chapter.title),
+                category: escapeXml(chapter.category),
+                author: escapeXml(author),
+                readingTime: escapeXml(this.getReadingTime(chapter, chapterLocalizer)),
+                wordCount: escapeXml(this.getWordCountLabel(chapter, chapterLocalizer)),
+                content: articleContent
+            })
+            : `<article class="article" ${isAppendix ? 'epub:type="appendix" role="doc-appendix"' : 'epub:type="chapter"'}>
         <header class="article-header">
-            <h1 class="article-title">${chapter.title}</h1>
+            <h1 class="article-title">${escapeXml(chapter.title)}</h1>
             <div class="article-meta">
-                <span class="article-category">${chapter.category}</span>
-                ${chapter.author ? `<span class="article-author">by ${chapter.author}</span>` : ''}
+                <span class="article-category">${escapeXml(chapter.category)}</span>
+                ${author ? `<span class="article-author">${escapeXml(author)}</span>` : ''}
+                <span class="article-reading-time">${escapeXml(this.getReadingTime(chapter, chapterLocalizer))}</span>
+                <span class="article-length">${escapeXml(this.getWordCountLabel(chapter, chapterLocalizer))}</span>
             </div>
         </header>
         <div class="article-content">
-            ${chapter.content}
+            ${articleContent}
         </div>
-    </article>
+    </article>`;
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"${this.getLangAttributes(language)}>
+<head>
+    <title>${escapeXml(chapter.title)}</title>
+    <link rel="stylesheet" type="text/css" href="styles.css"/>
+    <meta http-equiv="Content-Type" content="text/html; charset=utf-8"/>
+</head>
+<body epub:type="${isAppendix ? 'backmatter' : 'bodymatter'}">
+    ${body}
 </body>
 </html>`;
     }
 
-    generateUUID() {
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-            const r = Math.random() * 16 | 0;
-            const v = c === 'x' ? r : (r & 0x3 | 0x8);
-            return v.toString(16);
-        });
+    // Identifier shared by the OPF and NCX. It is derived from the issue rather than random,
+    // so rebuilding an issue does not make e-readers treat it as a new book.
+    getIdentifier() {
+        // Running issue numbers are unique on their own; month numbers repeat every year
+        const name = this.hasFixedIssueNumber
+            ? [this.title, this.author, `volume ${this.volume ?? ''}`, this.issueNumber].join('\n')
+            : [this.title, this.author, this.year, this.issueNumber].join('\n');
+        return `urn:uuid:${this.generateUUID(name)}`;
+    }
+
+    // Name-based (version 5) UUID as described in RFC 4122
+    generateUUID(name) {
+        const namespace = Buffer.from(IDENTIFIER_NAMESPACE.replace(/-/g, ''), 'hex');
+        const hash = createHash('sha1').update(namespace).update(String(name)).digest();
+        const bytes = hash.subarray(0, 16);
+        bytes[6] = (bytes[6] & 0x0f) | 0x50;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = bytes.toString('hex');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
     }
 }
 
@@ -0,0 +1,49 @@
+/**
+ * IDPF font obfuscation
+ * @fileoverview Implements the font obfuscation algorithm from the EPUB Open Container Format.
+ * Embedded fonts are scrambled with a key derived from the package's unique identifier, so a
+ * font cannot simply be unzipped out of one book and installed; reading systems undo it.
+ */
+
+import { createHash } from 'crypto';
+import { escapeXml } from './xmlUtils.js';
+
+export const FONT_OBFUSCATION_ALGORITHM = 'http://www.idpf.org/2008/embedding';
+
+// Only the start of the file is scrambled
+const OBFUSCATED_LENGTH = 1040;
+
+/**
+ * Obfuscates a font, or restores an obfuscated one; the operation is its own inverse
+ * @param {Buffer} data - Font file contents
+ * @param {string} identifier - The package's unique identifier (dc:identifier)
+ * @returns {Buffer} A new buffer; `data` is left untouched
+ */
+export function obfuscateFont(data, identifier) {
+    const key = createHash('sha1').update(identifier.replace(/[ \t\r\n]/g, ''), 'utf8').digest();
+    const result = Buffer.from(data);
+    for (let i = 0; i < Math.min(OBFUSCATED_LENGTH, result.length); i++) {
+        result[i] ^= key[i % key.length];
+    }
+    return result;
+}
+
+/**
+ * Generates META-INF/encryption.xml declaring the obfuscated resources
+ * @param {string[]} paths - Container paths of the obfuscated fonts (e.g. 'OEBPS/fonts/serif.woff2')
+ * @returns {string} XML document
+ */
+export function generateEncryptionXML(paths) {
+    const entries = paths.map(file => `    <enc:EncryptedData>
+        <enc:EncryptionMethod Algorithm="${FONT_OBFUSCATION_ALGORITHM}"/>
+        <enc:CipherData>
+            <enc:CipherReference URI="${escapeXml(file)}"/>
+        </enc:CipherData>
+    </enc:EncryptedData>`);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container" xmlns:enc="http://www.w3.org/2001/04/xmlenc#">
+${entries.join('\n')}
+</encryption>`;
+}
+
+export default obfuscateFont;
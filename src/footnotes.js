@@ -0,0 +1,115 @@
+/**
+ * Footnote support for article content
+ * @fileoverview Turns Markdown-style footnotes (`[^label]` references and `[^label]: text`
+ * definitions) into EPUB 3 noteref/footnote pairs, so readers that support popup notes show
+ * them in place, with an end-of-article notes list and backlinks for everyone else.
+ */
+
+import { escapeXml } from './xmlUtils.js';
+
+// A definition starts a paragraph (or a line after <br/>, or a plain-text line)
+const DEFINITION_START = /^\s*\[\^([^\]\s]+)\]:\s*/;
+const DEFINITION_SPLIT = /(?:<br\s*\/?>\s*|\n)(?=\s*\[\^[^\]\s]+\]:)/;
+const PARAGRAPH = /<p>([\s\S]*?)<\/p>/g;
+const PLAIN_DEFINITION_LINE = /^[ \t]*\[\^([^\]\s]+)\]:[ \t]*(.*)$/gm;
+// Code must not be touched: `[^abc]` is common in regular expressions. Definitions are only
+// looked for outside code blocks; inline code may appear inside a definition.
+const PRE_BLOCK = /(<pre\b[\s\S]*?<\/pre>)/g;
+const CODE_BLOCK = /(<pre\b[\s\S]*?<\/pre>|<code\b[\s\S]*?<\/code>)/g;
+const REFERENCE = /\[\^([^\]\s]+)\]/g;
+
+/**
+ * Renders footnotes in an HTML fragment
+ * @param {string} html - Article content
+ * @param {Object} [options]
+ * @param {string} [options.title='Notes'] - Heading of the notes section
+ * @returns {string} Content with noterefs and a trailing notes section, or the input unchanged
+ * if it has no footnote definitions
+ */
+export function renderFootnotes(html, { title = 'Notes' } = {}) {
+    if (typeof html !== 'string' || !html.includes('[^')) {
+        return html;
+    }
+
+    const definitions = new Map();
+    const withoutDefinitions = mapOutside(PRE_BLOCK, html, text => extractDefinitions(text, definitions));
+    if (definitions.size === 0) {
+        return html;
+    }
+
+    // Notes are numbered in order of first reference
+    const notes = [];
+    const noteFor = label => {
+        let note = notes.find(entry => entry.label === label);
+        if (!note) {
+            note = { label, number: notes.length + 1, content: definitions.get(label), references: 0 };
+            notes.push(note);
+        }
+        return note;
+    };
+
+    const body = mapOutside(CODE_BLOCK, withoutDefinitions, text => text.replace(REFERENCE, (match, label) => {
+        if (!definitions.has(label)) {
+            return match;
+        }
+        const note = noteFor(label);
+        note.references++;
+        const refId = note.references === 1 ? `fnref-${note.number}` : `fnref-${note.number}-${note.references}`;
+        return `<sup><a id="${refId}" class="noteref" href="#fn-${note.number}" epub:type="noteref" role="doc-noteref">${note.number}</a></sup>`;
+    }));
+
+    // Definitions nobody references are still listed, just without a backlink
+    definitions.forEach((content, label) => noteFor(label));
+
+    const asides = notes.map(note => {
+        const marker = note.references > 0
+            ? `<a class="footnote-backlink" href="#fnref-${note.number}" role="doc-backlink">${note.number}.</a>`
+            : `<span class="footnote-number">${note.number}.</span>`;
+        return `<aside id="fn-${note.number}" class="footnote" epub:type="footnote" role="doc-footnote">
+    <p>${marker} ${note.content}</p>
+</aside>`;
+    }).join('\n');
+
+    return `${body.trimEnd()}
+<section class="footnotes" epub:type="endnotes" role="doc-endnotes">
+<h2 class="footnotes-title">${escapeXml(title)}</h2>
+${asides}
+</section>`;
+}
+
+// Applies fn to the parts of the fragment that the capturing pattern does not match
+function mapOutside(pattern, html, fn) {
+    return html.split(pattern)
+        .map((part, index) => index % 2 === 1 ? part : fn(part))
+        .join('');
+}
+
+// Removes definitions from the text, recording them in the map; the first definition of a label wins
+function extractDefinitions(text, definitions) {
+    const record = (label, content) => {
+        if (!definitions.has(label)) {
+            definitions.set(label, content.trim());
+        }
+    };
+
+    // A paragraph may hold text followed by definitions on their own lines; the text stays
+    const withoutParagraphs = text.replace(PARAGRAPH, (paragraph, inner) => {
+        const parts = inner.split(DEFINITION_SPLIT);
+        const kept = DEFINITION_START.test(parts[0]) ? null : parts.shift();
+        if (parts.length === 0) {
+            return paragraph;
+        }
+        parts.forEach(part => {
+            const match = part.match(DEFINITION_START);
+            record(match[1], part.slice(match[0].length).replace(/<br\s*\/?>\s*$/, ''));
+        });
+        return kept === null ? '' : `<p>${kept.replace(/<br\s*\/?>\s*$/, '')}</p>`;
+    });
+
+    return withoutParagraphs.replace(PLAIN_DEFINITION_LINE, (line, label, content) => {
+        record(label, content);
+        return '';
+    });
+}
+
+export default renderFootnotes;
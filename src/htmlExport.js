@@ -0,0 +1,128 @@
+/**
+ * Single-file HTML export of an issue
+ * @fileoverview Renders the pages a filled EPUB generator would package (title page, table of
+ * contents, section openers and chapters) into one HTML page for reading in a browser. The
+ * stylesheet, fonts and images are inlined, so the file can be shared on its own. Each page
+ * becomes a block with the page's file name as its id; ids inside it get that name as a
+ * prefix, since footnote ids repeat from chapter to chapter, and links between pages become
+ * in-page anchors.
+ */
+
+import { JSDOM } from 'jsdom';
+import { getImageMediaType } from './mediaTypes.js';
+
+const EPUB_NS = 'http://www.idpf.org/2007/ops';
+
+// Attributes holding id references, besides link targets
+const ID_REFERENCES = ['aria-labelledby', 'aria-describedby'];
+
+// The e-reader stylesheet sets no page width; browsers get a readable column
+const PAGE_STYLE = `
+body { max-width: 42em; margin: 0 auto; }
+.issue-page { margin-bottom: 3em; }
+`;
+
+const anchorFor = filename => filename.replace(/\.xhtml$/, '');
+
+function toDataURI(data, mediaType) {
+    return `data:${mediaType};base64,${Buffer.from(data).toString('base64')}`;
+}
+
+// Title page and contents, then every section opener followed by its chapters
+function getPages(generator) {
+    const pages = [
+        { filename: 'index.xhtml', xhtml: generator.generateIndexXHTML() },
+        { filename: 'toc.xhtml', xhtml: generator.generateTOCXHTML() }
+    ];
+    const addChapter = chapter => pages.push({ filename: chapter.filename, xhtml: generator.generateChapterXHTML(chapter) });
+    generator.readingOrder.forEach(({ type, item }) => {
+        if (type === 'chapter') {
+            addChapter(item);
+            return;
+        }
+        pages.push({ filename: item.filename, xhtml: generator.generateSectionXHTML(item) });
+        item.chapters.forEach(addChapter);
+    });
+    return pages;
+}
+
+// Prefixes the page's ids and points links to other pages at their anchors
+function rewriteReferences(document, anchor, anchors) {
+    const prefix = id => `${anchor}-${id}`;
+    document.querySelectorAll('[id]').forEach(element => element.setAttribute('id', prefix(element.id)));
+    ID_REFERENCES.forEach(attribute => document.querySelectorAll(`[${attribute}]`).forEach(element =>
+        element.setAttribute(attribute, element.getAttribute(attribute).split(/\s+/).map(prefix).join(' '))));
+
+    document.querySelectorAll('a[href]').forEach(link => {
+        const href = link.getAttribute('href');
+        const hashIndex = href.indexOf('#');
+        const file = hashIndex === -1 ? href : href.slice(0, hashIndex);
+        const id = hashIndex === -1 ? '' : href.slice(hashIndex + 1);
+        const target = file === '' ? anchor : anchors.get(file);
+        if (target) {
+            link.setAttribute('href', `#${target}${id ? `-${id}` : ''}`);
+        }
+    });
+    // Only e-readers read epub:type; ARIA roles carry the same meaning in browsers
+    document.querySelectorAll('*').forEach(element => element.removeAttributeNS(EPUB_NS, 'type'));
+}
+
+/**
+ * Renders a filled EPUB generator as a self-contained HTML page
+ * @param {import('./epub_generator.js').default} generator - Generator with the issue's
+ * sections and chapters added
+ * @returns {Promise<string>} The HTML document
+ */
+export async function renderIssueHTML(generator) {
+    const pages = getPages(generator);
+    const anchors = new Map(pages.map(page => [page.filename, anchorFor(page.filename)]));
+    const language = generator.localizer.language;
+
+    const dom = new JSDOM('<!DOCTYPE html><html><head><meta charset="utf-8"/></head><body></body></html>');
+    const { document } = dom.window;
+    document.documentElement.setAttribute('lang', language);
+    const viewport = document.createElement('meta');
+    viewport.setAttribute('name', 'viewport');
+    viewport.setAttribute('content', 'width=device-width, initial-scale=1');
+    const title = document.createElement('title');
+    title.textContent = generator.getIssueTitle();
+    document.head.append(viewport, title);
+
+    // Fonts are inlined as they are; obfuscation only applies inside EPUB packages
+    const theme = generator.getTheme();
+    const css = theme.fonts.reduce((stylesheet, font) =>
+        stylesheet.split(`url("${font.href}")`).join(`url("${toDataURI(font.data, font.mediaType)}")`), generator.getStylesheet());
+    const style = document.createElement('style');
+    style.textContent = `${css}\n${PAGE_STYLE}`;
+    document.head.appendChild(style);
+
+    const images = [];
+    pages.forEach(page => {
+        const source = new JSDOM(page.xhtml, { contentType: 'application/xhtml+xml' }).window.document;
+        const anchor = anchors.get(page.filename);
+        rewriteReferences(source, anchor, anchors);
+
+        const block = document.createElement('div');
+        block.setAttribute('id', anchor);
+        block.setAttribute('class', ['issue-page', source.body.getAttribute('class')].filter(Boolean).join(' '));
+        const pageLanguage = source.documentElement.getAttribute('lang');
+        if (pageLanguage && pageLanguage !== language) {
+            block.setAttribute('lang', pageLanguage);
+        }
+        block.append(...[...source.body.childNodes].map(node => document.importNode(node, true)));
+        block.querySelectorAll('img[src^="images/"]').forEach(image => images.push(image));
+        document.body.appendChild(block);
+    });
+
+    await Promise.all(images.map(async image => {
+        const src = image.getAttribute('src');
+        const data = await generator.oebps.file(src)?.async('nodebuffer');
+        if (data) {
+            image.setAttribute('src', toDataURI(data, getImageMediaType(src)));
+        }
+    }));
+
+    return dom.serialize();
+}
+
+export default renderIssueHTML;
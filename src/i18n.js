@@ -0,0 +1,290 @@
+/**
+ * Localisation for generated magazine content
+ * @fileoverview Message catalogues, date formatting and a lightweight language detector
+ * for the boilerplate text Magazeen writes into issues (English, German and French)
+ */
+
+export const DEFAULT_LOCALE = 'en';
+
+// Region used for date formatting when a locale is given without one
+const DATE_LOCALES = {
+    en: 'en-US',
+    de: 'de-DE',
+    fr: 'fr-FR'
+};
+
+const MESSAGES = {
+    en: {
+        'issue': 'Issue {number}',
+        'volumeIssue': 'Volume {volume}, Issue {number}',
+        'cover': 'Cover',
+        'tableOfContents': 'Table of Contents',
+        'navigation': 'Navigation',
+        'articleCount': { one: '{count} Article', other: '{count} Articles' },
+        'section': 'Section {number}',
+        'byAuthor': 'by {author}',
+        'notes': 'Notes',
+        'coverFeaturing': 'featuring {sections}',
+        'titlePage': 'Title Page',
+        'startOfContent': 'Start of Content',
+        'landmarks': 'Landmarks',
+        'accessibilitySummary': 'Reflowable text with a navigable table of contents, section and chapter headings and a logical reading order. All images have text descriptions. No known hazards.',
+        'accessibilitySummaryMissingAltText': 'Reflowable text with a navigable table of contents, section and chapter headings and a logical reading order. Some images have no text description. No known hazards.',
+        'chat.transcript': 'Conversation transcript',
+        'chat.questionsAndAnswers': 'Questions and answers',
+        'chat.highlights': 'Starred messages',
+        'appendix.title': 'Appendix',
+        'appendix.listing': 'Listing {number}',
+        'appendix.lines': { one: '{count} line', other: '{count} lines' },
+        'appendix.moved': 'moved to the appendix',
+        'appendix.backTo': 'Back to “{title}”',
+        'readingTime': '{duration} read',
+        'wordCount': { one: '{words} word', other: '{words} words' },
+        'totalReadingTime': 'Total reading time: {duration}',
+        'duration.minutes': '{minutes} min',
+        'duration.hours': '{hours} h',
+        'duration.hoursMinutes': '{hours} h {minutes} min',
+        'chat.you': 'You',
+        'chat.author': 'Claude Conversation',
+        'chat.category': 'Claude Chats',
+        'chat.unknownDate': 'N/A',
+        'interests.title': 'Current Interests & Explorations',
+        'interests.category': 'Personal Growth',
+        'interests.intro': 'This month, several topics have captured my attention and sparked deeper exploration:',
+        'interests.priority': 'Priority',
+        'interests.reflection': 'Reflection',
+        'interests.reflectionText': 'These interests reflect my ongoing curiosity about {topics}. I plan to explore these topics further in upcoming conversations and research.',
+        'priority.high': 'High',
+        'priority.medium': 'Medium',
+        'priority.low': 'Low',
+        'highlights.title': 'Insights from AI Conversations',
+        'highlights.category': 'AI & Learning',
+        'highlights.intro': 'Here are some of the most insightful conversations and discoveries from my recent chats with Claude:',
+        'highlights.categoryLabel': 'Category: {category}',
+        'highlights.keyInsights': 'Key Insights',
+        'highlights.notableExchange': 'Notable Exchange',
+        'highlights.reflections': 'Reflections',
+        'highlights.reflectionText': 'These conversations highlight the value of AI as a thinking partner, helping me explore complex topics and gain new perspectives on familiar subjects.'
+    },
+    de: {
+        'issue': 'Ausgabe {number}',
+        'volumeIssue': 'Jahrgang {volume}, Ausgabe {number}',
+        'cover': 'Titelseite',
+        'tableOfContents': 'Inhaltsverzeichnis',
+        'navigation': 'Navigation',
+        'articleCount': { one: '{count} Artikel', other: '{count} Artikel' },
+        'section': 'Rubrik {number}',
+        'byAuthor': 'von {author}',
+        'notes': 'Anmerkungen',
+        'coverFeaturing': 'mit {sections}',
+        'titlePage': 'Titelblatt',
+        'startOfContent': 'Textbeginn',
+        'landmarks': 'Orientierungspunkte',
+        'accessibilitySummary': 'Umbrechbarer Text mit navigierbarem Inhaltsverzeichnis, Rubriken- und Kapitelüberschriften und einer logischen Lesereihenfolge. Alle Bilder haben eine Textbeschreibung. Keine bekannten Gefahren.',
+        'accessibilitySummaryMissingAltText': 'Umbrechbarer Text mit navigierbarem Inhaltsverzeichnis, Rubriken- und Kapitelüberschriften und einer logischen Lesereihenfolge. Einige Bilder haben keine Textbeschreibung. Keine bekannten Gefahren.',
+        'chat.transcript': 'Gesprächsverlauf',
+        'chat.questionsAndAnswers': 'Fragen und Antworten',
+        'chat.highlights': 'Markierte Nachrichten',
+        'appendix.title': 'Anhang',
+        'appendix.listing': 'Listing {number}',
+        'appendix.lines': { one: '{count} Zeile', other: '{count} Zeilen' },
+        'appendix.moved': 'in den Anhang verschoben',
+        'appendix.backTo': 'Zurück zu „{title}“',
+        'readingTime': '{duration} Lesezeit',
+        'wordCount': { one: '{words} Wort', other: '{words} Wörter' },
+        'totalReadingTime': 'Gesamte Lesezeit: {duration}',
+        'duration.minutes': '{minutes} Min.',
+        'duration.hours': '{hours} Std.',
+        'duration.hoursMinutes': '{hours} Std. {minutes} Min.',
+        'chat.you': 'Du',
+        'chat.author': 'Gespräch mit Claude',
+        'chat.category': 'Claude-Chats',
+        'chat.unknownDate': 'k. A.',
+        'interests.title': 'Aktuelle Interessen & Entdeckungen',
+        'interests.category': 'Persönliche Entwicklung',
+        'interests.intro': 'Diesen Monat haben mehrere Themen meine Aufmerksamkeit geweckt und mich zu einer tieferen Auseinandersetzung angeregt:',
+        'interests.priority': 'Priorität',
+        'interests.reflection': 'Rückblick',
+        'interests.reflectionText': 'Diese Interessen spiegeln meine anhaltende Neugier auf {topics} wider. Ich möchte diese Themen in kommenden Gesprächen und Recherchen weiter vertiefen.',
+        'priority.high': 'Hoch',
+        'priority.medium': 'Mittel',
+        'priority.low': 'Niedrig',
+        'highlights.title': 'Erkenntnisse aus KI-Gesprächen',
+        'highlights.category': 'KI & Lernen',
+        'highlights.intro': 'Hier sind einige der aufschlussreichsten Gespräche und Entdeckungen aus meinen letzten Chats mit Claude:',
+        'highlights.categoryLabel': 'Kategorie: {category}',
+        'highlights.keyInsights': 'Wichtigste Erkenntnisse',
+        'highlights.notableExchange': 'Bemerkenswerter Austausch',
+        'highlights.reflections': 'Rückblick',
+        'highlights.reflectionText': 'Diese Gespräche zeigen, wie wertvoll KI als Denkpartner ist: Sie hilft mir, komplexe Themen zu erkunden und vertraute Fragen aus neuen Blickwinkeln zu sehen.'
+    },
+    fr: {
+        'issue': 'Numéro {number}',
+        'volumeIssue': 'Volume {volume}, numéro {number}',
+        'cover': 'Couverture',
+        'tableOfContents': 'Table des matières',
+        'navigation': 'Navigation',
+        'articleCount': { one: '{count} article', other: '{count} articles' },
+        'section': 'Rubrique {number}',
+        'byAuthor': 'par {author}',
+        'notes': 'Notes',
+        'coverFeaturing': 'avec {sections}',
+        'titlePage': 'Page de titre',
+        'startOfContent': 'Début du contenu',
+        'landmarks': 'Repères',
+        'accessibilitySummary': 'Texte recomposable avec une table des matières navigable, des titres de rubriques et de chapitres et un ordre de lecture logique. Toutes les images ont une description textuelle. Aucun danger connu.',
+        'accessibilitySummaryMissingAltText': 'Texte recomposable avec une table des matières navigable, des titres de rubriques et de chapitres et un ordre de lecture logique. Certaines images n’ont pas de description textuelle. Aucun danger connu.',
+        'chat.transcript': 'Transcription de la conversation',
+        'chat.questionsAndAnswers': 'Questions et réponses',
+        'chat.highlights': 'Messages favoris',
+        'appendix.title': 'Annexe',
+        'appendix.listing': 'Listing {number}',
+        'appendix.lines': { one: '{count} ligne', other: '{count} lignes' },
+        'appendix.moved': 'déplacé en annexe',
+        'appendix.backTo': 'Retour à « {title} »',
+        'readingTime': '{duration} de lecture',
+        'wordCount': { one: '{words} mot', other: '{words} mots' },
+        'totalReadingTime': 'Temps de lecture total : {duration}',
+        'duration.minutes': '{minutes} min',
+        'duration.hours': '{hours} h',
+        'duration.hoursMinutes': '{hours} h {minutes} min',
+        'chat.you': 'Vous',
+        'chat.author': 'Conversation avec Claude',
+        'chat.category': 'Discussions avec Claude',
+        'chat.unknownDate': 'n. d.',
+        'interests.title': 'Centres d’intérêt et explorations du moment',
+        'interests.category': 'Développement personnel',
+        'interests.intro': 'Ce mois-ci, plusieurs sujets ont retenu mon attention et m’ont poussé à les explorer plus en profondeur :',
+        'interests.priority': 'Priorité',
+        'interests.reflection': 'Réflexion',
+        'interests.reflectionText': 'Ces centres d’intérêt reflètent ma curiosité constante pour {topics}. Je compte approfondir ces sujets lors de mes prochaines conversations et recherches.',
+        'priority.high': 'Haute',
+        'priority.medium': 'Moyenne',
+        'priority.low': 'Basse',
+        'highlights.title': 'Enseignements de mes conversations avec l’IA',
+        'highlights.category': 'IA et apprentissage',
+        'highlights.intro': 'Voici quelques-unes des conversations et découvertes les plus enrichissantes de mes récents échanges avec Claude :',
+        'highlights.categoryLabel': 'Catégorie : {category}',
+        'highlights.keyInsights': 'Idées clés',
+        'highlights.notableExchange': 'Échange marquant',
+        'highlights.reflections': 'Réflexions',
+        'highlights.reflectionText': 'Ces conversations montrent l’intérêt de l’IA comme partenaire de réflexion : elle m’aide à explorer des sujets complexes et à porter un regard neuf sur des questions familières.'
+    }
+};
+
+// Frequent function words; enough to tell the supported languages apart in a paragraph or two
+const STOPWORDS = {
+    en: ['the', 'and', 'is', 'are', 'of', 'to', 'in', 'that', 'it', 'with', 'for', 'this', 'was', 'you', 'have', 'not', 'be', 'on', 'what', 'how'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'sie', 'mit', 'ein', 'eine', 'auf', 'für', 'dem', 'den', 'auch', 'wie', 'sich', 'zu', 'wir'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'des', 'une', 'un', 'que', 'qui', 'pour', 'dans', 'pas', 'sur', 'du', 'avec', 'ce', 'je', 'vous', 'au']
+};
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+const MIN_DETECTION_HITS = 8;
+const MIN_DETECTION_SHARE = 0.6;
+
+/**
+ * Returns the supported base language for a locale tag ('de-AT' -> 'de'), or null
+ * @param {string} locale - BCP 47 language tag
+ * @returns {string|null}
+ */
+export function getSupportedLanguage(locale) {
+    const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+    return MESSAGES[language] ? language : null;
+}
+
+/**
+ * Translates messages and formats dates for one locale
+ */
+export class Localizer {
+    /**
+     * @param {string} [locale='en'] - BCP 47 tag such as 'de' or 'fr-CA'; unsupported
+     * languages fall back to English
+     */
+    constructor(locale = DEFAULT_LOCALE) {
+        const language = getSupportedLanguage(locale);
+        if (language) {
+            const [, region] = String(locale).split(/[-_]/);
+            this.language = region ? `${language}-${region.toUpperCase()}` : language;
+            this.baseLanguage = language;
+        } else {
+            if (locale) {
+                console.warn(`Warning: Locale '${locale}' is not supported. Using '${DEFAULT_LOCALE}'.`);
+            }
+            this.language = DEFAULT_LOCALE;
+            this.baseLanguage = DEFAULT_LOCALE;
+        }
+        this.dateLocale = this.language.includes('-') ? this.language : DATE_LOCALES[this.baseLanguage];
+        this.messages = MESSAGES[this.baseLanguage];
+    }
+
+    /**
+     * Looks up a message and fills in {placeholders}. A `count` parameter selects the plural form.
+     * @param {string} key - Message key
+     * @param {Object} [params] - Placeholder values
+     * @returns {string}
+     */
+    t(key, params = {}) {
+        let message = this.messages[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(this.dateLocale).select(params.count ?? 0);
+            message = message[form] ?? message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] !== undefined ? String(params[name]) : placeholder);
+    }
+
+    formatNumber(number) {
+        return number.toLocaleString(this.dateLocale);
+    }
+
+    formatMonthYear(date, { timeZone } = {}) {
+        return date.toLocaleDateString(this.dateLocale, {
+            month: 'long',
+            year: 'numeric',
+            ...(timeZone ? { timeZone } : {})
+        });
+    }
+
+    formatDateTime(date) {
+        return date.toLocaleString(this.dateLocale, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+}
+
+/**
+ * Guesses the language of a text from common function words
+ * @param {string} text - Plain text or HTML
+ * @returns {string|null} 'en', 'de' or 'fr', or null if the text is too short or mixed to tell
+ */
+export function detectLanguage(text) {
+    const plain = String(text || '')
+        .replace(/<(pre|code)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .toLowerCase();
+    const words = plain.match(/[a-zà-öø-ÿß]+/g) || [];
+
+    const hits = Object.fromEntries(Object.keys(STOPWORD_SETS).map(language => [language, 0]));
+    words.forEach(word => {
+        Object.entries(STOPWORD_SETS).forEach(([language, stopwords]) => {
+            if (stopwords.has(word)) {
+                hits[language]++;
+            }
+        });
+    });
+
+    const total = Object.values(hits).reduce((sum, count) => sum + count, 0);
+    const [best, bestHits] = Object.entries(hits).sort((a, b) => b[1] - a[1])[0];
+    if (total < MIN_DETECTION_HITS || bestHits / total < MIN_DETECTION_SHARE) {
+        return null;
+    }
+    return best;
+}
+
+export default Localizer;
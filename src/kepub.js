@@ -0,0 +1,99 @@
+/**
+ * Kobo kepub markup
+ * @fileoverview Kobo readers only keep reading statistics, turn pages natively and allow
+ * highlights in '.kepub.epub' books, whose content documents wrap every sentence in a
+ * numbered `koboSpan` and the whole body in the 'book-columns' and 'book-inner' divs.
+ */
+
+import { JSDOM } from 'jsdom';
+
+const XML_PROLOGUE = '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+// Kobo's own conversion adds this to every document so the wrappers add no margins
+export const KOBO_STYLE = 'div#book-inner { margin-top: 0; margin-bottom: 0; }';
+
+// Elements that start a new paragraph number
+const PARAGRAPHS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'dt', 'dd', 'blockquote', 'pre', 'table', 'figcaption']);
+
+// Content Kobo does not number: scripts, styles and markup the spans would break
+const SKIPPED = new Set(['script', 'style', 'math', 'svg']);
+
+/**
+ * Splits text into sentences, each keeping its trailing punctuation and whitespace. A stop
+ * only ends a sentence when whitespace follows, so '3.14' and 'e.g.' inside words stay whole.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSentences(text) {
+    return text.match(/[\s\S]*?(?:[.!?…]+['"’”)\]]*(?:\s+|$)|$)/g).filter(Boolean);
+}
+
+/**
+ * Adds the kepub structure to an XHTML content document: sentences and images wrapped in
+ * `<span class="koboSpan" id="kobo.P.S">`, where P counts paragraphs and S the sentences in
+ * them, the body's content wrapped in the Kobo divs, and Kobo's style fix in the head
+ * @param {string} xhtml - Complete XHTML document
+ * @returns {string} The kepub document
+ */
+export function kepubify(xhtml) {
+    const dom = new JSDOM(xhtml, { contentType: 'application/xhtml+xml' });
+    const { document, XMLSerializer, Node } = dom.window;
+
+    let paragraph = 1;
+    let segment = 0;
+    const span = () => {
+        const element = document.createElementNS(XHTML_NS, 'span');
+        element.setAttribute('class', 'koboSpan');
+        element.setAttribute('id', `kobo.${paragraph}.${++segment}`);
+        return element;
+    };
+
+    const walk = (node, inPre) => {
+        [...node.childNodes].forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                if (!child.textContent.trim()) {
+                    return;
+                }
+                // Code keeps its text in one piece; sentence stops in it mean nothing
+                const spans = (inPre ? [child.textContent] : splitSentences(child.textContent)).map(sentence => {
+                    const element = span();
+                    element.textContent = sentence;
+                    return element;
+                });
+                child.replaceWith(...spans);
+            } else if (child.nodeType === Node.ELEMENT_NODE && !SKIPPED.has(child.localName)) {
+                if (child.localName === 'img') {
+                    const element = span();
+                    child.replaceWith(element);
+                    element.appendChild(child);
+                    return;
+                }
+                if (PARAGRAPHS.has(child.localName) && segment > 0) {
+                    paragraph++;
+                    segment = 0;
+                }
+                walk(child, inPre || child.localName === 'pre');
+            }
+        });
+    };
+    walk(document.body, false);
+
+    const columns = document.createElementNS(XHTML_NS, 'div');
+    columns.setAttribute('id', 'book-columns');
+    const inner = document.createElementNS(XHTML_NS, 'div');
+    inner.setAttribute('id', 'book-inner');
+    inner.append(...document.body.childNodes);
+    columns.appendChild(inner);
+    document.body.appendChild(columns);
+
+    const style = document.createElementNS(XHTML_NS, 'style');
+    style.setAttribute('type', 'text/css');
+    style.setAttribute('class', 'kobostylehacks');
+    style.textContent = KOBO_STYLE;
+    document.head.appendChild(style);
+
+    return XML_PROLOGUE + new XMLSerializer().serializeToString(document.documentElement);
+}
+
+export default kepubify;
@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+
+import EPUBMagazineGenerator from './epub_generator.js';
+import { kepubify } from './kepub.js';
+
+// Kobo's kepub format: the kobo device profile, with chapters and section openers carrying
+// the koboSpan markup Kobo readers need for reading statistics and highlights
+class KepubEPUBMagazineGenerator extends EPUBMagazineGenerator {
+    constructor() {
+        super();
+        this.fileExtension = '.kepub.epub';
+        this.setDeviceProfile('kobo');
+    }
+
+    generateChapterXHTML(chapter) {
+        return kepubify(super.generateChapterXHTML(chapter));
+    }
+
+    generateSectionXHTML(section) {
+        return kepubify(super.generateSectionXHTML(section));
+    }
+}
+
+// Export for use as a module
+export default KepubEPUBMagazineGenerator;
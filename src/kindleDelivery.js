@@ -0,0 +1,110 @@
+/**
+ * Send-to-Kindle delivery
+ * @fileoverview Emails generated EPUBs to a Kindle's Send-to-Kindle address over SMTP.
+ * The address is kept in the content file's metadata, so each web user has their own.
+ * Amazon only accepts mail from senders on the account's approved list, so the
+ * configured From address has to be added there once.
+ */
+
+import * as syncFs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { config } from './config.js';
+import { Validator } from './validation.js';
+import { Logger } from './logger.js';
+
+/** Largest email Send to Kindle accepts, attachment included */
+export const MAX_ATTACHMENT_SIZE = 50 * 1024 * 1024;
+
+/**
+ * Sends issues from one content store to its Kindle address
+ */
+export class KindleDelivery {
+    /**
+     * @param {Object} contentManager - ContentManager whose metadata holds the Kindle address
+     * @param {Object} [options] - SMTP settings, as in config.delivery
+     * @param {Object} [fsUtils] - File system functions, for testing
+     */
+    constructor(contentManager, options = config.delivery, fsUtils = null) {
+        this.contentManager = contentManager;
+        this.options = options;
+        this.fsUtils = fsUtils || { readFileSync: syncFs.readFileSync };
+        this.logger = Logger.child({ component: 'KindleDelivery' });
+    }
+
+    /**
+     * Whether an SMTP server and sender are configured
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return Boolean(this.options.smtpHost && this.options.from);
+    }
+
+    /**
+     * Returns the address issues are sent to: the content file's, else the configured one
+     * @returns {string|null}
+     */
+    getAddress() {
+        return this.contentManager.content.metadata.kindleEmail || this.options.kindleEmail || null;
+    }
+
+    /**
+     * Emails an EPUB as an attachment
+     * @param {string} filePath - The generated EPUB
+     * @param {Object} [options]
+     * @param {string} [options.to] - Kindle address; defaults to getAddress()
+     * @returns {Promise<{success: boolean, to?: string, messageId?: string, message?: string}>}
+     */
+    async deliver(filePath, { to = this.getAddress() } = {}) {
+        const filename = path.basename(filePath);
+        try {
+            if (!this.isConfigured()) {
+                return { success: false, message: 'Sending to Kindle is not set up: set SMTP_HOST and SMTP_FROM.' };
+            }
+            if (!to) {
+                return { success: false, message: 'No Kindle address is set.' };
+            }
+            Validator.validateEmail(to, 'Kindle address');
+            if (!filename.endsWith('.epub') || filename.endsWith('.kepub.epub')) {
+                return { success: false, message: `Only EPUB issues can be sent to a Kindle, not '${filename}'.` };
+            }
+
+            const content = this.fsUtils.readFileSync(filePath);
+            if (content.length > MAX_ATTACHMENT_SIZE) {
+                return { success: false, message: `'${filename}' is larger than the 50 MB Send to Kindle accepts.` };
+            }
+
+            // The recorded issue title reads better in the Kindle library's email log than the file name
+            const issue = (this.contentManager.content.issues || []).find(record => record.filename === filename);
+            const subject = issue?.title || path.basename(filename, '.epub');
+
+            const info = await this.createTransport().sendMail({
+                from: this.options.from,
+                to,
+                subject,
+                text: `${subject} is attached.`,
+                attachments: [{ filename, content, contentType: 'application/epub+zip' }]
+            });
+
+            this.logger.info(`Sent ${filename} to Kindle`, { filename, messageId: info.messageId });
+            return { success: true, to, messageId: info.messageId };
+        } catch (error) {
+            this.logger.error('Failed to send issue to Kindle', error, { filename });
+            return { success: false, message: error.message };
+        }
+    }
+
+    /**
+     * Creates the SMTP transport from the delivery settings
+     * @returns {Object} Nodemailer transport
+     */
+    createTransport() {
+        const { smtpHost, smtpPort, smtpSecure, smtpUser, smtpPass } = this.options;
+        return nodemailer.createTransport({
+            host: smtpHost,
+            port: smtpPort,
+            secure: smtpSecure,
+            auth: smtpUser ? { user: smtpUser, pass: smtpPass } : undefined
+        });
+    }
+}
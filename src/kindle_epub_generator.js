@@ -2,18 +2,15 @@
 
 import EPUBMagazineGenerator from './epub_generator.js';
 
+// The kindle device profile, with built-in fallback styles in case the kindle theme is missing
 class KindleEPUBMagazineGenerator extends EPUBMagazineGenerator {
     constructor(kindleOptimized) {
         super();
         this.kindleOptimized = kindleOptimized !== undefined ? kindleOptimized : true;
+        this.setDeviceProfile(this.kindleOptimized ? 'kindle' : 'default');
     }
 
-    // Returns the appropriate CSS file name based on kindleOptimized setting
-    getCSSFileName() {
-        return this.kindleOptimized ? "kindle_epub_styles.css" : "epub_styles.css";
-    }
-
-    // Get default CSS if the file is not found
+    // Get default CSS if the kindle theme cannot be loaded
     getDefaultCSS() {
         return `
         body {
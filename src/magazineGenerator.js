@@ -1,8 +1,43 @@
 import DefaultEPUBMagazineGenerator from './epub_generator.js';
 import KindleEPUBMagazineGenerator from './kindle_epub_generator.js';
+import KepubEPUBMagazineGenerator from './kepub_epub_generator.js';
 import { ContentClusterer } from './contentClusterer.js';
+import { MarkdownRenderer } from './markdownRenderer.js';
+import { renderChat } from './chatLayouts.js';
+import { extractLongCode, renderAppendix } from './codeAppendix.js';
+import { Validator } from './validation.js';
+import { DEFAULT_DEVICE } from './deviceProfiles.js';
+import { DEFAULT_FORMAT, OUTPUT_FORMATS } from './outputFormats.js';
+import { renderIssueHTML } from './htmlExport.js';
+import { renderIssuePDF } from './pdfExport.js';
+import { exportToCalibre } from './calibreExport.js';
+import { Localizer } from './i18n.js';
 import { config } from './config.js';
 import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// Formats other than EPUB, rendered from the filled EPUB generator
+const FORMAT_RENDERERS = {
+    pdf: renderIssuePDF,
+    html: renderIssueHTML
+};
+
+// Fingerprint of what an issue holds, recorded with it so a rebuild of unchanged content
+// keeps the issue's number
+function fingerprintIssue({ metadata, locale, coverImage, items }) {
+    const { title, author, description } = metadata;
+    return createHash('sha256').update(JSON.stringify({
+        title,
+        author,
+        description,
+        locale,
+        coverImage,
+        items: items.map(item => [item.type, item.title, item.author, item.category, item.language ?? null, item.content])
+    })).digest('hex');
+}
 
 export class MagazineGenerator {
     constructor(contentManager, articleGenerator, epubGeneratorFactory, contentClusterer) {
@@ -10,17 +45,138 @@ export class MagazineGenerator {
         this.articleGenerator = articleGenerator;
         this.epubGeneratorFactory = epubGeneratorFactory || this.defaultEPUBGeneratorFactory.bind(this);
         this.contentClusterer = contentClusterer || new ContentClusterer();
+        // Content fingerprints of the issues built, recorded once they are written
+        this.issueFingerprints = new WeakMap();
+        // Chat headings sit below the chapter title (h1) and message headers
+        this.markdownRenderer = new MarkdownRenderer({ headingOffset: 2, breaks: true, math: true });
     }
 
-    // Default factory function that can create either standard or Kindle-optimized generator
-    defaultEPUBGeneratorFactory(kindleOptimized = false) {
-        if (kindleOptimized) {
+    // Default factory: a generator set up for the named device profile, writing Kobo's
+    // kepub format when asked to
+    defaultEPUBGeneratorFactory(device = DEFAULT_DEVICE, { kepub = false } = {}) {
+        if (kepub) {
+            return new KepubEPUBMagazineGenerator().setDeviceProfile(device);
+        }
+        if (device === 'kindle') {
             return new KindleEPUBMagazineGenerator(true);
         }
-        return new DefaultEPUBMagazineGenerator();
+        return new DefaultEPUBMagazineGenerator().setDeviceProfile(device);
+    }
+
+    /**
+     * Builds the issue and writes it out
+     * @param {Object} [options] - Build options (see buildMagazine), plus:
+     * @param {string|import('stream').Writable} [options.output='file'] - 'file' writes to
+     * outputDir and resolves to the path, 'buffer' resolves to the issue as a Buffer, and a
+     * writable stream receives the issue and is ended
+     * @param {string} [options.outputDir] - Directory for 'file' output (default: config.paths.outputDir)
+     * @param {string} [options.format='epub'] - Output format; see outputFormats.js
+     * @param {string} [options.pageSize] - Page size of PDF output, 'A5' or 'Letter'
+     * @param {string|null} [options.calibreLibrary] - Calibre library folder an EPUB issue is
+     * also filed in (default: config.paths.calibreLibrary); kepubs are not filed
+     * @returns {Promise<string|Buffer|import('stream').Writable>}
+     */
+    async generateMagazine(options = {}) {
+        const {
+            output = 'file',
+            outputDir = config.paths.outputDir,
+            format = DEFAULT_FORMAT,
+            calibreLibrary = config.paths.calibreLibrary
+        } = options;
+
+        if (output !== 'file' && output !== 'buffer' && typeof output?.write !== 'function') {
+            throw new Error(`Unknown output mode: ${output}`);
+        }
+        Validator.validateFormat(format);
+        if (options.pageSize !== undefined) {
+            Validator.validatePageSize(options.pageSize);
+        }
+
+        const generator = this.buildMagazine(options);
+        const filename = this.getOutputFilename(generator, format);
+        if (output === 'file' && !fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        // Calibre takes plain EPUBs; Kobo kepubs are left out of the library
+        const fileInCalibre = format === DEFAULT_FORMAT && Boolean(calibreLibrary) && !filename.endsWith('.kepub.epub');
+        if (format === DEFAULT_FORMAT && calibreLibrary && !fileInCalibre) {
+            console.warn(`Warning: Kobo kepubs are not added to the Calibre library: ${filename}`);
+        }
+
+        let result;
+        let epub = null;
+        if (format !== DEFAULT_FORMAT) {
+            const content = await this.renderFormat(generator, format, options);
+            if (output === 'buffer') {
+                result = content;
+            } else if (output !== 'file') {
+                await pipeline(Readable.from([content]), output);
+                result = output;
+            } else {
+                result = path.join(outputDir, filename);
+                fs.writeFileSync(result, content);
+            }
+        } else if (output === 'buffer') {
+            epub = await generator.generateBuffer();
+            result = epub;
+        } else if (output !== 'file' && fileInCalibre) {
+            // The library needs the whole EPUB, so it is built once and written to the stream from memory
+            epub = await generator.generateBuffer();
+            await pipeline(Readable.from([epub]), output);
+            result = output;
+        } else if (output !== 'file') {
+            result = await generator.generateStream(output);
+        } else {
+            result = await generator.generateEPUB(path.join(outputDir, filename));
+        }
+
+        // Copies in other formats keep the issue number, so the EPUB made next matches them
+        if (format === DEFAULT_FORMAT) {
+            this.recordIssue(generator, filename);
+        }
+
+        if (fileInCalibre) {
+            const book = exportToCalibre(generator, epub ?? fs.readFileSync(result), calibreLibrary);
+            console.log(`Added to Calibre library: ${book.bookDir}`);
+        }
+        return result;
+    }
+
+    /**
+     * Renders a built issue in one of the formats other than EPUB, in one piece
+     * @param {Object} generator - EPUB generator filled by buildMagazine
+     * @param {string} format - 'pdf' or 'html'
+     * @param {Object} [options] - Format options, such as the PDF page size
+     * @returns {Promise<Buffer>}
+     */
+    async renderFormat(generator, format, options = {}) {
+        return Buffer.from(await FORMAT_RENDERERS[format](generator, options));
+    }
+
+    // Records an issue once it has been written, advancing the content store's issue counter
+    // unless it is a rebuild
+    recordIssue(generator, filename = null) {
+        if (!generator.hasFixedIssueNumber) {
+            return;
+        }
+        this.contentManager.recordIssue({
+            number: generator.issueNumber,
+            volume: generator.volume,
+            title: generator.getIssueTitle(),
+            date: generator.currentDate,
+            filename,
+            fingerprint: this.issueFingerprints.get(generator) ?? null
+        });
     }
 
-    generateMagazine(options = {}) {
+    /**
+     * Fills an EPUB generator with the issue's articles and chats without writing anything,
+     * for callers that need the generator itself (e.g. to name a download before streaming it)
+     * @param {Object} [options] - Clustering, device, kepub, theme, cover, build date, asset, locale, chat layout and code appendix options
+     * @returns {Object} The populated EPUB generator
+     */
+    buildMagazine(options = {}) {
         console.log('Generating magazine...');
 
         const {
@@ -28,16 +184,44 @@ export class MagazineGenerator {
                              config.content.enableClustering,
             minSimilarity = this.contentManager.content.metadata?.clusteringSimilarity ??
                            config.content.clusteringSimilarity,
+            // Older name for the kindle device profile
             kindleOptimized = (this.contentManager.content.metadata?.kindleOptimized ??
                             config.content.kindleOptimized) ||
-                            false  // Default to false for backward compatibility
+                            false,  // Default to false for backward compatibility
+            // Write a Kobo '.kepub.epub' instead of a plain EPUB
+            kepub = this.contentManager.content.metadata?.kepub ?? config.content.kepub,
+            // Device profile name; see deviceProfiles.js
+            device = this.contentManager.content.metadata?.device ?? config.content.device ??
+                    (kepub ? 'kobo' : kindleOptimized ? 'kindle' : DEFAULT_DEVICE),
+            coverImage = this.contentManager.content.metadata?.coverImage ?? null,
+            buildDate = null,
+            // Relative <img> paths in article content resolve against this directory (default: cwd)
+            assetBaseDir = null,
+            locale = this.contentManager.content.metadata?.locale ?? config.content.locale,
+            // Override the content store's running issue counter and volume
+            issueNumber = null,
+            volume = null,
+            // Reading speed for the reading times shown in the issue
+            wordsPerMinute = this.contentManager.content.metadata?.wordsPerMinute ?? config.epub.wordsPerMinute,
+            // Layout of chats that do not set their own
+            chatLayout = this.contentManager.content.metadata?.chatLayout ?? config.content.chatLayout,
+            // Chats to include by ID instead of the selected ones
+            chatIds = null,
+            // Code blocks and artifacts in chats longer than this many lines go to the appendix (0: never)
+            codeAppendixLines = this.contentManager.content.metadata?.codeAppendixLines ?? config.epub.codeAppendixLines,
+            // Theme name or directory; by default the device profile's theme
+            theme = this.contentManager.content.metadata?.theme ?? config.epub.theme
         } = options;
 
+        Validator.validateChatLayout(chatLayout);
+        Validator.validateDevice(device);
+        const localizer = new Localizer(locale);
+
         // Auto-generate articles from collected content
         this.articleGenerator.generateInterestArticle();
         this.articleGenerator.generateChatHighlightsArticle();
 
-        const generator = this.epubGeneratorFactory(kindleOptimized);
+        const generator = this.epubGeneratorFactory(device, { kepub });
 
         // Initialize with metadata
         generator.initializeEPUB(
@@ -46,6 +230,26 @@ export class MagazineGenerator {
             this.contentManager.content.metadata.description
         );
 
+        generator.setLocale(locale);
+
+        if (theme) {
+            generator.setTheme(theme);
+        }
+
+        generator.setReadingSpeed(wordsPerMinute);
+
+        if (buildDate) {
+            generator.setBuildDate(buildDate);
+        }
+
+        if (assetBaseDir) {
+            generator.setAssetBaseDir(assetBaseDir);
+        }
+
+        if (coverImage) {
+            generator.setCoverImage(coverImage);
+        }
+
         // Prepare all content items (articles + selected Claude chats)
         const allContentItems = [];
 
@@ -57,30 +261,55 @@ export class MagazineGenerator {
             });
         });
 
-        // Add selected Claude chats
+        // Add selected Claude chats, each in its own layout or the issue's
         this.contentManager.content.claudeChats.forEach(chat => {
-            if (chat.selected) {
-                let chatContent = '';
-                chat.conversation.forEach(message => {
-                    const messageDate = message.timestamp ? new Date(message.timestamp).toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : 'N/A';
-                    chatContent += `
-                        <div class="claude-message">
-                            <strong>${message.sender === 'human' ? 'You' : 'Claude'}</strong> (${messageDate}):<br/>
-                            ${message.text.replace(/\n/g, '<br/>')}
-                        </div>
-                    `;
-                });
-
+            if (chatIds ? chatIds.includes(chat.id) : chat.selected) {
                 allContentItems.push({
                     title: chat.title,
-                    content: chatContent,
-                    author: 'Claude Conversation',
-                    category: chat.category || 'Claude Chats',
+                    content: renderChat(chat, {
+                        layout: chat.layout ?? chatLayout,
+                        localizer,
+                        markdownRenderer: this.markdownRenderer
+                    }),
+                    author: localizer.t('chat.author'),
+                    category: chat.category || localizer.t('chat.category'),
+                    language: chat.language,
                     type: 'chat'
                 });
             }
         });
 
+        // The next issue number, or the last issue's again when its content has not changed
+        const fingerprint = fingerprintIssue({
+            metadata: this.contentManager.content.metadata,
+            locale,
+            coverImage,
+            items: allContentItems
+        });
+        const nextIssue = this.contentManager.getNextIssue(fingerprint);
+        generator.setIssue(issueNumber ?? nextIssue.number, volume ?? nextIssue.volume);
+        this.issueFingerprints.set(generator, fingerprint);
+
+        // Oversized code in chats moves to an appendix
+        const appendix = [];
+        const moveLongCode = codeAppendixLines > 0;
+        const addItem = (item, category) => {
+            let content = item.content;
+            let listings = [];
+            if (moveLongCode && item.type === 'chat') {
+                ({ content, listings } = extractLongCode(content, {
+                    maxLines: codeAppendixLines,
+                    firstNumber: appendix.length + 1,
+                    localizer
+                }));
+            }
+            generator.addArticle(item.title, content, item.author, category, item.language ?? null);
+            if (listings.length > 0) {
+                const { filename } = generator.chapters[generator.chapters.length - 1];
+                listings.forEach(listing => appendix.push({ ...listing, chapterTitle: item.title, chapterFile: filename }));
+            }
+        };
+
         // Apply clustering if enabled
         if (enableClustering && allContentItems.length > 0) {
             console.log(`Clustering ${allContentItems.length} items by topic...`);
@@ -93,49 +322,37 @@ export class MagazineGenerator {
             sections.forEach(section => {
                 console.log(`  Section: "${section.sectionName}" (${section.articles.length} items)`);
 
-                // Add a section marker/divider if EPUB generator supports it
-                // For now, we'll add articles with their section category
+                // Generators without section support fall back to using the section name as category
+                const supportsSections = typeof generator.addSection === 'function';
+                if (supportsSections) {
+                    generator.addSection(section.sectionName);
+                }
+
                 section.articles.forEach(item => {
-                    generator.addArticle(
-                        item.title,
-                        item.content,
-                        item.author,
-                        section.sectionName // Use section name as category
-                    );
+                    addItem(item, supportsSections ? item.category : section.sectionName);
                 });
             });
         } else {
             // Add content without clustering (original behavior)
             allContentItems.forEach(item => {
-                generator.addArticle(
-                    item.title,
-                    item.content,
-                    item.author,
-                    item.category
-                );
+                addItem(item, item.category);
             });
         }
 
-        // Generate the EPUB file
-        const date = new Date();
-        // Use /tmp directory for output in serverless environments
-        const outputDir = '/tmp/out';
-        // fs.mkdirSync is needed if epub_generator doesn't create parent directories.
-        // However, epub_generator.js uses jszip and fs.writeFileSync, which won't create parent dirs.
-        // We need to ensure outputDir exists.
-        // Node.js `fs.promises.mkdir` can be used with { recursive: true }.
-        // Let's import fs/promises at the top of the file.
-        const outputPath = `${outputDir}/magazine-${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}.epub`;
-
-        // Ensure the output directory exists
-        // Adding this directly here for simplicity.
-        // Consider moving to a utility or ensuring epub_generator handles it.
-        // const fs = require('fs'); // Using require for synchronous check or use promises
-        // Changed to import fs from 'fs' at the top of the file
-        if (!fs.existsSync(outputDir)){ // fs will be from the import
-            fs.mkdirSync(outputDir, { recursive: true });
+        if (appendix.length > 0) {
+            console.log(`Moved ${appendix.length} long code listing${appendix.length === 1 ? '' : 's'} to the appendix`);
+            generator.addAppendix(localizer.t('appendix.title'), renderAppendix(appendix, localizer));
         }
 
-        return generator.generateEPUB(outputPath);
+        return generator;
+    }
+
+    // Reproducible builds name the file after the build date; running issue numbers keep
+    // two issues from the same month apart. Kepub issues end in '.kepub.epub'.
+    getOutputFilename(generator, format = DEFAULT_FORMAT) {
+        const date = generator.currentDate ?? new Date();
+        const issue = generator.hasFixedIssueNumber ? `-issue-${generator.issueNumber}` : '';
+        const extension = format === DEFAULT_FORMAT ? generator.fileExtension ?? '.epub' : OUTPUT_FORMATS[format].extension;
+        return `magazine-${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}${issue}${extension}`;
     }
 }
@@ -0,0 +1,505 @@
+/**
+ * Markdown to XHTML rendering for Claude conversation messages
+ * @fileoverview Converts the Markdown Claude produces (fenced code, lists, tables,
+ * block quotes, emphasis, links) into well-formed XHTML fragments for EPUB chapters
+ */
+
+import { escapeXml } from './xmlUtils.js';
+import { MATH_PATTERN } from './mathRenderer.js';
+
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:( +)(.*)| *)$/;
+const TABLE_DELIMITER = /^ *\|? *:?-+:? *(?:\| *:?-+:? *)*\|? *$/;
+const INDENTED_CODE = /^(?: {4}|\t)/;
+
+// Characters that are not allowed anywhere in an XML 1.0 document
+function isValidXMLChar(char) {
+    const code = char.charCodeAt(0);
+    return (code > 0x1F || code === 0x09 || code === 0x0A || code === 0x0D) && code !== 0xFFFE && code !== 0xFFFF;
+}
+
+// Stashed inline fragments are marked with U+FFFF, which render() removes from the source
+const PLACEHOLDER = /\uFFFF(\d+)\uFFFF/g;
+
+// Runs of emphasis delimiters: * and _ for emphasis, ~~ for strikethrough
+const DELIMITER_RUN = /\*+|_+|~+/g;
+
+function isPunctuation(char) {
+    return /[\p{P}\p{S}]/u.test(char);
+}
+
+/**
+ * Turns emphasis, strong and strikethrough delimiters into tags. Delimiters are matched in a
+ * single pass over a stack, following the CommonMark rules, so the tags always nest.
+ * @param {string} text - Escaped inline text
+ * @returns {string}
+ */
+function renderEmphasis(text) {
+    const nodes = [];
+    const delimiters = [];
+    let last = 0;
+
+    for (const match of text.matchAll(DELIMITER_RUN)) {
+        const [run] = match;
+        const char = run[0];
+        const before = text[match.index - 1] ?? ' ';
+        const after = text[match.index + run.length] ?? ' ';
+        const leftFlanking = !/\s/.test(after) && (!isPunctuation(after) || /\s/.test(before) || isPunctuation(before));
+        const rightFlanking = !/\s/.test(before) && (!isPunctuation(before) || /\s/.test(after) || isPunctuation(after));
+        // Underscores inside words (snake_case) never open or close emphasis
+        const delimiter = {
+            char,
+            length: run.length,
+            count: run.length,
+            canOpen: char === '_' ? leftFlanking && (!rightFlanking || isPunctuation(before)) : leftFlanking,
+            canClose: char === '_' ? rightFlanking && (!leftFlanking || isPunctuation(after)) : rightFlanking,
+            open: '',
+            close: ''
+        };
+        nodes.push(text.slice(last, match.index), delimiter);
+        if (char !== '~' || run.length === 2) {
+            delimiters.push(delimiter);
+        }
+        last = match.index + run.length;
+    }
+    if (delimiters.length === 0) {
+        return text;
+    }
+    nodes.push(text.slice(last));
+
+    const pairs = (opener, closer) => opener.canOpen && opener.count > 0 && opener.char === closer.char &&
+        // A run that can both open and close only pairs with one whose lengths don't add up to a multiple of three
+        !((opener.canClose || closer.canOpen) && (opener.length + closer.length) % 3 === 0 &&
+            (opener.length % 3 !== 0 || closer.length % 3 !== 0));
+
+    delimiters.forEach((closer, closerIndex) => {
+        while (closer.canClose && closer.count > 0) {
+            const openerIndex = delimiters.slice(0, closerIndex).findLastIndex(opener => pairs(opener, closer));
+            if (openerIndex === -1) {
+                break;
+            }
+            const opener = delimiters[openerIndex];
+            // Between two runs of three or more, the emphasis goes inside the strong
+            const use = closer.char === '~' ? 2 : opener.count >= 2 && closer.count >= 2 && (opener.count < 3 || closer.count < 3) ? 2 : 1;
+            const tag = closer.char === '~' ? 'del' : use === 2 ? 'strong' : 'em';
+            opener.open = `<${tag}>${opener.open}`;
+            closer.close += `</${tag}>`;
+            opener.count -= use;
+            closer.count -= use;
+            // Delimiters inside the pair can no longer open anything outside it
+            delimiters.slice(openerIndex + 1, closerIndex).forEach(inner => { inner.canOpen = false; });
+        }
+    });
+
+    return nodes.map(node => typeof node === 'string'
+        ? node
+        : `${node.close}${node.char.repeat(node.count)}${node.open}`).join('');
+}
+
+/**
+ * Returns true if the URL is safe to emit in an href/src attribute
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isSafeUrl(url) {
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+}
+
+function isRemoteUrl(url) {
+    return /^https?:\/\//i.test(url);
+}
+
+/**
+ * Splits a GFM table row into trimmed cell strings, honouring escaped pipes
+ * @param {string} line - Table row
+ * @returns {Array<string>}
+ */
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [];
+    let current = '';
+    let inCode = false;
+    for (let i = 0; i < row.length; i++) {
+        const char = row[i];
+        if (char === '\\' && row[i + 1] === '|') {
+            current += '|';
+            i++;
+        } else if (char === '`') {
+            inCode = !inCode;
+            current += char;
+        } else if (char === '|' && !inCode) {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+function leadingSpaces(line) {
+    const expanded = line.replace(/^\t+/, tabs => '    '.repeat(tabs.length));
+    return expanded.length - expanded.trimStart().length;
+}
+
+function stripIndent(line, amount) {
+    const expanded = line.replace(/^\t+/, tabs => '    '.repeat(tabs.length));
+    const available = expanded.length - expanded.trimStart().length;
+    return expanded.slice(Math.min(amount, available));
+}
+
+/**
+ * Renders Markdown into well-formed XHTML.
+ *
+ * All text is XML-escaped, void elements are self-closed and only http(s),
+ * mailto and relative link targets are kept, so the output can be dropped
+ * straight into an EPUB chapter.
+ */
+export class MarkdownRenderer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.headingOffset=0] - Added to heading levels (capped at h6)
+     * @param {boolean} [options.breaks=false] - Render single newlines inside paragraphs as <br/>
+     * @param {boolean} [options.math=false] - Keep TeX math (`$…$`, `$$…$$`, `\(…\)`, `\[…\]`) intact
+     * for the math renderer instead of reading `_`, `*` and `\` inside it as Markdown
+     */
+    constructor(options = {}) {
+        this.headingOffset = options.headingOffset || 0;
+        this.breaks = options.breaks || false;
+        this.math = options.math || false;
+    }
+
+    /**
+     * Renders a Markdown document
+     * @param {string} markdown - Markdown source
+     * @returns {string} XHTML fragment
+     */
+    render(markdown) {
+        if (markdown === null || markdown === undefined) return '';
+        const source = Array.from(String(markdown).replace(/\r\n?/g, '\n'))
+            .filter(isValidXMLChar)
+            .join('');
+        return this.renderBlocks(source.split('\n'));
+    }
+
+    /**
+     * Renders a sequence of lines as block-level XHTML
+     * @param {Array<string>} lines - Source lines
+     * @param {boolean} [tight=false] - Omit <p> wrappers (tight list items)
+     * @returns {string}
+     */
+    renderBlocks(lines, tight = false) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (line.trim() === '') {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(FENCE_OPEN);
+            if (fence && !(fence[1][0] === '`' && fence[2].includes('`'))) {
+                i = this.renderFencedCode(lines, i, fence, html);
+                continue;
+            }
+
+            const heading = line.match(ATX_HEADING);
+            if (heading) {
+                const level = Math.min(heading[1].length + this.headingOffset, 6);
+                html.push(`<h${level}>${this.renderInline(heading[2] || '')}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (THEMATIC_BREAK.test(line)) {
+                html.push('<hr/>');
+                i++;
+                continue;
+            }
+
+            if (BLOCKQUOTE.test(line)) {
+                const quoted = [];
+                while (i < lines.length && lines[i].trim() !== '') {
+                    quoted.push(lines[i].replace(BLOCKQUOTE, ''));
+                    i++;
+                }
+                html.push(`<blockquote>\n${this.renderBlocks(quoted)}\n</blockquote>`);
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                i = this.renderTable(lines, i, html);
+                continue;
+            }
+
+            if (LIST_ITEM.test(line) && leadingSpaces(line) < 4) {
+                i = this.renderList(lines, i, html);
+                continue;
+            }
+
+            if (INDENTED_CODE.test(line)) {
+                const code = [];
+                while (i < lines.length && (INDENTED_CODE.test(lines[i]) || lines[i].trim() === '')) {
+                    code.push(stripIndent(lines[i], 4));
+                    i++;
+                }
+                while (code.length > 0 && code[code.length - 1].trim() === '') code.pop();
+                html.push(`<pre><code>${escapeXml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() !== '' && (paragraph.length === 0 || !this.interruptsParagraph(lines, i))) {
+                paragraph.push(lines[i].trimStart());
+                i++;
+            }
+            const inline = this.renderInline(paragraph.join('\n').trimEnd());
+            html.push(tight ? inline : `<p>${inline}</p>`);
+        }
+
+        return html.join('\n');
+    }
+
+    /**
+     * Returns true if the line at index starts a block that ends the current paragraph
+     */
+    interruptsParagraph(lines, index) {
+        const line = lines[index];
+        return FENCE_OPEN.test(line) ||
+            ATX_HEADING.test(line) ||
+            THEMATIC_BREAK.test(line) ||
+            BLOCKQUOTE.test(line) ||
+            this.listItemInterrupts(line) ||
+            this.isTableStart(lines, index);
+    }
+
+    /**
+     * A list item only interrupts a paragraph if it has content, and an
+     * ordered one only if it starts at 1 (so "2024. was busy" stays prose)
+     */
+    listItemInterrupts(line) {
+        const item = line.match(LIST_ITEM);
+        if (!item || leadingSpaces(line) >= 4 || item[4] === undefined) return false;
+        return !/\d/.test(item[2]) || parseInt(item[2], 10) === 1;
+    }
+
+    renderFencedCode(lines, start, fence, html) {
+        const marker = fence[1];
+        const language = fence[2].replace(/[^\w+#.-]/g, '');
+        const indent = leadingSpaces(lines[start]);
+        const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+        const code = [];
+        let i = start + 1;
+
+        while (i < lines.length && !closing.test(lines[i])) {
+            code.push(stripIndent(lines[i], indent));
+            i++;
+        }
+
+        const classAttr = language ? ` class="language-${escapeXml(language)}"` : '';
+        html.push(`<pre><code${classAttr}>${escapeXml(code.join('\n'))}</code></pre>`);
+        // Skip the closing fence (an unclosed fence runs to the end of the message)
+        return i + 1;
+    }
+
+    isTableStart(lines, index) {
+        return index + 1 < lines.length &&
+            lines[index].includes('|') &&
+            TABLE_DELIMITER.test(lines[index + 1]) &&
+            lines[index + 1].includes('-') &&
+            splitTableRow(lines[index]).length === splitTableRow(lines[index + 1]).length;
+    }
+
+    renderTable(lines, start, html) {
+        const headers = splitTableRow(lines[start]);
+        const alignments = splitTableRow(lines[start + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            if (left) return 'left';
+            return null;
+        });
+        const cellAttr = column => alignments[column] ? ` style="text-align: ${alignments[column]}"` : '';
+
+        let i = start + 2;
+        const rows = [];
+        while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+            const cells = splitTableRow(lines[i]);
+            const normalized = headers.map((_, column) => cells[column] || '');
+            rows.push(`<tr>${normalized.map((cell, column) => `<td${cellAttr(column)}>${this.renderInline(cell)}</td>`).join('')}</tr>`);
+            i++;
+        }
+
+        const head = `<thead>\n<tr>${headers.map((cell, column) => `<th${cellAttr(column)}>${this.renderInline(cell)}</th>`).join('')}</tr>\n</thead>`;
+        const body = rows.length > 0 ? `\n<tbody>\n${rows.join('\n')}\n</tbody>` : '';
+        html.push(`<table>\n${head}${body}\n</table>`);
+        return i;
+    }
+
+    renderList(lines, start, html) {
+        const first = lines[start].match(LIST_ITEM);
+        const baseIndent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const startNumber = ordered ? parseInt(first[2], 10) : null;
+
+        const items = [];
+        let current = null;
+        let loose = false;
+        let sawBlank = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const item = line.match(LIST_ITEM);
+            const indent = leadingSpaces(line);
+
+            if (item && indent >= baseIndent && indent < (current ? current.contentIndent : baseIndent + 1) &&
+                /\d/.test(item[2]) === ordered) {
+                if (sawBlank && current) loose = true;
+                // Content starting 5+ columns after the marker is indented code, so it belongs one column in
+                const spacing = item[3] ? item[3].length : 1;
+                const contentIndent = indent + item[2].length + (spacing > 4 ? 1 : spacing);
+                current = { lines: [item[4] || ''], contentIndent };
+                items.push(current);
+                sawBlank = false;
+                i++;
+                continue;
+            }
+
+            if (line.trim() === '') {
+                // A blank line only continues the list if more of it follows
+                let next = i + 1;
+                while (next < lines.length && lines[next].trim() === '') next++;
+                if (next >= lines.length) break;
+                const nextLine = lines[next];
+                const nextItem = nextLine.match(LIST_ITEM);
+                const continuesItem = leadingSpaces(nextLine) >= current.contentIndent;
+                const siblingItem = nextItem && leadingSpaces(nextLine) >= baseIndent &&
+                    leadingSpaces(nextLine) < current.contentIndent && /\d/.test(nextItem[2]) === ordered;
+                if (!continuesItem && !siblingItem) break;
+                current.lines.push('');
+                sawBlank = true;
+                i++;
+                continue;
+            }
+
+            if (indent >= current.contentIndent) {
+                if (sawBlank && current.lines.some(l => l.trim() !== '')) loose = true;
+                current.lines.push(stripIndent(line, current.contentIndent));
+                sawBlank = false;
+                i++;
+                continue;
+            }
+
+            // Lazy continuation of the item's paragraph
+            if (!sawBlank && !this.interruptsParagraph(lines, i)) {
+                current.lines.push(line.trimStart());
+                i++;
+                continue;
+            }
+
+            break;
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+        const renderedItems = items.map(entry => {
+            while (entry.lines.length > 0 && entry.lines[entry.lines.length - 1].trim() === '') entry.lines.pop();
+            return `<li>${this.renderBlocks(entry.lines, !loose)}</li>`;
+        });
+        html.push(`<${tag}${startAttr}>\n${renderedItems.join('\n')}\n</${tag}>`);
+        return i;
+    }
+
+    /**
+     * Renders inline Markdown (code spans, links, emphasis) into XHTML
+     * @param {string} text - Inline Markdown
+     * @returns {string}
+     */
+    renderInline(text) {
+        const stash = [];
+        const hold = html => `\uFFFF${stash.push(html) - 1}\uFFFF`;
+
+        let source = text;
+
+        // Code spans take precedence over every other inline construct
+        source = source.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => {
+            const trimmed = /^ [\s\S]* $/.test(code) && code.trim() !== '' ? code.slice(1, -1) : code;
+            return hold(`<code>${escapeXml(trimmed.replace(/\n/g, ' '))}</code>`);
+        });
+
+        // Math is left as TeX source; an escaped dollar becomes a character reference so it
+        // never opens math later
+        if (this.math) {
+            source = source.replace(MATH_PATTERN, match => hold(escapeXml(match)));
+            source = source.replace(/\\\$/g, () => hold('&#36;'));
+        }
+
+        // Backslash escapes
+        source = source.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, (_, char) => hold(escapeXml(char)));
+
+        // Autolinks: <https://example.com>
+        source = source.replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, (_, url) =>
+            hold(`<a href="${escapeXml(url)}">${escapeXml(url)}</a>`));
+
+        // Images and links: ![alt](src "title") / [text](href "title")
+        source = source.replace(/(!?)\[((?:[^[\]]|\[[^[\]]*\])*)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g,
+            (match, bang, label, url, title) => {
+                if (!isSafeUrl(url)) {
+                    return bang ? hold(escapeXml(label)) : label;
+                }
+                const titleAttr = title ? ` title="${escapeXml(title)}"` : '';
+                if (bang) {
+                    // Remote images cannot be packaged into the EPUB, so link to them instead
+                    if (isRemoteUrl(url)) {
+                        return hold(`<a href="${escapeXml(url)}"${titleAttr}>${escapeXml(label || url)}</a>`);
+                    }
+                    return hold(`<img src="${escapeXml(url)}" alt="${escapeXml(label)}"${titleAttr}/>`);
+                }
+                return hold(`<a href="${escapeXml(url)}"${titleAttr}>${this.renderInline(label)}</a>`);
+            });
+
+        // Bare URLs
+        source = source.replace(/\bhttps?:\/\/[^\s<>\uFFFF]*[^\s<>\uFFFF.,:;!?'")\]*_]/g, url =>
+            hold(`<a href="${escapeXml(url)}">${escapeXml(url)}</a>`));
+
+        let html = escapeXml(source);
+
+        // Hard line breaks: two trailing spaces, a trailing backslash, or any newline in breaks mode
+        html = this.breaks
+            ? html.replace(/(?: {2,}|\\)?\n/g, '<br/>\n')
+            : html.replace(/(?: {2,}|\\)\n/g, '<br/>\n');
+
+        html = renderEmphasis(html);
+
+        // Restore stashed fragments (they may themselves contain placeholders)
+        while (html.includes('\uFFFF')) {
+            html = html.replace(PLACEHOLDER, (_, index) => stash[Number(index)]);
+        }
+        return html;
+    }
+}
+
+/**
+ * Convenience wrapper that renders Markdown with a one-off renderer
+ * @param {string} markdown - Markdown source
+ * @param {Object} [options] - See {@link MarkdownRenderer}
+ * @returns {string} XHTML fragment
+ */
+export function renderMarkdown(markdown, options = {}) {
+    return new MarkdownRenderer(options).render(markdown);
+}
+
+export default renderMarkdown;
@@ -0,0 +1,154 @@
+/**
+ * TeX math support for article and chat content
+ * @fileoverview Converts `$…$`, `$$…$$`, `\(…\)` and `\[…\]` TeX math into MathML for
+ * EPUB 3 readers, or into readable Unicode text for readers without MathML support (Kindle)
+ */
+
+import temml from 'temml';
+import { escapeXml, decodeXmlEntities } from './xmlUtils.js';
+
+// Display math first, then inline. A lone `$` only opens math when it is followed by a
+// non-space and closes when preceded by a non-space and not followed by a digit, so
+// prices such as "$5 and $10" stay text.
+export const MATH_PATTERN = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|(?<![\\$\w])\$(?=[^\s$])((?:[^$\\\n]|\\[^\n])+?)(?<=[^\s\\])\$(?![\d$])/g;
+
+const CODE_BLOCK = /(<pre\b[\s\S]*?<\/pre>|<code\b[\s\S]*?<\/code>)/g;
+const TAG = /(<[^>]*>)/;
+
+const SYMBOLS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+    rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    cdot: '·', times: '×', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘',
+    leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃',
+    propto: '∝', ll: '≪', gg: '≫', infty: '∞', partial: '∂', nabla: '∇',
+    sum: '∑', prod: '∏', int: '∫', oint: '∮',
+    to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐',
+    Leftrightarrow: '⇔', iff: '⇔', implies: '⇒', mapsto: '↦',
+    in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+    cup: '∪', cap: '∩', emptyset: '∅', varnothing: '∅', forall: '∀', exists: '∃', neg: '¬',
+    land: '∧', wedge: '∧', lor: '∨', vee: '∨', oplus: '⊕', otimes: '⊗',
+    ldots: '…', cdots: '⋯', dots: '…', vdots: '⋮', ddots: '⋱',
+    langle: '⟨', rangle: '⟩', lvert: '|', rvert: '|', mid: '|', vert: '|', Vert: '‖', lVert: '‖', rVert: '‖',
+    lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', prime: '′', degree: '°', hbar: 'ℏ', ell: 'ℓ',
+    '{': '{', '}': '}', '%': '%', '$': '$', '&': '&', '#': '#', '_': '_'
+};
+
+const BLACKBOARD = { R: 'ℝ', N: 'ℕ', Z: 'ℤ', Q: 'ℚ', C: 'ℂ', P: 'ℙ', E: '𝔼' };
+const ACCENTS = { hat: '̂', bar: '̄', overline: '̅', tilde: '̃', vec: '⃗', dot: '̇', ddot: '̈' };
+const SUPERSCRIPTS = { '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹', '+': '⁺', '-': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', 'n': 'ⁿ', 'i': 'ⁱ', 'T': 'ᵀ' };
+const SUBSCRIPTS = { '0': '₀', '1': '₁', '2': '₂', '3': '₃', '4': '₄', '5': '₅', '6': '₆', '7': '₇', '8': '₈', '9': '₉', '+': '₊', '-': '₋', '=': '₌', '(': '₍', ')': '₎', 'i': 'ᵢ', 'j': 'ⱼ', 'k': 'ₖ', 'n': 'ₙ', 'm': 'ₘ', 't': 'ₜ', 'x': 'ₓ' };
+
+// Commands whose argument is kept as plain text
+const TEXT_COMMANDS = /\\(?:text|textrm|textbf|textit|mathrm|mathbf|mathit|mathsf|mathtt|operatorname|boldsymbol|mathcal)\s*\{([^{}]*)\}/g;
+// Named functions are written upright, with the backslash dropped
+const FUNCTION_NAMES = /\\(log|ln|exp|sin|cos|tan|sec|csc|cot|arcsin|arccos|arctan|sinh|cosh|tanh|max|min|sup|inf|lim|det|arg|deg|gcd|Pr|var|Var|Cov|argmax|argmin)\b/g;
+
+/**
+ * Converts TeX to a MathML <math> element
+ * @param {string} tex - TeX source without delimiters
+ * @param {Object} [options]
+ * @param {boolean} [options.displayMode=false] - Render as a block
+ * @returns {string} MathML markup
+ * @throws {Error} If the TeX cannot be parsed
+ */
+export function texToMathML(tex, { displayMode = false } = {}) {
+    const mathml = temml.renderToString(tex, { displayMode, xml: true, annotate: true, throwOnError: true });
+    // alttext lets reading systems without MathML rendering still speak the formula
+    return mathml.replace(/^<math\b/, `<math alttext="${escapeXml(tex.trim())}"`);
+}
+
+/**
+ * Converts TeX to a plain-text approximation using Unicode symbols, e.g. `\frac{a}{b} \leq x^2`
+ * becomes "a/b ≤ x²"
+ * @param {string} tex - TeX source without delimiters
+ * @returns {string}
+ */
+export function texToText(tex) {
+    let text = String(tex);
+
+    const replaceUntilStable = (pattern, replacer) => {
+        let previous;
+        do {
+            previous = text;
+            text = text.replace(pattern, replacer);
+        } while (text !== previous);
+    };
+
+    text = text.replace(TEXT_COMMANDS, (match, content) => content);
+    text = text.replace(/\\mathbb\s*\{?([A-Z])\}?/g, (match, letter) => BLACKBOARD[letter] || letter);
+    text = text.replace(/\\(hat|bar|overline|tilde|vec|dot|ddot)\s*\{?([A-Za-z0-9])\}?/g, (match, accent, letter) => letter + ACCENTS[accent]);
+    text = text.replace(FUNCTION_NAMES, '$1 ');
+    text = text.replace(/\\(?:left|right|big|Big|bigg|Bigg)\b\s*\\?([()[\]|.{}]|\\[a-zA-Z]+)/g, (match, delimiter) => delimiter === '.' ? '' : delimiter);
+
+    // Innermost groups first, so nested fractions and roots come out right
+    const group = (value) => /^[\w.′]+$/u.test(value) ? value : `(${value})`;
+    replaceUntilStable(/\\[dt]?frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/g, (match, numerator, denominator) =>
+        `${group(numerator.trim())}/${group(denominator.trim())}`);
+    replaceUntilStable(/\\sqrt\s*\[([^\]]*)\]\s*\{([^{}]*)\}/g, (match, degree, radicand) =>
+        `${degree.trim() === '3' ? '∛' : degree.trim() === '4' ? '∜' : `${degree.trim()}√`}${group(radicand.trim())}`);
+    replaceUntilStable(/\\sqrt\s*\{([^{}]*)\}/g, (match, radicand) => `√${group(radicand.trim())}`);
+
+    const script = (map, marker) => (match, braced, single) => {
+        const value = (braced ?? single).trim();
+        const chars = [...value];
+        return chars.every(char => map[char]) ? chars.map(char => map[char]).join('') : `${marker}${group(value)}`;
+    };
+    // Symbols first, so a script like ^{i\pi} is judged by what it looks like ("iπ");
+    // a parenthesised script is already done and is not matched again
+    text = text.replace(/\\([a-zA-Z]+)/g, (match, name) => SYMBOLS[name] ?? match);
+    replaceUntilStable(/\^\s*(?:\{([^{}]*)\}|([^\s{}\\(]))/g, script(SUPERSCRIPTS, '^'));
+    replaceUntilStable(/_\s*(?:\{([^{}]*)\}|([^\s{}\\(]))/g, script(SUBSCRIPTS, '_'));
+
+    text = text
+        .replace(/\\\\/g, '; ')
+        .replace(/\\(?:,|;|:|!|quad|qquad|\s)/g, ' ')
+        .replace(/\\([a-zA-Z]+|[{}%$&#_])/g, (match, name) => SYMBOLS[name] ?? name)
+        .replace(/[{}]/g, '')
+        .replace(/&/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return text;
+}
+
+/**
+ * Converts the math in an HTML fragment. Code, pre-formatted blocks and attribute values
+ * are left alone.
+ * @param {string} html - Article or chat content
+ * @param {Object} [options]
+ * @param {string} [options.output='mathml'] - 'mathml' for MathML, 'text' for the Unicode fallback
+ * @param {string} [options.title] - Article title, used in warnings
+ * @returns {string}
+ */
+export function renderMath(html, { output = 'mathml', title = '' } = {}) {
+    if (typeof html !== 'string' || !/[$\\]/.test(html)) {
+        return html;
+    }
+
+    return html.split(CODE_BLOCK)
+        .map((part, index) => index % 2 === 1 ? part : part.split(TAG)
+            .map((segment, segmentIndex) => segmentIndex % 2 === 1 ? segment : renderMathInText(segment, output, title))
+            .join(''))
+        .join('');
+}
+
+function renderMathInText(text, output, title) {
+    return text.replace(MATH_PATTERN, (match, display, bracketDisplay, parenInline, dollarInline) => {
+        const displayMode = display !== undefined || bracketDisplay !== undefined;
+        const tex = decodeXmlEntities(display ?? bracketDisplay ?? parenInline ?? dollarInline);
+
+        if (output === 'mathml') {
+            try {
+                return texToMathML(tex, { displayMode });
+            } catch (error) {
+                console.warn(`Warning: Could not convert math '${tex.trim()}'${title ? ` in "${title}"` : ''}: ${error.message}`);
+            }
+        }
+
+        const className = displayMode ? 'math-text math-display' : 'math-text';
+        return `<span class="${className}">${escapeXml(texToText(tex))}</span>`;
+    });
+}
+
+export default renderMath;
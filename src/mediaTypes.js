@@ -0,0 +1,89 @@
+/**
+ * Media type lookup for files packaged into EPUBs
+ * @fileoverview Maps image and font file extensions to the core media types EPUB readers support
+ */
+
+import { extname } from 'path';
+
+const IMAGE_MEDIA_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp'
+};
+
+const FONT_MEDIA_TYPES = {
+    '.otf': 'font/otf',
+    '.ttf': 'font/ttf',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+/**
+ * Returns the media type for an image file name, or null if it is not a supported image
+ * @param {string} filename - File name or path
+ * @returns {string|null} Media type
+ */
+export function getImageMediaType(filename) {
+    return IMAGE_MEDIA_TYPES[extname(filename).toLowerCase()] || null;
+}
+
+/**
+ * Returns true if the file name has a supported image extension
+ * @param {string} filename - File name or path
+ * @returns {boolean}
+ */
+export function isSupportedImage(filename) {
+    return getImageMediaType(filename) !== null;
+}
+
+/**
+ * Returns the media type for a font file name, or null if it is not a supported font
+ * @param {string} filename - File name or path
+ * @returns {string|null} Media type
+ */
+export function getFontMediaType(filename) {
+    return FONT_MEDIA_TYPES[extname(filename).toLowerCase()] || null;
+}
+
+/**
+ * Reads the pixel size of a PNG, JPEG, GIF or WebP image from its header
+ * @param {Buffer} data - Image file contents
+ * @returns {{width: number, height: number}|null} Size, or null for vector or unreadable images
+ */
+export function getImageDimensions(data) {
+    if (data.length >= 24 && data.toString('ascii', 1, 4) === 'PNG') {
+        return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    }
+    if (data.length >= 10 && data.toString('ascii', 0, 3) === 'GIF') {
+        return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+    }
+    if (data.length >= 30 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = data.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') {
+            return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === 'VP8L') {
+            const bits = data.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+        }
+        return null;
+    }
+    if (data.length >= 4 && data[0] === 0xff && data[1] === 0xd8) {
+        // Walk the JPEG segments to the first start-of-frame marker
+        let offset = 2;
+        while (offset + 9 < data.length && data[offset] === 0xff) {
+            const marker = data[offset + 1];
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + data.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
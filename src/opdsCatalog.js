@@ -0,0 +1,283 @@
+/**
+ * OPDS catalog of generated issues
+ * @fileoverview Keeps the EPUBs the web server generates in a library folder next to the
+ * user's content file, so per-user scoping follows resolveContentPath, and renders an
+ * OPDS 1.2 acquisition feed of them for e-readers (KOReader, Kobo via plugins) to browse
+ * and download from. Entry details (identifier, language, series, cover) are read from
+ * each EPUB's package document, so the feed describes the files as they were written; they
+ * are kept until the file changes, so listing the library does not unzip every issue. An
+ * issue whose EPUB cannot be read is left out of the feed rather than failing it.
+ */
+
+import * as syncFs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import JSZip from 'jszip';
+import { JSDOM } from 'jsdom';
+import { escapeXml } from './xmlUtils.js';
+import { Localizer } from './i18n.js';
+import { Logger } from './logger.js';
+
+export const OPDS_ACQUISITION_FEED_TYPE = 'application/atom+xml;profile=opds-catalog;kind=acquisition';
+
+const EPUB_MEDIA_TYPE = 'application/epub+zip';
+const KEPUB_MEDIA_TYPE = 'application/kepub+zip';
+
+const NS = {
+    container: 'urn:oasis:names:tc:opendocument:xmlns:container',
+    opf: 'http://www.idpf.org/2007/opf',
+    dc: 'http://purl.org/dc/elements/1.1/'
+};
+
+// EPUB details already read, by file path, with the modification time and size they were read at.
+// Rendering a feed drops the entries of its library's files that are no longer listed.
+const detailsCache = new Map();
+
+/**
+ * Returns the library folder for a content file
+ * @param {string} contentPath - The user's content file, as given by resolveContentPath
+ * @returns {string}
+ */
+export function getLibraryDir(contentPath) {
+    return path.join(path.dirname(contentPath), 'library');
+}
+
+/**
+ * Returns the media type an issue is downloaded as; Kobo readers only treat .kepub.epub files as kepubs
+ * @param {string} filename
+ * @returns {string}
+ */
+export function getIssueMediaType(filename) {
+    return filename.endsWith('.kepub.epub') ? KEPUB_MEDIA_TYPE : EPUB_MEDIA_TYPE;
+}
+
+function parseXML(content) {
+    return new JSDOM(content, { contentType: 'application/xml' }).window.document;
+}
+
+/**
+ * Reads the details an OPDS entry needs from an EPUB's package document
+ * @param {Buffer} data - The EPUB archive
+ * @returns {Promise<{identifier: string|null, language: string|null, description: string|null, series: string|null, seriesPosition: number|null, cover: {path: string, mediaType: string}|null}>}
+ */
+export async function readEPUBDetails(data) {
+    return readPackageDetails(await JSZip.loadAsync(data));
+}
+
+async function readPackageDetails(zip) {
+    const container = parseXML(await zip.file('META-INF/container.xml').async('string'));
+    const opfPath = container.getElementsByTagNameNS(NS.container, 'rootfile')[0].getAttribute('full-path');
+    const opf = parseXML(await zip.file(opfPath).async('string'));
+
+    const text = (namespace, name) => opf.getElementsByTagNameNS(namespace, name)[0]?.textContent.trim() || null;
+    const metas = [...opf.getElementsByTagNameNS(NS.opf, 'meta')];
+    const series = metas.find(meta => meta.getAttribute('property') === 'belongs-to-collection');
+    const position = series && metas.find(meta =>
+        meta.getAttribute('refines') === `#${series.getAttribute('id')}` && meta.getAttribute('property') === 'group-position');
+    const coverItem = [...opf.getElementsByTagNameNS(NS.opf, 'item')]
+        .find(item => (item.getAttribute('properties') || '').split(/\s+/).includes('cover-image'));
+
+    return {
+        identifier: text(NS.dc, 'identifier'),
+        language: text(NS.dc, 'language'),
+        description: text(NS.dc, 'description'),
+        series: series?.textContent.trim() || null,
+        seriesPosition: position ? Number(position.textContent) : null,
+        cover: coverItem ? {
+            path: path.posix.join(path.posix.dirname(opfPath), coverItem.getAttribute('href')),
+            mediaType: coverItem.getAttribute('media-type')
+        } : null
+    };
+}
+
+/**
+ * The issues kept in one user's library folder. Only issues recorded in the content store
+ * whose file is in the folder are listed, so a download can only name a listed file.
+ */
+export class IssueLibrary {
+    /**
+     * @param {Object} contentManager - ContentManager for the user's content file
+     * @param {string} libraryDir - Folder the EPUBs are written to (see getLibraryDir)
+     * @param {Object} [fsUtils] - File system functions, for testing
+     */
+    constructor(contentManager, libraryDir, fsUtils = null) {
+        this.contentManager = contentManager;
+        this.libraryDir = libraryDir;
+        this.fsUtils = fsUtils || {
+            existsSync: syncFs.existsSync,
+            mkdirSync: syncFs.mkdirSync,
+            readFileSync: syncFs.readFileSync,
+            statSync: syncFs.statSync
+        };
+        this.logger = Logger.child({ component: 'IssueLibrary' });
+    }
+
+    /**
+     * Returns the path an issue file is written to, creating the library folder when needed
+     * @param {string} filename
+     * @returns {string}
+     */
+    prepareIssuePath(filename) {
+        if (!this.fsUtils.existsSync(this.libraryDir)) {
+            this.fsUtils.mkdirSync(this.libraryDir, { recursive: true });
+        }
+        return path.join(this.libraryDir, filename);
+    }
+
+    /**
+     * Lists the recorded issues whose EPUB is in the library, newest first
+     * @returns {Array<Object>} Issue records from the content store
+     */
+    listIssues() {
+        return (this.contentManager.content.issues || [])
+            .filter(issue => issue.filename && this.fsUtils.existsSync(path.join(this.libraryDir, issue.filename)))
+            .sort((a, b) => b.generatedAt.localeCompare(a.generatedAt));
+    }
+
+    /**
+     * Finds a listed issue by its file name
+     * @param {string} filename
+     * @returns {Object|null}
+     */
+    findIssue(filename) {
+        return this.listIssues().find(issue => issue.filename === filename) || null;
+    }
+
+    /**
+     * Returns the path of a listed issue's EPUB
+     * @param {Object} issue
+     * @returns {string}
+     */
+    getIssuePath(issue) {
+        return path.join(this.libraryDir, issue.filename);
+    }
+
+    /**
+     * Reads a listed issue's EPUB details, unless they were read since the file last changed
+     * @param {Object} issue
+     * @param {JSZip} [zip] - The issue's EPUB, when it has already been opened
+     * @returns {Promise<Object>} See readEPUBDetails
+     */
+    async readDetails(issue, zip = null) {
+        const issuePath = this.getIssuePath(issue);
+        const { mtimeMs, size } = this.fsUtils.statSync(issuePath);
+        const key = path.resolve(issuePath);
+        const cached = detailsCache.get(key);
+        if (cached?.mtimeMs === mtimeMs && cached.size === size) {
+            return cached.details;
+        }
+        const details = await readPackageDetails(zip ?? await JSZip.loadAsync(this.fsUtils.readFileSync(issuePath)));
+        detailsCache.set(key, { mtimeMs, size, details });
+        return details;
+    }
+
+    // Drops cached details of files in this library that are no longer listed
+    forgetUnlistedDetails(issues) {
+        const libraryPrefix = path.resolve(this.libraryDir) + path.sep;
+        const listed = new Set(issues.map(issue => path.resolve(this.getIssuePath(issue))));
+        [...detailsCache.keys()]
+            .filter(key => key.startsWith(libraryPrefix) && !listed.has(key))
+            .forEach(key => detailsCache.delete(key));
+    }
+
+    /**
+     * Reads a listed issue's cover image
+     * @param {Object} issue
+     * @returns {Promise<{data: Buffer, mediaType: string}|null>} Null when the issue has no cover
+     */
+    async readCover(issue) {
+        const zip = await JSZip.loadAsync(this.fsUtils.readFileSync(this.getIssuePath(issue)));
+        const { cover } = await this.readDetails(issue, zip);
+        const file = cover && zip.file(cover.path);
+        if (!file) {
+            return null;
+        }
+        return { data: await file.async('nodebuffer'), mediaType: cover.mediaType };
+    }
+
+    /**
+     * Renders the library as an OPDS acquisition feed
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl='/opds'] - Path the catalog is served under
+     * @returns {Promise<string>} Atom XML
+     */
+    async renderFeed({ baseUrl = '/opds' } = {}) {
+        const issues = this.listIssues();
+        this.forgetUnlistedDetails(issues);
+        const entries = await Promise.all(issues.map(async issue => {
+            try {
+                return { issue, details: await this.readDetails(issue) };
+            } catch (error) {
+                this.logger.error('Failed to read issue for the OPDS feed', error, { filename: issue.filename });
+                return null;
+            }
+        }));
+        return renderOPDSFeed(entries.filter(Boolean), {
+            id: `urn:magazeen:library:${crypto.createHash('sha256').update(path.resolve(this.libraryDir)).digest('hex')}`,
+            metadata: this.contentManager.content.metadata || {},
+            baseUrl
+        });
+    }
+}
+
+function renderEntry({ issue, details }, metadata, baseUrl) {
+    const href = `${baseUrl}/issues/${encodeURIComponent(issue.filename)}`;
+    const series = details.series || metadata.title;
+    const position = details.seriesPosition ?? issue.number;
+    const lines = [
+        `<title>${escapeXml(issue.title)}</title>`,
+        `<id>${escapeXml(details.identifier || `urn:magazeen:issue:${issue.volume}:${issue.number}`)}</id>`,
+        `<updated>${escapeXml(issue.generatedAt)}</updated>`,
+        `<dcterms:issued>${escapeXml(issue.date.split('T')[0])}</dcterms:issued>`
+    ];
+    if (metadata.author) {
+        lines.push(`<author><name>${escapeXml(metadata.author)}</name></author>`);
+    }
+    if (details.language) {
+        lines.push(`<dcterms:language>${escapeXml(details.language)}</dcterms:language>`);
+    }
+    if (series) {
+        lines.push(`<dcterms:isPartOf>${escapeXml(series)}</dcterms:isPartOf>`);
+    }
+    if (details.description) {
+        lines.push(`<summary>${escapeXml(details.description)}</summary>`);
+    }
+    // Worded in the issue's language, as on its cover
+    const localizer = new Localizer(details.language ?? metadata.locale);
+    const label = issue.volume
+        ? localizer.t('volumeIssue', { volume: issue.volume, number: position })
+        : localizer.t('issue', { number: position });
+    const place = [series, label].filter(Boolean).join(', ');
+    lines.push(`<content type="text">${escapeXml(place)}</content>`);
+    if (details.cover) {
+        lines.push(`<link rel="http://opds-spec.org/image" href="${escapeXml(href)}/cover" type="${escapeXml(details.cover.mediaType)}"/>`);
+        lines.push(`<link rel="http://opds-spec.org/image/thumbnail" href="${escapeXml(href)}/cover" type="${escapeXml(details.cover.mediaType)}"/>`);
+    }
+    lines.push(`<link rel="http://opds-spec.org/acquisition" href="${escapeXml(href)}" type="${getIssueMediaType(issue.filename)}"/>`);
+
+    return `    <entry>\n${lines.map(line => `        ${line}`).join('\n')}\n    </entry>`;
+}
+
+/**
+ * Renders an OPDS 1.2 acquisition feed
+ * @param {Array<{issue: Object, details: Object}>} entries - Issue records with their EPUB details, in feed order
+ * @param {Object} options
+ * @param {string} options.id - Feed identifier
+ * @param {Object} options.metadata - Content store metadata (title, author)
+ * @param {string} options.baseUrl - Path the catalog is served under
+ * @returns {string} Atom XML
+ */
+export function renderOPDSFeed(entries, { id, metadata, baseUrl }) {
+    const title = metadata.title || 'Magazeen';
+    const updated = entries[0]?.issue.generatedAt ?? new Date(0).toISOString();
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:opds="http://opds-spec.org/2010/catalog">
+    <id>${escapeXml(id)}</id>
+    <title>${escapeXml(title)}</title>
+    <updated>${escapeXml(updated)}</updated>${metadata.author ? `
+    <author><name>${escapeXml(metadata.author)}</name></author>` : ''}
+    <link rel="self" href="${escapeXml(baseUrl)}" type="${OPDS_ACQUISITION_FEED_TYPE}"/>
+    <link rel="start" href="${escapeXml(baseUrl)}" type="${OPDS_ACQUISITION_FEED_TYPE}"/>
+${entries.map(entry => `${renderEntry(entry, metadata, baseUrl)}\n`).join('')}</feed>
+`;
+}
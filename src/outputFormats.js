@@ -0,0 +1,49 @@
+/**
+ * Output formats of generated issues
+ * @fileoverview Every format is made from the same filled EPUB generator; 'epub' packages it
+ * and the others render its sections and chapters in another form
+ */
+
+export const DEFAULT_FORMAT = 'epub';
+
+/**
+ * @typedef {Object} OutputFormat
+ * @property {string} name - Format name, as used with --format
+ * @property {string} label - Name shown to people
+ * @property {string} extension - File name extension, including the dot
+ */
+
+/** @type {Object<string, OutputFormat>} */
+export const OUTPUT_FORMATS = Object.freeze({
+    epub: { name: 'epub', label: 'EPUB', extension: '.epub' },
+    pdf: { name: 'pdf', label: 'PDF for printing', extension: '.pdf' },
+    html: { name: 'html', label: 'Single HTML page', extension: '.html' }
+});
+
+export const FORMAT_NAMES = Object.keys(OUTPUT_FORMATS);
+
+/**
+ * Whether a value names an output format
+ * @param {*} name
+ * @returns {boolean}
+ */
+export function isOutputFormat(name) {
+    return FORMAT_NAMES.includes(name);
+}
+
+/** Page sizes of PDF output, with the size names PDFKit knows them by */
+export const PDF_PAGE_SIZES = Object.freeze({
+    A5: 'A5',
+    Letter: 'LETTER'
+});
+
+/**
+ * Whether a value names a PDF page size
+ * @param {*} name
+ * @returns {boolean}
+ */
+export function isPDFPageSize(name) {
+    return Object.hasOwn(PDF_PAGE_SIZES, name);
+}
+
+export default OUTPUT_FORMATS;
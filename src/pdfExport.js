@@ -0,0 +1,550 @@
+/**
+ * Print-ready PDF export of an issue
+ * @fileoverview Lays out a filled EPUB generator's sections and chapters on A5 or Letter pages
+ * with PDFKit: a title page, a table of contents with page numbers, section openers, chapters
+ * that each start a page, running headers with the section name, page numbers, and code
+ * blocks that wrap instead of running off the page. PDF bookmarks follow the contents.
+ *
+ * The text is set in the standard PDF fonts (Times, Helvetica and Courier), which every PDF
+ * viewer and printer has. They cover Western European text; other characters lose their
+ * accents where that leaves a Latin letter and print as '?' otherwise.
+ */
+
+import PDFDocument from 'pdfkit';
+import { JSDOM } from 'jsdom';
+import { config } from './config.js';
+import { Validator } from './validation.js';
+import { PDF_PAGE_SIZES } from './outputFormats.js';
+import { getImageMediaType, getImageDimensions } from './mediaTypes.js';
+
+const MARGINS = { top: 60, bottom: 54, left: 54, right: 54 };
+
+const FONTS = {
+    regular: 'Times-Roman',
+    bold: 'Times-Bold',
+    italic: 'Times-Italic',
+    boldItalic: 'Times-BoldItalic',
+    heading: 'Helvetica-Bold',
+    sans: 'Helvetica',
+    code: 'Courier'
+};
+
+const BODY_SIZE = 10.5;
+const HEADING_SIZES = { h1: 16, h2: 14, h3: 12.5, h4: 11.5, h5: 11, h6: 11 };
+const TOC_LINE_HEIGHT = 20;
+const GREY = '#555555';
+
+// PDFKit can only place PNG and JPEG images
+const PDF_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption',
+    'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'img', 'li', 'main',
+    'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'svg', 'template']);
+
+// Characters the standard fonts' WinAnsi encoding has outside Latin-1
+const WIN_ANSI_EXTRAS = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ');
+const REPLACEMENTS = { '→': '->', '←': '<-', '⇒': '=>', '≤': '<=', '≥': '>=', '≠': '!=', '−': '-', '✓': 'v', '✔': 'v', '✗': 'x' };
+
+const isWinAnsi = char => {
+    const code = char.charCodeAt(0);
+    return (code < 0x80 || (code >= 0xa0 && code <= 0xff)) || WIN_ANSI_EXTRAS.has(char);
+};
+
+/**
+ * Makes text printable in the standard fonts
+ * @param {string} text
+ * @returns {string}
+ */
+export function toWinAnsi(text) {
+    return [...text].map(char => {
+        if (isWinAnsi(char)) {
+            return char;
+        }
+        if (REPLACEMENTS[char]) {
+            return REPLACEMENTS[char];
+        }
+        const base = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+        return base && [...base].every(isWinAnsi) ? base : '?';
+    }).join('');
+}
+
+// Packaged PNG and JPEG images by their href, for placing in the PDF
+async function loadImages(generator) {
+    const images = new Map();
+    await Promise.all(generator.images.map(async filename => {
+        const href = `images/${filename}`;
+        if (PDF_IMAGE_TYPES.includes(getImageMediaType(filename))) {
+            images.set(href, await generator.oebps.file(href).async('nodebuffer'));
+        }
+    }));
+    return images;
+}
+
+class PDFIssueRenderer {
+    constructor(generator, { pageSize, images }) {
+        this.generator = generator;
+        this.localizer = generator.localizer;
+        this.images = images;
+        this.doc = new PDFDocument({
+            size: PDF_PAGE_SIZES[pageSize],
+            margins: MARGINS,
+            autoFirstPage: false,
+            bufferPages: true,
+            lang: generator.localizer.language,
+            displayTitle: true,
+            info: {
+                Title: toWinAnsi(generator.getIssueTitle()),
+                Author: toWinAnsi(generator.author ?? ''),
+                Subject: toWinAnsi(generator.description ?? ''),
+                // Reproducible builds pin the dates, which also fixes the file identifier
+                ...(generator.buildDate ? { CreationDate: generator.buildDate, ModDate: generator.buildDate } : {})
+            }
+        });
+        // Running header of each page by page index; pages opening a chapter or section have none
+        this.pageHeaders = [];
+        this.runningHeader = null;
+        this.doc.on('pageAdded', () => this.pageHeaders.push(this.runningHeader));
+    }
+
+    /**
+     * @returns {Promise<Buffer>} The finished PDF
+     */
+    render() {
+        const chunks = [];
+        const finished = new Promise((resolve, reject) => {
+            this.doc.on('data', chunk => chunks.push(chunk));
+            this.doc.on('end', () => resolve(Buffer.concat(chunks)));
+            this.doc.on('error', reject);
+        });
+
+        const entries = this.getContentsEntries();
+        this.renderTitlePage();
+        const firstContentsPage = this.pageHeaders.length;
+        this.reserveContentsPages(entries.length);
+
+        let sectionOutline = null;
+        entries.forEach(entry => {
+            if (entry.type === 'section') {
+                sectionOutline = this.renderSection(entry);
+            } else {
+                this.renderChapter(entry, entry.level > 0 ? sectionOutline : this.doc.outline);
+            }
+        });
+
+        this.renderContents(firstContentsPage, entries);
+        this.renderHeadersAndFooters();
+        this.doc.end();
+        return finished;
+    }
+
+    // One line in the contents per section and chapter, in reading order
+    getContentsEntries() {
+        const entries = [];
+        this.generator.readingOrder.forEach(({ type, item }) => {
+            if (type === 'chapter') {
+                entries.push({ type, item, level: 0 });
+                return;
+            }
+            entries.push({ type, item, level: 0 });
+            item.chapters.forEach(chapter => entries.push({ type: 'chapter', item: chapter, level: 1 }));
+        });
+        return entries.map((entry, index) => ({ ...entry, destination: `entry${index + 1}`, page: null }));
+    }
+
+    get width() {
+        return this.doc.page.width - MARGINS.left - MARGINS.right;
+    }
+
+    get bottom() {
+        return this.doc.page.height - MARGINS.bottom;
+    }
+
+    pageNumber() {
+        return this.pageHeaders.length;
+    }
+
+    // Starts a page without a running header; the pages the content flows onto get `header`
+    startPage(header = null) {
+        this.runningHeader = null;
+        this.doc.addPage();
+        this.runningHeader = header;
+    }
+
+    renderTitlePage() {
+        const { doc, generator, localizer } = this;
+        this.startPage();
+        doc.y = doc.page.height * 0.28;
+        doc.font(FONTS.heading).fontSize(28).fillColor('black')
+            .text(toWinAnsi(generator.title), MARGINS.left, doc.y, { width: this.width, align: 'center' });
+        doc.moveDown(0.6);
+        doc.font(FONTS.sans).fontSize(12)
+            .text(toWinAnsi(`${generator.getIssueLabel()} · ${generator.formatIssueDate()}`), { width: this.width, align: 'center' });
+        if (generator.description) {
+            doc.moveDown(1.5);
+            doc.font(FONTS.italic).fontSize(BODY_SIZE + 1)
+                .text(toWinAnsi(generator.description), { width: this.width, align: 'center' });
+        }
+        doc.moveDown(1.5);
+        doc.font(FONTS.sans).fontSize(9).fillColor(GREY)
+            .text(toWinAnsi(`${localizer.t('articleCount', { count: generator.getArticles().length })} · ${generator.getTotalReadingTime()}`), { width: this.width, align: 'center' });
+        doc.fillColor('black');
+    }
+
+    contentsLinesPerPage(first) {
+        const available = this.doc.page.height - MARGINS.top - MARGINS.bottom;
+        // The first page also carries the heading
+        return Math.floor((available - (first ? 2 * TOC_LINE_HEIGHT : 0)) / TOC_LINE_HEIGHT);
+    }
+
+    // The contents come before the pages they list, so their pages are added empty and
+    // filled in once every entry's page number is known
+    reserveContentsPages(count) {
+        let remaining = count;
+        let first = true;
+        do {
+            this.startPage();
+            remaining -= this.contentsLinesPerPage(first);
+            first = false;
+        } while (remaining > 0);
+    }
+
+    renderContents(firstPage, entries) {
+        const { doc } = this;
+        let pageIndex = firstPage;
+        doc.switchToPage(pageIndex);
+        doc.font(FONTS.heading).fontSize(16)
+            .text(toWinAnsi(this.localizer.t('tableOfContents')), MARGINS.left, MARGINS.top, { width: this.width, lineBreak: false });
+        let y = MARGINS.top + 2 * TOC_LINE_HEIGHT;
+        let linesLeft = this.contentsLinesPerPage(true);
+
+        entries.forEach(entry => {
+            if (linesLeft === 0) {
+                doc.switchToPage(++pageIndex);
+                y = MARGINS.top;
+                linesLeft = this.contentsLinesPerPage(false);
+            }
+            const x = MARGINS.left + entry.level * 14;
+            const number = String(entry.page);
+            doc.font(entry.type === 'section' ? FONTS.heading : FONTS.regular).fontSize(entry.type === 'section' ? 10.5 : BODY_SIZE);
+            const numberWidth = doc.widthOfString(number);
+            const titleWidth = this.width - (x - MARGINS.left) - numberWidth - 18;
+            const title = this.fitText(toWinAnsi(entry.item.title), titleWidth);
+            const leaderStart = x + doc.widthOfString(title) + 4;
+            const leaderEnd = MARGINS.left + this.width - numberWidth - 4;
+
+            doc.text(title, x, y, { lineBreak: false });
+            doc.text(number, leaderEnd + 4, y, { lineBreak: false });
+            if (leaderEnd > leaderStart) {
+                const dots = '.'.repeat(Math.floor((leaderEnd - leaderStart) / doc.widthOfString('.')));
+                doc.fillColor(GREY).text(dots, leaderEnd - doc.widthOfString(dots), y, { lineBreak: false }).fillColor('black');
+            }
+            doc.goTo(x, y, MARGINS.left + this.width - x, TOC_LINE_HEIGHT - 4, entry.destination);
+            y += TOC_LINE_HEIGHT;
+            linesLeft--;
+        });
+    }
+
+    // Shortens text with an ellipsis until it fits `width` in the current font
+    fitText(text, width) {
+        if (this.doc.widthOfString(text) <= width) {
+            return text;
+        }
+        let fitted = text;
+        while (fitted.length > 1 && this.doc.widthOfString(`${fitted}…`) > width) {
+            fitted = fitted.slice(0, -1);
+        }
+        return `${fitted.trimEnd()}…`;
+    }
+
+    renderSection(entry) {
+        const { doc, localizer } = this;
+        const section = entry.item;
+        this.startPage();
+        entry.page = this.pageNumber();
+        doc.addNamedDestination(entry.destination);
+        const outline = doc.outline.addItem(toWinAnsi(section.title), { expanded: true });
+
+        doc.y = doc.page.height * 0.3;
+        doc.font(FONTS.sans).fontSize(10).fillColor(GREY)
+            .text(toWinAnsi(localizer.t('section', { number: section.index })).toUpperCase(), MARGINS.left, doc.y, { width: this.width, align: 'center', characterSpacing: 1 });
+        doc.moveDown(0.5);
+        doc.font(FONTS.heading).fontSize(24).fillColor('black')
+            .text(toWinAnsi(section.title), { width: this.width, align: 'center' });
+        if (section.description) {
+            doc.moveDown(1);
+            doc.font(FONTS.italic).fontSize(BODY_SIZE + 1)
+                .text(toWinAnsi(section.description), { width: this.width, align: 'center' });
+        }
+        return outline;
+    }
+
+    renderChapter(entry, outline) {
+        const { doc, generator } = this;
+        const chapter = entry.item;
+        const chapterLocalizer = generator.getChapterLocalizer(chapter);
+        this.startPage({ section: chapter.section?.title ?? generator.title, chapter: chapter.title });
+        entry.page = this.pageNumber();
+        doc.addNamedDestination(entry.destination);
+        outline.addItem(toWinAnsi(chapter.title));
+
+        doc.font(FONTS.sans).fontSize(8.5).fillColor(GREY)
+            .text(toWinAnsi(chapter.category ?? '').toUpperCase(), MARGINS.left, MARGINS.top, { width: this.width, characterSpacing: 0.5 });
+        doc.moveDown(0.4);
+        doc.font(FONTS.heading).fontSize(20).fillColor('black')
+            .text(toWinAnsi(chapter.title), { width: this.width });
+        doc.moveDown(0.3);
+        const meta = [
+            chapter.author ? chapterLocalizer.t('byAuthor', { author: chapter.author }) : null,
+            generator.getReadingTime(chapter, chapterLocalizer),
+            generator.getWordCountLabel(chapter, chapterLocalizer)
+        ].filter(Boolean).join(' · ');
+        doc.font(FONTS.sans).fontSize(9).fillColor(GREY).text(toWinAnsi(meta), { width: this.width });
+        doc.fillColor('black').moveDown(1.2);
+
+        // Formulas print as text; the standard fonts cannot show MathML
+        const xhtml = generator.renderChapterContent(chapter, 'text');
+        const { document } = new JSDOM(`<div xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">${xhtml}</div>`, { contentType: 'application/xhtml+xml' }).window;
+        this.renderBlocks(document.documentElement, { indent: 0, size: BODY_SIZE, italic: false });
+    }
+
+    // Block children are laid out one after another; runs of inline content between them
+    // form paragraphs
+    renderBlocks(parent, style) {
+        let inline = [];
+        const flush = () => {
+            this.renderParagraph(this.collectRuns(inline, {}), style);
+            inline = [];
+        };
+        [...parent.childNodes].forEach(node => {
+            if (node.nodeType === 1 && BLOCK_ELEMENTS.has(node.localName)) {
+                flush();
+                this.renderBlock(node, style);
+            } else {
+                inline.push(node);
+            }
+        });
+        flush();
+    }
+
+    renderBlock(element, style) {
+        const { doc } = this;
+        const name = element.localName;
+        if (HEADING_SIZES[name]) {
+            this.renderHeading(element, style);
+        } else if (name === 'pre') {
+            this.renderCode(element.textContent, style);
+        } else if (name === 'img') {
+            this.renderImage(element, style);
+        } else if (name === 'hr') {
+            this.ensureSpace(12);
+            doc.moveTo(MARGINS.left + style.indent, doc.y + 4).lineTo(MARGINS.left + this.width, doc.y + 4)
+                .lineWidth(0.5).strokeColor(GREY).stroke();
+            doc.y += 12;
+        } else if (name === 'ul' || name === 'ol') {
+            let number = Number(element.getAttribute('start')) || 1;
+            [...element.children].filter(child => child.localName === 'li').forEach(item => {
+                this.pendingMarker = name === 'ol' ? `${number++}.` : '•';
+                this.renderBlocks(item, { ...style, indent: style.indent + 16 });
+                this.pendingMarker = null;
+            });
+        } else if (name === 'blockquote') {
+            this.renderBlocks(element, { ...style, indent: style.indent + 16, italic: true });
+        } else if (name === 'table') {
+            element.querySelectorAll('tr').forEach(row => {
+                const cells = [...row.children].map(cell => cell.textContent.replace(/\s+/g, ' ').trim());
+                const header = [...row.children].some(cell => cell.localName === 'th');
+                this.renderParagraph([{ text: cells.join('  |  '), bold: header }], { ...style, size: style.size - 1 });
+            });
+        } else if (name === 'section' && element.classList.contains('footnotes')) {
+            doc.moveDown(0.5);
+            this.renderBlocks(element, { ...style, size: style.size - 1.5 });
+        } else if (!SKIPPED_ELEMENTS.has(name)) {
+            this.renderBlocks(element, style);
+        }
+    }
+
+    renderHeading(element, style) {
+        const size = HEADING_SIZES[element.localName];
+        // Keep the heading with at least two lines of what follows
+        this.ensureSpace(size * 1.4 + 3 * style.size * 1.3);
+        this.doc.moveDown(0.4);
+        this.renderParagraph(this.collectRuns([...element.childNodes], { heading: true }), { ...style, size });
+    }
+
+    // Inline nodes flattened into runs of text with one font and link each
+    collectRuns(nodes, marks) {
+        const runs = [];
+        nodes.forEach(node => {
+            if (node.nodeType === 3) {
+                runs.push({ ...marks, text: node.textContent.replace(/\s+/g, ' ') });
+                return;
+            }
+            if (node.nodeType !== 1 || SKIPPED_ELEMENTS.has(node.localName)) {
+                return;
+            }
+            const name = node.localName;
+            if (name === 'br') {
+                runs.push({ ...marks, text: '\n' });
+            } else if (name === 'a' && node.classList.contains('noteref')) {
+                runs.push({ ...marks, text: `[${node.textContent.trim()}]` });
+            } else if (name === 'math') {
+                runs.push({ ...marks, text: node.textContent });
+            } else {
+                const href = name === 'a' ? node.getAttribute('href') : null;
+                runs.push(...this.collectRuns([...node.childNodes], {
+                    ...marks,
+                    bold: marks.bold || name === 'strong' || name === 'b',
+                    italic: marks.italic || name === 'em' || name === 'i' || name === 'cite',
+                    code: marks.code || name === 'code' || name === 'kbd' || name === 'samp',
+                    // Only links out of the issue still work on paper (or in the PDF)
+                    link: href && /^(https?|mailto):/i.test(href) ? href : marks.link
+                }));
+            }
+        });
+        return runs;
+    }
+
+    fontFor(run, style) {
+        if (run.heading) {
+            return FONTS.heading;
+        }
+        if (run.code) {
+            return FONTS.code;
+        }
+        const italic = run.italic || style.italic;
+        if (run.bold) {
+            return italic ? FONTS.boldItalic : FONTS.bold;
+        }
+        return italic ? FONTS.italic : FONTS.regular;
+    }
+
+    renderParagraph(runs, style) {
+        const { doc } = this;
+        const printable = runs.map(run => ({ ...run, text: toWinAnsi(run.text) }));
+        // Whitespace at the edges of a paragraph comes from the markup's indentation
+        if (printable.length > 0) {
+            printable[0].text = printable[0].text.trimStart();
+            printable[printable.length - 1].text = printable[printable.length - 1].text.trimEnd();
+        }
+        const visible = printable.filter(run => run.text);
+        if (visible.length === 0) {
+            return;
+        }
+
+        const x = MARGINS.left + style.indent;
+        const options = { width: this.width - style.indent, lineGap: style.size * 0.25 };
+        this.ensureSpace(style.size * 1.3);
+        if (this.pendingMarker) {
+            // The marker sits in the indent, level with the item's first line
+            const { y } = doc;
+            doc.font(FONTS.regular).fontSize(style.size)
+                .text(toWinAnsi(this.pendingMarker), x - 14, y, { width: 12, align: 'right', lineBreak: false });
+            doc.y = y;
+            this.pendingMarker = null;
+        }
+        doc.x = x;
+        visible.forEach((run, index) => {
+            doc.font(this.fontFor(run, style)).fontSize(run.code ? style.size - 1 : style.size);
+            doc.text(run.text, {
+                ...options,
+                continued: index < visible.length - 1,
+                link: run.link ?? null,
+                underline: Boolean(run.link)
+            });
+        });
+        doc.x = MARGINS.left;
+        doc.moveDown(0.5);
+    }
+
+    // Code keeps its line breaks and indentation; lines too long for the page wrap onto the next
+    renderCode(text, style) {
+        const { doc } = this;
+        const size = style.size - 2;
+        const x = MARGINS.left + style.indent + 8;
+        doc.font(FONTS.code).fontSize(size).fillColor('#222222');
+        text.replace(/\n$/, '').replace(/\t/g, '    ').split('\n').forEach(line => {
+            this.ensureSpace(size * 1.2);
+            // Non-breaking spaces keep the indentation from collapsing
+            const printable = toWinAnsi(line).replace(/^ +/, spaces => '\u00a0'.repeat(spaces.length)) || ' ';
+            doc.text(printable, x, doc.y, { width: this.width - style.indent - 8, lineGap: 1 });
+        });
+        doc.fillColor('black');
+        doc.x = MARGINS.left;
+        doc.moveDown(0.6);
+    }
+
+    renderImage(element, style) {
+        const { doc } = this;
+        const data = this.images.get(element.getAttribute('src'));
+        const size = data ? getImageDimensions(data) : null;
+        if (!size) {
+            const alt = element.getAttribute('alt');
+            if (alt) {
+                this.renderParagraph([{ text: `[${alt}]`, italic: true }], style);
+            }
+            return;
+        }
+        const maxWidth = this.width - style.indent;
+        const maxHeight = (doc.page.height - MARGINS.top - MARGINS.bottom) * 0.6;
+        const scale = Math.min(1, maxWidth / size.width, maxHeight / size.height);
+        const width = size.width * scale;
+        const height = size.height * scale;
+        this.ensureSpace(height);
+        doc.image(data, MARGINS.left + style.indent + (maxWidth - width) / 2, doc.y, { width, height });
+        doc.y += height;
+        doc.moveDown(0.5);
+    }
+
+    // Moves to a new page unless `height` more points fit on this one
+    ensureSpace(height) {
+        if (this.doc.y + height > this.bottom) {
+            this.doc.addPage();
+        }
+    }
+
+    // Drawn once all pages exist: running headers on content pages, numbers on all but the title page
+    renderHeadersAndFooters() {
+        const { doc } = this;
+        this.pageHeaders.forEach((header, index) => {
+            doc.switchToPage(index);
+            // Text in the margins would otherwise start a new page
+            doc.page.margins = { top: 0, bottom: 0, left: 0, right: 0 };
+            doc.font(FONTS.sans).fontSize(8).fillColor(GREY);
+            if (header) {
+                const half = this.width / 2 - 6;
+                const y = MARGINS.top / 2 - 4;
+                const section = this.fitText(toWinAnsi(header.section), half);
+                const chapter = this.fitText(toWinAnsi(header.chapter), half);
+                doc.text(section, MARGINS.left, y, { lineBreak: false });
+                doc.text(chapter, MARGINS.left + this.width - doc.widthOfString(chapter), y, { lineBreak: false });
+                doc.moveTo(MARGINS.left, y + 12).lineTo(MARGINS.left + this.width, y + 12).lineWidth(0.3).strokeColor(GREY).stroke();
+            }
+            if (index > 0) {
+                const number = String(index + 1);
+                doc.text(number, (doc.page.width - doc.widthOfString(number)) / 2, doc.page.height - MARGINS.bottom / 2 - 4, { lineBreak: false });
+            }
+            doc.page.margins = MARGINS;
+        });
+        doc.fillColor('black');
+    }
+}
+
+/**
+ * Renders a filled EPUB generator as a PDF for printing
+ * @param {import('./epub_generator.js').default} generator - Generator with the issue's
+ * sections and chapters added
+ * @param {Object} [options]
+ * @param {string} [options.pageSize] - 'A5' or 'Letter' (default: config.epub.pdfPageSize)
+ * @returns {Promise<Buffer>} The PDF
+ * @throws {ValidationError} If the page size is unknown
+ */
+export async function renderIssuePDF(generator, { pageSize = config.epub.pdfPageSize } = {}) {
+    Validator.validatePageSize(pageSize);
+    const images = await loadImages(generator);
+    return new PDFIssueRenderer(generator, { pageSize, images }).render();
+}
+
+export default renderIssuePDF;
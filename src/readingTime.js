@@ -0,0 +1,41 @@
+/**
+ * Word counts and reading time estimates
+ * @fileoverview Shared by the content store (page limits) and the EPUB generator
+ * (reading time in chapter headers, the table of contents and on the cover)
+ */
+
+/**
+ * Counts the words in a text, ignoring HTML tags
+ * @param {string} text - Plain text or HTML
+ * @returns {number}
+ */
+export function countWords(text) {
+    return String(text || '').replace(/<[^>]*>/g, ' ').split(/\s+/).filter(word => word.length > 0).length;
+}
+
+/**
+ * Estimates the reading time in whole minutes; anything with words takes at least a minute
+ * @param {number} words - Word count
+ * @param {number} wordsPerMinute - Reading speed
+ * @returns {number}
+ */
+export function estimateReadingMinutes(words, wordsPerMinute) {
+    return words > 0 ? Math.max(1, Math.ceil(words / wordsPerMinute)) : 0;
+}
+
+/**
+ * Formats a number of minutes as a localised duration ("45 min", "1 h 20 min")
+ * @param {number} minutes - Duration in minutes
+ * @param {import('./i18n.js').Localizer} localizer - Localizer for the units
+ * @returns {string}
+ */
+export function formatDuration(minutes, localizer) {
+    if (minutes < 60) {
+        return localizer.t('duration.minutes', { minutes });
+    }
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest > 0
+        ? localizer.t('duration.hoursMinutes', { hours, minutes: rest })
+        : localizer.t('duration.hours', { hours });
+}
@@ -1,8 +1,8 @@
 import express from 'express';
 import multer from 'multer';
-import path from 'path';
 import crypto from 'crypto';
 import { tmpdir } from 'os';
+import path from 'path';
 
 import { kv as vercelKv } from '@vercel/kv';
 import { loadUser, requireAuth, resolveContentPath } from './web/auth.js';
@@ -33,6 +33,12 @@ import { ArticleGenerator } from './articleGenerator.js';
 import { MagazineGenerator } from './magazineGenerator.js';
 import { renderTemplate } from './templateRenderer.js';
 import { config } from './config.js';
+import { CHAT_LAYOUTS, isChatLayout } from './chatLayouts.js';
+import { DEVICE_PROFILES, isDeviceProfile } from './deviceProfiles.js';
+import { DEFAULT_FORMAT, OUTPUT_FORMATS, PDF_PAGE_SIZES, isOutputFormat, isPDFPageSize } from './outputFormats.js';
+import { IssueLibrary, getLibraryDir, getIssueMediaType, OPDS_ACQUISITION_FEED_TYPE } from './opdsCatalog.js';
+import { KindleDelivery } from './kindleDelivery.js';
+import { Validator } from './validation.js';
 
 // Trust the first proxy (nginx/Authelia) so req.ip is the real client IP.
 app.set('trust proxy', 1);
@@ -93,6 +99,53 @@ export async function processUploadedFile(filePath, originalFilename) {
   return { sessionId, chats, originalFilename };
 }
 
+const CHAT_LAYOUT_LABELS = {
+  transcript: 'Full transcript',
+  qa: 'Questions and answers',
+  essay: 'Claude\'s replies as an essay',
+  highlights: 'Starred messages only'
+};
+
+function renderLayoutOptions(selected) {
+  return CHAT_LAYOUTS.map(layout =>
+    `<option value="${layout}"${layout === selected ? ' selected' : ''}>${CHAT_LAYOUT_LABELS[layout]}</option>`
+  ).join('');
+}
+
+function renderDeviceOptions(selected) {
+  return Object.values(DEVICE_PROFILES).map(profile =>
+    `<option value="${profile.name}"${profile.name === selected ? ' selected' : ''}>${escapeHtml(profile.label)}</option>`
+  ).join('');
+}
+
+function renderFormatOptions(selected) {
+  return Object.values(OUTPUT_FORMATS).map(format =>
+    `<option value="${format.name}"${format.name === selected ? ' selected' : ''}>${escapeHtml(format.label)}</option>`
+  ).join('');
+}
+
+function renderPageSizeOptions(selected) {
+  return Object.keys(PDF_PAGE_SIZES).map(name =>
+    `<option value="${name}"${name === selected ? ' selected' : ''}>${name}</option>`
+  ).join('');
+}
+
+// Send-to-Kindle fields, shown only when the server has an SMTP server to send through
+function renderDeliveryOptions(delivery) {
+  if (!delivery.isConfigured()) {
+    return '';
+  }
+  return `<div class="form-group layout-group">
+        <label for="deliver" style="font-weight: normal; cursor: pointer; display: flex; align-items: center; gap: 8px;">
+          <input type="checkbox" id="deliver" name="deliver" value="true">
+          Send the EPUB to my Kindle
+        </label>
+        <label for="kindleEmail">Kindle address:</label>
+        <input type="email" id="kindleEmail" name="kindleEmail" value="${escapeHtml(delivery.getAddress() || '')}" placeholder="name@kindle.com" autocomplete="off">
+        <small>Add ${escapeHtml(delivery.options.from)} to the approved senders of your Kindle account. The address is kept for next time.</small>
+      </div>`;
+}
+
 function escapeHtml(unsafe) {
   return unsafe
     .replace(/&/g, '&amp;')
@@ -119,6 +172,8 @@ app.post('/upload', requireAuth, upload.single('chatExport'), async (req, res) =
   try {
     const { sessionId, chats, originalFilename } = await processUploadedFile(req.file.path, req.file.originalname);
 
+    const delivery = new KindleDelivery(new ContentManager(resolveContentPath(config.paths.contentFile, res.locals.user)));
+
     const chatListHtml = chats.map(chat => {
       const escapedTitle = escapeHtml(chat.title);
       return `
@@ -130,6 +185,10 @@ app.post('/upload', requireAuth, upload.single('chatExport'), async (req, res) =
             <span class="chat-item-meta">${chat.date} • ${chat.messageCount} messages</span>
           </div>
         </label>
+        <select name="layouts[${escapeHtml(chat.id)}]" class="chat-layout-select" aria-label="Layout for ${escapedTitle}">
+          <option value="">Issue layout</option>
+          ${renderLayoutOptions(null)}
+        </select>
       </div>
     `;
     }).join('');
@@ -137,7 +196,13 @@ app.post('/upload', requireAuth, upload.single('chatExport'), async (req, res) =
     res.send(renderTemplate('select-chats', {
       sessionId,
       originalFilename,
-      chatList: chatListHtml
+      chatList: chatListHtml,
+      layoutOptions: renderLayoutOptions(config.content.chatLayout),
+      deviceOptions: renderDeviceOptions(config.content.device ?? (config.content.kepub ? 'kobo' : config.content.kindleOptimized ? 'kindle' : 'default')),
+      kepubChecked: config.content.kepub ? 'checked' : '',
+      formatOptions: renderFormatOptions(DEFAULT_FORMAT),
+      pageSizeOptions: renderPageSizeOptions(config.epub.pdfPageSize),
+      deliveryOptions: renderDeliveryOptions(delivery)
     }));
   } catch (error) {
     console.error('Error processing file:', error);
@@ -153,13 +218,42 @@ app.post('/upload', requireAuth, upload.single('chatExport'), async (req, res) =
 });
 
 app.post('/generate-epub', requireAuth, async (req, res) => {
-  const { selectedChats: selectedChatIds, sessionId } = req.body;
+  const { selectedChats: selectedChatIds, sessionId, chatLayout, device, kepub, format = DEFAULT_FORMAT, pageSize, layouts = {}, deliver, kindleEmail } = req.body;
   let kvDataRetrieved = false; // Flag to ensure cleanup even if errors occur after retrieval
 
   if (!selectedChatIds || !sessionId) {
     return res.status(400).send(renderErrorPage('Missing selection or session information. Please try uploading and selecting again.'));
   }
 
+  if (chatLayout && !isChatLayout(chatLayout)) {
+    return res.status(400).send(renderErrorPage('Unknown chat layout. Please choose one of the listed layouts.'));
+  }
+
+  if (device && !isDeviceProfile(device)) {
+    return res.status(400).send(renderErrorPage('Unknown device. Please choose one of the listed devices.'));
+  }
+
+  if (!isOutputFormat(format)) {
+    return res.status(400).send(renderErrorPage('Unknown format. Please choose one of the listed formats.'));
+  }
+
+  if (pageSize && !isPDFPageSize(pageSize)) {
+    return res.status(400).send(renderErrorPage('Unknown page size. Please choose A5 or Letter.'));
+  }
+
+  if (deliver === 'true') {
+    if (format !== DEFAULT_FORMAT || kepub === 'true') {
+      return res.status(400).send(renderErrorPage('Only EPUB issues can be sent to a Kindle. Please choose EPUB and leave kepub unticked.'));
+    }
+    if (kindleEmail) {
+      try {
+        Validator.validateEmail(kindleEmail, 'Kindle address');
+      } catch {
+        return res.status(400).send(renderErrorPage('Please enter a valid Kindle address, such as name@kindle.com.'));
+      }
+    }
+  }
+
   try {
     const storedChatsJson = await kv.get(sessionId);
     kvDataRetrieved = true; // Mark that we've attempted to get it, for cleanup purposes
@@ -184,41 +278,77 @@ app.post('/generate-epub', requireAuth, async (req, res) => {
     const contentManager = new ContentManager(contentPath);
     const articleGenerator = new ArticleGenerator(contentManager);
     const magazineGenerator = new MagazineGenerator(contentManager, articleGenerator);
+    const delivery = new KindleDelivery(contentManager);
 
-    for (const chat of chatsToInclude) {
-      const title = chat.title;
-      const messages = chat.originalChatData.chat_messages || [];
-      const conversation = messages.map(msg => ({ sender: msg.sender, text: msg.text }));
-
-      if (conversation.length === 0) {
-        console.warn(`Skipping chat "${title}" – no messages to include.`);
-        continue;
+    if (deliver === 'true') {
+      if (!delivery.isConfigured()) {
+        return res.status(400).send(renderErrorPage('Sending to Kindle is not set up on this server.'));
+      }
+      if (!kindleEmail && !delivery.getAddress()) {
+        return res.status(400).send(renderErrorPage('Please enter the Kindle address to send the issue to.'));
       }
-
-      const insights = `Highlights from chat: ${title}`; // Generic insights
-      const category = 'Chat Exports'; // Generic category
-
-      contentManager.addChatHighlight(title, conversation, insights, category);
     }
 
-    const epubFilePath = await magazineGenerator.generateMagazine();
+    // The chats are kept in the user's content file with their layout, like CLI imports
+    const chatsWithMessages = chatsToInclude.filter(chat => {
+      if ((chat.originalChatData.chat_messages || []).length === 0) {
+        console.warn(`Skipping chat "${chat.title}" – no messages to include.`);
+        return false;
+      }
+      return true;
+    });
+    contentManager.importClaudeChats(chatsWithMessages.map(chat => ({
+      ...chat.originalChatData,
+      uuid: chat.id,
+      name: chat.title
+    })));
+    chatsWithMessages.forEach(chat => {
+      const layout = layouts[chat.id];
+      contentManager.setChatLayout(chat.id, isChatLayout(layout) ? layout : null);
+    });
+
+    const generator = magazineGenerator.buildMagazine({
+      chatIds: chatsWithMessages.map(chat => chat.id),
+      chatLayout: chatLayout || undefined,
+      device: device || undefined,
+      kepub: kepub === 'true' || undefined
+    });
 
     await kv.del(sessionId);
     kvDataRetrieved = false;
 
-    res.download(epubFilePath, path.basename(epubFilePath), async (err) => {
-      if (err) {
-        console.error('Error sending file:', err);
-        if (!res.headersSent) {
-            res.status(500).send(renderErrorPage('Error sending the EPUB file.'));
-        }
+    // Other formats are rendered in one piece; they keep the issue number, as on the CLI
+    if (format !== DEFAULT_FORMAT) {
+      const content = await magazineGenerator.renderFormat(generator, format, { pageSize: pageSize || undefined });
+      res.attachment(magazineGenerator.getOutputFilename(generator, format));
+      res.send(content);
+      return;
+    }
+
+    // The EPUB is kept in the user's library for the OPDS catalog, and sent from there
+    const filename = magazineGenerator.getOutputFilename(generator);
+    const library = new IssueLibrary(contentManager, getLibraryDir(contentPath));
+    const issuePath = await generator.generateEPUB(library.prepareIssuePath(filename));
+    magazineGenerator.recordIssue(generator, filename);
+
+    // A delivered issue is not downloaded as well; the confirmation links to it in the library
+    if (deliver === 'true') {
+      if (kindleEmail && kindleEmail !== contentManager.content.metadata.kindleEmail) {
+        contentManager.setKindleEmail(kindleEmail);
       }
-      try {
-        await unlink(epubFilePath);
-      } catch (unlinkErr) {
-        console.error('Error deleting EPUB file:', unlinkErr);
+      const result = await delivery.deliver(issuePath);
+      if (!result.success) {
+        return res.status(502).send(renderErrorPage(`The issue was generated but could not be sent to your Kindle: ${escapeHtml(result.message)} You can still download it from your library.`));
       }
-    });
+      return res.send(renderTemplate('delivered', {
+        title: escapeHtml(generator.getIssueTitle()),
+        address: escapeHtml(result.to),
+        downloadUrl: `/opds/issues/${encodeURIComponent(filename)}`
+      }));
+    }
+
+    res.attachment(filename);
+    res.sendFile(path.resolve(issuePath));
 
   } catch (error) {
     console.error('Error generating EPUB:', error);
@@ -233,6 +363,50 @@ app.post('/generate-epub', requireAuth, async (req, res) => {
   }
 });
 
+// The library of issues generated for a user, kept next to their content file
+function openIssueLibrary(user) {
+  const contentPath = resolveContentPath(config.paths.contentFile, user);
+  return new IssueLibrary(new ContentManager(contentPath), getLibraryDir(contentPath));
+}
+
+// OPDS acquisition feed of the user's issues, for e-readers to browse and download from
+app.get('/opds', requireAuth, async (req, res) => {
+  try {
+    const feed = await openIssueLibrary(res.locals.user).renderFeed();
+    res.type(OPDS_ACQUISITION_FEED_TYPE).send(feed);
+  } catch (error) {
+    console.error('Error rendering OPDS feed:', error);
+    res.status(500).send(renderErrorPage('An unexpected error occurred while listing your issues. Please check the server logs.'));
+  }
+});
+
+// Only files listed in the user's library can be downloaded, so the name cannot reach other paths
+app.get('/opds/issues/:filename', requireAuth, (req, res) => {
+  const library = openIssueLibrary(res.locals.user);
+  const issue = library.findIssue(req.params.filename);
+  if (!issue) {
+    return res.status(404).send(renderErrorPage('Issue not found.'));
+  }
+  res.attachment(issue.filename);
+  res.type(getIssueMediaType(issue.filename));
+  res.sendFile(path.resolve(library.getIssuePath(issue)));
+});
+
+app.get('/opds/issues/:filename/cover', requireAuth, async (req, res) => {
+  try {
+    const library = openIssueLibrary(res.locals.user);
+    const issue = library.findIssue(req.params.filename);
+    const cover = issue && await library.readCover(issue);
+    if (!cover) {
+      return res.status(404).send(renderErrorPage('Cover not found.'));
+    }
+    res.type(cover.mediaType).send(cover.data);
+  } catch (error) {
+    console.error('Error reading issue cover:', error);
+    res.status(500).send(renderErrorPage('An unexpected error occurred while reading the cover. Please check the server logs.'));
+  }
+});
+
 // Helper function to render a consistent error page
 function renderErrorPage(message) {
   return renderTemplate('error', { message });
@@ -0,0 +1,150 @@
+/**
+ * Theme packages for generated issues
+ * @fileoverview Loads themes: directories with a stylesheet, optional embedded fonts and
+ * optional templates for the chapter, cover and table of contents pages. Themes are chosen by
+ * name (built-in themes in src/themes, then the themes directory) or by directory path.
+ */
+
+import { readFileSync, existsSync, readdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { getFontMediaType } from './mediaTypes.js';
+import { ValidationError } from './validation.js';
+
+const BUILT_IN_THEMES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'themes');
+
+export const BUILT_IN_THEMES = ['default', 'kindle'];
+export const DEFAULT_THEME = 'default';
+export const THEME_TEMPLATES = ['chapter', 'cover', 'toc'];
+
+const THEME_NAME = /^[\w-]+$/;
+
+// A name with a path separator or a leading dot is a directory; anything else is looked up
+function resolveThemeDir(theme, themesDir) {
+    if (!THEME_NAME.test(theme)) {
+        return path.resolve(theme);
+    }
+    if (BUILT_IN_THEMES.includes(theme)) {
+        return path.join(BUILT_IN_THEMES_DIR, theme);
+    }
+    return path.resolve(themesDir, theme);
+}
+
+// Theme files are named relative to the theme directory and may not leave it
+function readThemeFile(dir, file, encoding) {
+    const filePath = path.resolve(dir, file);
+    if (path.relative(dir, filePath).startsWith('..')) {
+        throw new Error(`Theme file '${file}' is outside the theme directory`);
+    }
+    return readFileSync(filePath, encoding);
+}
+
+// "Source Serif" 400 italic, as an @font-face rule pointing at the packaged file
+function fontFaceRule(font) {
+    return `@font-face {
+    font-family: "${font.family.replace(/["\\]/g, '')}";
+    font-weight: ${font.weight};
+    font-style: ${font.style};
+    src: url("${font.href}");
+}`;
+}
+
+/**
+ * Loads a theme package
+ * @param {string} theme - Theme name or path to a theme directory
+ * @param {Object} [options]
+ * @param {string} [options.themesDir=config.paths.themesDir] - Directory searched for themes by name
+ * @returns {{name: string, dir: string, css: string, fonts: Array<Object>, templates: Object<string, string>}}
+ * The theme, with font files read into `data` and templates read as strings
+ * @throws {ValidationError} If no theme has that name
+ * @throws {Error} If the theme package is incomplete or invalid
+ */
+export function loadTheme(theme, { themesDir = config.paths.themesDir } = {}) {
+    if (typeof theme !== 'string' || !theme.trim()) {
+        throw new ValidationError('Theme must be a theme name or directory', 'theme', theme);
+    }
+    const dir = resolveThemeDir(theme.trim(), themesDir);
+    if (!existsSync(dir)) {
+        throw new ValidationError(`Unknown theme '${theme}'. Available themes: ${listThemes({ themesDir }).join(', ')}`, 'theme', theme);
+    }
+
+    let manifest = {};
+    if (existsSync(path.join(dir, 'theme.json'))) {
+        try {
+            manifest = JSON.parse(readFileSync(path.join(dir, 'theme.json'), 'utf-8'));
+        } catch (error) {
+            throw new Error(`Invalid theme.json in '${dir}': ${error.message}`);
+        }
+    }
+
+    const hrefs = new Set();
+    const fonts = (manifest.fonts || []).map(font => {
+        const mediaType = getFontMediaType(font.file || '');
+        if (!mediaType) {
+            throw new Error(`Theme font '${font.file}' must be an OTF, TTF, WOFF or WOFF2 file`);
+        }
+        const href = `fonts/${path.basename(font.file)}`;
+        if (hrefs.has(href)) {
+            throw new Error(`Theme lists more than one font named '${path.basename(font.file)}'`);
+        }
+        hrefs.add(href);
+        return {
+            href,
+            mediaType,
+            family: font.family || null,
+            weight: font.weight ?? 'normal',
+            style: font.style || 'normal',
+            obfuscate: font.obfuscate === true,
+            data: readThemeFile(dir, font.file)
+        };
+    });
+
+    const templates = {};
+    Object.entries(manifest.templates || {}).forEach(([page, file]) => {
+        if (!THEME_TEMPLATES.includes(page)) {
+            throw new Error(`Unknown theme template '${page}'; themes can provide: ${THEME_TEMPLATES.join(', ')}`);
+        }
+        templates[page] = readThemeFile(dir, file, 'utf-8');
+    });
+
+    const css = readThemeFile(dir, manifest.stylesheet || 'styles.css', 'utf-8');
+    const fontFaces = fonts.filter(font => font.family).map(fontFaceRule);
+
+    return {
+        name: manifest.name || path.basename(dir),
+        dir,
+        css: fontFaces.length > 0 ? `${fontFaces.join('\n\n')}\n\n${css}` : css,
+        fonts,
+        templates
+    };
+}
+
+/**
+ * Names of the built-in themes and the themes in the themes directory
+ * @param {Object} [options]
+ * @param {string} [options.themesDir=config.paths.themesDir]
+ * @returns {string[]}
+ */
+export function listThemes({ themesDir = config.paths.themesDir } = {}) {
+    const installed = existsSync(themesDir)
+        ? readdirSync(themesDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && THEME_NAME.test(entry.name) && !BUILT_IN_THEMES.includes(entry.name))
+            .map(entry => entry.name)
+            .sort()
+        : [];
+    return [...BUILT_IN_THEMES, ...installed];
+}
+
+/**
+ * Fills in a theme template's {{placeholders}}. Values are inserted as given, so text must
+ * already be escaped; unknown placeholders are left empty.
+ * @param {string} template - XHTML fragment
+ * @param {Object<string, string>} values
+ * @returns {string}
+ */
+export function renderThemeTemplate(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? '');
+}
+
+export default loadTheme;
@@ -4,6 +4,9 @@
  */
 
 import { config } from './config.js';
+import { CHAT_LAYOUTS, isChatLayout } from './chatLayouts.js';
+import { DEVICE_NAMES, isDeviceProfile } from './deviceProfiles.js';
+import { FORMAT_NAMES, isOutputFormat, PDF_PAGE_SIZES, isPDFPageSize } from './outputFormats.js';
 
 /**
  * Custom validation error class
@@ -249,6 +252,62 @@ export class Validator {
     }
   }
 
+  /**
+   * Validates an issue number or volume
+   * @param {*} value - Value to validate
+   * @param {string} fieldName - Field name for error messages
+   * @throws {ValidationError} If validation fails
+   */
+  static validateIssuePosition(value, fieldName = 'Issue number') {
+    if (typeof value !== 'number' || !Number.isInteger(value) || value <= 0) {
+      throw new ValidationError(`${fieldName} must be a positive integer`, fieldName, value);
+    }
+  }
+
+  /**
+   * Validates a chat layout name
+   * @param {*} layout - Layout to validate
+   * @throws {ValidationError} If validation fails
+   */
+  static validateChatLayout(layout) {
+    if (!isChatLayout(layout)) {
+      throw new ValidationError(`Chat layout must be one of: ${CHAT_LAYOUTS.join(', ')}`, 'layout', layout);
+    }
+  }
+
+  /**
+   * Validates a device profile name
+   * @param {*} device - Device profile name
+   * @throws {ValidationError} If there is no such profile
+   */
+  static validateDevice(device) {
+    if (!isDeviceProfile(device)) {
+      throw new ValidationError(`Device must be one of: ${DEVICE_NAMES.join(', ')}`, 'device', device);
+    }
+  }
+
+  /**
+   * Validates an output format name
+   * @param {*} format - Output format name
+   * @throws {ValidationError} If there is no such format
+   */
+  static validateFormat(format) {
+    if (!isOutputFormat(format)) {
+      throw new ValidationError(`Format must be one of: ${FORMAT_NAMES.join(', ')}`, 'format', format);
+    }
+  }
+
+  /**
+   * Validates a PDF page size name
+   * @param {*} pageSize - Page size name
+   * @throws {ValidationError} If there is no such page size
+   */
+  static validatePageSize(pageSize) {
+    if (!isPDFPageSize(pageSize)) {
+      throw new ValidationError(`Page size must be one of: ${Object.keys(PDF_PAGE_SIZES).join(', ')}`, 'pageSize', pageSize);
+    }
+  }
+
   /**
    * Validates email address format
    * @param {string} email - Email address to validate
@@ -0,0 +1,480 @@
+/**
+ * Markdown vault export of the content store
+ * @fileoverview Writes every article, interest, chat highlight and Claude chat as a note with
+ * YAML frontmatter, in a folder per kind, for Obsidian and similar tools. Articles and chats
+ * link to related items with wiki-links, each recorded issue gets an index note linking what
+ * went into it, and a home note links everything. Note names are unique across the vault,
+ * since wiki-links name notes without their folder.
+ */
+
+import * as syncFs from 'fs';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import { Logger } from './logger.js';
+import { ContentClusterer } from './contentClusterer.js';
+import { Localizer } from './i18n.js';
+import { config } from './config.js';
+
+const FOLDERS = {
+    article: 'Articles',
+    chat: 'Chats',
+    interest: 'Interests',
+    highlight: 'Highlights',
+    issue: 'Issues'
+};
+
+// Related items listed under each article or chat
+const MAX_RELATED = 5;
+
+// Characters Obsidian does not allow in note names, or that break wiki-links
+const UNSAFE_NAME_CHARS = /[*"\\/<>:|?#^[\]]/g;
+
+const HEADING_LEVELS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+
+/**
+ * Quotes a value for YAML frontmatter; JSON strings are valid YAML scalars
+ * @param {*} value
+ * @returns {string}
+ */
+function yamlValue(value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+    }
+    return JSON.stringify(String(value));
+}
+
+/**
+ * Renders YAML frontmatter, leaving out empty fields
+ * @param {Object} fields
+ * @returns {string}
+ */
+export function renderFrontmatter(fields) {
+    const lines = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+        .map(([key, value]) => Array.isArray(value)
+            ? `${key}:\n${value.map(item => `  - ${yamlValue(item)}`).join('\n')}`
+            : `${key}: ${yamlValue(value)}`);
+    return `---\n${lines.join('\n')}\n---\n`;
+}
+
+// Obsidian tags cannot contain spaces
+const toTag = text => String(text).trim().replace(/\s+/g, '-');
+
+function escapeMarkdown(text) {
+    return text.replace(/[\\`*_[\]]/g, '\\$&');
+}
+
+function inlineMarkdown(node) {
+    return [...node.childNodes].map(child => {
+        if (child.nodeType === 3) {
+            return escapeMarkdown(child.textContent.replace(/\s+/g, ' '));
+        }
+        if (child.nodeType !== 1) {
+            return '';
+        }
+        const name = child.localName;
+        const inner = () => inlineMarkdown(child);
+        if (name === 'br') {
+            return '  \n';
+        }
+        if (name === 'strong' || name === 'b') {
+            return `**${inner().trim()}**`;
+        }
+        if (name === 'em' || name === 'i' || name === 'cite') {
+            return `*${inner().trim()}*`;
+        }
+        if (name === 'code' || name === 'kbd' || name === 'samp') {
+            return `\`${child.textContent}\``;
+        }
+        if (name === 'a') {
+            const href = child.getAttribute('href');
+            return href ? `[${inner().trim()}](${href})` : inner();
+        }
+        if (name === 'img') {
+            return `![${child.getAttribute('alt') ?? ''}](${child.getAttribute('src') ?? ''})`;
+        }
+        return inner();
+    }).join('');
+}
+
+// Blocks inside a list item stay on consecutive lines, so the list is not broken up
+function blockMarkdown(node, inList = false) {
+    const blocks = [];
+    let inline = [];
+    const flush = () => {
+        const wrapper = node.ownerDocument.createElement('span');
+        inline.forEach(child => wrapper.appendChild(child.cloneNode(true)));
+        const text = inlineMarkdown(wrapper).trim();
+        if (text) {
+            blocks.push(text);
+        }
+        inline = [];
+    };
+
+    [...node.childNodes].forEach(child => {
+        const name = child.nodeType === 1 ? child.localName : null;
+        if (!name || ['strong', 'b', 'em', 'i', 'cite', 'code', 'kbd', 'samp', 'a', 'img', 'br', 'span', 'u', 'sub', 'sup', 'small', 'mark'].includes(name)) {
+            inline.push(child);
+            return;
+        }
+        flush();
+        if (HEADING_LEVELS[name]) {
+            blocks.push(`${'#'.repeat(HEADING_LEVELS[name])} ${inlineMarkdown(child).trim()}`);
+        } else if (name === 'pre') {
+            const language = (child.querySelector('code')?.getAttribute('class') ?? '').match(/language-(\S+)/)?.[1] ?? '';
+            blocks.push(`\`\`\`${language}\n${child.textContent.replace(/\n$/, '')}\n\`\`\``);
+        } else if (name === 'blockquote') {
+            blocks.push(blockMarkdown(child).split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+        } else if (name === 'hr') {
+            blocks.push('---');
+        } else if (name === 'ul' || name === 'ol') {
+            let number = Number(child.getAttribute('start')) || 1;
+            const items = [...child.children].filter(item => item.localName === 'li').map(item => {
+                const marker = name === 'ol' ? `${number++}. ` : '- ';
+                const indent = ' '.repeat(marker.length);
+                return blockMarkdown(item, true).split('\n')
+                    .map((line, index) => (index === 0 ? marker : line ? indent : '') + line)
+                    .join('\n');
+            });
+            blocks.push(items.join('\n'));
+        } else if (name === 'table') {
+            const rows = [...child.querySelectorAll('tr')].map(row =>
+                `| ${[...row.children].map(cell => inlineMarkdown(cell).trim().replace(/\|/g, '\\|')).join(' | ')} |`);
+            if (rows.length > 0) {
+                const columns = child.querySelector('tr').children.length;
+                rows.splice(1, 0, `|${' --- |'.repeat(columns)}`);
+                blocks.push(rows.join('\n'));
+            }
+        } else if (!['script', 'style', 'template'].includes(name)) {
+            const inner = blockMarkdown(child, inList);
+            if (inner) {
+                blocks.push(inner);
+            }
+        }
+    });
+    flush();
+    return blocks.join(inList ? '\n' : '\n\n');
+}
+
+/**
+ * Converts article HTML to Markdown
+ * @param {string} html - HTML fragment
+ * @returns {string}
+ */
+export function htmlToMarkdown(html) {
+    const { document } = new JSDOM(`<body>${html ?? ''}</body>`).window;
+    return blockMarkdown(document.body);
+}
+
+/**
+ * Turns a title into a note name that is valid in file names and wiki-links
+ * @param {string} title
+ * @returns {string}
+ */
+export function toNoteName(title) {
+    const name = String(title ?? '').replace(UNSAFE_NAME_CHARS, '-').replace(/\s+/g, ' ').trim().replace(/^\.+/, '');
+    return name.slice(0, 120).trim() || 'Untitled';
+}
+
+/**
+ * Exports the content store as a folder of Markdown notes
+ */
+export class VaultExporter {
+    constructor(contentManager, fsUtils = null, contentClusterer = new ContentClusterer()) {
+        this.contentManager = contentManager;
+        this.fsUtils = fsUtils || {
+            existsSync: syncFs.existsSync,
+            writeFileSync: syncFs.writeFileSync,
+            mkdirSync: syncFs.mkdirSync
+        };
+        this.contentClusterer = contentClusterer;
+        this.logger = Logger.child({ component: 'VaultExporter' });
+    }
+
+    /**
+     * Gives every item a note name, unique across the vault
+     * @private
+     */
+    _nameNotes(notes) {
+        const taken = new Set();
+        notes.forEach(note => {
+            const base = toNoteName(note.title);
+            let name = base;
+            for (let n = 2; taken.has(name.toLowerCase()); n++) {
+                name = `${base} (${n})`;
+            }
+            taken.add(name.toLowerCase());
+            note.name = name;
+        });
+    }
+
+    /**
+     * Section names the next issue's clustering gives its articles and chats; chats that are
+     * not selected are not in the issue and get none
+     * @private
+     */
+    _assignSections(items) {
+        const metadata = this.contentManager.content.metadata ?? {};
+        const notes = items.filter(note => note.type === 'article' || note.item.selected);
+        if (!(metadata.enableClustering ?? config.content.enableClustering) || notes.length === 0) {
+            return;
+        }
+        const minSimilarity = metadata.clusteringSimilarity ?? config.content.clusteringSimilarity;
+        this.contentClusterer.generateClusteredContent(notes.map(note => note.clusterItem), { minSimilarity, enableClustering: true })
+            .forEach(section => section.articles.forEach(item => {
+                notes.find(note => note.clusterItem === item).section = section.sectionName;
+            }));
+    }
+
+    /**
+     * Links each article and chat to its most similar items, by the clusterer's similarity
+     * @private
+     */
+    _findRelated(notes) {
+        const minSimilarity = this.contentManager.content.metadata?.clusteringSimilarity ?? config.content.clusteringSimilarity;
+        notes.forEach(note => {
+            note.related = notes
+                .filter(other => other !== note)
+                .map(other => ({ other, score: this.contentClusterer.calculateSimilarity(note.clusterItem, other.clusterItem) }))
+                .filter(({ score }) => score >= minSimilarity)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, MAX_RELATED)
+                .map(({ other }) => other);
+        });
+    }
+
+    /**
+     * The articles and chats an issue was made from: those in the store when it was generated.
+     * Articles always go into the issue; chats only when selected, and since past selections are
+     * not kept, the chats selected now stand in for them.
+     * @private
+     */
+    _issueItems(issue, notes) {
+        const generatedAt = new Date(issue.generatedAt ?? issue.date);
+        return notes.filter(note =>
+            (note.type === 'article' || note.item.selected) &&
+            new Date(note.addedAt) <= generatedAt);
+    }
+
+    _buildNotes(chatSelection) {
+        const { content } = this.contentManager;
+        const articles = content.articles.map(article => ({
+            type: 'article',
+            item: article,
+            title: article.title,
+            addedAt: article.dateAdded,
+            clusterItem: { ...article, type: 'article' }
+        }));
+        const chats = content.claudeChats
+            .filter(chat => chatSelection === 'all' || chat.selected)
+            .map(chat => ({
+                type: 'chat',
+                item: chat,
+                title: chat.title,
+                addedAt: chat.originalImportDate ?? chat.dateAdded,
+                clusterItem: {
+                    title: chat.title,
+                    content: chat.conversation.map(message => message.text).join('\n'),
+                    category: chat.category,
+                    type: 'chat'
+                }
+            }));
+        const interests = content.interests.map(interest => ({ type: 'interest', item: interest, title: interest.topic }));
+        const highlights = content.chatHighlights.map(highlight => ({ type: 'highlight', item: highlight, title: highlight.title }));
+        const issues = [...(content.issues ?? [])]
+            .sort((a, b) => a.volume - b.volume || a.number - b.number)
+            .map(issue => ({ type: 'issue', item: issue, title: issue.title }));
+        return { items: [...articles, ...chats], interests, highlights, issues };
+    }
+
+    // Links show the item's title where the note name had to differ from it
+    _link(note) {
+        const title = String(note.title).replace(/[|[\]]/g, ' ').trim();
+        return note.name === title ? `[[${note.name}]]` : `[[${note.name}|${title}]]`;
+    }
+
+    _renderArticle(note) {
+        const article = note.item;
+        const body = [
+            `# ${article.title}`,
+            article.author ? `*${article.author}*` : null,
+            htmlToMarkdown(article.content)
+        ];
+        return this._renderItemNote(note, {
+            id: article.id,
+            type: 'article',
+            title: article.title,
+            author: article.author,
+            created: article.dateAdded,
+            category: article.category,
+            tags: ['magazeen/article', ...(article.tags ?? []).map(toTag)],
+            section: note.section,
+            words: article.wordCount
+        }, body);
+    }
+
+    _renderChat(note, localizer) {
+        const chat = note.item;
+        const messages = chat.conversation.map(message => {
+            const sender = message.sender === 'human' ? localizer.t('chat.you') : 'Claude';
+            const artifacts = (message.artifacts ?? []).map(artifact =>
+                `**${artifact.title}**\n\n\`\`\`${artifact.language ?? ''}\n${artifact.content.replace(/\n$/, '')}\n\`\`\``);
+            return [`### ${sender}${message.starred ? ' ⭐' : ''}`, message.text?.trim() || null, ...artifacts]
+                .filter(Boolean).join('\n\n');
+        });
+        const body = [
+            `# ${chat.title}`,
+            chat.insights ? `> ${chat.insights.trim().split('\n').join('\n> ')}` : null,
+            ...messages
+        ];
+        return this._renderItemNote(note, {
+            id: chat.id,
+            type: 'chat',
+            title: chat.title,
+            created: chat.dateAdded,
+            imported: chat.originalImportDate,
+            category: chat.category,
+            tags: ['magazeen/chat'],
+            section: note.section,
+            layout: chat.layout,
+            selected: chat.selected
+        }, body);
+    }
+
+    _renderItemNote(note, frontmatter, body) {
+        const sections = [...body];
+        if (note.related.length > 0) {
+            sections.push(`## Related\n\n${note.related.map(other => `- ${this._link(other)}`).join('\n')}`);
+        }
+        if (note.issues.length > 0) {
+            sections.push(`## Issues\n\n${note.issues.map(issue => `- ${this._link(issue)}`).join('\n')}`);
+        }
+        return `${renderFrontmatter(frontmatter)}\n${sections.filter(Boolean).join('\n\n')}\n`;
+    }
+
+    _renderInterest(note) {
+        const interest = note.item;
+        return `${renderFrontmatter({
+            id: interest.id,
+            type: 'interest',
+            title: interest.topic,
+            tags: ['magazeen/interest'],
+            created: interest.dateAdded,
+            priority: interest.priority
+        })}\n# ${interest.topic}\n\n${interest.description}\n`;
+    }
+
+    _renderHighlight(note) {
+        const highlight = note.item;
+        return `${renderFrontmatter({
+            id: highlight.id,
+            type: 'highlight',
+            title: highlight.title,
+            created: highlight.dateAdded,
+            category: highlight.category,
+            tags: ['magazeen/highlight']
+        })}\n# ${highlight.title}\n\n${highlight.conversation}\n\n## Insights\n\n${highlight.insights}\n`;
+    }
+
+    _renderIssue(note, items) {
+        const issue = note.item;
+        const list = items.length > 0
+            ? items.map(item => `- ${this._link(item)}`).join('\n')
+            : '*Nothing from the current content store.*';
+        return `${renderFrontmatter({
+            type: 'issue',
+            title: issue.title,
+            tags: ['magazeen/issue'],
+            number: issue.number,
+            volume: issue.volume,
+            date: issue.date,
+            generated: issue.generatedAt,
+            file: issue.filename
+        })}\n# ${issue.title}\n\n${list}\n`;
+    }
+
+    _renderHome(name, groups) {
+        const metadata = this.contentManager.content.metadata ?? {};
+        const parts = [`# ${metadata.title ?? name}`];
+        if (metadata.description) {
+            parts.push(metadata.description);
+        }
+        [
+            ['Issues', groups.issues],
+            ['Articles', groups.items.filter(note => note.type === 'article')],
+            ['Chats', groups.items.filter(note => note.type === 'chat')],
+            ['Interests', groups.interests],
+            ['Highlights', groups.highlights]
+        ].forEach(([heading, notes]) => {
+            if (notes.length > 0) {
+                parts.push(`## ${heading}\n\n${notes.map(note => `- ${this._link(note)}`).join('\n')}`);
+            }
+        });
+        return `${renderFrontmatter({ type: 'index', title: metadata.title })}\n${parts.join('\n\n')}\n`;
+    }
+
+    /**
+     * Writes the content store as a vault of Markdown notes
+     * @param {string} [vaultDir='out/vault'] - Folder to write to; existing notes with the same
+     * names are overwritten, others are left alone
+     * @param {Object} [options]
+     * @param {string} [options.chats='selected'] - Export the 'selected' Claude chats or 'all'
+     * @returns {Object} Export result with the number of notes of each kind
+     */
+    exportToVault(vaultDir = 'out/vault', { chats: chatSelection = 'selected' } = {}) {
+        try {
+            if (!['selected', 'all'].includes(chatSelection)) {
+                throw new Error(`Unknown chat selection: ${chatSelection}`);
+            }
+            const localizer = new Localizer(this.contentManager.content.metadata?.locale ?? config.content.locale);
+            const groups = this._buildNotes(chatSelection);
+            const homeName = 'Magazine';
+            this._nameNotes([{ title: homeName }, ...groups.issues, ...groups.items, ...groups.interests, ...groups.highlights]);
+            this._assignSections(groups.items);
+            this._findRelated(groups.items);
+
+            groups.items.forEach(note => {
+                note.issues = [];
+            });
+            const issueItems = new Map(groups.issues.map(issue => {
+                const items = this._issueItems(issue.item, groups.items);
+                items.forEach(item => item.issues.push(issue));
+                return [issue, items];
+            }));
+
+            const files = [
+                ...groups.items.map(note => [note, note.type === 'article' ? this._renderArticle(note) : this._renderChat(note, localizer)]),
+                ...groups.interests.map(note => [note, this._renderInterest(note)]),
+                ...groups.highlights.map(note => [note, this._renderHighlight(note)]),
+                ...groups.issues.map(note => [note, this._renderIssue(note, issueItems.get(note))])
+            ];
+
+            Object.values(FOLDERS).forEach(folder => this.fsUtils.mkdirSync(path.join(vaultDir, folder), { recursive: true }));
+            files.forEach(([note, markdown]) => {
+                this.fsUtils.writeFileSync(path.join(vaultDir, FOLDERS[note.type], `${note.name}.md`), markdown, 'utf8');
+            });
+            this.fsUtils.writeFileSync(path.join(vaultDir, `${homeName}.md`), this._renderHome(homeName, groups), 'utf8');
+
+            const result = {
+                success: true,
+                path: vaultDir,
+                notes: files.length + 1,
+                articles: groups.items.filter(note => note.type === 'article').length,
+                chats: groups.items.filter(note => note.type === 'chat').length,
+                interests: groups.interests.length,
+                chatHighlights: groups.highlights.length,
+                issues: groups.issues.length
+            };
+            this.logger.info('Vault exported', result);
+            return result;
+        } catch (error) {
+            this.logger.error('Failed to export vault', error);
+            return { success: false, message: error.message };
+        }
+    }
+}
+
+export default VaultExporter;
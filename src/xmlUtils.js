@@ -0,0 +1,84 @@
+/**
+ * XML helpers shared by the EPUB generators and renderers
+ * @fileoverview Escaping utilities for producing well-formed XHTML/XML output
+ */
+
+import { JSDOM } from 'jsdom';
+
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+const OPS_NS = 'http://www.idpf.org/2007/ops';
+
+const XML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escapes a value for use as XML text content or an attribute value
+ * @param {*} value - Value to escape (null/undefined become an empty string)
+ * @returns {string} Escaped string
+ */
+export function escapeXml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+}
+
+/**
+ * Decodes the entities escapeXml produces, plus numeric character references
+ * @param {string} value - Escaped text or attribute value
+ * @returns {string} Decoded string
+ */
+export function decodeXmlEntities(value) {
+    return String(value)
+        .replace(/&#x([0-9a-f]+);/gi, (entity, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (entity, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Returns null if the markup parses as XML, otherwise the parser's error message
+ * @param {string} markup - Complete XML document
+ * @param {string} [contentType='application/xml'] - Content type to parse as
+ * @returns {string|null} Parse error message
+ */
+export function getXMLParseError(markup, contentType = 'application/xml') {
+    try {
+        new JSDOM(markup, { contentType });
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+let htmlWindow = null;
+
+/**
+ * Makes an HTML fragment well-formed XHTML. Fragments that already parse as XML are
+ * returned unchanged; anything else (void tags, HTML entities, stray `<` or `&`) is
+ * parsed the way a browser would and re-serialised as XML.
+ * @param {string} fragment - HTML fragment
+ * @returns {string} Well-formed XHTML fragment
+ */
+export function toWellFormedXHTML(fragment) {
+    const markup = String(fragment ?? '');
+    const wrapper = `<div xmlns="${XHTML_NS}" xmlns:epub="${OPS_NS}">${markup}</div>`;
+    if (getXMLParseError(wrapper, 'application/xhtml+xml') === null) {
+        return markup;
+    }
+
+    htmlWindow ??= new JSDOM('').window;
+    const container = htmlWindow.document.createElement('div');
+    container.innerHTML = markup;
+    return new htmlWindow.XMLSerializer()
+        .serializeToString(container)
+        .replace(/^<div xmlns="[^"]*">/, '')
+        .replace(/<\/div>$/, '');
+}
+
+export default escapeXml;
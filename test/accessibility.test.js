@@ -0,0 +1,161 @@
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import { MagazineGenerator } from '../src/magazineGenerator.js';
+import { checkEPUB } from '../src/epubChecker.js';
+import { jest } from '@jest/globals';
+import { JSDOM } from 'jsdom';
+import JSZip from 'jszip';
+
+const BUILD_DATE = new Date('2026-03-15T12:00:00Z');
+
+function createGenerator() {
+    const generator = new EPUBMagazineGenerator().setBuildDate(BUILD_DATE);
+    generator.initializeEPUB('Accessible Magazine', 'Tester', 'Accessibility test');
+    return generator;
+}
+
+async function build(generator) {
+    const buffer = await generator.generateBuffer();
+    const zip = await JSZip.loadAsync(buffer);
+    return {
+        buffer,
+        read: name => zip.file(`OEBPS/${name}`).async('string')
+    };
+}
+
+function getMetadata(opf, property) {
+    return [...opf.matchAll(new RegExp(`<meta property="${property}">([^<]*)</meta>`, 'g'))].map(match => match[1]);
+}
+
+describe('EPUB accessibility', () => {
+    let warnSpy;
+
+    beforeEach(() => {
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        warnSpy.mockRestore();
+    });
+
+    test('should describe the issue with EPUB Accessibility 1.1 metadata', async () => {
+        const generator = createGenerator();
+        generator.addArticle('Pictures', '<p>A chart: <img src="https://example.com/chart.png" alt="Sales by month"/></p>');
+        const { buffer, read } = await build(generator);
+        const opf = await read('content.opf');
+
+        expect(getMetadata(opf, 'schema:accessMode')).toEqual(['textual', 'visual']);
+        expect(getMetadata(opf, 'schema:accessModeSufficient')).toEqual(['textual,visual', 'textual']);
+        expect(getMetadata(opf, 'schema:accessibilityFeature')).toEqual([
+            'structuralNavigation', 'tableOfContents', 'readingOrder', 'displayTransformability', 'alternativeText'
+        ]);
+        expect(getMetadata(opf, 'schema:accessibilityHazard')).toEqual(['none']);
+        expect(getMetadata(opf, 'schema:accessibilitySummary')[0]).toContain('All images have text descriptions.');
+        expect(getMetadata(opf, 'dcterms:conformsTo')).toEqual(['EPUB Accessibility 1.1 - WCAG 2.1 Level AA']);
+        expect((await checkEPUB(buffer)).valid).toBe(true);
+    });
+
+    test('should add a landmarks nav pointing at the cover, title page, TOC and first content page', async () => {
+        const generator = createGenerator();
+        generator.addSection('Technology');
+        generator.addArticle('First', '<p>Content</p>');
+        const { read } = await build(generator);
+
+        const dom = new JSDOM(await read('nav.xhtml'), { contentType: 'application/xhtml+xml' });
+        const landmarks = dom.window.document.getElementById('landmarks');
+        expect(landmarks.getAttributeNS('http://www.idpf.org/2007/ops', 'type')).toBe('landmarks');
+        expect(landmarks.hasAttribute('hidden')).toBe(true);
+        expect([...landmarks.querySelectorAll('a')].map(link => [
+            link.getAttributeNS('http://www.idpf.org/2007/ops', 'type'),
+            link.getAttribute('href')
+        ])).toEqual([
+            ['cover', 'cover.xhtml'],
+            ['titlepage', 'index.xhtml'],
+            ['toc', 'toc.xhtml'],
+            ['bodymatter', 'section1.xhtml']
+        ]);
+    });
+
+    test('should mark up generated pages with structural semantics', async () => {
+        const generator = createGenerator();
+        generator.addSection('Technology');
+        generator.addArticle('First', '<p>Content</p>');
+        const { read } = await build(generator);
+
+        expect(await read('cover.xhtml')).toContain('<body class="cover-page" epub:type="cover">');
+        const index = await read('index.xhtml');
+        expect(index).toContain('<body class="cover" epub:type="frontmatter">');
+        expect(index).toContain('<div class="cover-container" epub:type="titlepage">');
+        expect(await read('toc.xhtml')).toContain('<nav class="toc-container" epub:type="toc" role="doc-toc">');
+        expect(await read('section1.xhtml')).toContain('<section class="section-divider" epub:type="part" role="doc-part">');
+        const chapter = await read('chapter1.xhtml');
+        expect(chapter).toContain('<body epub:type="bodymatter">');
+        expect(chapter).toContain('<article class="article" epub:type="chapter">');
+    });
+
+    test('should give non-SVG covers the doc-cover role', async () => {
+        const generator = createGenerator();
+        generator.supportsInlineSVG = () => false;
+        const { read } = await build(generator);
+
+        expect(await read('cover.xhtml')).toMatch(/<img class="cover-image" src="images\/cover.png" alt="[^"]+" role="doc-cover"\/>/);
+    });
+
+    test('should warn about images without alt text and drop the claims that depend on it', async () => {
+        const generator = createGenerator();
+        generator.addArticle('Pictures', '<p><img src="https://example.com/chart.png"/><img src="https://example.com/rule.png" alt=""/></p>');
+        const { read } = await build(generator);
+        const opf = await read('content.opf');
+
+        expect(warnSpy).toHaveBeenCalledWith('Warning: Image \'https://example.com/chart.png\' in "Pictures" has no alt text.');
+        expect(warnSpy).not.toHaveBeenCalledWith(expect.stringContaining('rule.png'));
+        expect(generator.imagesWithoutAltText).toEqual([{ title: 'Pictures', src: 'https://example.com/chart.png' }]);
+        expect(getMetadata(opf, 'schema:accessModeSufficient')).toEqual(['textual,visual']);
+        expect(getMetadata(opf, 'schema:accessibilityFeature')).not.toContain('alternativeText');
+        expect(getMetadata(opf, 'schema:accessibilitySummary')[0]).toContain('Some images have no text description.');
+        expect(getMetadata(opf, 'dcterms:conformsTo')).toEqual([]);
+    });
+
+    test('should reject images without alt text in error mode', () => {
+        const generator = createGenerator().setAltTextMode('error');
+
+        expect(() => generator.addArticle('Pictures', '<p><img src="https://example.com/chart.png"></p>'))
+            .toThrow('Image \'https://example.com/chart.png\' in "Pictures" has no alt text');
+        expect(() => generator.setAltTextMode('strict')).toThrow('Invalid alt text mode: strict');
+    });
+
+    test('should give chat transcripts log and article roles', async () => {
+        const contentManager = {
+            content: {
+                metadata: { title: 'Chats', author: 'Tester' },
+                articles: [],
+                interests: [],
+                chatHighlights: [],
+                claudeChats: [{
+                    title: 'Accessible Chat',
+                    selected: true,
+                    conversation: [
+                        { sender: 'human', text: 'Question' },
+                        { sender: 'assistant', text: 'Answer' }
+                    ]
+                }]
+            },
+            getNextIssue: jest.fn(() => ({ number: 1, volume: 1 })),
+            recordIssue: jest.fn()
+        };
+        const articleGenerator = { generateInterestArticle: jest.fn(), generateChatHighlightsArticle: jest.fn() };
+        const magazineGenerator = new MagazineGenerator(contentManager, articleGenerator);
+
+        const buffer = await magazineGenerator.generateMagazine({ output: 'buffer', buildDate: BUILD_DATE });
+        const zip = await JSZip.loadAsync(buffer);
+        const dom = new JSDOM(await zip.file('OEBPS/chapter1.xhtml').async('string'), { contentType: 'application/xhtml+xml' });
+        const document = dom.window.document;
+
+        const transcript = document.querySelector('.chat-transcript');
+        expect(transcript.getAttribute('role')).toBe('log');
+        expect(transcript.getAttribute('aria-label')).toBe('Conversation transcript');
+        const messages = [...transcript.querySelectorAll('.claude-message')];
+        expect(messages.map(message => message.getAttribute('role'))).toEqual(['article', 'article']);
+        expect(messages.map(message => document.getElementById(message.getAttribute('aria-labelledby')).textContent))
+            .toEqual(['You (N/A):', 'Claude (N/A):']);
+    });
+});
@@ -0,0 +1,204 @@
+import { jest } from '@jest/globals';
+import { exportToCalibre, getCoverJPEG, renderCalibreOPF, toCalibreName } from '../src/calibreExport.js';
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import { MagazineGenerator } from '../src/magazineGenerator.js';
+import { ArticleGenerator } from '../src/articleGenerator.js';
+import { getImageDimensions } from '../src/mediaTypes.js';
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { Writable } from 'stream';
+import { createMemoryContentManager } from './helpers/memoryContentManager.js';
+
+const OPF_NS = 'http://www.idpf.org/2007/opf';
+const DC_NS = 'http://purl.org/dc/elements/1.1/';
+
+function parseOPF(xml) {
+    const document = new JSDOM(xml, { contentType: 'application/xml' }).window.document;
+    const texts = name => [...document.getElementsByTagNameNS(DC_NS, name)].map(element => element.textContent);
+    const meta = name => [...document.getElementsByTagNameNS(OPF_NS, 'meta')]
+        .find(element => element.getAttribute('name') === name)?.getAttribute('content');
+    return { document, texts, meta };
+}
+
+function createIssue({ number = 3, title = 'Reader Monthly' } = {}) {
+    const generator = new EPUBMagazineGenerator().setBuildDate(new Date('2026-03-15T12:00:00Z')).setIssue(number, 1);
+    generator.initializeEPUB(title, 'Ada Lovelace', 'Issues for the shelf');
+    generator.addSection('Gardening');
+    generator.addArticle('Tomatoes', '<p>Plant them early.</p>', 'Ada Lovelace', 'Gardening');
+    generator.addArticle('Mulch', '<p>Keep the soil moist.</p>', 'Ada Lovelace', 'Gardening');
+    generator.addSection('Astronomy');
+    generator.addArticle('Comets', '<p>Look up.</p>', 'Ada Lovelace', 'Astronomy');
+    return generator;
+}
+
+let libraryDir;
+
+beforeEach(() => {
+    libraryDir = mkdtempSync(path.join(tmpdir(), 'magazeen-calibre-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    rmSync(libraryDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('toCalibreName', () => {
+    test('should replace characters file names cannot hold and clip long names', () => {
+        expect(toCalibreName('Notes: A/B "Test"?')).toBe('Notes_ A_B _Test__');
+        expect(toCalibreName('x'.repeat(150))).toHaveLength(100);
+        expect(toCalibreName('Trailing...')).toBe('Trailing');
+        expect(toCalibreName('')).toBe('Unknown');
+    });
+});
+
+describe('renderCalibreOPF', () => {
+    test('should carry the title, author, series, issue index and section tags', () => {
+        const generator = createIssue();
+        const { document, texts, meta } = parseOPF(renderCalibreOPF(generator, 7));
+
+        expect(document.documentElement.getAttribute('version')).toBe('2.0');
+        expect(texts('identifier')).toEqual(['7', generator.getIdentifier().replace('urn:uuid:', '')]);
+        expect(texts('title')).toEqual(['Reader Monthly - Volume 1, Issue 3']);
+        expect(texts('creator')).toEqual(['Ada Lovelace']);
+        expect(texts('date')).toEqual(['2026-03-15T12:00:00+00:00']);
+        expect(texts('description')).toEqual(['Issues for the shelf']);
+        expect(texts('language')).toEqual(['en']);
+        expect(texts('subject')).toEqual(['Gardening', 'Astronomy']);
+        expect(meta('calibre:series')).toBe('Reader Monthly');
+        expect(meta('calibre:series_index')).toBe('3');
+        expect(document.getElementsByTagNameNS(OPF_NS, 'reference')[0].getAttribute('href')).toBe('cover.jpg');
+    });
+
+    test('should leave out the series for issues without a running number', () => {
+        const generator = new EPUBMagazineGenerator().setBuildDate(new Date('2026-03-15T12:00:00Z'));
+        generator.initializeEPUB('Reader Monthly', 'Ada Lovelace', 'Issues for the shelf');
+        generator.addArticle('Tomatoes', '<p>Plant them early.</p>', 'Ada Lovelace', 'Gardening');
+        const { texts, meta } = parseOPF(renderCalibreOPF(generator, 1));
+
+        expect(meta('calibre:series')).toBeUndefined();
+        expect(texts('subject')).toEqual(['Gardening']);
+    });
+});
+
+describe('getCoverJPEG', () => {
+    test('should draw the generated cover as a JPEG', () => {
+        const cover = getCoverJPEG(createIssue());
+
+        expect(cover[0]).toBe(0xff);
+        expect(cover[1]).toBe(0xd8);
+        expect(getImageDimensions(cover)).toEqual({ width: 800, height: 1280 });
+    });
+
+    test('should keep JPEG covers and convert PNG covers, over white where transparent', () => {
+        const imageDir = mkdtempSync(path.join(tmpdir(), 'magazeen-calibre-cover-'));
+        try {
+            const jpegCover = jpeg.encode({ data: Buffer.alloc(4 * 4 * 4, 0x80), width: 4, height: 4 }, 90).data;
+            writeFileSync(path.join(imageDir, 'cover.jpg'), jpegCover);
+            const png = new PNG({ width: 2, height: 1 });
+            png.data = Buffer.from([255, 0, 0, 255, 0, 0, 0, 0]);
+            writeFileSync(path.join(imageDir, 'cover.png'), PNG.sync.write(png));
+            writeFileSync(path.join(imageDir, 'cover.svg'), '<svg xmlns="http://www.w3.org/2000/svg"/>');
+
+            expect(getCoverJPEG(createIssue().setCoverImage(path.join(imageDir, 'cover.jpg'))).equals(jpegCover)).toBe(true);
+
+            const converted = jpeg.decode(getCoverJPEG(createIssue().setCoverImage(path.join(imageDir, 'cover.png'))));
+            expect([converted.width, converted.height]).toEqual([2, 1]);
+            expect(converted.data[0]).toBeGreaterThan(200);
+            expect(converted.data[5]).toBeGreaterThan(200);
+
+            expect(getImageDimensions(getCoverJPEG(createIssue().setCoverImage(path.join(imageDir, 'cover.svg'))))).toEqual({ width: 800, height: 1280 });
+            expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('using the generated cover instead of \'cover.svg\''));
+        } finally {
+            rmSync(imageDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('exportToCalibre', () => {
+    test('should write the EPUB, metadata.opf and cover.jpg into Author/Title (id)/', () => {
+        const epub = Buffer.from('stand-in EPUB');
+        const book = exportToCalibre(createIssue(), epub, libraryDir);
+
+        const bookDir = path.join(libraryDir, 'Ada Lovelace', 'Reader Monthly - Volume 1, Issue 3 (1)');
+        expect(book).toEqual({
+            id: 1,
+            bookDir,
+            epubPath: path.join(bookDir, 'Reader Monthly - Volume 1, Issue 3 - Ada Lovelace.epub')
+        });
+        expect(readdirSync(bookDir).sort()).toEqual(['Reader Monthly - Volume 1, Issue 3 - Ada Lovelace.epub', 'cover.jpg', 'metadata.opf']);
+        expect(readFileSync(book.epubPath).equals(epub)).toBe(true);
+        expect(parseOPF(readFileSync(path.join(bookDir, 'metadata.opf'), 'utf-8')).texts('identifier')[0]).toBe('1');
+    });
+
+    test('should number books after those in the library and reuse an issue\'s folder', () => {
+        exportToCalibre(createIssue(), Buffer.from('3'), libraryDir);
+        const other = exportToCalibre(createIssue({ title: 'Other Weekly' }), Buffer.from('other'), libraryDir);
+        const next = exportToCalibre(createIssue({ number: 4 }), Buffer.from('4'), libraryDir);
+        const again = exportToCalibre(createIssue(), Buffer.from('3 again'), libraryDir);
+
+        expect([other.id, next.id, again.id]).toEqual([2, 3, 1]);
+        expect(readdirSync(path.join(libraryDir, 'Ada Lovelace')).sort()).toEqual([
+            'Other Weekly - Volume 1, Issue 3 (2)',
+            'Reader Monthly - Volume 1, Issue 3 (1)',
+            'Reader Monthly - Volume 1, Issue 4 (3)'
+        ]);
+        expect(readFileSync(again.epubPath, 'utf-8')).toBe('3 again');
+    });
+});
+
+describe('MagazineGenerator with a Calibre library', () => {
+    function createMagazineGenerator() {
+        const contentManager = createMemoryContentManager({
+            metadata: { title: 'Shelf Monthly', author: 'Grace Hopper', enableClustering: false },
+            articles: [{ id: 'a1', title: 'Compilers', content: '<p>They translate.</p>', category: 'Computing', author: 'Grace Hopper', tags: [] }],
+            interests: [],
+            chatHighlights: [],
+            claudeChats: [],
+            issues: []
+        });
+        return new MagazineGenerator(contentManager, new ArticleGenerator(contentManager));
+    }
+
+    test('should file each generated EPUB in the library', async () => {
+        const epub = await createMagazineGenerator().generateMagazine({ output: 'buffer', calibreLibrary: libraryDir });
+
+        const [bookFolder] = readdirSync(path.join(libraryDir, 'Grace Hopper'));
+        expect(bookFolder).toMatch(/^Shelf Monthly - Volume 1, Issue 1 \(1\)$/);
+        const bookDir = path.join(libraryDir, 'Grace Hopper', bookFolder);
+        expect(readFileSync(path.join(bookDir, 'Shelf Monthly - Volume 1, Issue 1 - Grace Hopper.epub')).equals(epub)).toBe(true);
+        expect(parseOPF(readFileSync(path.join(bookDir, 'metadata.opf'), 'utf-8')).texts('subject')).toEqual(['Computing']);
+        expect(console.log).toHaveBeenCalledWith(`Added to Calibre library: ${bookDir}`);
+    });
+
+    test('should build a streamed EPUB once and file the same bytes', async () => {
+        const magazineGenerator = createMagazineGenerator();
+        const generateBuffer = jest.spyOn(EPUBMagazineGenerator.prototype, 'generateBuffer');
+        const chunks = [];
+        const output = new Writable({
+            write(chunk, encoding, callback) {
+                chunks.push(chunk);
+                callback();
+            }
+        });
+
+        await magazineGenerator.generateMagazine({ output, calibreLibrary: libraryDir });
+
+        expect(generateBuffer).toHaveBeenCalledTimes(1);
+        const bookDir = path.join(libraryDir, 'Grace Hopper', 'Shelf Monthly - Volume 1, Issue 1 (1)');
+        expect(readFileSync(path.join(bookDir, 'Shelf Monthly - Volume 1, Issue 1 - Grace Hopper.epub')).equals(Buffer.concat(chunks))).toBe(true);
+    });
+
+    test('should not file other formats or Kobo kepubs', async () => {
+        await createMagazineGenerator().generateMagazine({ output: 'buffer', format: 'html', calibreLibrary: libraryDir });
+        await createMagazineGenerator().generateMagazine({ output: 'buffer', kepub: true, calibreLibrary: libraryDir });
+
+        expect(existsSync(path.join(libraryDir, 'Grace Hopper'))).toBe(false);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Kobo kepubs are not added to the Calibre library'));
+    });
+});
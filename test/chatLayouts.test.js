@@ -0,0 +1,200 @@
+import { jest } from '@jest/globals';
+import { renderChat, CHAT_LAYOUTS } from '../src/chatLayouts.js';
+import { MarkdownRenderer } from '../src/markdownRenderer.js';
+import { Localizer } from '../src/i18n.js';
+import { MagazineGenerator } from '../src/magazineGenerator.js';
+import { ValidationError } from '../src/validation.js';
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import { checkEPUB } from '../src/epubChecker.js';
+import { JSDOM } from 'jsdom';
+import { createMemoryContentManager } from './helpers/memoryContentManager.js';
+
+const markdownRenderer = new MarkdownRenderer({ headingOffset: 2, breaks: true });
+const localizer = new Localizer('en');
+
+const chat = {
+    id: 'chat-1',
+    title: 'Sourdough',
+    conversation: [
+        { sender: 'human', text: 'How long should dough rise?\nMine is always flat.', timestamp: '2026-02-01T10:00:00Z' },
+        { sender: 'assistant', text: 'Usually **4 to 6 hours** at room temperature.', starred: true },
+        { sender: 'assistant', text: 'Flat loaves often mean weak starter.' },
+        { sender: 'human', text: 'What flour works best?' },
+        { sender: 'assistant', text: 'Bread flour, for its higher protein.', starred: true }
+    ]
+};
+
+function render(layout, source = chat) {
+    const html = renderChat(source, { layout, localizer, markdownRenderer });
+    return { html, document: new JSDOM(html).window.document };
+}
+
+function storedContent(overrides = {}) {
+    return {
+        metadata: { title: 'Layouts', author: 'Tester', description: 'Layout test', ...overrides.metadata },
+        articles: [],
+        interests: [],
+        chatHighlights: [],
+        claudeChats: overrides.claudeChats ?? [{ ...JSON.parse(JSON.stringify(chat)), selected: true }]
+    };
+}
+
+describe('renderChat', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should render the full transcript by default', () => {
+        const { document } = render(undefined);
+
+        expect(document.querySelector('.chat-transcript').getAttribute('aria-label')).toBe('Conversation transcript');
+        expect(document.querySelectorAll('.claude-message')).toHaveLength(5);
+        expect(document.querySelector('#message-1').textContent).toMatch(/^You \(.*2026.*\):$/);
+    });
+
+    test('should turn questions into headings followed by their answers', () => {
+        const { document } = render('qa');
+        const exchanges = document.querySelectorAll('.chat-exchange');
+
+        expect(exchanges).toHaveLength(2);
+        expect(exchanges[0].querySelector('h2.chat-question').textContent).toBe('How long should dough rise?');
+        expect(exchanges[0].querySelector('.chat-question-detail').textContent.trim()).toBe('Mine is always flat.');
+        expect(exchanges[0].querySelectorAll('.chat-answer p')).toHaveLength(2);
+        expect(exchanges[0].querySelector('.chat-answer strong').textContent).toBe('4 to 6 hours');
+        expect(exchanges[1].querySelector('.chat-question-detail')).toBeNull();
+        expect(document.querySelector('.message-meta')).toBeNull();
+    });
+
+    test('should cut long questions after their first sentence', () => {
+        const question = `Why does bread go stale? ${'It gets hard overnight and I want to know the chemistry. '.repeat(4)}`;
+        const { document } = render('qa', { title: 'Stale', conversation: [{ sender: 'human', text: question }] });
+
+        expect(document.querySelector('.chat-question').textContent).toBe('Why does bread go stale?');
+        expect(document.querySelector('.chat-question-detail').textContent).toContain('chemistry');
+    });
+
+    test('should not add a detail block to questions without artifacts', () => {
+        const { document } = render('qa', {
+            title: 'Flour',
+            conversation: [
+                { sender: 'human', text: 'What flour works best?', artifacts: [] },
+                { sender: 'assistant', text: 'Bread flour.' }
+            ]
+        });
+
+        expect(document.querySelector('.chat-question-detail')).toBeNull();
+    });
+
+    test('should keep only Claude\'s replies in the essay layout', () => {
+        const { document } = render('essay');
+
+        expect([...document.querySelectorAll('.essay-part')].map(part => part.textContent)).toEqual([
+            'Usually 4 to 6 hours at room temperature.',
+            'Flat loaves often mean weak starter.',
+            'Bread flour, for its higher protein.'
+        ]);
+        expect(document.body.textContent).not.toContain('How long');
+    });
+
+    test('should keep only starred messages in the highlights layout', () => {
+        const { document } = render('highlights');
+
+        expect(document.querySelector('.chat-transcript').getAttribute('aria-label')).toBe('Starred messages');
+        expect([...document.querySelectorAll('.message-meta')].map(meta => meta.id)).toEqual(['message-2', 'message-5']);
+    });
+
+    test('should fall back to the transcript when nothing is starred', () => {
+        const unstarred = { ...chat, conversation: chat.conversation.map(message => ({ ...message, starred: false })) };
+        const { document } = render('highlights', unstarred);
+
+        expect(document.querySelectorAll('.claude-message')).toHaveLength(5);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('"Sourdough" has no starred messages'));
+    });
+});
+
+describe('ContentManager chat layouts', () => {
+    test('should store layouts on chats and the issue default in the metadata', () => {
+        const contentManager = createMemoryContentManager(storedContent());
+
+        expect(contentManager.setChatLayout('chat-1', 'qa')).toBe(true);
+        contentManager.setDefaultChatLayout('essay');
+        expect(contentManager.saved().claudeChats[0].layout).toBe('qa');
+        expect(contentManager.saved().metadata.chatLayout).toBe('essay');
+
+        contentManager.setChatLayout('chat-1', null);
+        expect(contentManager.saved().claudeChats[0]).not.toHaveProperty('layout');
+        expect(() => contentManager.setChatLayout('chat-1', 'poster')).toThrow(ValidationError);
+    });
+
+    test('should star messages and keep stars when the chat is imported again', () => {
+        const contentManager = createMemoryContentManager(storedContent({ claudeChats: [] }));
+        const exported = [{
+            uuid: 'chat-2',
+            name: 'Imported',
+            chat_messages: [
+                { sender: 'human', text: 'Question' },
+                { sender: 'assistant', text: 'Answer' }
+            ]
+        }];
+
+        expect(contentManager.importClaudeChats(exported)).toBe(1);
+        expect(contentManager.setMessageStarred('chat-2', 2)).toBe(true);
+        expect(contentManager.setMessageStarred('chat-2', 3)).toBe(false);
+
+        contentManager.importClaudeChats(exported);
+        expect(contentManager.saved().claudeChats[0].conversation[1].starred).toBe(true);
+
+        contentManager.setMessageStarred('chat-2', 2, false);
+        expect(contentManager.saved().claudeChats[0].conversation[1]).not.toHaveProperty('starred');
+    });
+});
+
+describe('Chat layouts in generated issues', () => {
+    const buildChatChapter = (contentManager, options = {}) => {
+        const articleGenerator = { generateInterestArticle: jest.fn(), generateChatHighlightsArticle: jest.fn() };
+        const generator = new MagazineGenerator(contentManager, articleGenerator)
+            .buildMagazine({ enableClustering: false, ...options });
+        return generator.chapters.find(chapter => chapter.title === 'Sourdough').content;
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should use the chat\'s own layout over the issue layout', () => {
+        const contentManager = createMemoryContentManager(storedContent({ metadata: { chatLayout: 'essay' } }));
+        expect(buildChatChapter(contentManager)).toContain('class="chat-essay"');
+        expect(buildChatChapter(contentManager, { chatLayout: 'qa' })).toContain('class="chat-qa"');
+
+        contentManager.setChatLayout('chat-1', 'highlights');
+        expect(buildChatChapter(contentManager, { chatLayout: 'qa' })).toContain('aria-label="Starred messages"');
+    });
+
+    test('should reject unknown issue layouts', () => {
+        const contentManager = createMemoryContentManager(storedContent());
+        expect(() => buildChatChapter(contentManager, { chatLayout: 'poster' })).toThrow(ValidationError);
+    });
+
+    test('should include chats by ID when asked to', () => {
+        const contentManager = createMemoryContentManager(storedContent({
+            claudeChats: [{ ...JSON.parse(JSON.stringify(chat)), selected: false }]
+        }));
+        expect(buildChatChapter(contentManager, { chatIds: ['chat-1'] })).toContain('chat-transcript');
+    });
+
+    test.each(CHAT_LAYOUTS)('should produce a valid EPUB with the %s layout', async layout => {
+        const generator = new EPUBMagazineGenerator();
+        generator.initializeEPUB('Layouts', 'Tester', 'Layout test');
+        generator.addArticle('Sourdough', renderChat(chat, { layout, localizer, markdownRenderer }));
+
+        expect((await checkEPUB(await generator.generateBuffer())).errors).toEqual([]);
+    });
+});
@@ -17,6 +17,9 @@ const mockGetPageLimitInfo = jest.fn().mockReturnValue({
     isAtLimit: false
 });
 const mockSetPageLimit = jest.fn();
+const mockSetChatLayout = jest.fn().mockReturnValue(true);
+const mockSetMessageStarred = jest.fn().mockReturnValue(true);
+const mockSetKindleEmail = jest.fn();
 
 jest.unstable_mockModule('../src/contentManager.js', () => ({
   ContentManager: jest.fn().mockImplementation(() => ({
@@ -29,6 +32,9 @@ jest.unstable_mockModule('../src/contentManager.js', () => ({
     saveContent: mockSaveContent, // Ensure saveContent is part of the mock
     getPageLimitInfo: mockGetPageLimitInfo, // Add new method
     setPageLimit: mockSetPageLimit, // Add new method
+    setChatLayout: mockSetChatLayout,
+    setMessageStarred: mockSetMessageStarred,
+    setKindleEmail: mockSetKindleEmail,
     content: { // Provide a basic structure for content
       articles: [],
       interests: [],
@@ -53,6 +59,37 @@ jest.unstable_mockModule('../src/templateManager.js', () => ({
     createTemplate: mockCreateTemplate,
 }));
 
+// Mock the vault exporter
+const mockExportToVault = jest.fn().mockReturnValue({ success: true, notes: 3, articles: 1, chats: 1, interests: 0, chatHighlights: 0, issues: 0 });
+jest.unstable_mockModule('../src/vaultExporter.js', () => ({
+    VaultExporter: jest.fn().mockImplementation(() => ({
+        exportToVault: mockExportToVault,
+    })),
+}));
+
+// Mock the EPUB importer
+const mockImportFromFile = jest.fn();
+jest.unstable_mockModule('../src/epubImporter.js', () => ({
+    EPUBImporter: jest.fn().mockImplementation(() => ({
+        importFromFile: mockImportFromFile,
+    })),
+}));
+
+// Mock Send-to-Kindle delivery
+const mockDeliver = jest.fn();
+jest.unstable_mockModule('../src/kindleDelivery.js', () => ({
+    KindleDelivery: jest.fn().mockImplementation(() => ({
+        deliver: mockDeliver,
+    })),
+}));
+
+// Mock the EPUB checker
+const mockCheckEPUB = jest.fn();
+jest.unstable_mockModule('../src/epubChecker.js', () => ({
+    checkEPUB: mockCheckEPUB,
+    formatReport: jest.fn(report => report.errors.map(issue => `ERROR: ${issue.message}`).join('\n')),
+}));
+
 
 // Mock readline for interactive session parts
 const mockReadlineInstance = {
@@ -149,6 +186,318 @@ describe('CLI Argument Parsing and Functionality', () => {
     expect(consoleLogSpy).toHaveBeenCalledWith('Magazine generated: path/to/magazine.epub');
   });
 
+  test('--generate --cover passes the cover image to generateMagazine', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--cover', 'my-cover.jpg'];
+
+    runCli();
+
+    await Promise.resolve();
+
+    expect(mockGenerateMagazine).toHaveBeenCalledWith({ coverImage: 'my-cover.jpg' });
+  });
+
+  test('--generate --cover requires an image path', () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--cover', '--issue', '2'];
+
+    runCli();
+
+    expect(mockGenerateMagazine).not.toHaveBeenCalled();
+    expect(consoleErrorSpy).toHaveBeenCalledWith('Error: --cover option requires an image path.');
+    expect(process.exitCode).toBe(1);
+    process.exitCode = undefined;
+  });
+
+  test('--generate --issue --volume passes the issue overrides to generateMagazine', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--issue', '14', '--volume', '2'];
+
+    runCli();
+
+    await Promise.resolve();
+
+    expect(mockGenerateMagazine).toHaveBeenCalledWith({ issueNumber: 14, volume: 2 });
+  });
+
+  test('--generate --issue rejects values that are not positive whole numbers', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--issue', 'two'];
+
+    runCli();
+
+    expect(mockGenerateMagazine).not.toHaveBeenCalled();
+    expect(consoleErrorSpy).toHaveBeenCalledWith('Error: --issue option requires a positive whole number.');
+    expect(process.exitCode).toBe(1);
+    process.exitCode = undefined;
+  });
+
+  test('--generate --layout passes the chat layout to generateMagazine', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--layout', 'qa'];
+
+    runCli();
+
+    await Promise.resolve();
+
+    expect(mockGenerateMagazine).toHaveBeenCalledWith({ chatLayout: 'qa' });
+  });
+
+  test('--generate --layout rejects unknown layouts', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--layout', 'poster'];
+
+    runCli();
+
+    expect(mockGenerateMagazine).not.toHaveBeenCalled();
+    expect(consoleErrorSpy).toHaveBeenCalledWith('Error: --layout option requires one of: transcript, qa, essay, highlights.');
+    expect(process.exitCode).toBe(1);
+    process.exitCode = undefined;
+  });
+
+  test('--generate --device passes the device profile to generateMagazine', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--device', 'kobo'];
+
+    runCli();
+
+    await Promise.resolve();
+
+    expect(mockGenerateMagazine).toHaveBeenCalledWith({ device: 'kobo' });
+  });
+
+  test('--generate --device rejects unknown devices', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--device', 'nook'];
+
+    runCli();
+
+    expect(mockGenerateMagazine).not.toHaveBeenCalled();
+    expect(consoleErrorSpy).toHaveBeenCalledWith('Error: --device option requires one of: default, kindle, kobo, remarkable, phone.');
+    expect(process.exitCode).toBe(1);
+    process.exitCode = undefined;
+  });
+
+  test('--generate --kepub asks for a Kobo kepub file', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--device', 'kobo', '--kepub'];
+
+    runCli();
+
+    await Promise.resolve();
+
+    expect(mockGenerateMagazine).toHaveBeenCalledWith({ device: 'kobo', kepub: true });
+  });
+
+  test('generate --format html asks for a single HTML page', async () => {
+    process.argv = ['node', 'src/cli.js', 'generate', '--format', 'html'];
+
+    runCli();
+
+    await Promise.resolve();
+
+    expect(mockGenerateMagazine).toHaveBeenCalledWith({ format: 'html' });
+  });
+
+  test('--generate --format rejects unknown formats', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--format', 'docx'];
+
+    runCli();
+
+    expect(mockGenerateMagazine).not.toHaveBeenCalled();
+    expect(consoleErrorSpy).toHaveBeenCalledWith('Error: --format option requires one of: epub, pdf, html.');
+    expect(process.exitCode).toBe(1);
+    process.exitCode = undefined;
+  });
+
+  test('generate --format pdf --page-size passes the page size', async () => {
+    process.argv = ['node', 'src/cli.js', 'generate', '--format', 'pdf', '--page-size', 'Letter'];
+
+    runCli();
+
+    await Promise.resolve();
+
+    expect(mockGenerateMagazine).toHaveBeenCalledWith({ format: 'pdf', pageSize: 'Letter' });
+  });
+
+  test('--generate --page-size rejects unknown page sizes', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--format', 'pdf', '--page-size', 'A4'];
+
+    runCli();
+
+    expect(mockGenerateMagazine).not.toHaveBeenCalled();
+    expect(consoleErrorSpy).toHaveBeenCalledWith('Error: --page-size option requires one of: A5, Letter.');
+    expect(process.exitCode).toBe(1);
+    process.exitCode = undefined;
+  });
+
+  test('--export-vault writes the selected chats to the given folder', () => {
+    process.argv = ['node', 'src/cli.js', '--export-vault', 'notes/magazine'];
+
+    runCli();
+
+    expect(mockExportToVault).toHaveBeenCalledWith('notes/magazine', { chats: 'selected' });
+    expect(consoleLogSpy).toHaveBeenCalledWith('✅ Success! Wrote 3 notes: 1 articles, 1 chats, 0 interests, 0 chat highlights and 0 issues.');
+  });
+
+  test('--export-vault --all-chats exports every chat to out/vault by default', () => {
+    process.argv = ['node', 'src/cli.js', '--export-vault', '--all-chats'];
+
+    runCli();
+
+    expect(mockExportToVault).toHaveBeenCalledWith('out/vault', { chats: 'all' });
+  });
+
+  test('--generate --theme passes the theme to generateMagazine', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--theme', 'kindle'];
+
+    runCli();
+
+    await Promise.resolve();
+
+    expect(mockGenerateMagazine).toHaveBeenCalledWith({ theme: 'kindle' });
+  });
+
+  test('--generate --theme requires a theme', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--theme'];
+
+    runCli();
+
+    expect(mockGenerateMagazine).not.toHaveBeenCalled();
+    expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Error: --theme option requires a theme directory or one of: default, kindle'));
+    expect(process.exitCode).toBe(1);
+    process.exitCode = undefined;
+  });
+
+  test('--chat-layout stores a chat\'s layout, and default clears it', async () => {
+    process.argv = ['node', 'src/cli.js', '--chat-layout', 'chat-1', 'essay'];
+    await runCli();
+    expect(mockSetChatLayout).toHaveBeenCalledWith('chat-1', 'essay');
+
+    process.argv = ['node', 'src/cli.js', '--chat-layout', 'chat-1', 'default'];
+    await runCli();
+    expect(mockSetChatLayout).toHaveBeenLastCalledWith('chat-1', null);
+  });
+
+  test('--star and --unstar mark messages for the highlights layout', async () => {
+    process.argv = ['node', 'src/cli.js', '--star', 'chat-1', '3'];
+    await runCli();
+    expect(mockSetMessageStarred).toHaveBeenCalledWith('chat-1', 3, true);
+
+    process.argv = ['node', 'src/cli.js', '--unstar', 'chat-1', '3'];
+    await runCli();
+    expect(mockSetMessageStarred).toHaveBeenLastCalledWith('chat-1', 3, false);
+  });
+
+  test('validate reports a valid EPUB', async () => {
+    process.argv = ['node', 'src/cli.js', 'validate', 'issue.epub'];
+    mockCheckEPUB.mockResolvedValue({ valid: true, errors: [], warnings: [] });
+
+    await runCli();
+
+    expect(mockCheckEPUB).toHaveBeenCalledWith('issue.epub');
+    expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('No errors found'));
+    expect(process.exitCode).toBeFalsy();
+  });
+
+  test('validate prints errors and sets a failing exit code', async () => {
+    process.argv = ['node', 'src/cli.js', 'validate', 'broken.epub'];
+    mockCheckEPUB.mockResolvedValue({ valid: false, errors: [{ file: 'mimetype', message: 'mimetype must be stored without compression' }], warnings: [] });
+
+    await runCli();
+
+    expect(consoleLogSpy).toHaveBeenCalledWith('ERROR: mimetype must be stored without compression');
+    expect(consoleLogSpy).toHaveBeenCalledWith(expect.stringContaining('1 error found'));
+    expect(process.exitCode).toBe(1);
+    process.exitCode = undefined;
+  });
+
+  test('validate without a file prints usage', async () => {
+    process.argv = ['node', 'src/cli.js', 'validate'];
+
+    await runCli();
+
+    expect(mockCheckEPUB).not.toHaveBeenCalled();
+    expect(consoleErrorSpy).toHaveBeenCalledWith('Error: validate requires an EPUB file path.');
+    process.exitCode = undefined;
+  });
+
+  test('import-epub imports an issue and lists what was skipped', async () => {
+    process.argv = ['node', 'src/cli.js', 'import-epub', 'issue.epub'];
+    mockImportFromFile.mockResolvedValue({
+      success: true,
+      title: 'My Magazine - Issue 3',
+      magazeen: true,
+      articles: 2,
+      chats: 3,
+      skipped: [{ title: 'Long Read', reason: 'over the page limit' }]
+    });
+
+    await runCli();
+
+    expect(mockImportFromFile).toHaveBeenCalledWith('issue.epub');
+    expect(consoleLogSpy).toHaveBeenCalledWith('✅ Success! Imported 2 articles and 3 chats from a Magazeen issue.');
+    expect(consoleLogSpy).toHaveBeenCalledWith('⚠️  Skipped "Long Read": over the page limit');
+  });
+
+  test('import-epub reports failures with a failing exit code', async () => {
+    process.argv = ['node', 'src/cli.js', 'import-epub', 'notes.txt'];
+    mockImportFromFile.mockResolvedValue({ success: false, message: "Could not read 'notes.txt': End of data reached" });
+
+    await runCli();
+
+    expect(consoleErrorSpy).toHaveBeenCalledWith("❌ Failed: Could not read 'notes.txt': End of data reached");
+    expect(process.exitCode).toBe(1);
+    process.exitCode = undefined;
+  });
+
+  test('--generate --calibre files the issue in a Calibre library folder', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--calibre', 'books'];
+    runCli();
+    process.argv = ['node', 'src/cli.js', '--generate', '--calibre'];
+    runCli();
+    await Promise.resolve();
+
+    expect(mockGenerateMagazine.mock.calls.map(([options]) => options.calibreLibrary)).toEqual(['books', 'out/calibre']);
+  });
+
+  test('--generate --deliver emails the generated issue to a Kindle', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--deliver'];
+    mockDeliver.mockResolvedValue({ success: true, to: 'reader@kindle.com', messageId: '<1@example.com>' });
+
+    runCli();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(mockDeliver).toHaveBeenCalledWith('path/to/magazine.epub', {});
+    expect(consoleLogSpy).toHaveBeenCalledWith('📬 Sent to Kindle: reader@kindle.com');
+  });
+
+  test('--generate --deliver takes an address and reports failures', async () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--deliver', 'guest@kindle.com'];
+    mockDeliver.mockResolvedValue({ success: false, message: 'Mailbox unavailable' });
+
+    runCli();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(mockDeliver).toHaveBeenCalledWith('path/to/magazine.epub', { to: 'guest@kindle.com' });
+    expect(consoleErrorSpy).toHaveBeenCalledWith('❌ Failed to send to Kindle: Mailbox unavailable');
+    expect(process.exitCode).toBe(1);
+    process.exitCode = undefined;
+  });
+
+  test('--generate --deliver refuses formats other than EPUB', () => {
+    process.argv = ['node', 'src/cli.js', '--generate', '--format', 'pdf', '--deliver'];
+
+    runCli();
+
+    expect(mockGenerateMagazine).not.toHaveBeenCalled();
+    expect(consoleErrorSpy).toHaveBeenCalledWith('Error: --deliver only sends EPUB issues; leave out --format and --kepub.');
+    expect(process.exitCode).toBe(1);
+    process.exitCode = undefined;
+  });
+
+  test('--kindle-email sets and clears the Kindle address', () => {
+    process.argv = ['node', 'src/cli.js', '--kindle-email', 'reader@kindle.com'];
+    runCli();
+    process.argv = ['node', 'src/cli.js', '--kindle-email', 'none'];
+    runCli();
+
+    expect(mockSetKindleEmail.mock.calls).toEqual([['reader@kindle.com'], [null]]);
+    expect(consoleLogSpy).toHaveBeenCalledWith('Kindle address set to reader@kindle.com.');
+    expect(consoleLogSpy).toHaveBeenCalledWith('Kindle address cleared.');
+  });
+
   test('--template calls createTemplate', () => {
     process.argv = ['node', 'src/cli.js', '--template'];
 
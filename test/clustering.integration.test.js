@@ -20,7 +20,16 @@ describe('MagazineGenerator with Clustering', () => {
         // Mock EPUB generator
         mockEpubInstance = {
             initializeEPUB: jest.fn(),
+            addSection: jest.fn(),
             addArticle: jest.fn(),
+            setLocale: jest.fn(),
+            setTheme: jest.fn(),
+            setReadingSpeed: jest.fn(),
+            setBuildDate: jest.fn(),
+            setAssetBaseDir: jest.fn(),
+            setIssue: jest.fn(),
+            setCoverImage: jest.fn(),
+            addAppendix: jest.fn(),
             generateEPUB: jest.fn().mockResolvedValue('mock/path/to/epub.epub'),
         };
         mockEpubFactory = jest.fn(() => mockEpubInstance);
@@ -144,8 +153,7 @@ describe('MagazineGenerator with Clustering', () => {
     test('should use suggested section names from clustering', async () => {
         await magazineGenerator.generateMagazine({ enableClustering: true, minSimilarity: 30 });
 
-        const addArticleCalls = mockEpubInstance.addArticle.mock.calls;
-        const sectionNames = addArticleCalls.map(call => call[3]); // 4th parameter is category/section
+        const sectionNames = mockEpubInstance.addSection.mock.calls.map(call => call[0]);
 
         // Should have Tech and Food sections (or similar)
         const uniqueSections = [...new Set(sectionNames)];
@@ -158,9 +166,37 @@ describe('MagazineGenerator with Clustering', () => {
         });
     });
 
+    test('should open a section before adding its articles', async () => {
+        await magazineGenerator.generateMagazine({ enableClustering: true, minSimilarity: 30 });
+
+        const sectionOrder = mockEpubInstance.addSection.mock.invocationCallOrder;
+        const articleOrder = mockEpubInstance.addArticle.mock.invocationCallOrder;
+        expect(sectionOrder[0]).toBeLessThan(articleOrder[0]);
+
+        // Articles keep their own category now that sections are first-class
+        const categories = mockEpubInstance.addArticle.mock.calls.map(call => call[3]);
+        expect(categories.sort()).toEqual(['Food', 'Food', 'Tech', 'Tech']);
+    });
+
+    test('should fall back to section names as categories for generators without sections', async () => {
+        delete mockEpubInstance.addSection;
+        const clusterSpy = jest.spyOn(magazineGenerator.contentClusterer, 'generateClusteredContent');
+
+        await magazineGenerator.generateMagazine({ enableClustering: true, minSimilarity: 30 });
+
+        const sectionByTitle = Object.fromEntries(clusterSpy.mock.results[0].value
+            .flatMap(section => section.articles.map(item => [item.title, section.sectionName])));
+        expect(Object.values(sectionByTitle).sort()).toEqual(['Food', 'Food', 'Tech', 'Tech']);
+        expect(mockEpubInstance.addArticle).toHaveBeenCalledTimes(4);
+        mockEpubInstance.addArticle.mock.calls.forEach(([title, , , category]) => {
+            expect(category).toBe(sectionByTitle[title]);
+        });
+    });
+
     test('should respect clustering disabled option', async () => {
         await magazineGenerator.generateMagazine({ enableClustering: false });
 
+        expect(mockEpubInstance.addSection).not.toHaveBeenCalled();
         expect(mockEpubInstance.addArticle).toHaveBeenCalledTimes(4);
 
         const addArticleCalls = mockEpubInstance.addArticle.mock.calls;
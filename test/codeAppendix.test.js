@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import { extractLongCode, renderAppendix, APPENDIX_FILENAME } from '../src/codeAppendix.js';
+import { renderChat } from '../src/chatLayouts.js';
+import { MarkdownRenderer } from '../src/markdownRenderer.js';
+import { Localizer } from '../src/i18n.js';
+import { MagazineGenerator } from '../src/magazineGenerator.js';
+import { checkEPUB } from '../src/epubChecker.js';
+import JSZip from 'jszip';
+import { createMemoryContentManager } from './helpers/memoryContentManager.js';
+
+const localizer = new Localizer('en');
+const markdownRenderer = new MarkdownRenderer({ headingOffset: 2, breaks: true });
+
+const code = lines => Array.from({ length: lines }, (_, i) => `print(${i})`).join('\n');
+const codeBlock = lines => `<pre><code class="language-python">${code(lines)}</code></pre>`;
+
+function createContentManager(claudeChats, metadata = {}) {
+    return createMemoryContentManager({
+        metadata: { title: 'Code', author: 'Tester', description: 'Appendix test', ...metadata },
+        articles: [],
+        interests: [],
+        chatHighlights: [],
+        claudeChats
+    });
+}
+
+function buildIssue(contentManager, options = {}) {
+    const articleGenerator = { generateInterestArticle: jest.fn(), generateChatHighlightsArticle: jest.fn() };
+    return new MagazineGenerator(contentManager, articleGenerator)
+        .buildMagazine({ enableClustering: false, buildDate: new Date('2026-03-01T00:00:00Z'), ...options });
+}
+
+describe('extractLongCode', () => {
+    test('should move blocks over the threshold and leave a linked summary', () => {
+        const { content, listings } = extractLongCode(`<p>Before</p>${codeBlock(5)}${codeBlock(120)}`, {
+            maxLines: 80,
+            firstNumber: 3,
+            localizer
+        });
+
+        expect(listings).toHaveLength(1);
+        expect(listings[0]).toMatchObject({ number: 3, language: 'python', lines: 120, title: null });
+        expect(listings[0].html).toContain('print(119)');
+        expect(content).toContain(codeBlock(5));
+        expect(content).not.toContain('print(119)');
+        expect(content).toContain(`<p class="code-moved" id="listing-3-ref"><a href="${APPENDIX_FILENAME}#listing-3">Listing 3</a> (python, 120 lines): moved to the appendix</p>`);
+    });
+
+    test('should move artifacts whole, named by their caption', () => {
+        const artifact = `<figure class="artifact"><figcaption class="artifact-title">Build &amp; deploy</figcaption>${codeBlock(90)}</figure>`;
+        const { content, listings } = extractLongCode(artifact, { maxLines: 80, localizer });
+
+        expect(listings[0]).toMatchObject({ number: 1, title: 'Build & deploy', lines: 90 });
+        expect(listings[0].html).toBe(artifact);
+        expect(content).not.toContain('<figure');
+    });
+
+    test('should keep everything in place when the threshold is 0', () => {
+        const html = codeBlock(500);
+        expect(extractLongCode(html, { maxLines: 0, localizer })).toEqual({ content: html, listings: [] });
+    });
+
+    test('should link each appendix listing back to its chapter', () => {
+        const html = renderAppendix([{ number: 2, title: null, language: 'js', lines: 100, html: '<pre><code>x</code></pre>', chapterTitle: 'Scripts', chapterFile: 'chapter4.xhtml' }], localizer);
+
+        expect(html).toContain('<section class="appendix-listing" id="listing-2">');
+        expect(html).toContain('<h2 class="listing-title">Listing 2: Scripts</h2>');
+        expect(html).toContain('<p class="listing-meta">js, 100 lines</p>');
+        expect(html).toContain('<a href="chapter4.xhtml#listing-2-ref" role="doc-backlink">Back to “Scripts”</a>');
+    });
+});
+
+describe('Artifacts in imported chats', () => {
+    test('should keep artifacts from the export and render them with their title', () => {
+        const contentManager = createContentManager([]);
+        contentManager.importClaudeChats([{
+            uuid: 'chat-a',
+            name: 'Artifacts',
+            chat_messages: [{
+                sender: 'assistant',
+                text: 'Here is the script.',
+                content: [
+                    { type: 'text', text: 'Here is the script.' },
+                    { type: 'tool_use', name: 'artifacts', input: { id: 'deploy', type: 'application/vnd.ant.code', language: 'bash', title: 'Deploy script', command: 'create', content: 'echo hi' } },
+                    { type: 'tool_use', name: 'artifacts', input: { id: 'deploy', command: 'update', old_str: 'hi', new_str: 'bye' } }
+                ]
+            }]
+        }]);
+
+        const [message] = contentManager.content.claudeChats[0].conversation;
+        expect(message.artifacts).toEqual([{ title: 'Deploy script', type: 'application/vnd.ant.code', language: 'bash', content: 'echo hi' }]);
+        expect(renderChat(contentManager.content.claudeChats[0], { localizer, markdownRenderer }))
+            .toContain('<figure class="artifact"><figcaption class="artifact-title">Deploy script</figcaption><pre><code class="language-bash">echo hi</code></pre></figure>');
+    });
+});
+
+describe('Code appendix in generated issues', () => {
+    const chats = () => [
+        { id: 'c1', title: 'Big Script', selected: true, conversation: [
+            { sender: 'human', text: 'Write the importer' },
+            { sender: 'assistant', text: `Here it is:\n\n\`\`\`python\n${code(150)}\n\`\`\`` }
+        ] },
+        { id: 'c2', title: 'Small Talk', selected: true, conversation: [
+            { sender: 'assistant', text: 'No code here.' }
+        ] }
+    ];
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should add an appendix chapter at the end with working links both ways', async () => {
+        const generator = buildIssue(createContentManager(chats()));
+        const appendix = generator.chapters[generator.chapters.length - 1];
+
+        expect(appendix).toMatchObject({ title: 'Appendix', filename: 'appendix.xhtml', type: 'appendix' });
+        expect(generator.readingOrder[generator.readingOrder.length - 1].item).toBe(appendix);
+
+        const zip = await JSZip.loadAsync(await generator.generateBuffer());
+        const chapter = await zip.file('OEBPS/chapter1.xhtml').async('string');
+        const back = await zip.file('OEBPS/appendix.xhtml').async('string');
+
+        expect(chapter).toContain('href="appendix.xhtml#listing-1"');
+        expect(chapter).not.toContain('print(149)');
+        expect(back).toContain('epub:type="appendix"');
+        expect(back).toContain('print(149)');
+        expect(back).toContain('href="chapter1.xhtml#listing-1-ref"');
+        expect((await checkEPUB(await generator.generateBuffer())).errors).toEqual([]);
+    });
+
+    test('should follow the threshold from options and the content file', () => {
+        expect(buildIssue(createContentManager(chats()), { codeAppendixLines: 200 }).chapters.map(c => c.title))
+            .toEqual(['Big Script', 'Small Talk']);
+        expect(buildIssue(createContentManager(chats(), { codeAppendixLines: 0 })).chapters).toHaveLength(2);
+    });
+
+    test('should close the last section before the appendix when clustering', () => {
+        const generator = buildIssue(createContentManager(chats()), { enableClustering: true });
+        const appendix = generator.chapters.find(chapter => chapter.type === 'appendix');
+
+        expect(appendix.section).toBeNull();
+        expect(generator.readingOrder[generator.readingOrder.length - 1]).toEqual({ type: 'chapter', item: appendix });
+    });
+});
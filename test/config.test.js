@@ -33,7 +33,8 @@ describe('Configuration System', () => {
 
     test('should have proper path defaults', () => {
       expect(config.paths.templatesDir).toBe('src/templates');
-      expect(config.paths.epubStylesFile).toBe('src/epub_styles.css');
+      expect(config.paths.epubStylesFile).toBe('src/themes/default/styles.css');
+      expect(config.paths.themesDir).toBe('themes');
     });
 
     test('should have proper EPUB defaults', () => {
@@ -53,6 +54,13 @@ describe('Configuration System', () => {
       expect(config.content.defaultCategory).toBe('General');
     });
 
+    test('should leave Send-to-Kindle delivery off by default', () => {
+      expect(config.delivery.smtpHost).toBeNull();
+      expect(config.delivery.smtpPort).toBe(587);
+      expect(config.delivery.smtpSecure).toBe(false);
+      expect(config.delivery.from).toBeNull();
+    });
+
     test('should have proper logging defaults', () => {
       expect(config.logging.structured).toBe(false);
       expect(config.logging.console).toBe(true);
@@ -0,0 +1,135 @@
+import { CoverGenerator } from '../src/coverGenerator.js';
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import KindleEPUBMagazineGenerator from '../src/kindle_epub_generator.js';
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { jest } from '@jest/globals';
+import JSZip from 'jszip';
+import { JSDOM } from 'jsdom';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+describe('CoverGenerator', () => {
+    const details = {
+        title: 'Tech & Life Monthly',
+        issueNumber: 7,
+        date: 'July 2026',
+        sections: ['Programming', 'Cooking & Food', 'Travel', 'Gardening']
+    };
+
+    test('should render a well-formed SVG with title, issue, date and top sections', () => {
+        const svg = new CoverGenerator(details).generateSVG();
+        const dom = new JSDOM(svg, { contentType: 'image/svg+xml' });
+        const texts = [...dom.window.document.querySelectorAll('text')].map(text => text.textContent);
+
+        expect(texts.join(' ')).toContain('Tech & Life');
+        expect(texts).toContain('Issue 7');
+        expect(texts).toContain('July 2026');
+        expect(texts).toContain('Cooking & Food');
+        expect(texts).not.toContain('Gardening');
+    });
+
+    test('should describe the cover in alt text', () => {
+        const altText = new CoverGenerator(details).getAltText();
+        expect(altText).toContain('Tech & Life Monthly, Issue 7');
+        expect(altText).toContain('Programming, Cooking & Food, Travel');
+    });
+
+    test('should produce a valid 800x1280 PNG', () => {
+        const png = new CoverGenerator(details).generatePNG();
+
+        expect(png.subarray(0, 8).equals(PNG_SIGNATURE)).toBe(true);
+        expect(png.toString('ascii', 12, 16)).toBe('IHDR');
+        expect(png.readUInt32BE(16)).toBe(800);
+        expect(png.readUInt32BE(20)).toBe(1280);
+        expect(png.toString('ascii', png.length - 8, png.length - 4)).toBe('IEND');
+    });
+
+    test('should handle long titles and characters outside the bitmap font', () => {
+        const cover = new CoverGenerator({
+            title: 'Ünïcödé Überschrift with an extraordinarily long title that needs wrapping 🚀',
+            issueNumber: 12,
+            date: 'Décembre 2026'
+        });
+
+        expect(() => cover.generatePNG()).not.toThrow();
+        expect(cover.generateSVG()).toContain('Ünïcödé');
+    });
+});
+
+describe('EPUB cover integration', () => {
+    const testOutputDir = '/tmp/test-epub-cover';
+
+    beforeAll(() => {
+        if (!existsSync(testOutputDir)) {
+            mkdirSync(testOutputDir, { recursive: true });
+        }
+    });
+
+    async function buildEPUB(generator, filename) {
+        generator.initializeEPUB('Cover Test', 'Test Author', 'Test Description');
+        generator.addSection('Programming');
+        generator.addArticle('Python Tips', '<p>Python</p>', 'Dev', 'Tech');
+        generator.addArticle('Rust Ownership', '<p>Rust</p>', 'Dev', 'Tech');
+        generator.addSection('Cooking');
+        generator.addArticle('Pasta Night', '<p>Pasta</p>', 'Chef', 'Food');
+        const outputPath = `${testOutputDir}/${filename}`;
+        await generator.generateEPUB(outputPath);
+        return JSZip.loadAsync(readFileSync(outputPath));
+    }
+
+    test('should register a generated PNG as the cover image and add a cover page', async () => {
+        const zip = await buildEPUB(new EPUBMagazineGenerator(), 'default-cover.epub');
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+
+        expect(opf).toContain('<item id="cover-image" href="images/cover.png" media-type="image/png" properties="cover-image"/>');
+        expect(opf).toContain('<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml" properties="svg"/>');
+        expect(opf).toContain('<reference type="cover" title="Cover" href="cover.xhtml"/>');
+        expect(opf).toMatch(/<spine toc="ncx">\s*<itemref idref="cover"\/>/);
+
+        const png = await zip.file('OEBPS/images/cover.png').async('nodebuffer');
+        expect(png.subarray(0, 8).equals(PNG_SIGNATURE)).toBe(true);
+
+        const coverPage = await zip.file('OEBPS/cover.xhtml').async('string');
+        const dom = new JSDOM(coverPage, { contentType: 'application/xhtml+xml' });
+        const svg = dom.window.document.querySelector('svg');
+        expect(svg).not.toBeNull();
+        // Largest section is listed first
+        expect(svg.getAttribute('aria-label')).toContain('featuring Programming, Cooking');
+    });
+
+    test('should use the PNG instead of inline SVG for Kindle', async () => {
+        const zip = await buildEPUB(new KindleEPUBMagazineGenerator(), 'kindle-cover.epub');
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+        const coverPage = await zip.file('OEBPS/cover.xhtml').async('string');
+
+        expect(opf).toContain('properties="cover-image"');
+        expect(opf).toContain('<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>');
+        expect(coverPage).not.toContain('<svg');
+        expect(coverPage).toContain('<img class="cover-image" src="images/cover.png"');
+    });
+
+    test('should prefer a user-supplied cover image', async () => {
+        const userCover = `${testOutputDir}/my-cover.jpg`;
+        writeFileSync(userCover, Buffer.from([0xff, 0xd8, 0xff, 0xd9]));
+
+        const generator = new EPUBMagazineGenerator();
+        generator.setCoverImage(userCover);
+        const zip = await buildEPUB(generator, 'user-cover.epub');
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+
+        expect(opf).toContain('<item id="cover-image" href="images/cover.jpg" media-type="image/jpeg" properties="cover-image"/>');
+        expect(zip.file('OEBPS/images/cover.png')).toBeNull();
+        expect(await zip.file('OEBPS/cover.xhtml').async('string')).toContain('src="images/cover.jpg"');
+    });
+
+    test('should fall back to the generated cover when the user image is missing', async () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const generator = new EPUBMagazineGenerator();
+        generator.setCoverImage(`${testOutputDir}/does-not-exist.png`);
+
+        expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('not found'));
+        const zip = await buildEPUB(generator, 'missing-cover.epub');
+        expect(zip.file('OEBPS/images/cover.png')).not.toBeNull();
+        warnSpy.mockRestore();
+    });
+});
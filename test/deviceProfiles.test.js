@@ -0,0 +1,190 @@
+import { jest } from '@jest/globals';
+import { DEVICE_PROFILES, DEVICE_NAMES, getDeviceProfile } from '../src/deviceProfiles.js';
+import { splitDocuments } from '../src/chapterSplitter.js';
+import { getImageDimensions } from '../src/mediaTypes.js';
+import { ValidationError } from '../src/validation.js';
+import { MagazineGenerator } from '../src/magazineGenerator.js';
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import KindleEPUBMagazineGenerator from '../src/kindle_epub_generator.js';
+import { checkEPUB } from '../src/epubChecker.js';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { createMemoryContentManager } from './helpers/memoryContentManager.js';
+
+const paragraphs = count => Array.from({ length: count }, (_, i) =>
+    `<p id="p${i + 1}">Paragraph ${i + 1} ${'of a long chat about e-readers '.repeat(8)}</p>`).join('\n');
+
+function pngHeader(width, height) {
+    const header = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header);
+    header.writeUInt32BE(13, 8);
+    header.write('IHDR', 12, 'ascii');
+    header.writeUInt32BE(width, 16);
+    header.writeUInt32BE(height, 20);
+    return header;
+}
+
+async function generate(profile, addContent) {
+    const generator = new EPUBMagazineGenerator().setDeviceProfile(profile);
+    generator.initializeEPUB('Devices', 'Tester', 'Device test');
+    addContent(generator);
+    const data = await generator.generateBuffer();
+    return { generator, data, zip: await JSZip.loadAsync(data) };
+}
+
+describe('Device profiles', () => {
+    test('should describe every device the same way', () => {
+        expect(DEVICE_NAMES).toEqual(['default', 'kindle', 'kobo', 'remarkable', 'phone']);
+        Object.entries(DEVICE_PROFILES).forEach(([name, profile]) => {
+            expect(profile).toEqual(expect.objectContaining({
+                name,
+                label: expect.any(String),
+                css: expect.any(String),
+                features: { mathml: expect.any(Boolean), svg: expect.any(Boolean) },
+                theme: expect.stringMatching(/^(default|kindle)$/)
+            }));
+        });
+        expect(() => getDeviceProfile('nook')).toThrow('Unknown device profile: nook');
+    });
+
+    test('should turn off MathML and inline SVG where the device lacks them', async () => {
+        const { zip } = await generate('kobo', generator => generator.addArticle('Math', '<p>$x^2$</p>'));
+
+        expect(await zip.file('OEBPS/chapter1.xhtml').async('string')).not.toContain('<math');
+        expect(await zip.file('OEBPS/cover.xhtml').async('string')).toContain('<svg');
+        expect(new KindleEPUBMagazineGenerator().deviceProfile.name).toBe('kindle');
+        expect(new KindleEPUBMagazineGenerator(false).supportsMathML()).toBe(true);
+    });
+
+    test('should add the device\'s styles after the theme', async () => {
+        const { zip } = await generate('remarkable', generator => generator.addArticle('Ink', '<p>Grey</p>'));
+        const css = await zip.file('OEBPS/styles.css').async('string');
+
+        expect(css).toContain('Kindle-Optimized');
+        expect(css.trimEnd().endsWith('/* reMarkable */\na { color: inherit; text-decoration: underline; }')).toBe(true);
+    });
+
+    test('should warn about images larger than the device shows', async () => {
+        const dir = mkdtempSync(path.join(tmpdir(), 'magazeen-devices-'));
+        writeFileSync(path.join(dir, 'huge.png'), pngHeader(4000, 3000));
+        writeFileSync(path.join(dir, 'small.png'), pngHeader(600, 400));
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            await generate('phone', generator => generator
+                .setAssetBaseDir(dir)
+                .addArticle('Photos', '<p><img src="huge.png" alt="Huge"/><img src="small.png" alt="Small"/></p>'));
+
+            expect(warn).toHaveBeenCalledTimes(1);
+            expect(warn).toHaveBeenCalledWith(expect.stringContaining('is 4000×3000 pixels, larger than the 1080×2340 the Phone shows'));
+        } finally {
+            warn.mockRestore();
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should read image sizes from PNG, GIF and JPEG headers', () => {
+        const gif = Buffer.from('GIF89a\x40\x01\xf0\x00', 'latin1');
+        const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x02, 0x58, 0x03, 0x20, 0x03]);
+
+        expect(getImageDimensions(pngHeader(1236, 1648))).toEqual({ width: 1236, height: 1648 });
+        expect(getImageDimensions(gif)).toEqual({ width: 320, height: 240 });
+        expect(getImageDimensions(jpeg)).toEqual({ width: 800, height: 600 });
+        expect(getImageDimensions(Buffer.from('<svg/>'))).toBeNull();
+    });
+});
+
+describe('Splitting large chapters', () => {
+    const smallKobo = { ...DEVICE_PROFILES.kobo, maxFileSize: 6000 };
+
+    test('should split between blocks and keep the header with the first part', () => {
+        const xhtml = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Long</title></head>
+<body><article><header><h1>Long</h1></header><div class="article-content">${paragraphs(40)}</div><footer>End</footer></article></body></html>`;
+        const [parts, untouched] = splitDocuments([{ filename: 'chapter1.xhtml', xhtml }, { filename: 'chapter2.xhtml', xhtml: '<p/>' }], { maxBytes: 4000 });
+
+        expect(parts.length).toBeGreaterThan(2);
+        expect(parts.map(part => part.filename).slice(0, 3)).toEqual(['chapter1.xhtml', 'chapter1-2.xhtml', 'chapter1-3.xhtml']);
+        parts.forEach(part => expect(Buffer.byteLength(part.xhtml)).toBeLessThanOrEqual(4000));
+        expect(parts[0].xhtml).toContain('<h1>Long</h1>');
+        expect(parts[1].xhtml).not.toContain('<h1>');
+        expect(parts[1].xhtml).toContain('<title>Long</title>');
+        expect(parts[parts.length - 1].xhtml).toContain('<footer>End</footer>');
+        expect(parts.map(part => (part.xhtml.match(/<p id=/g) || []).length).reduce((a, b) => a + b)).toBe(40);
+        expect(untouched).toEqual([{ filename: 'chapter2.xhtml', xhtml: '<p/>' }]);
+    });
+
+    test('should keep footnotes, appendix links and the spine working across parts', async () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const { data, zip } = await generate(smallKobo, generator => {
+            generator.addArticle('Long Chat', `<p>Claim[^1].</p>${paragraphs(30)}<p id="listing-1-ref">Listing</p><p>[^1]: Source.</p>`);
+            generator.addAppendix('Appendix', '<p><a href="chapter1.xhtml#listing-1-ref">Back</a></p>');
+        });
+        log.mockRestore();
+
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+        const partFiles = zip.file(/OEBPS\/chapter1-\d+\.xhtml$/).map(file => file.name);
+        const lastPart = partFiles.sort((a, b) => a.length - b.length || a.localeCompare(b))[partFiles.length - 1].replace('OEBPS/', '');
+        const first = await zip.file('OEBPS/chapter1.xhtml').async('string');
+        const partWith = async id => {
+            for (const file of partFiles) {
+                if ((await zip.file(file).async('string')).includes(`id="${id}"`)) {
+                    return file.replace('OEBPS/', '');
+                }
+            }
+            return null;
+        };
+
+        expect(partFiles.length).toBeGreaterThan(0);
+        expect(opf).toContain('<itemref idref="chapter1-2"/>');
+        expect(opf.indexOf('idref="chapter1-2"')).toBeLessThan(opf.indexOf('idref="chapter2"'));
+        expect(await partWith('fn-1')).toBe(lastPart);
+        expect(first).toContain(`href="${lastPart}#fn-1"`);
+        expect(await zip.file(`OEBPS/${lastPart}`).async('string')).toContain('href="chapter1.xhtml#fnref-1"');
+        expect(await zip.file('OEBPS/appendix.xhtml').async('string')).toContain(`href="${await partWith('listing-1-ref')}#listing-1-ref"`);
+        expect((await checkEPUB(data)).errors).toEqual([]);
+    });
+
+    test('should leave chapters alone on devices without a limit', async () => {
+        const { zip } = await generate('default', generator => generator.addArticle('Long Chat', paragraphs(200)));
+        expect(zip.file(/chapter1-\d+\.xhtml$/)).toEqual([]);
+    });
+});
+
+describe('Device selection in generated issues', () => {
+    function createMagazineGenerator(metadata = {}) {
+        const contentManager = createMemoryContentManager({
+            metadata: { title: 'Devices', author: 'Tester', description: 'Device test', ...metadata },
+            articles: [{ id: 'a1', title: 'Reading', content: '<p>Text</p>', category: 'Devices' }],
+            interests: [],
+            chatHighlights: [],
+            claudeChats: []
+        });
+        const articleGenerator = { generateInterestArticle: jest.fn(), generateChatHighlightsArticle: jest.fn() };
+        return new MagazineGenerator(contentManager, articleGenerator);
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should take the device from options, then the content file, then kindleOptimized', () => {
+        const build = (metadata, options = {}) => createMagazineGenerator(metadata)
+            .buildMagazine({ enableClustering: false, ...options }).deviceProfile.name;
+
+        expect(build({})).toBe('default');
+        expect(build({ kindleOptimized: true })).toBe('kindle');
+        expect(build({ kindleOptimized: true, device: 'kobo' })).toBe('kobo');
+        expect(build({ device: 'kobo' }, { device: 'phone' })).toBe('phone');
+    });
+
+    test('should reject unknown devices', () => {
+        expect(() => createMagazineGenerator().buildMagazine({ device: 'nook' })).toThrow(ValidationError);
+    });
+});
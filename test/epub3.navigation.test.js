@@ -2,6 +2,8 @@ import EPUBMagazineGenerator from '../src/epub_generator.js';
 import { readFileSync, mkdirSync, existsSync } from 'fs';
 import { execSync } from 'child_process';
 import { jest } from '@jest/globals';
+import JSZip from 'jszip';
+import { JSDOM } from 'jsdom';
 
 describe('EPUB3 Navigation - Chapter Markers for Kindle', () => {
     let generator;
@@ -127,3 +129,88 @@ describe('EPUB3 Navigation - Chapter Markers for Kindle', () => {
         expect(navContent).toContain('<meta charset="utf-8"/>');
     });
 });
+
+describe('EPUB sections - divider pages and nested navigation', () => {
+    const testOutputDir = '/tmp/test-epub3-sections';
+    const testEpubPath = `${testOutputDir}/test-sections.epub`;
+    let zip;
+
+    beforeAll(async () => {
+        if (!existsSync(testOutputDir)) {
+            mkdirSync(testOutputDir, { recursive: true });
+        }
+
+        const generator = new EPUBMagazineGenerator();
+        generator.initializeEPUB('Sectioned Magazine', 'Test Author', 'Test Description');
+        generator.addArticle('Editor Note', '<p>Welcome</p>', null, 'General');
+        generator.addSection('Programming', 'Code and tooling');
+        generator.addArticle('Python Tips', '<p>Python</p>', 'Dev', 'Tech');
+        generator.addArticle('Rust Ownership', '<p>Rust</p>', 'Dev', 'Tech');
+        generator.addSection('Cooking & Food');
+        generator.addArticle('Pasta Night', '<p>Pasta</p>', 'Chef', 'Food');
+        await generator.generateEPUB(testEpubPath);
+
+        zip = await JSZip.loadAsync(readFileSync(testEpubPath));
+    });
+
+    test('should write a section opener page listing its articles', async () => {
+        const sectionPage = await zip.file('OEBPS/section1.xhtml').async('string');
+
+        expect(sectionPage).toContain('<h1 class="section-title">Programming</h1>');
+        expect(sectionPage).toContain('<p class="section-description">Code and tooling</p>');
+        expect(sectionPage).toContain('<a href="chapter2.xhtml">Python Tips</a>');
+        expect(sectionPage).toContain('<a href="chapter3.xhtml">Rust Ownership</a>');
+
+        const secondSection = await zip.file('OEBPS/section2.xhtml').async('string');
+        expect(secondSection).toContain('Cooking &amp; Food');
+    });
+
+    test('should place section openers before their articles in the spine', async () => {
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+        const spineOrder = [...opf.matchAll(/<itemref idref="([^"]+)"\/>/g)].map(match => match[1]);
+
+        expect(spineOrder).toEqual([
+            'cover', 'index', 'toc', 'chapter1', 'section1', 'chapter2', 'chapter3', 'section2', 'chapter4'
+        ]);
+        expect(opf).toContain('<item id="section1" href="section1.xhtml" media-type="application/xhtml+xml"/>');
+    });
+
+    test('should nest articles under their section in nav.xhtml', async () => {
+        const nav = await zip.file('OEBPS/nav.xhtml').async('string');
+        const dom = new JSDOM(nav, { contentType: 'application/xhtml+xml' });
+        const topLevel = [...dom.window.document.querySelectorAll('#toc > ol > li')];
+
+        expect(topLevel.map(li => li.querySelector('a').textContent)).toEqual([
+            'Cover', 'Table of Contents', 'Editor Note', 'Programming', 'Cooking & Food'
+        ]);
+        const programming = topLevel[3];
+        expect([...programming.querySelectorAll(':scope > ol > li > a')].map(a => a.getAttribute('href')))
+            .toEqual(['chapter2.xhtml', 'chapter3.xhtml']);
+    });
+
+    test('should nest navPoints with sequential playOrder in toc.ncx', async () => {
+        const ncx = await zip.file('OEBPS/toc.ncx').async('string');
+        const dom = new JSDOM(ncx, { contentType: 'application/xml' });
+        const document = dom.window.document;
+
+        expect(ncx).toContain('<meta name="dtb:depth" content="2"/>');
+        const playOrders = [...document.querySelectorAll('navPoint')].map(point => Number(point.getAttribute('playOrder')));
+        expect(playOrders).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+
+        const sectionPoint = [...document.querySelectorAll('navMap > navPoint')]
+            .find(point => point.querySelector('content').getAttribute('src') === 'section1.xhtml');
+        expect([...sectionPoint.querySelectorAll(':scope > navPoint > content')].map(content => content.getAttribute('src')))
+            .toEqual(['chapter2.xhtml', 'chapter3.xhtml']);
+    });
+
+    test('should group articles under section headings in toc.xhtml', async () => {
+        const toc = await zip.file('OEBPS/toc.xhtml').async('string');
+        const dom = new JSDOM(toc, { contentType: 'application/xhtml+xml' });
+        const sections = [...dom.window.document.querySelectorAll('.toc-section')];
+
+        expect(sections).toHaveLength(2);
+        expect(sections[0].querySelector('.toc-section-link').getAttribute('href')).toBe('section1.xhtml');
+        expect([...sections[0].querySelectorAll('.toc-title')].map(title => title.textContent))
+            .toEqual(['Python Tips', 'Rust Ownership']);
+    });
+});
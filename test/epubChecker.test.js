@@ -0,0 +1,191 @@
+import { checkEPUB, formatReport, EPUBValidationError } from '../src/epubChecker.js';
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { jest } from '@jest/globals';
+import JSZip from 'jszip';
+
+describe('EPUB conformance checker', () => {
+    const testOutputDir = '/tmp/test-epub-checker';
+    let validEPUB;
+
+    async function buildEPUB(filename, setup = () => {}) {
+        const generator = new EPUBMagazineGenerator();
+        generator.initializeEPUB('Tom & Jerry <Weekly>', 'A. "Quote" Author', 'News & views');
+        generator.addArticle('Less < More & Co', '<p>Plain article</p>', 'Writer & Editor', 'Tips & Tricks');
+        setup(generator);
+        const outputPath = `${testOutputDir}/${filename}`;
+        await generator.generateEPUB(outputPath);
+        return readFileSync(outputPath);
+    }
+
+    // Rewrites an EPUB, letting the callback change entries; mimetype stays first and stored
+    async function mutate(data, change) {
+        const zip = await JSZip.loadAsync(data);
+        await change(zip);
+        const output = new JSZip();
+        output.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+        for (const file of Object.values(zip.files)) {
+            if (!file.dir && file.name !== 'mimetype') {
+                output.file(file.name, await file.async('nodebuffer'));
+            }
+        }
+        return output.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    }
+
+    async function replaceInFile(zip, name, search, replacement) {
+        const content = await zip.file(name).async('string');
+        zip.file(name, content.replace(search, replacement));
+    }
+
+    beforeAll(async () => {
+        if (!existsSync(testOutputDir)) {
+            mkdirSync(testOutputDir, { recursive: true });
+        }
+        validEPUB = await buildEPUB('valid.epub');
+    });
+
+    test('should accept a generated EPUB without errors or warnings', async () => {
+        const report = await checkEPUB(validEPUB);
+
+        expect(report.errors).toEqual([]);
+        expect(report.warnings).toEqual([]);
+        expect(report.valid).toBe(true);
+    });
+
+    test('should read EPUBs from a file path', async () => {
+        const report = await checkEPUB(`${testOutputDir}/valid.epub`);
+        expect(report.valid).toBe(true);
+    });
+
+    test('should store mimetype uncompressed as the first entry', () => {
+        expect(validEPUB.toString('ascii', 30, 38)).toBe('mimetype');
+        expect(validEPUB.readUInt16LE(8)).toBe(0);
+        expect(validEPUB.toString('ascii', 38, 58)).toBe('application/epub+zip');
+    });
+
+    test('should escape metadata and add dcterms:modified to the OPF', async () => {
+        const zip = await JSZip.loadAsync(validEPUB);
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+
+        expect(opf).toContain('<dc:title>Tom &amp; Jerry &lt;Weekly&gt; - Issue');
+        expect(opf).toContain('<dc:creator id="creator">A. &quot;Quote&quot; Author</dc:creator>');
+        expect(opf).toMatch(/<meta property="dcterms:modified">\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z<\/meta>/);
+    });
+
+    test('should reject a compressed mimetype', async () => {
+        const zip = await JSZip.loadAsync(validEPUB);
+        const data = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+        const report = await checkEPUB(data);
+        expect(report.valid).toBe(false);
+        expect(formatReport(report)).toContain('mimetype must be stored without compression');
+    });
+
+    test('should reject a mimetype that is not the first entry', async () => {
+        const zip = await JSZip.loadAsync(validEPUB);
+        const output = new JSZip();
+        output.file('META-INF/container.xml', await zip.file('META-INF/container.xml').async('string'));
+        output.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+
+        const report = await checkEPUB(await output.generateAsync({ type: 'nodebuffer' }));
+        expect(formatReport(report)).toContain('mimetype must be the first entry');
+    });
+
+    test('should report ill-formed XHTML content documents', async () => {
+        const data = await mutate(validEPUB, zip =>
+            replaceInFile(zip, 'OEBPS/chapter1.xhtml', '<p>Plain article</p>', '<p>Tom & Jerry<br></p>'));
+
+        const report = await checkEPUB(data);
+        expect(report.errors).toEqual([
+            expect.objectContaining({ file: 'OEBPS/chapter1.xhtml', message: expect.stringContaining('Not well-formed XML') })
+        ]);
+    });
+
+    test('should report missing metadata', async () => {
+        const data = await mutate(validEPUB, zip =>
+            replaceInFile(zip, 'OEBPS/content.opf', /\s*<meta property="dcterms:modified">[^<]*<\/meta>/, ''));
+
+        const report = await checkEPUB(data);
+        expect(formatReport(report)).toContain('exactly one dcterms:modified');
+    });
+
+    test('should report broken manifest and spine references', async () => {
+        const data = await mutate(validEPUB, async zip => {
+            await replaceInFile(zip, 'OEBPS/content.opf', '<itemref idref="chapter1"/>', '<itemref idref="chapter9"/>');
+            zip.remove('OEBPS/toc.xhtml');
+            zip.file('OEBPS/extra.xhtml', '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>x</title></head><body/></html>');
+        });
+
+        const report = await checkEPUB(data);
+        const messages = formatReport(report);
+        expect(messages).toContain("Spine itemref 'chapter9' does not match a manifest item");
+        expect(messages).toContain("Manifest item 'toc' points to missing file 'toc.xhtml'");
+        expect(messages).toContain("WARNING (OEBPS/extra.xhtml): File is not listed in the manifest");
+    });
+
+    test('should report navigation problems', async () => {
+        const data = await mutate(validEPUB, zip =>
+            replaceInFile(zip, 'OEBPS/nav.xhtml', 'href="chapter1.xhtml"', 'href="chapter7.xhtml#start"'));
+
+        const report = await checkEPUB(data);
+        expect(formatReport(report)).toContain("ERROR (OEBPS/nav.xhtml): Link target 'chapter7.xhtml#start' is not in the manifest");
+    });
+
+    test('should report inline SVG without the svg manifest property', async () => {
+        const data = await mutate(validEPUB, zip =>
+            replaceInFile(zip, 'OEBPS/content.opf', ' properties="svg"', ''));
+
+        const report = await checkEPUB(data);
+        expect(formatReport(report)).toContain("lacks the svg property");
+    });
+
+    test('should report files that are not ZIP archives', async () => {
+        const report = await checkEPUB(Buffer.from('not a zip'));
+        expect(report.valid).toBe(false);
+        expect(report.errors[0].message).toContain('Not a readable ZIP archive');
+    });
+
+    describe('during generation', () => {
+        test('should turn HTML article content into well-formed XHTML', async () => {
+            const data = await buildEPUB('html-content.epub', generator => {
+                generator.addArticle('HTML', '<p>Tom &amp; Jerry&nbsp;<br>1 < 2 & 3<img src="https://example.com/x.png"></p>');
+            });
+
+            const report = await checkEPUB(data);
+            expect(report.errors).toEqual([]);
+            const chapter = await (await JSZip.loadAsync(data)).file('OEBPS/chapter2.xhtml').async('string');
+            expect(chapter).toContain('1 &lt; 2 &amp; 3');
+            expect(chapter).toContain('<br />');
+        });
+
+        test('should refuse to write an EPUB that fails the checks', async () => {
+            const outputPath = `${testOutputDir}/rejected.epub`;
+            writeFileSync(outputPath, 'previous build');
+            const generator = new EPUBMagazineGenerator();
+            generator.initializeEPUB('Broken', 'Author', 'Description');
+            generator.addArticle('Chapter', '<p>ok</p>');
+            generator.generateChapterXHTML = () => '<html><body><p>unclosed</body></html>';
+
+            const error = await generator.generateEPUB(outputPath).catch(caught => caught);
+            expect(error).toBeInstanceOf(EPUBValidationError);
+            expect(error.report.errors[0].file).toBe('OEBPS/chapter1.xhtml');
+            expect(readFileSync(outputPath, 'utf-8')).toBe('previous build');
+        });
+
+        test('should only warn in warn mode', async () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const generator = new EPUBMagazineGenerator().setValidationMode('warn');
+            generator.initializeEPUB('Broken', 'Author', 'Description');
+            generator.addArticle('Chapter', '<p>ok</p>');
+            generator.generateChapterXHTML = () => '<html><body><p>unclosed</body></html>';
+
+            await expect(generator.generateEPUB(`${testOutputDir}/warned.epub`)).resolves.toBe(`${testOutputDir}/warned.epub`);
+            expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Not well-formed XML'));
+            warnSpy.mockRestore();
+        });
+
+        test('should reject unknown validation modes', () => {
+            expect(() => new EPUBMagazineGenerator().setValidationMode('strict')).toThrow('Invalid validation mode');
+        });
+    });
+});
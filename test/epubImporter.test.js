@@ -0,0 +1,290 @@
+import { jest } from '@jest/globals';
+import { EPUBImporter, readEPUB } from '../src/epubImporter.js';
+import { MagazineGenerator } from '../src/magazineGenerator.js';
+import { ArticleGenerator } from '../src/articleGenerator.js';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { createMemoryContentManager } from './helpers/memoryContentManager.js';
+
+// 1×1 PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+
+// A content store and file system kept in memory
+function createStore(content = null) {
+    const files = new Map();
+    const contentManager = createMemoryContentManager(content, { contentFile: 'out/store.json', files });
+    return { files, fsUtils: contentManager.fsUtils, contentManager };
+}
+
+const LONG_CODE = Array.from({ length: 12 }, (_, i) => `line${i} = ${i}`).join('\n');
+
+function createSourceContent() {
+    return {
+        metadata: { title: 'Lost Monthly', author: 'Ada', description: 'The issue we still have', enableClustering: false },
+        articles: [{
+            id: 'a1',
+            title: 'Gardening Notes',
+            content: '<p>Plant <strong>tomatoes</strong> early.</p><p><img src="pic.png" alt="A tomato"/></p>',
+            category: 'Garden',
+            author: 'Grace',
+            tags: []
+        }],
+        interests: [],
+        chatHighlights: [],
+        claudeChats: [
+            {
+                id: 'c1',
+                title: 'Transcript Chat',
+                category: 'Claude Import',
+                selected: true,
+                conversation: [
+                    { sender: 'human', text: 'How do I **water** plants?' },
+                    {
+                        sender: 'assistant',
+                        text: 'Water them at the roots.',
+                        artifacts: [{ title: 'Schedule', type: 'application/vnd.ant.code', language: 'python', content: LONG_CODE }]
+                    }
+                ]
+            },
+            {
+                id: 'c2',
+                title: 'QA Chat',
+                category: 'Claude Import',
+                selected: true,
+                layout: 'qa',
+                conversation: [
+                    { sender: 'human', text: 'Why mulch?\n\nIt seems like work.' },
+                    { sender: 'assistant', text: 'It keeps moisture in.' }
+                ]
+            },
+            {
+                id: 'c3',
+                title: 'Essay Chat',
+                category: 'Claude Import',
+                selected: true,
+                layout: 'essay',
+                conversation: [
+                    { sender: 'human', text: 'Write about soil.' },
+                    { sender: 'assistant', text: 'Soil is alive.' },
+                    { sender: 'assistant', text: 'It needs *care*.' }
+                ]
+            },
+            {
+                id: 'c4',
+                title: 'Starred Chat',
+                category: 'Claude Import',
+                selected: true,
+                layout: 'highlights',
+                conversation: [
+                    { sender: 'human', text: 'Skip this.' },
+                    { sender: 'assistant', text: 'Keep this.', starred: true }
+                ]
+            }
+        ],
+        issues: []
+    };
+}
+
+async function generateIssue(options = {}) {
+    const assetDir = mkdtempSync(path.join(tmpdir(), 'magazeen-import-assets-'));
+    try {
+        writeFileSync(path.join(assetDir, 'pic.png'), PNG);
+        const { contentManager } = createStore(createSourceContent());
+        const magazineGenerator = new MagazineGenerator(contentManager, new ArticleGenerator(contentManager));
+        return await magazineGenerator.generateMagazine({ output: 'buffer', assetBaseDir: assetDir, codeAppendixLines: 5, ...options });
+    } finally {
+        rmSync(assetDir, { recursive: true, force: true });
+    }
+}
+
+async function importEPUB(data, content = null) {
+    const store = createStore(content);
+    store.files.set('issue.epub', data);
+    const result = await new EPUBImporter(store.contentManager, store.fsUtils).importFromFile('issue.epub');
+    return { ...store, result };
+}
+
+// Rewrites the chapter of an EPUB that contains `text`, the way a crafted book would differ
+async function rewriteChapter(data, text, rewrite) {
+    const zip = await JSZip.loadAsync(data);
+    for (const name of Object.keys(zip.files).filter(file => file.endsWith('.xhtml'))) {
+        const xhtml = await zip.file(name).async('string');
+        if (xhtml.includes(text)) {
+            zip.file(name, rewrite(xhtml));
+        }
+    }
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+function expectNoScripting(content) {
+    expect(content).not.toMatch(/onerror|javascript:|alert/);
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('EPUBImporter with Magazeen issues', () => {
+    test('should rebuild articles with their category, author, content and images', async () => {
+        const { result, contentManager, files } = await importEPUB(await generateIssue());
+
+        expect(result).toEqual({ success: true, title: 'Lost Monthly - Volume 1, Issue 1', magazeen: true, articles: 1, chats: 4, skipped: [] });
+        const [article] = contentManager.content.articles;
+        expect(article).toMatchObject({ title: 'Gardening Notes', category: 'Garden', author: 'Grace' });
+        expect(article.content).toContain('Plant <strong>tomatoes</strong> early.');
+
+        const src = article.content.match(/<img[^>]* src="([^"]+)"/)[1];
+        expect(src).toMatch(/^out\/images\/[0-9a-f]{16}\.png$/);
+        expect(files.get(src).equals(PNG)).toBe(true);
+        expect(contentManager.content.metadata).toMatchObject({ title: 'Lost Monthly', author: 'Ada', description: 'The issue we still have', issueNumber: 2 });
+    });
+
+    test('should rebuild chats from each layout, with artifacts moved back from the appendix', async () => {
+        const { contentManager } = await importEPUB(await generateIssue());
+        const chats = Object.fromEntries(contentManager.content.claudeChats.map(chat => [chat.title, chat]));
+
+        expect(Object.values(chats).every(chat => chat.selected && chat.category === 'Claude Import')).toBe(true);
+        expect(chats['Transcript Chat'].layout).toBeUndefined();
+        expect(chats['Transcript Chat'].conversation).toEqual([
+            { sender: 'human', text: 'How do I **water** plants?', timestamp: undefined },
+            {
+                sender: 'assistant',
+                text: 'Water them at the roots.',
+                timestamp: undefined,
+                artifacts: [{ title: 'Schedule', type: 'application/vnd.ant.code', language: 'python', content: LONG_CODE }]
+            }
+        ]);
+        expect(chats['QA Chat'].layout).toBe('qa');
+        expect(chats['QA Chat'].conversation.map(({ sender, text }) => [sender, text])).toEqual([
+            ['human', 'Why mulch?\n\nIt seems like work.'],
+            ['assistant', 'It keeps moisture in.']
+        ]);
+        expect(chats['Essay Chat'].layout).toBe('essay');
+        expect(chats['Essay Chat'].conversation.map(message => message.text)).toEqual(['Soil is alive.', 'It needs *care*.']);
+        expect(chats['Starred Chat'].layout).toBe('highlights');
+        expect(chats['Starred Chat'].conversation).toEqual([{ sender: 'assistant', text: 'Keep this.', timestamp: undefined, starred: true }]);
+    });
+
+    test('should read Kobo kepubs without their sentence markup', async () => {
+        const { contentManager } = await importEPUB(await generateIssue({ kepub: true }));
+
+        expect(contentManager.content.articles[0].content).not.toContain('koboSpan');
+        expect(contentManager.content.claudeChats.find(chat => chat.title === 'Essay Chat').conversation[0].text).toBe('Soil is alive.');
+    });
+
+    test('should strip event handlers and script links from articles', async () => {
+        const issue = await rewriteChapter(await generateIssue(), 'tomatoes', xhtml => xhtml
+            .replace('alt="A tomato"', 'alt="A tomato" onerror="alert(1)"')
+            .replace('early.</p>', 'early. <a href="javascript:alert(2)">Tap here</a></p>'));
+        const { contentManager } = await importEPUB(issue);
+        const [article] = contentManager.content.articles;
+
+        expectNoScripting(article.content);
+        expect(article.content).toContain('alt="A tomato"');
+        expect(article.content).toContain('Tap here');
+    });
+
+    test('should not add an issue twice', async () => {
+        const issue = await generateIssue();
+        const first = await importEPUB(issue);
+        const { result, contentManager } = await importEPUB(issue, first.contentManager.content);
+
+        expect(result.articles).toBe(0);
+        expect(result.skipped).toEqual([{ title: 'Gardening Notes', reason: 'already in the content store' }]);
+        expect(contentManager.content.articles).toHaveLength(1);
+        expect(contentManager.content.claudeChats).toHaveLength(4);
+    });
+});
+
+describe('EPUBImporter with other EPUBs', () => {
+    async function createBook() {
+        const zip = new JSZip();
+        zip.file('mimetype', 'application/epub+zip');
+        zip.file('META-INF/container.xml', `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles><rootfile full-path="book/package.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`);
+        zip.file('book/package.opf', `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="id">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:identifier id="id">urn:isbn:123</dc:identifier>
+        <dc:title>Field Guide</dc:title>
+        <dc:creator>Rachel Carson</dc:creator>
+        <dc:language>en</dc:language>
+    </metadata>
+    <manifest>
+        <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+        <item id="cover" href="text/cover.xhtml" media-type="application/xhtml+xml"/>
+        <item id="one" href="text/one.xhtml" media-type="application/xhtml+xml"/>
+        <item id="two" href="text/two.xhtml" media-type="application/xhtml+xml"/>
+        <item id="bird" href="img/bird.png" media-type="image/png"/>
+    </manifest>
+    <spine><itemref idref="cover"/><itemref idref="one"/><itemref idref="two"/></spine>
+</package>`);
+        const page = body => `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Page</title><style>p { color: red; }</style></head><body>${body}</body></html>`;
+        zip.file('book/nav.xhtml', page('<nav><ol><li><a href="text/one.xhtml">Birds of the Shore</a></li></ol></nav>'));
+        zip.file('book/text/cover.xhtml', page('<div><img src="../img/bird.png" alt=""/></div>'));
+        zip.file('book/text/one.xhtml', page('<h1>Chapter 1</h1><p>Gulls, see <a href="two.xhtml#terns">terns</a> and <a href="https://example.com">more</a>.</p><p><img src="../img/bird.png" alt="A gull"/></p>'));
+        zip.file('book/text/two.xhtml', page('<h2 id="terns">Terns</h2><p>Terns dive.</p>'));
+        zip.file('book/img/bird.png', PNG);
+        return zip.generateAsync({ type: 'nodebuffer' });
+    }
+
+    test('should read metadata, chapters in reading order and their navigation titles', async () => {
+        const book = await readEPUB(await createBook());
+
+        expect(book.metadata).toEqual({
+            title: 'Field Guide',
+            author: 'Rachel Carson',
+            description: null,
+            language: 'en',
+            identifier: 'urn:isbn:123',
+            series: null,
+            seriesPosition: null
+        });
+        expect(book.documents.map(document => document.path)).toEqual(['book/text/cover.xhtml', 'book/text/one.xhtml', 'book/text/two.xhtml']);
+        expect(book.labels.get('book/text/one.xhtml')).toBe('Birds of the Shore');
+    });
+
+    test('should import each chapter with text as an article filed under the book', async () => {
+        const { result, contentManager, files } = await importEPUB(await createBook());
+        const [one, two] = contentManager.content.articles;
+
+        expect(result).toMatchObject({ success: true, title: 'Field Guide', magazeen: false, articles: 2, chats: 0 });
+        expect(one).toMatchObject({ title: 'Birds of the Shore', category: 'Field Guide', author: 'Rachel Carson' });
+        expect(two.title).toBe('Terns');
+        expect(one.content).toContain('Gulls, see terns and <a href="https://example.com">more</a>.');
+        expect(one.content).not.toContain('<style');
+        const src = one.content.match(/<img[^>]* src="([^"]+)"/)[1];
+        expect(files.get(src).equals(PNG)).toBe(true);
+        expect(contentManager.content.metadata.title).not.toBe('Field Guide');
+    });
+
+    test('should strip event handlers and script links from chapters', async () => {
+        const book = await rewriteChapter(await createBook(), 'Gulls', xhtml => xhtml
+            .replace('alt="A gull"', 'alt="A gull" onerror="alert(1)"')
+            .replace('</body>', '<p><a href="javascript:alert(2)">Tap here</a></p></body>'));
+        const { contentManager } = await importEPUB(book);
+        const [one] = contentManager.content.articles;
+
+        expectNoScripting(one.content);
+        expect(one.content).toContain('alt="A gull"');
+        expect(one.content).toContain('Tap here');
+    });
+
+    test('should report files that are not EPUBs', async () => {
+        const { result, contentManager } = await importEPUB(Buffer.from('not a zip'));
+
+        expect(result.success).toBe(false);
+        expect(result.message).toMatch(/^Could not read 'issue\.epub': /);
+        expect(contentManager.content.articles).toHaveLength(0);
+    });
+});
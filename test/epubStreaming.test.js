@@ -0,0 +1,374 @@
+import { jest } from '@jest/globals';
+import { PassThrough, Writable } from 'stream';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import request from 'supertest';
+import JSZip from 'jszip';
+
+// The web route is exercised against the real generators; only storage is replaced
+const kvStore = new Map();
+jest.unstable_mockModule('@vercel/kv', () => ({
+    kv: {
+        get: jest.fn(async key => kvStore.get(key)),
+        set: jest.fn(async (key, value) => kvStore.set(key, value)),
+        del: jest.fn(async key => kvStore.delete(key))
+    }
+}));
+
+function createContentManager() {
+    const content = {
+        metadata: { title: 'Streamed Magazine', author: 'Tester', description: 'Streaming test' },
+        articles: [],
+        interests: [],
+        chatHighlights: [],
+        claudeChats: []
+    };
+    return {
+        content,
+        addArticle: jest.fn((title, body, category) => content.articles.push({ title, content: body, category })),
+        importClaudeChats: jest.fn(chats => chats.forEach(chat => content.claudeChats.push({
+            id: chat.uuid,
+            title: chat.name,
+            conversation: chat.chat_messages.map(({ sender, text }) => ({ sender, text }))
+        }))),
+        setChatLayout: jest.fn((chatId, layout) => {
+            content.claudeChats.find(chat => chat.id === chatId).layout = layout ?? undefined;
+            return true;
+        }),
+        getNextIssue: jest.fn(() => ({ number: 1, volume: 1 })),
+        recordIssue: jest.fn()
+    };
+}
+
+jest.unstable_mockModule('../src/contentManager.js', () => ({
+    ContentManager: jest.fn().mockImplementation(createContentManager)
+}));
+
+// The web route keeps issues in a library next to the content file
+const contentDir = mkdtempSync(path.join(tmpdir(), 'magazeen-streaming-'));
+process.env.CONTENT_FILE = path.join(contentDir, 'magazine-content.json');
+
+const { default: EPUBMagazineGenerator } = await import('../src/epub_generator.js');
+const { MagazineGenerator } = await import('../src/magazineGenerator.js');
+const { ArticleGenerator } = await import('../src/articleGenerator.js');
+const { checkEPUB } = await import('../src/epubChecker.js');
+
+// Collects everything written to a stream
+function createSink() {
+    const chunks = [];
+    const sink = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+    sink.contents = () => Buffer.concat(chunks);
+    return sink;
+}
+
+function createGenerator() {
+    const generator = new EPUBMagazineGenerator().setBuildDate(new Date('2026-03-15T12:00:00Z'));
+    generator.initializeEPUB('Streamed Magazine', 'Tester', 'Streaming test');
+    generator.addArticle('First Article', '<p>Hello from the stream.</p>', 'Tester', 'General');
+    return generator;
+}
+
+function createMagazineGenerator() {
+    const contentManager = createContentManager();
+    contentManager.content.articles.push({ title: 'Stored Article', content: '<p>Stored content.</p>', category: 'General' });
+    return new MagazineGenerator(contentManager, new ArticleGenerator(contentManager));
+}
+
+describe('EPUB output modes', () => {
+    test('generateBuffer should return a valid archive without writing files', async () => {
+        const buffer = await createGenerator().generateBuffer();
+
+        expect(Buffer.isBuffer(buffer)).toBe(true);
+        expect((await checkEPUB(buffer)).valid).toBe(true);
+        const zip = await JSZip.loadAsync(buffer);
+        expect(await zip.file('mimetype').async('string')).toBe('application/epub+zip');
+        expect(zip.file('OEBPS/chapter1.xhtml')).not.toBeNull();
+    });
+
+    test('generateStream should write the same archive as generateBuffer and end the stream', async () => {
+        const buffer = await createGenerator().generateBuffer();
+        const sink = createSink();
+
+        const result = await createGenerator().generateStream(sink);
+
+        expect(result).toBe(sink);
+        expect(sink.writableFinished).toBe(true);
+        expect(sink.contents().equals(buffer)).toBe(true);
+    });
+
+    test('generateStream should check the files first and zip the archive as it streams', async () => {
+        const generator = createGenerator();
+        const generateAsync = jest.spyOn(generator.zip, 'generateAsync');
+        const generateNodeStream = jest.spyOn(generator.zip, 'generateNodeStream');
+        const sink = createSink();
+
+        await generator.generateStream(sink);
+
+        expect(generateAsync).not.toHaveBeenCalled();
+        expect(generateNodeStream).toHaveBeenCalledTimes(1);
+        expect((await checkEPUB(sink.contents())).valid).toBe(true);
+    });
+
+    test('generateStream should stream directly when validation is off', async () => {
+        const generator = createGenerator().setValidationMode('off');
+        const stream = new PassThrough();
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+
+        await generator.generateStream(stream);
+
+        const report = await checkEPUB(Buffer.concat(chunks));
+        expect(report.valid).toBe(true);
+    });
+
+    test('generateStream should not write anything when the conformance check fails', async () => {
+        const generator = createGenerator();
+        generator.generateChapterXHTML = () => '<html><body><p>unclosed</body></html>';
+        const sink = createSink();
+
+        await expect(generator.generateStream(sink)).rejects.toThrow('EPUB failed conformance checks');
+        expect(sink.contents()).toHaveLength(0);
+    });
+});
+
+describe('MagazineGenerator output option', () => {
+    const outputDir = '/tmp/test-epub-streaming';
+
+    afterAll(() => {
+        rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    test('should return a Buffer', async () => {
+        const buffer = await createMagazineGenerator().generateMagazine({ output: 'buffer' });
+
+        const zip = await JSZip.loadAsync(buffer);
+        const chapter = await zip.file('OEBPS/chapter1.xhtml').async('string');
+        expect(chapter).toContain('Stored Article');
+    });
+
+    test('should pipe into a writable stream', async () => {
+        const sink = createSink();
+
+        const result = await createMagazineGenerator().generateMagazine({ output: sink });
+
+        expect(result).toBe(sink);
+        expect((await checkEPUB(sink.contents())).valid).toBe(true);
+    });
+
+    test('should write files to the configured output directory', async () => {
+        const buildDate = new Date('2026-03-15T12:00:00Z');
+        const outputPath = await createMagazineGenerator().generateMagazine({ outputDir, buildDate });
+
+        expect(outputPath).toBe(`${outputDir}/magazine-2026-03-issue-1.epub`);
+        expect(existsSync(outputPath)).toBe(true);
+        expect((await checkEPUB(readFileSync(outputPath))).valid).toBe(true);
+    });
+
+    test('should reject unknown output modes', async () => {
+        await expect(createMagazineGenerator().generateMagazine({ output: 'disk' }))
+            .rejects.toThrow('Unknown output mode: disk');
+    });
+});
+
+describe('POST /generate-epub', () => {
+    let app;
+    const originalEnv = process.env;
+
+    beforeAll(async () => {
+        process.env = {
+            ...originalEnv,
+            NODE_ENV: 'test',
+            KV_REST_API_URL: 'http://kv.invalid',
+            KV_REST_API_TOKEN: 'token'
+        };
+        ({ default: app } = await import('../src/server.js'));
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+        rmSync(contentDir, { recursive: true, force: true });
+    });
+
+    test('should stream the EPUB into the response', async () => {
+        kvStore.set('session-1', JSON.stringify([{
+            id: 'c1',
+            title: 'Streaming Chat',
+            originalChatData: {
+                chat_messages: [
+                    { sender: 'human', text: 'Can the server stream EPUBs?' },
+                    { sender: 'assistant', text: 'Yes, straight into the response.' }
+                ]
+            }
+        }]));
+
+        const res = await request(app)
+            .post('/generate-epub')
+            .set('Remote-User', 'alice@example.com')
+            .type('form')
+            .send('selectedChats=c1&sessionId=session-1')
+            .buffer(true)
+            .parse((response, callback) => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => callback(null, Buffer.concat(chunks)));
+            });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toBe('application/epub+zip');
+        expect(res.headers['content-disposition']).toMatch(/^attachment; filename="magazine-\d{4}-\d{2}-issue-1\.epub"$/);
+        expect((await checkEPUB(res.body)).valid).toBe(true);
+        expect(kvStore.has('session-1')).toBe(false);
+    });
+
+    test('should lay out chats as chosen on the selection page', async () => {
+        kvStore.set('session-2', JSON.stringify([
+            { id: 'c1', title: 'Essay Chat', originalChatData: { chat_messages: [
+                { sender: 'human', text: 'Why stream?' },
+                { sender: 'assistant', text: 'It saves memory.' }
+            ] } },
+            { id: 'c2', title: 'Q&A Chat', originalChatData: { chat_messages: [
+                { sender: 'human', text: 'Does it work?' },
+                { sender: 'assistant', text: 'It does.' }
+            ] } }
+        ]));
+
+        const res = await request(app)
+            .post('/generate-epub')
+            .set('Remote-User', 'alice@example.com')
+            .type('form')
+            .send('selectedChats=c1&selectedChats=c2&sessionId=session-2&chatLayout=qa&layouts[c1]=essay&layouts[c2]=')
+            .buffer(true)
+            .parse((response, callback) => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => callback(null, Buffer.concat(chunks)));
+            });
+
+        expect(res.statusCode).toBe(200);
+        const zip = await JSZip.loadAsync(res.body);
+        const chapters = await Promise.all(zip.file(/OEBPS\/chapter\d+\.xhtml$/).map(file => file.async('string')));
+        expect(chapters.find(chapter => chapter.includes('Essay Chat'))).toContain('class="chat-essay"');
+        expect(chapters.find(chapter => chapter.includes('Q&amp;A Chat'))).toContain('class="chat-qa"');
+    });
+
+    test('should make the issue for the chosen device', async () => {
+        kvStore.set('session-4', JSON.stringify([{
+            id: 'c1',
+            title: 'Device Chat',
+            originalChatData: { chat_messages: [{ sender: 'assistant', text: 'Made for e-ink.' }] }
+        }]));
+
+        const res = await request(app)
+            .post('/generate-epub')
+            .set('Remote-User', 'alice@example.com')
+            .type('form')
+            .send('selectedChats=c1&sessionId=session-4&device=kindle')
+            .buffer(true)
+            .parse((response, callback) => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => callback(null, Buffer.concat(chunks)));
+            });
+
+        expect(res.statusCode).toBe(200);
+        const zip = await JSZip.loadAsync(res.body);
+        expect(await zip.file('OEBPS/styles.css').async('string')).toContain('Kindle-Optimized');
+    });
+
+    test('should stream a Kobo kepub when asked to', async () => {
+        kvStore.set('session-6', JSON.stringify([{
+            id: 'c1',
+            title: 'Kobo Chat',
+            originalChatData: { chat_messages: [{ sender: 'assistant', text: 'Highlight me. Then me.' }] }
+        }]));
+
+        const res = await request(app)
+            .post('/generate-epub')
+            .set('Remote-User', 'alice@example.com')
+            .type('form')
+            .send('selectedChats=c1&sessionId=session-6&kepub=true')
+            .buffer(true)
+            .parse((response, callback) => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => callback(null, Buffer.concat(chunks)));
+            });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-disposition']).toMatch(/^attachment; filename="magazine-\d{4}-\d{2}-issue-1\.kepub\.epub"$/);
+        const zip = await JSZip.loadAsync(res.body);
+        expect(await zip.file('OEBPS/chapter1.xhtml').async('string')).toContain('<div id="book-columns"><div id="book-inner">');
+    });
+
+    test('should send a PDF when asked for one', async () => {
+        kvStore.set('session-7', JSON.stringify([{
+            id: 'c1',
+            title: 'Printed Chat',
+            originalChatData: { chat_messages: [{ sender: 'assistant', text: 'On paper.' }] }
+        }]));
+
+        const res = await request(app)
+            .post('/generate-epub')
+            .set('Remote-User', 'alice@example.com')
+            .type('form')
+            .send('selectedChats=c1&sessionId=session-7&format=pdf&pageSize=Letter')
+            .buffer(true)
+            .parse((response, callback) => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => callback(null, Buffer.concat(chunks)));
+            });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toBe('application/pdf');
+        expect(res.headers['content-disposition']).toMatch(/^attachment; filename="magazine-\d{4}-\d{2}-issue-1\.pdf"$/);
+        expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+        expect(res.body.toString('latin1')).toContain('/MediaBox [0 0 612 792]');
+    });
+
+    test('should reject unknown formats and page sizes', async () => {
+        const format = await request(app)
+            .post('/generate-epub')
+            .set('Remote-User', 'alice@example.com')
+            .type('form')
+            .send('selectedChats=c1&sessionId=session-8&format=docx');
+        const pageSize = await request(app)
+            .post('/generate-epub')
+            .set('Remote-User', 'alice@example.com')
+            .type('form')
+            .send('selectedChats=c1&sessionId=session-8&format=pdf&pageSize=A4');
+
+        expect(format.statusCode).toBe(400);
+        expect(format.text).toContain('Unknown format');
+        expect(pageSize.statusCode).toBe(400);
+        expect(pageSize.text).toContain('Unknown page size');
+    });
+
+    test('should reject unknown devices', async () => {
+        const res = await request(app)
+            .post('/generate-epub')
+            .set('Remote-User', 'alice@example.com')
+            .type('form')
+            .send('selectedChats=c1&sessionId=session-5&device=nook');
+
+        expect(res.statusCode).toBe(400);
+        expect(res.text).toContain('Unknown device');
+    });
+
+    test('should reject unknown layouts', async () => {
+        const res = await request(app)
+            .post('/generate-epub')
+            .set('Remote-User', 'alice@example.com')
+            .type('form')
+            .send('selectedChats=c1&sessionId=session-3&chatLayout=poster');
+
+        expect(res.statusCode).toBe(400);
+        expect(res.text).toContain('Unknown chat layout');
+    });
+});
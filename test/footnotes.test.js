@@ -0,0 +1,124 @@
+import { renderFootnotes } from '../src/footnotes.js';
+import { renderMarkdown } from '../src/markdownRenderer.js';
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import KindleEPUBMagazineGenerator from '../src/kindle_epub_generator.js';
+import { checkEPUB } from '../src/epubChecker.js';
+import { readFileSync, mkdirSync } from 'fs';
+import JSZip from 'jszip';
+import { JSDOM } from 'jsdom';
+
+function parseFragment(html) {
+    const dom = new JSDOM(`<div xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">${html}</div>`, {
+        contentType: 'application/xhtml+xml'
+    });
+    return dom.window.document;
+}
+
+describe('renderFootnotes', () => {
+    test('should turn references and definitions into noteref/footnote pairs', () => {
+        const html = renderFootnotes('<p>A claim[^src].</p>\n<p>[^src]: The <em>source</em>.</p>');
+        const document = parseFragment(html);
+
+        const noteref = document.querySelector('a.noteref');
+        expect(noteref.getAttributeNS('http://www.idpf.org/2007/ops', 'type')).toBe('noteref');
+        expect(noteref.getAttribute('href')).toBe('#fn-1');
+        expect(noteref.textContent).toBe('1');
+
+        const aside = document.querySelector('aside#fn-1');
+        expect(aside.getAttributeNS('http://www.idpf.org/2007/ops', 'type')).toBe('footnote');
+        expect(aside.querySelector('em').textContent).toBe('source');
+        expect(aside.querySelector('a.footnote-backlink').getAttribute('href')).toBe('#fnref-1');
+        expect(html).not.toContain('[^src]');
+    });
+
+    test('should collect notes at the end of the article in reference order', () => {
+        const html = renderFootnotes([
+            '<p>[^b]: Second note</p>',
+            '<p>First[^a], second[^b], first again[^a].</p>',
+            '<p>[^a]: First note</p>'
+        ].join('\n'));
+        const document = parseFragment(html);
+
+        const section = document.querySelector('section.footnotes');
+        expect(section.previousElementSibling.tagName).toBe('p');
+        expect([...section.querySelectorAll('aside')].map(aside => aside.textContent.trim()))
+            .toEqual(['1. First note', '2. Second note']);
+        expect([...document.querySelectorAll('a.noteref')].map(a => a.id)).toEqual(['fnref-1', 'fnref-2', 'fnref-1-2']);
+    });
+
+    test('should list unreferenced definitions without a backlink', () => {
+        const document = parseFragment(renderFootnotes('<p>Body</p><p>[^x]: Orphan</p>'));
+        expect(document.querySelector('aside .footnote-number').textContent).toBe('1.');
+        expect(document.querySelector('aside .footnote-backlink')).toBeNull();
+    });
+
+    test('should leave undefined references and code untouched', () => {
+        const input = '<p>Match [^a-z] or [^1]</p><pre><code>/[^1]/.test(x)</code></pre><p>Use <code>[^1]</code></p><p>[^1]: Note</p>';
+        const html = renderFootnotes(input);
+
+        expect(html).toContain('Match [^a-z] or <sup>');
+        expect(html).toContain('<pre><code>/[^1]/.test(x)</code></pre>');
+        expect(html).toContain('<code>[^1]</code>');
+    });
+
+    test('should keep inline code inside a definition', () => {
+        const document = parseFragment(renderFootnotes('<p>A[^1].</p><p>[^1]: <code>[^x]</code> regex</p>'));
+
+        expect(document.querySelector('a.noteref').getAttribute('href')).toBe('#fn-1');
+        expect(document.querySelector('aside#fn-1 code').textContent).toBe('[^x]');
+        expect(document.querySelector('aside#fn-1').textContent.trim()).toBe('1. [^x] regex');
+    });
+
+    test('should take definitions after a line break in a paragraph of text', () => {
+        const html = renderFootnotes('<p>Text[^1]<br/>\n[^1]: note</p>');
+        const document = parseFragment(html);
+
+        expect(html).not.toContain('</p></p>');
+        expect(document.querySelector('section.footnotes').previousElementSibling.textContent).toBe('Text1');
+        expect(document.querySelector('aside#fn-1').textContent.trim()).toBe('1. note');
+    });
+
+    test('should support definitions on consecutive lines in rendered Markdown', () => {
+        const markdown = 'See this[^a] and that[^b].\n\n[^a]: Note A\n[^b]: Note B';
+        const document = parseFragment(renderFootnotes(renderMarkdown(markdown, { breaks: true })));
+
+        expect([...document.querySelectorAll('aside')].map(aside => aside.textContent.trim()))
+            .toEqual(['1. Note A', '2. Note B']);
+    });
+
+    test('should return content without definitions unchanged', () => {
+        expect(renderFootnotes('<p>No notes [^here]</p>')).toBe('<p>No notes [^here]</p>');
+        expect(renderFootnotes(null)).toBeNull();
+    });
+});
+
+describe('Footnotes in generated EPUBs', () => {
+    const testOutputDir = '/tmp/test-epub-footnotes';
+
+    beforeAll(() => {
+        mkdirSync(testOutputDir, { recursive: true });
+    });
+
+    test.each([
+        ['default', EPUBMagazineGenerator],
+        ['kindle', KindleEPUBMagazineGenerator]
+    ])('should produce valid %s chapters with popup notes', async (name, GeneratorClass) => {
+        const generator = new GeneratorClass();
+        generator.initializeEPUB('Notes', 'Author', 'Description');
+        generator.addArticle('Annotated', '<p>Fact[^1].</p><p>[^1]: Reference &amp; source.</p>');
+        const outputPath = `${testOutputDir}/${name}.epub`;
+        await generator.generateEPUB(outputPath);
+
+        const data = readFileSync(outputPath);
+        const zip = await JSZip.loadAsync(data);
+        const chapter = await zip.file('OEBPS/chapter1.xhtml').async('string');
+        const css = await zip.file('OEBPS/styles.css').async('string');
+
+        expect(chapter).toContain('xmlns:epub="http://www.idpf.org/2007/ops"');
+        expect(chapter).toContain('epub:type="noteref"');
+        expect(chapter).toContain('<aside id="fn-1" class="footnote" epub:type="footnote" role="doc-footnote">');
+        expect(css).toContain('a.noteref');
+        expect(css).toContain('.footnotes');
+        expect((await checkEPUB(data)).errors).toEqual([]);
+    });
+});
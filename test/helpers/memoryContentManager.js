@@ -0,0 +1,44 @@
+/**
+ * In-memory content store for tests
+ * @fileoverview Builds ContentManagers whose content file, and any other files the code
+ * under test reads or writes through fsUtils, are kept in a Map.
+ */
+
+import { jest } from '@jest/globals';
+import { ContentManager } from '../../src/contentManager.js';
+
+/**
+ * Creates fsUtils backed by a Map of file paths to contents. The 'out' directory always exists.
+ * @param {Map<string, string|Buffer>} [files]
+ * @returns {Object} fsUtils for ContentManager and the other file-handling classes
+ */
+export function createMemoryFsUtils(files = new Map()) {
+    return {
+        existsSync: jest.fn(file => files.has(file) || file === 'out'),
+        readFileSync: jest.fn(file => {
+            if (!files.has(file)) {
+                throw new Error(`ENOENT: no such file, open '${file}'`);
+            }
+            return files.get(file);
+        }),
+        writeFileSync: jest.fn((file, data) => files.set(file, data)),
+        mkdirSync: jest.fn()
+    };
+}
+
+/**
+ * Creates a ContentManager whose content file is kept in memory
+ * @param {Object|null} [stored] - Content file to start from; null starts a new one
+ * @param {Object} [options]
+ * @param {string} [options.contentFile='out/test-content.json'] - Path of the content file
+ * @param {Map<string, string|Buffer>} [options.files] - Files shared with the test
+ * @returns {ContentManager} The content manager, with `saved()` returning the content file as last written
+ */
+export function createMemoryContentManager(stored = null, { contentFile = 'out/test-content.json', files = new Map() } = {}) {
+    if (stored) {
+        files.set(contentFile, JSON.stringify(stored));
+    }
+    const contentManager = new ContentManager(contentFile, createMemoryFsUtils(files));
+    contentManager.saved = () => JSON.parse(files.get(contentFile));
+    return contentManager;
+}
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import { renderIssueHTML } from '../src/htmlExport.js';
+import { MagazineGenerator } from '../src/magazineGenerator.js';
+import { ValidationError } from '../src/validation.js';
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import { JSDOM } from 'jsdom';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createMemoryContentManager } from './helpers/memoryContentManager.js';
+
+// 1×1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+let assetDir;
+
+beforeAll(() => {
+    assetDir = mkdtempSync(path.join(tmpdir(), 'magazeen-html-'));
+    writeFileSync(path.join(assetDir, 'dot.png'), PNG);
+});
+
+afterAll(() => {
+    rmSync(assetDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+function createIssue() {
+    const generator = new EPUBMagazineGenerator().setAssetBaseDir(assetDir);
+    generator.initializeEPUB('Browser Weekly', 'Tester', 'An issue for the web');
+    generator.addSection('Reading');
+    generator.addArticle('First', '<p>Claim[^1] <img src="dot.png" alt="Dot"/></p><p>[^1]: First source.</p>', 'Ada', 'Notes');
+    generator.addArticle('Second', '<p>Other claim[^1], see <a href="chapter1.xhtml">First</a>.</p><p>[^1]: Second source.</p>');
+    return generator;
+}
+
+describe('renderIssueHTML', () => {
+    test('should put the title page, contents, sections and chapters on one page', async () => {
+        const html = await renderIssueHTML(createIssue());
+        const { document } = new JSDOM(html).window;
+
+        expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+        expect(document.documentElement.getAttribute('lang')).toBe('en');
+        expect(document.title).toMatch(/^Browser Weekly - Issue \d+$/);
+        expect([...document.querySelectorAll('.issue-page')].map(page => page.id)).toEqual(['index', 'toc', 'section1', 'chapter1', 'chapter2']);
+        expect(document.querySelector('#section1').classList.contains('section-opener')).toBe(true);
+        expect(document.querySelector('#section1 .section-title').textContent).toBe('Reading');
+        expect(html).not.toContain('epub:type');
+    });
+
+    test('should turn links between pages into anchors and keep footnote ids apart', async () => {
+        const { document } = new JSDOM(await renderIssueHTML(createIssue())).window;
+        const hrefs = selector => [...document.querySelectorAll(selector)].map(link => link.getAttribute('href'));
+
+        expect(hrefs('#toc a')).toEqual(expect.arrayContaining(['#section1', '#chapter1', '#chapter2']));
+        expect(hrefs('#chapter1 a.noteref')).toEqual(['#chapter1-fn-1']);
+        expect(hrefs('#chapter2 a.noteref')).toEqual(['#chapter2-fn-1']);
+        expect(document.querySelector('#chapter2-fn-1').textContent).toContain('Second source.');
+        expect(hrefs('#chapter2 .article-content a:not(.noteref):not(.footnote-backlink)')).toEqual(['#chapter1']);
+    });
+
+    test('should inline the stylesheet and images', async () => {
+        const html = await renderIssueHTML(createIssue());
+        const { document } = new JSDOM(html).window;
+
+        expect(document.querySelector('link[rel="stylesheet"]')).toBeNull();
+        expect(document.querySelector('style').textContent).toContain('--font-serif');
+        expect(document.querySelector('#chapter1 img').getAttribute('src')).toBe(`data:image/png;base64,${PNG.toString('base64')}`);
+    });
+});
+
+describe('HTML output from MagazineGenerator', () => {
+    function createMagazineGenerator() {
+        const contentManager = createMemoryContentManager({
+            metadata: { title: 'Browser Weekly', author: 'Tester', description: 'An issue for the web' },
+            articles: [{ id: 'a1', title: 'Reading', content: '<p>Text</p>', category: 'Web' }],
+            interests: [],
+            chatHighlights: [],
+            claudeChats: [],
+            issues: []
+        });
+        const articleGenerator = { generateInterestArticle: jest.fn(), generateChatHighlightsArticle: jest.fn() };
+        return { contentManager, magazineGenerator: new MagazineGenerator(contentManager, articleGenerator) };
+    }
+
+    test('should write a .html file without advancing the issue number', async () => {
+        const { contentManager, magazineGenerator } = createMagazineGenerator();
+        const outputDir = mkdtempSync(path.join(tmpdir(), 'magazeen-html-out-'));
+        const before = contentManager.getNextIssue();
+        try {
+            const file = await magazineGenerator.generateMagazine({ format: 'html', outputDir, enableClustering: false });
+
+            expect(path.basename(file)).toMatch(/^magazine-\d{4}-\d{2}(-issue-\d+)?\.html$/);
+            expect(readFileSync(file, 'utf8')).toContain('<h1 class="article-title">Reading</h1>');
+            expect(contentManager.getNextIssue()).toEqual(before);
+        } finally {
+            rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+
+    test('should reject unknown formats', async () => {
+        const { magazineGenerator } = createMagazineGenerator();
+        await expect(magazineGenerator.generateMagazine({ format: 'docx', output: 'buffer' })).rejects.toThrow(ValidationError);
+    });
+});
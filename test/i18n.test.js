@@ -0,0 +1,145 @@
+import { Localizer, detectLanguage, getSupportedLanguage } from '../src/i18n.js';
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import { ArticleGenerator } from '../src/articleGenerator.js';
+import { readFileSync, mkdirSync } from 'fs';
+import { jest } from '@jest/globals';
+import JSZip from 'jszip';
+
+const GERMAN_TEXT = 'Ich habe mir die Frage gestellt, wie sich das Verhalten der Anwendung auf dem Server erklären lässt. Die Antwort ist nicht einfach, aber wir haben auch eine Lösung für das Problem mit der Datenbank gefunden.';
+const FRENCH_TEXT = 'Je me suis demandé comment expliquer le comportement de la application sur le serveur. La réponse est pas simple, mais nous avons trouvé une solution pour les problèmes avec la base de données et le cache.';
+const ENGLISH_TEXT = 'I wondered how to explain the behaviour of the application on the server. The answer is not simple, but we found a solution to the problem with the database and the cache that is in front of it.';
+
+describe('Localizer', () => {
+    test('should translate messages with placeholders', () => {
+        expect(new Localizer('en').t('issue', { number: 3 })).toBe('Issue 3');
+        expect(new Localizer('de').t('issue', { number: 3 })).toBe('Ausgabe 3');
+        expect(new Localizer('fr').t('issue', { number: 3 })).toBe('Numéro 3');
+        expect(new Localizer('de').t('byAuthor', { author: 'Ada' })).toBe('von Ada');
+    });
+
+    test('should pick plural forms', () => {
+        const english = new Localizer('en');
+        expect(english.t('articleCount', { count: 1 })).toBe('1 Article');
+        expect(english.t('articleCount', { count: 4 })).toBe('4 Articles');
+        expect(new Localizer('fr').t('articleCount', { count: 1 })).toBe('1 article');
+    });
+
+    test('should keep the region and fall back to English for unsupported locales', () => {
+        const austrian = new Localizer('de-at');
+        expect(austrian.language).toBe('de-AT');
+        expect(austrian.baseLanguage).toBe('de');
+
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const unsupported = new Localizer('pt-BR');
+        expect(unsupported.language).toBe('en');
+        expect(unsupported.t('tableOfContents')).toBe('Table of Contents');
+        expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining("'pt-BR' is not supported"));
+        warnSpy.mockRestore();
+
+        expect(getSupportedLanguage('fr_CA')).toBe('fr');
+        expect(getSupportedLanguage('it')).toBeNull();
+    });
+
+    test('should format dates for the locale', () => {
+        const date = new Date('2026-03-15T12:00:00Z');
+        expect(new Localizer('en').formatMonthYear(date, { timeZone: 'UTC' })).toBe('March 2026');
+        expect(new Localizer('de').formatMonthYear(date, { timeZone: 'UTC' })).toBe('März 2026');
+        expect(new Localizer('fr').formatMonthYear(date, { timeZone: 'UTC' })).toBe('mars 2026');
+    });
+});
+
+describe('detectLanguage', () => {
+    test('should recognise English, German and French prose', () => {
+        expect(detectLanguage(`<p>${ENGLISH_TEXT}</p>`)).toBe('en');
+        expect(detectLanguage(`<p>${GERMAN_TEXT}</p>`)).toBe('de');
+        expect(detectLanguage(`<p>${FRENCH_TEXT}</p>`)).toBe('fr');
+    });
+
+    test('should return null for short texts and ignore code', () => {
+        expect(detectLanguage('Hallo Welt')).toBeNull();
+        expect(detectLanguage('<pre><code>the and is are of to in that it with for this</code></pre>')).toBeNull();
+    });
+});
+
+describe('Localised EPUB output', () => {
+    const testOutputDir = '/tmp/test-epub-i18n';
+
+    beforeAll(() => {
+        mkdirSync(testOutputDir, { recursive: true });
+    });
+
+    async function build(locale, articles) {
+        const generator = new EPUBMagazineGenerator()
+            .setBuildDate(new Date('2026-03-15T12:00:00Z'))
+            .setLocale(locale);
+        generator.initializeEPUB('Mein Magazin', 'Autorin', 'Beschreibung');
+        generator.addSection('Technik');
+        articles.forEach(args => generator.addArticle(...args));
+        const outputPath = `${testOutputDir}/${locale}.epub`;
+        await generator.generateEPUB(outputPath);
+        return JSZip.loadAsync(readFileSync(outputPath));
+    }
+
+    test('should localise metadata, navigation and boilerplate', async () => {
+        const zip = await build('de', [['Server', `<p>${GERMAN_TEXT}</p>`, 'Ada', 'Technik']]);
+        const read = name => zip.file(`OEBPS/${name}`).async('string');
+
+        const opf = await read('content.opf');
+        expect(opf).toContain('<dc:title>Mein Magazin - Ausgabe 3</dc:title>');
+        expect(opf).toContain('<dc:language>de</dc:language>');
+        expect(opf).not.toContain('<dc:language>en</dc:language>');
+
+        const index = await read('index.xhtml');
+        expect(index).toContain('xml:lang="de" lang="de"');
+        expect(index).toContain('März 2026');
+        expect(index).toContain('1 Artikel');
+
+        expect(await read('nav.xhtml')).toContain('<li><a href="index.xhtml">Titelseite</a></li>');
+        expect(await read('toc.xhtml')).toContain('<h1 class="toc-header">Inhaltsverzeichnis</h1>');
+        expect(await read('section1.xhtml')).toContain('Rubrik 1');
+        expect(await read('chapter1.xhtml')).toContain('<span class="article-author">von Ada</span>');
+    });
+
+    test('should tag chapters in other languages and list them in the OPF', async () => {
+        const zip = await build('de', [
+            ['Auf Deutsch', `<p>${GERMAN_TEXT}</p>`, 'Ada'],
+            ['En français', `<p>${FRENCH_TEXT}</p><p>Note[^1]</p><p>[^1]: Source</p>`, 'Marie'],
+            ['Override', '<p>Kurz.</p>', null, 'General', 'en-GB']
+        ]);
+
+        const german = await zip.file('OEBPS/chapter1.xhtml').async('string');
+        const french = await zip.file('OEBPS/chapter2.xhtml').async('string');
+        const english = await zip.file('OEBPS/chapter3.xhtml').async('string');
+        expect(german).toContain('xml:lang="de" lang="de"');
+        expect(french).toContain('xml:lang="fr" lang="fr"');
+        expect(french).toContain('<span class="article-author">par Marie</span>');
+        expect(french).toContain('<h2 class="footnotes-title">Notes</h2>');
+        expect(english).toContain('xml:lang="en-GB" lang="en-GB"');
+
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+        expect([...opf.matchAll(/<dc:language>([^<]+)<\/dc:language>/g)].map(match => match[1]))
+            .toEqual(['de', 'fr', 'en-GB']);
+    });
+});
+
+describe('ArticleGenerator localisation', () => {
+    test('should write generated articles in the issue language', () => {
+        const contentManager = {
+            content: {
+                metadata: { locale: 'fr' },
+                articles: [],
+                interests: [{ topic: 'Rust', description: 'Systèmes', priority: 'high', dateAdded: '2026-01-01' }],
+                chatHighlights: []
+            },
+            addArticle: jest.fn()
+        };
+
+        new ArticleGenerator(contentManager).generateInterestArticle();
+
+        const [title, content, category] = contentManager.addArticle.mock.calls[0];
+        expect(title).toBe('Centres d’intérêt et explorations du moment');
+        expect(category).toBe('Développement personnel');
+        expect(content).toContain('<strong>Priorité:</strong> Haute');
+        expect(content).toContain('<h2>Réflexion</h2>');
+    });
+});
@@ -0,0 +1,104 @@
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import { checkEPUB } from '../src/epubChecker.js';
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { jest } from '@jest/globals';
+import JSZip from 'jszip';
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d4948445200000001000000010806000000', 'hex');
+const SVG_MARKUP = '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect width="10" height="10"/></svg>';
+
+describe('Embedding local images from article content', () => {
+    const testOutputDir = '/tmp/test-epub-images';
+    const assetDir = `${testOutputDir}/assets`;
+    let warnSpy;
+
+    beforeAll(() => {
+        mkdirSync(assetDir, { recursive: true });
+        writeFileSync(`${assetDir}/chart.png`, PNG_BYTES);
+        writeFileSync(`${assetDir}/chart-copy.png`, PNG_BYTES);
+        writeFileSync(`${assetDir}/diagram.svg`, SVG_MARKUP);
+        writeFileSync(`${assetDir}/photo.webp`, Buffer.from('RIFF0000WEBPVP8 '));
+        writeFileSync(`${assetDir}/notes.txt`, 'not an image');
+    });
+
+    beforeEach(() => {
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        warnSpy.mockRestore();
+    });
+
+    async function build(articles) {
+        const generator = new EPUBMagazineGenerator().setAssetBaseDir(testOutputDir);
+        generator.initializeEPUB('Images', 'Author', 'Description');
+        articles.forEach(([title, content]) => generator.addArticle(title, content));
+        const outputPath = `${testOutputDir}/images.epub`;
+        await generator.generateEPUB(outputPath);
+        const data = readFileSync(outputPath);
+        return { data, zip: await JSZip.loadAsync(data) };
+    }
+
+    test('should copy referenced images into the package and rewrite their src', async () => {
+        const { zip } = await build([
+            ['Charts', '<p>Look:</p><img src="assets/chart.png" alt="Chart"/>']
+        ]);
+
+        const chapter = await zip.file('OEBPS/chapter1.xhtml').async('string');
+        const src = chapter.match(/<img src="(images\/[0-9a-f]{16}\.png)" alt="Chart"\/>/)[1];
+        const packaged = await zip.file(`OEBPS/${src}`).async('nodebuffer');
+        expect(packaged.equals(PNG_BYTES)).toBe(true);
+    });
+
+    test('should store identical images once', async () => {
+        const { zip } = await build([
+            ['One', '<img src="assets/chart.png" alt="a"/>'],
+            ['Two', `<img alt="b" src='${assetDir}/chart-copy.png'/>`],
+            ['Three', `<img src="${pathToFileURL(`${assetDir}/chart.png`).href}" alt="c"/>`]
+        ]);
+
+        const images = Object.keys(zip.files).filter(name => name.startsWith('OEBPS/images/') && !name.endsWith('/') && !name.includes('cover'));
+        expect(images).toHaveLength(1);
+
+        const srcs = await Promise.all([1, 2, 3].map(async index =>
+            (await zip.file(`OEBPS/chapter${index}.xhtml`).async('string')).match(/src="([^"]+)"/)[1]));
+        expect(new Set(srcs).size).toBe(1);
+    });
+
+    test('should register SVG and WebP images with their media types', async () => {
+        const { zip } = await build([
+            ['Mixed', '<img src="assets/diagram.svg" alt="Diagram"/><img src="assets/photo.webp" alt="Photo"/>']
+        ]);
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+
+        expect(opf).toMatch(/<item id="img0" href="images\/[0-9a-f]{16}\.svg" media-type="image\/svg\+xml"\/>/);
+        expect(opf).toMatch(/<item id="img1" href="images\/[0-9a-f]{16}\.webp" media-type="image\/webp"\/>/);
+    });
+
+    test('should warn about missing images and replace them with their alt text', async () => {
+        const { data, zip } = await build([
+            ['Broken', '<p>Before</p><img src="assets/missing.png" alt="Lost chart"/><img src="assets/gone.jpg"/><p>After</p>']
+        ]);
+        const chapter = await zip.file('OEBPS/chapter1.xhtml').async('string');
+
+        expect(chapter).toContain('<span class="missing-image">[Lost chart]</span>');
+        expect(chapter).not.toContain('<img');
+        expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining("'assets/missing.png' from \"Broken\""));
+        expect((await checkEPUB(data)).valid).toBe(true);
+    });
+
+    test('should leave out unsupported file types with a warning', async () => {
+        const { zip } = await build([['Text', '<img src="assets/notes.txt" alt="Notes"/>']]);
+
+        expect(await zip.file('OEBPS/chapter1.xhtml').async('string')).toContain('[Notes]');
+        expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('not a supported image type'));
+    });
+
+    test('should leave remote images untouched', async () => {
+        const { zip } = await build([['Remote', '<img src="https://example.com/a.png" alt="Remote"/>']]);
+
+        expect(await zip.file('OEBPS/chapter1.xhtml').async('string')).toContain('src="https://example.com/a.png"');
+        expect(warnSpy).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,188 @@
+import { MagazineGenerator } from '../src/magazineGenerator.js';
+import { ArticleGenerator } from '../src/articleGenerator.js';
+import { CoverGenerator } from '../src/coverGenerator.js';
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import { ValidationError } from '../src/validation.js';
+import { jest } from '@jest/globals';
+import JSZip from 'jszip';
+import { createMemoryContentManager } from './helpers/memoryContentManager.js';
+
+const BUILD_DATE = new Date('2026-01-15T12:00:00Z');
+
+function createGenerator() {
+    const generator = new EPUBMagazineGenerator().setBuildDate(BUILD_DATE);
+    generator.initializeEPUB('Series Magazine', 'Tester', 'Numbering test');
+    generator.addArticle('Article', '<p>Content</p>');
+    return generator;
+}
+
+async function readOPF(generator) {
+    const zip = await JSZip.loadAsync(await generator.generateBuffer());
+    return zip.file('OEBPS/content.opf').async('string');
+}
+
+describe('ContentManager issue counter', () => {
+    test('should start at issue 1 of volume 1 and keep a history', () => {
+        const contentManager = createMemoryContentManager();
+
+        expect(contentManager.getNextIssue()).toEqual({ number: 1, volume: 1 });
+        expect(contentManager.content.issues).toEqual([]);
+    });
+
+    test('should add the counter to content files written before it existed', () => {
+        const contentManager = createMemoryContentManager({
+            metadata: { title: 'Old Magazine' },
+            articles: [],
+            interests: [],
+            chatHighlights: []
+        });
+
+        expect(contentManager.getNextIssue()).toEqual({ number: 1, volume: 1 });
+    });
+
+    test('should advance past recorded issues without moving back for rebuilds', () => {
+        const contentManager = createMemoryContentManager();
+
+        contentManager.recordIssue({ number: 1, volume: 1, title: 'M - Issue 1', date: BUILD_DATE, filename: 'a.epub' });
+        contentManager.recordIssue({ number: 2, volume: 1, title: 'M - Issue 2', date: BUILD_DATE, filename: 'b.epub' });
+        expect(contentManager.getNextIssue()).toEqual({ number: 3, volume: 1 });
+
+        contentManager.recordIssue({ number: 1, volume: 1, title: 'M - Issue 1', date: BUILD_DATE, filename: 'a2.epub' });
+        expect(contentManager.getNextIssue()).toEqual({ number: 3, volume: 1 });
+        expect(contentManager.content.issues.map(issue => [issue.number, issue.filename])).toEqual([[2, 'b.epub'], [1, 'a2.epub']]);
+        expect(contentManager.saved().metadata.issueNumber).toBe(3);
+    });
+
+    test('should let the user override the next issue number and volume', () => {
+        const contentManager = createMemoryContentManager();
+
+        contentManager.setIssueNumber(40);
+        contentManager.setVolume(3);
+
+        expect(contentManager.getNextIssue()).toEqual({ number: 40, volume: 3 });
+        expect(contentManager.saved().metadata).toMatchObject({ issueNumber: 40, volume: 3 });
+        expect(() => contentManager.setIssueNumber(0)).toThrow(ValidationError);
+        expect(() => contentManager.setVolume(1.5)).toThrow('Volume must be a positive integer');
+    });
+});
+
+describe('EPUB series metadata', () => {
+    test('should place issues with a running number in the magazine series', async () => {
+        const generator = createGenerator().setIssue(14, 2);
+        const opf = await readOPF(generator);
+
+        expect(opf).toContain('<dc:title>Series Magazine - Volume 2, Issue 14</dc:title>');
+        expect(opf).toContain('<meta property="belongs-to-collection" id="series">Series Magazine</meta>');
+        expect(opf).toContain('<meta refines="#series" property="collection-type">series</meta>');
+        expect(opf).toContain('<meta refines="#series" property="group-position">14</meta>');
+        expect(opf).toContain('<meta name="calibre:series" content="Series Magazine"/>');
+        expect(opf).toContain('<meta name="calibre:series_index" content="14"/>');
+    });
+
+    test('should keep month-based numbering without series metadata by default', async () => {
+        const opf = await readOPF(createGenerator());
+
+        expect(opf).toContain('<dc:title>Series Magazine - Issue 1</dc:title>');
+        expect(opf).not.toContain('belongs-to-collection');
+    });
+
+    test('should give two issues from the same month different identifiers', () => {
+        const first = createGenerator().setIssue(5);
+        const second = createGenerator().setIssue(6);
+
+        expect(first.getIdentifier()).not.toBe(second.getIdentifier());
+        expect(createGenerator().setIssue(5).getIdentifier()).toBe(first.getIdentifier());
+    });
+
+    test('should keep the running number when the build date changes', () => {
+        const generator = new EPUBMagazineGenerator().setIssue(9);
+        generator.setBuildDate(new Date('2026-05-01T00:00:00Z'));
+
+        expect(generator.issueNumber).toBe(9);
+        expect(() => generator.setIssue(0)).toThrow('Invalid issue number: 0');
+        expect(() => generator.setIssue(1, -2)).toThrow('Invalid volume: -2');
+    });
+
+    test('should show the volume on the cover', () => {
+        const cover = new CoverGenerator({ title: 'Series Magazine', issueNumber: 14, volume: 2, date: 'January 2026' });
+
+        expect(cover.getIssueLabel()).toBe('Volume 2, Issue 14');
+        expect(cover.generateSVG()).toContain('>Volume 2, Issue 14</text>');
+        expect(cover.generatePNG().subarray(1, 4).toString()).toBe('PNG');
+    });
+});
+
+describe('MagazineGenerator issue numbering', () => {
+    function createMagazineGenerator(contentManager) {
+        contentManager.content.articles.push({ title: 'Stored Article', content: '<p>Stored content.</p>', category: 'General' });
+        const articleGenerator = { generateInterestArticle: jest.fn(), generateChatHighlightsArticle: jest.fn() };
+        return new MagazineGenerator(contentManager, articleGenerator);
+    }
+
+    test('should number consecutive issues from the content store', async () => {
+        const contentManager = createMemoryContentManager();
+        const magazineGenerator = createMagazineGenerator(contentManager);
+
+        const first = await JSZip.loadAsync(await magazineGenerator.generateMagazine({ output: 'buffer', buildDate: BUILD_DATE }));
+        contentManager.content.articles.push({ title: 'New Article', content: '<p>New content.</p>', category: 'General' });
+        const second = await JSZip.loadAsync(await magazineGenerator.generateMagazine({ output: 'buffer', buildDate: BUILD_DATE }));
+
+        expect(await first.file('OEBPS/content.opf').async('string')).toContain('<meta refines="#series" property="group-position">1</meta>');
+        expect(await second.file('OEBPS/content.opf').async('string')).toContain('<meta refines="#series" property="group-position">2</meta>');
+        expect(contentManager.getNextIssue()).toEqual({ number: 3, volume: 1 });
+        expect(contentManager.content.issues.map(issue => [issue.number, issue.volume, issue.filename])).toEqual([
+            [1, 1, 'magazine-2026-01-issue-1.epub'],
+            [2, 1, 'magazine-2026-01-issue-2.epub']
+        ]);
+    });
+
+    test('should keep the issue number when rebuilding unchanged content', async () => {
+        const contentManager = createMemoryContentManager();
+        contentManager.addArticle('Stored Article', '<p>Stored content.</p>', 'General');
+        contentManager.addInterest('Sourdough', 'Baking with wild yeast', 'high');
+        contentManager.addChatHighlight('Starters', [{ sender: 'human', text: 'How often?' }, { sender: 'assistant', text: 'Feed it daily.' }], 'Keep it warm.', 'Food');
+        const magazineGenerator = new MagazineGenerator(contentManager, new ArticleGenerator(contentManager));
+
+        const first = await magazineGenerator.generateMagazine({ output: 'buffer', buildDate: BUILD_DATE });
+        const rebuild = await magazineGenerator.generateMagazine({ output: 'buffer', buildDate: BUILD_DATE });
+
+        expect(rebuild.equals(first)).toBe(true);
+        expect(contentManager.getNextIssue()).toEqual({ number: 2, volume: 1 });
+        expect(contentManager.content.issues.map(issue => issue.number)).toEqual([1]);
+        expect(contentManager.saved().articles.map(article => article.title)).toEqual([
+            'Stored Article',
+            'Current Interests & Explorations',
+            'Insights from AI Conversations'
+        ]);
+    });
+
+    test('should start a new issue for unchanged content once the counter is set', async () => {
+        const contentManager = createMemoryContentManager();
+        const magazineGenerator = createMagazineGenerator(contentManager);
+
+        await magazineGenerator.generateMagazine({ output: 'buffer', buildDate: BUILD_DATE });
+        contentManager.setIssueNumber(5);
+        await magazineGenerator.generateMagazine({ output: 'buffer', buildDate: BUILD_DATE });
+
+        expect(contentManager.content.issues.map(issue => issue.number)).toEqual([1, 5]);
+    });
+
+    test('should honour issue number and volume overrides', async () => {
+        const contentManager = createMemoryContentManager();
+        const magazineGenerator = createMagazineGenerator(contentManager);
+
+        const buffer = await magazineGenerator.generateMagazine({ output: 'buffer', buildDate: BUILD_DATE, issueNumber: 20, volume: 4 });
+        const opf = await (await JSZip.loadAsync(buffer)).file('OEBPS/content.opf').async('string');
+
+        expect(opf).toContain('<dc:title>My Personal Magazine - Volume 4, Issue 20</dc:title>');
+        expect(contentManager.getNextIssue()).toEqual({ number: 21, volume: 4 });
+    });
+
+    test('should not advance the counter when generation fails', async () => {
+        const contentManager = createMemoryContentManager();
+        const magazineGenerator = createMagazineGenerator(contentManager);
+
+        await expect(magazineGenerator.generateMagazine({ output: 'nowhere' })).rejects.toThrow('Unknown output mode');
+        expect(contentManager.getNextIssue()).toEqual({ number: 1, volume: 1 });
+    });
+});
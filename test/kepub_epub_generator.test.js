@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import KepubEPUBMagazineGenerator from '../src/kepub_epub_generator.js';
+import { kepubify, splitSentences } from '../src/kepub.js';
+import { MagazineGenerator } from '../src/magazineGenerator.js';
+import { checkEPUB } from '../src/epubChecker.js';
+import JSZip from 'jszip';
+import { createMemoryContentManager } from './helpers/memoryContentManager.js';
+
+const page = body => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Page</title></head><body>${body}</body></html>`;
+
+describe('kepubify', () => {
+    test('should split sentences only where whitespace follows the stop', () => {
+        expect(splitSentences('Pi is 3.14, e.g. roughly. Really?! "Yes." Done'))
+            .toEqual(['Pi is 3.14, e.g. ', 'roughly. ', 'Really?! ', '"Yes." ', 'Done']);
+    });
+
+    test('should number sentences by paragraph and wrap images', () => {
+        const xhtml = kepubify(page('<h1>Title</h1><p>One. Two <em>three.</em></p><p><img src="a.png" alt="A"/></p>'));
+
+        expect(xhtml).toContain('<h1><span class="koboSpan" id="kobo.1.1">Title</span></h1>');
+        expect(xhtml).toContain('<p><span class="koboSpan" id="kobo.2.1">One. </span><span class="koboSpan" id="kobo.2.2">Two </span><em><span class="koboSpan" id="kobo.2.3">three.</span></em></p>');
+        expect(xhtml).toContain('<p><span class="koboSpan" id="kobo.3.1"><img src="a.png" alt="A" /></span></p>');
+    });
+
+    test('should wrap the body in the Kobo divs and add the style fix', () => {
+        const xhtml = kepubify(page('<p>Text</p>'));
+
+        expect(xhtml).toMatch(/<body><div id="book-columns"><div id="book-inner"><p>.*<\/p><\/div><\/div><\/body>/);
+        expect(xhtml).toContain('<style type="text/css" class="kobostylehacks">div#book-inner { margin-top: 0; margin-bottom: 0; }</style></head>');
+    });
+
+    test('should keep code in one piece and leave math alone', () => {
+        const xhtml = kepubify(page('<pre><code>a = 1. b = 2.</code></pre><p><math xmlns="http://www.w3.org/1998/Math/MathML"><mi>x</mi></math></p>'));
+
+        expect(xhtml).toContain('<pre><code><span class="koboSpan" id="kobo.1.1">a = 1. b = 2.</span></code></pre>');
+        expect(xhtml).toContain('<mi>x</mi>');
+        expect(xhtml).not.toMatch(/<mi><span/);
+    });
+});
+
+describe('KepubEPUBMagazineGenerator', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should write kepub chapters and section openers for the kobo device', async () => {
+        const generator = new KepubEPUBMagazineGenerator();
+        generator.initializeEPUB('Kobo Weekly', 'Tester', 'Kepub test');
+        generator.addSection('Reading');
+        generator.addArticle('Stats', '<p>Reading time counts. Highlights work[^1].</p><p>[^1]: On Kobo.</p>');
+        const data = await generator.generateBuffer();
+        const zip = await JSZip.loadAsync(data);
+        const chapter = await zip.file('OEBPS/chapter1.xhtml').async('string');
+
+        expect(generator.deviceProfile.name).toBe('kobo');
+        expect(chapter).toContain('<span class="koboSpan" id="kobo.2.1">Reading time counts. </span>');
+        expect(chapter).toContain('<div id="book-inner">');
+        expect(await zip.file('OEBPS/section1.xhtml').async('string')).toContain('class="koboSpan"');
+        expect(await zip.file('OEBPS/cover.xhtml').async('string')).not.toContain('koboSpan');
+        expect((await checkEPUB(data)).errors).toEqual([]);
+    });
+
+    test('should be chosen by the kepub option and name the file .kepub.epub', () => {
+        const contentManager = createMemoryContentManager({
+            metadata: { title: 'Kobo Weekly', author: 'Tester', description: 'Kepub test' },
+            articles: [{ id: 'a1', title: 'Stats', content: '<p>Text</p>', category: 'Kobo' }],
+            interests: [],
+            chatHighlights: [],
+            claudeChats: []
+        });
+        const articleGenerator = { generateInterestArticle: jest.fn(), generateChatHighlightsArticle: jest.fn() };
+        const magazineGenerator = new MagazineGenerator(contentManager, articleGenerator);
+
+        const kepub = magazineGenerator.buildMagazine({ enableClustering: false, kepub: true });
+        const phone = magazineGenerator.buildMagazine({ enableClustering: false, kepub: true, device: 'phone' });
+        const plain = magazineGenerator.buildMagazine({ enableClustering: false });
+
+        expect(kepub).toBeInstanceOf(KepubEPUBMagazineGenerator);
+        expect(kepub.deviceProfile.name).toBe('kobo');
+        expect(phone.deviceProfile.name).toBe('phone');
+        expect(magazineGenerator.getOutputFilename(kepub)).toMatch(/^magazine-\d{4}-\d{2}(-issue-\d+)?\.kepub\.epub$/);
+        expect(plain).not.toBeInstanceOf(KepubEPUBMagazineGenerator);
+        expect(magazineGenerator.getOutputFilename(plain)).toMatch(/\d\.epub$/);
+    });
+});
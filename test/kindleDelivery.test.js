@@ -0,0 +1,266 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import request from 'supertest';
+import { SMTPServer } from 'smtp-server';
+
+// The web routes run against the real content store in a temporary folder; only the session store is replaced
+const kvStore = new Map();
+jest.unstable_mockModule('@vercel/kv', () => ({
+    kv: {
+        get: jest.fn(async key => kvStore.get(key)),
+        set: jest.fn(async (key, value) => kvStore.set(key, value)),
+        del: jest.fn(async key => kvStore.delete(key))
+    }
+}));
+
+// A local SMTP server stands in for the mail provider and keeps what it receives
+const received = [];
+const rejected = new Set();
+const smtpServer = new SMTPServer({
+    disabledCommands: ['STARTTLS'],
+    allowInsecureAuth: true,
+    authOptional: true,
+    onAuth(auth, session, callback) {
+        if (auth.username === 'magazeen' && auth.password === 'secret') {
+            return callback(null, { user: auth.username });
+        }
+        callback(new Error('Invalid user name or password'));
+    },
+    onRcptTo(address, session, callback) {
+        callback(rejected.has(address.address) ? new Error('Mailbox unavailable') : null);
+    },
+    onData(stream, session, callback) {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+            received.push({
+                user: session.user,
+                from: session.envelope.mailFrom.address,
+                to: session.envelope.rcptTo.map(rcpt => rcpt.address),
+                raw: Buffer.concat(chunks).toString()
+            });
+            callback();
+        });
+    }
+});
+await new Promise(resolve => smtpServer.listen(0, '127.0.0.1', resolve));
+const smtpPort = smtpServer.server.address().port;
+
+const contentDir = mkdtempSync(path.join(tmpdir(), 'magazeen-delivery-'));
+Object.assign(process.env, {
+    CONTENT_FILE: path.join(contentDir, 'magazine-content.json'),
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtpPort),
+    SMTP_FROM: 'magazeen@example.com'
+});
+
+const { KindleDelivery } = await import('../src/kindleDelivery.js');
+const { createMemoryContentManager } = await import('./helpers/memoryContentManager.js');
+const { ValidationError } = await import('../src/validation.js');
+
+const SMTP_OPTIONS = {
+    smtpHost: '127.0.0.1',
+    smtpPort,
+    smtpSecure: false,
+    smtpUser: 'magazeen',
+    smtpPass: 'secret',
+    from: 'magazeen@example.com',
+    kindleEmail: null
+};
+
+const EPUB = Buffer.from('PK\u0003\u0004 stand-in EPUB');
+
+// A content store and issue files kept in memory
+function createStore(metadata = {}) {
+    const files = new Map([['out/magazine-2026-03-issue-3.epub', EPUB]]);
+    const contentManager = createMemoryContentManager(null, { contentFile: 'out/store.json', files });
+    Object.assign(contentManager.content.metadata, metadata);
+    contentManager.content.issues = [{
+        number: 3,
+        volume: 1,
+        title: 'Reader Monthly - Issue 3',
+        date: '2026-03-15T12:00:00.000Z',
+        filename: 'magazine-2026-03-issue-3.epub',
+        generatedAt: '2026-03-15T12:00:00.000Z'
+    }];
+    return { files, fsUtils: contentManager.fsUtils, contentManager };
+}
+
+// Decodes the attachment of a received message
+function readAttachment(raw) {
+    const part = raw.split(/\r\n--/).find(section => section.includes('application/epub+zip'));
+    const [headers, body] = part.split('\r\n\r\n');
+    return { headers, content: Buffer.from(body.replace(/\s+/g, ''), 'base64') };
+}
+
+beforeEach(() => {
+    received.length = 0;
+    rejected.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+    await new Promise(resolve => smtpServer.close(resolve));
+    rmSync(contentDir, { recursive: true, force: true });
+});
+
+describe('KindleDelivery', () => {
+    test('should email the EPUB to the stored Kindle address, titled after the issue', async () => {
+        const { contentManager, fsUtils } = createStore({ kindleEmail: 'reader@kindle.com' });
+        const result = await new KindleDelivery(contentManager, SMTP_OPTIONS, fsUtils).deliver('out/magazine-2026-03-issue-3.epub');
+
+        expect(result).toEqual({ success: true, to: 'reader@kindle.com', messageId: expect.any(String) });
+        expect(received).toHaveLength(1);
+        const [message] = received;
+        expect(message).toMatchObject({ user: 'magazeen', from: 'magazeen@example.com', to: ['reader@kindle.com'] });
+        expect(message.raw).toContain('Subject: Reader Monthly - Issue 3');
+
+        const attachment = readAttachment(message.raw);
+        expect(attachment.headers).toContain('filename=magazine-2026-03-issue-3.epub');
+        expect(attachment.content.equals(EPUB)).toBe(true);
+    });
+
+    test('should send to the address it is given, or to the configured one', async () => {
+        const { contentManager, fsUtils } = createStore({ kindleEmail: 'reader@kindle.com' });
+        const delivery = new KindleDelivery(contentManager, SMTP_OPTIONS, fsUtils);
+        await delivery.deliver('out/magazine-2026-03-issue-3.epub', { to: 'guest@kindle.com' });
+
+        const fallback = createStore();
+        const configured = new KindleDelivery(fallback.contentManager, { ...SMTP_OPTIONS, kindleEmail: 'family@kindle.com' }, fallback.fsUtils);
+        expect(configured.getAddress()).toBe('family@kindle.com');
+        await configured.deliver('out/magazine-2026-03-issue-3.epub');
+
+        expect(received.map(message => message.to)).toEqual([['guest@kindle.com'], ['family@kindle.com']]);
+    });
+
+    test('should report what is missing before connecting', async () => {
+        const { contentManager, fsUtils, files } = createStore();
+        files.set('out/magazine.kepub.epub', EPUB);
+        files.set('out/magazine.pdf', EPUB);
+
+        const unconfigured = new KindleDelivery(contentManager, { ...SMTP_OPTIONS, smtpHost: null }, fsUtils);
+        expect(unconfigured.isConfigured()).toBe(false);
+        expect(await unconfigured.deliver('out/magazine-2026-03-issue-3.epub', { to: 'reader@kindle.com' }))
+            .toEqual({ success: false, message: 'Sending to Kindle is not set up: set SMTP_HOST and SMTP_FROM.' });
+
+        const delivery = new KindleDelivery(contentManager, SMTP_OPTIONS, fsUtils);
+        expect(await delivery.deliver('out/magazine-2026-03-issue-3.epub')).toEqual({ success: false, message: 'No Kindle address is set.' });
+        expect((await delivery.deliver('out/magazine-2026-03-issue-3.epub', { to: 'not-an-address' })).message)
+            .toBe('Kindle address must be a valid email address');
+        expect((await delivery.deliver('out/magazine.kepub.epub', { to: 'reader@kindle.com' })).message)
+            .toBe('Only EPUB issues can be sent to a Kindle, not \'magazine.kepub.epub\'.');
+        expect((await delivery.deliver('out/magazine.pdf', { to: 'reader@kindle.com' })).success).toBe(false);
+        expect(received).toHaveLength(0);
+    });
+
+    test('should report errors from the SMTP server', async () => {
+        const { contentManager, fsUtils } = createStore();
+        rejected.add('gone@kindle.com');
+
+        const refused = await new KindleDelivery(contentManager, SMTP_OPTIONS, fsUtils).deliver('out/magazine-2026-03-issue-3.epub', { to: 'gone@kindle.com' });
+        const unauthorized = await new KindleDelivery(contentManager, { ...SMTP_OPTIONS, smtpPass: 'wrong' }, fsUtils)
+            .deliver('out/magazine-2026-03-issue-3.epub', { to: 'reader@kindle.com' });
+
+        expect(refused.success).toBe(false);
+        expect(refused.message).toContain('Mailbox unavailable');
+        expect(unauthorized.success).toBe(false);
+        expect(unauthorized.message).toContain('Invalid user name or password');
+        expect(received).toHaveLength(0);
+    });
+});
+
+describe('ContentManager.setKindleEmail', () => {
+    test('should store, validate and clear the Kindle address', () => {
+        const { contentManager, files } = createStore();
+
+        contentManager.setKindleEmail('reader@kindle.com');
+        expect(JSON.parse(files.get('out/store.json')).metadata.kindleEmail).toBe('reader@kindle.com');
+        expect(() => contentManager.setKindleEmail('reader')).toThrow(ValidationError);
+
+        contentManager.setKindleEmail(null);
+        expect(contentManager.content.metadata.kindleEmail).toBeNull();
+    });
+});
+
+describe('Send to Kindle on the web', () => {
+    let app;
+    const originalEnv = process.env;
+
+    beforeAll(async () => {
+        process.env = {
+            ...originalEnv,
+            NODE_ENV: 'test',
+            MAGAZEEN_USER_SCOPED: 'true',
+            MAGAZEEN_HASH_SECRET: 'secret',
+            KV_REST_API_URL: 'http://kv.invalid',
+            KV_REST_API_TOKEN: 'token'
+        };
+        delete process.env.DEV_STUB_USER;
+        ({ default: app } = await import('../src/server.js'));
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+    });
+
+    function generateIssue(sessionId, fields) {
+        kvStore.set(sessionId, JSON.stringify([{
+            id: 'c1',
+            title: 'Kindle Chat',
+            originalChatData: { chat_messages: [{ sender: 'assistant', text: 'Read this on the couch.' }] }
+        }]));
+        return request(app)
+            .post('/generate-epub')
+            .set('Remote-User', 'alice@example.com')
+            .type('form')
+            .send(`selectedChats=c1&sessionId=${sessionId}&${fields}`);
+    }
+
+    test('should send the issue, keep the address and link to the download', async () => {
+        const res = await generateIssue('session-1', 'deliver=true&kindleEmail=alice%40kindle.com');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-disposition']).toBeUndefined();
+        expect(res.text).toContain('alice@kindle.com');
+        const downloadUrl = res.text.match(/href="(\/opds\/issues\/[^"]+)"/)[1];
+        expect(received).toHaveLength(1);
+        expect(received[0].to).toEqual(['alice@kindle.com']);
+
+        const download = await request(app).get(downloadUrl).set('Remote-User', 'alice@example.com');
+        expect(download.statusCode).toBe(200);
+
+        // The next upload offers the address again
+        const upload = await request(app)
+            .post('/upload')
+            .set('Remote-User', 'alice@example.com')
+            .attach('chatExport', Buffer.from(JSON.stringify([{ uuid: 'c2', name: 'Next', chat_messages: [] }])), { filename: 'chats.json', contentType: 'application/json' });
+        expect(upload.text).toContain('name="deliver"');
+        expect(upload.text).toContain('value="alice@kindle.com"');
+    });
+
+    test('should refuse addresses and formats it cannot send', async () => {
+        const badAddress = await generateIssue('session-2', 'deliver=true&kindleEmail=alice');
+        const pdf = await generateIssue('session-3', 'deliver=true&format=pdf');
+
+        expect(badAddress.statusCode).toBe(400);
+        expect(badAddress.text).toContain('valid Kindle address');
+        expect(pdf.statusCode).toBe(400);
+        expect(pdf.text).toContain('Only EPUB issues can be sent to a Kindle');
+        expect(received).toHaveLength(0);
+    });
+
+    test('should say so when the mail provider refuses the issue', async () => {
+        rejected.add('full@kindle.com');
+        const res = await generateIssue('session-4', 'deliver=true&kindleEmail=full%40kindle.com');
+
+        expect(res.statusCode).toBe(502);
+        expect(res.text).toContain('could not be sent to your Kindle');
+    });
+});
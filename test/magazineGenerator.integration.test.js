@@ -21,6 +21,14 @@ describe('MagazineGenerator - Integration with Claude Chats', () => {
         mockEpubInstance = {
             initializeEPUB: jest.fn(),
             addArticle: jest.fn(),
+            setLocale: jest.fn(),
+            setTheme: jest.fn(),
+            setReadingSpeed: jest.fn(),
+            setBuildDate: jest.fn(),
+            setAssetBaseDir: jest.fn(),
+            setIssue: jest.fn(),
+            setCoverImage: jest.fn(),
+            addAppendix: jest.fn(),
             generateEPUB: jest.fn().mockResolvedValue('mock/path/to/epub.epub'),
         };
         mockEpubFactory = jest.fn(() => mockEpubInstance);
@@ -69,10 +77,10 @@ describe('MagazineGenerator - Integration with Claude Chats', () => {
         expect(mockEpubInstance.initializeEPUB).toHaveBeenCalledWith("Test Mag", "Tester", undefined);
 
         expect(mockEpubInstance.addArticle).toHaveBeenCalledWith(
-            'Normal Article', 'Some text', 'Author1', 'Tech'
+            'Normal Article', 'Some text', 'Author1', 'Tech', null
         );
         expect(mockEpubInstance.addArticle).toHaveBeenCalledWith(
-            'Selected Chat', expect.stringContaining('<strong>You</strong>'), 'Claude Conversation', 'Tech Chat'
+            'Selected Chat', expect.stringContaining('<strong>You</strong>'), 'Claude Conversation', 'Tech Chat', null
         );
         const selectedChatContentCall = mockEpubInstance.addArticle.mock.calls.find(call => call[0] === 'Selected Chat');
         expect(selectedChatContentCall[1]).toContain('<strong>You</strong>');
@@ -89,6 +97,19 @@ describe('MagazineGenerator - Integration with Claude Chats', () => {
         expect(mockEpubInstance.generateEPUB).toHaveBeenCalledWith(expect.stringMatching(/out\/magazine-\d{4}-\d{2}\.epub/));
     });
 
+    test('should render chat messages as Markdown instead of raw text', async () => {
+        contentManager.content.claudeChats[0].conversation = [
+            { sender: 'assistant', text: 'Try this:\n\n```js\nif (a < b) run();\n```\n\n- **one**\n- two', timestamp: '2023-01-01T12:00:00Z' }
+        ];
+
+        await magazineGenerator.generateMagazine();
+
+        const chatCall = mockEpubInstance.addArticle.mock.calls.find(call => call[0] === 'Selected Chat');
+        expect(chatCall[1]).toContain('<pre><code class="language-js">if (a &lt; b) run();</code></pre>');
+        expect(chatCall[1]).toContain('<li><strong>one</strong></li>');
+        expect(chatCall[1]).not.toContain('```');
+    });
+
     test('should handle case with no selected Claude chats', async () => {
         // Override mockFsUtils.readFileSync for this specific test's content
         mockFsUtils.readFileSync.mockImplementation((path) => {
@@ -0,0 +1,174 @@
+import { MarkdownRenderer, renderMarkdown } from '../src/markdownRenderer.js';
+import { getXMLParseError } from '../src/xmlUtils.js';
+import { JSDOM } from 'jsdom';
+
+// Parses a fragment as XHTML; JSDOM throws on anything that is not well-formed XML
+function parseXHTML(fragment) {
+    const dom = new JSDOM(`<div xmlns="http://www.w3.org/1999/xhtml">${fragment}</div>`, {
+        contentType: 'application/xhtml+xml'
+    });
+    return dom.window.document;
+}
+
+describe('MarkdownRenderer', () => {
+    describe('block elements', () => {
+        test('should render paragraphs separated by blank lines', () => {
+            const html = renderMarkdown('First paragraph.\n\nSecond paragraph.');
+            expect(html).toBe('<p>First paragraph.</p>\n<p>Second paragraph.</p>');
+        });
+
+        test('should render fenced code blocks with a language class and escaped content', () => {
+            const html = renderMarkdown('```js\nif (a < b && c > d) {\n  return "x";\n}\n```');
+            expect(html).toBe('<pre><code class="language-js">if (a &lt; b &amp;&amp; c &gt; d) {\n  return &quot;x&quot;;\n}</code></pre>');
+        });
+
+        test('should not apply inline formatting inside code blocks', () => {
+            const html = renderMarkdown('~~~\n**not bold** and _not em_\n~~~');
+            expect(html).toContain('**not bold** and _not em_');
+            expect(html).not.toContain('<strong>');
+        });
+
+        test('should treat an unclosed fence as running to the end of the message', () => {
+            const html = renderMarkdown('Intro\n```\nline 1\nline 2');
+            expect(html).toBe('<p>Intro</p>\n<pre><code>line 1\nline 2</code></pre>');
+        });
+
+        test('should render headings and apply the heading offset', () => {
+            expect(renderMarkdown('# Title')).toBe('<h1>Title</h1>');
+            expect(renderMarkdown('## Sub', { headingOffset: 2 })).toBe('<h4>Sub</h4>');
+            expect(renderMarkdown('##### Deep', { headingOffset: 3 })).toBe('<h6>Deep</h6>');
+        });
+
+        test('should render unordered lists with nesting', () => {
+            const html = renderMarkdown('- one\n- two\n  - nested\n- three');
+            expect(html).toBe('<ul>\n<li>one</li>\n<li>two\n<ul>\n<li>nested</li>\n</ul></li>\n<li>three</li>\n</ul>');
+        });
+
+        test('should render ordered lists and keep the start number', () => {
+            expect(renderMarkdown('1. a\n2. b')).toBe('<ol>\n<li>a</li>\n<li>b</li>\n</ol>');
+            expect(renderMarkdown('3. c\n4. d')).toContain('<ol start="3">');
+        });
+
+        test('should let a list interrupt a paragraph', () => {
+            const html = renderMarkdown('Options:\n- alpha\n- beta');
+            expect(html).toBe('<p>Options:</p>\n<ul>\n<li>alpha</li>\n<li>beta</li>\n</ul>');
+        });
+
+        test('should render loose list items with paragraphs and nested code', () => {
+            const html = renderMarkdown('1. Install\n\n   ```bash\n   npm i\n   ```\n\n2. Run');
+            expect(html).toContain('<li><p>Install</p>\n<pre><code class="language-bash">npm i</code></pre></li>');
+            expect(html).toContain('<li><p>Run</p></li>');
+        });
+
+        test('should render block quotes containing other blocks', () => {
+            const html = renderMarkdown('> Quoted **text**\n> - item');
+            expect(html).toBe('<blockquote>\n<p>Quoted <strong>text</strong></p>\n<ul>\n<li>item</li>\n</ul>\n</blockquote>');
+        });
+
+        test('should render GFM tables with alignment', () => {
+            const html = renderMarkdown('| Name | Count |\n|:-----|------:|\n| a | 1 |\n| b \\| c | 2 |');
+            expect(html).toContain('<th style="text-align: left">Name</th><th style="text-align: right">Count</th>');
+            expect(html).toContain('<td style="text-align: left">b | c</td>');
+            expect(html).toContain('<tbody>');
+        });
+
+        test('should render thematic breaks as self-closing hr', () => {
+            expect(renderMarkdown('above\n\n---\n\nbelow')).toContain('<hr/>');
+        });
+    });
+
+    describe('inline elements', () => {
+        test('should render emphasis, strong and strikethrough', () => {
+            const html = renderMarkdown('*em* **strong** ***both*** ~~gone~~');
+            expect(html).toBe('<p><em>em</em> <strong>strong</strong> <strong><em>both</em></strong> <del>gone</del></p>');
+        });
+
+        test('should nest emphasis tags when delimiters overlap', () => {
+            const html = renderMarkdown('**bold *it** x*');
+            expect(getXMLParseError(`<div xmlns="http://www.w3.org/1999/xhtml">${html}</div>`)).toBeNull();
+            expect(html).toBe('<p><em><em>bold <em>it</em></em> x</em></p>');
+            expect(renderMarkdown('*a **b** c* and __d _e_ f__')).toBe('<p><em>a <strong>b</strong> c</em> and <strong>d <em>e</em> f</strong></p>');
+        });
+
+        test('should not italicise snake_case identifiers or arithmetic', () => {
+            const html = renderMarkdown('call my_func_name with 2 * 3 * 4');
+            expect(html).toBe('<p>call my_func_name with 2 * 3 * 4</p>');
+        });
+
+        test('should render inline code without interpreting its contents', () => {
+            const html = renderMarkdown('Use `a <b> *c*` here');
+            expect(html).toBe('<p>Use <code>a &lt;b&gt; *c*</code> here</p>');
+        });
+
+        test('should render links, autolinks and bare URLs', () => {
+            const html = renderMarkdown('[Docs](https://example.com/a?x=1&y=2 "Title") <https://a.b> see https://c.d/e.');
+            expect(html).toContain('<a href="https://example.com/a?x=1&amp;y=2" title="Title">Docs</a>');
+            expect(html).toContain('<a href="https://a.b">https://a.b</a>');
+            expect(html).toContain('<a href="https://c.d/e">https://c.d/e</a>.');
+        });
+
+        test('should drop unsafe link targets', () => {
+            const html = renderMarkdown('[click](javascript:alert(1))');
+            expect(html).not.toContain('javascript:');
+            expect(html).toContain('click');
+        });
+
+        test('should link remote images instead of embedding them', () => {
+            expect(renderMarkdown('![chart](https://x.y/c.png)')).toBe('<p><a href="https://x.y/c.png">chart</a></p>');
+            expect(renderMarkdown('![chart](images/c.png)')).toBe('<p><img src="images/c.png" alt="chart"/></p>');
+        });
+
+        test('should honour backslash escapes', () => {
+            expect(renderMarkdown('\\*literal\\*')).toBe('<p>*literal*</p>');
+        });
+
+        test('should turn newlines into breaks only in breaks mode', () => {
+            expect(renderMarkdown('a\nb')).toBe('<p>a\nb</p>');
+            expect(renderMarkdown('a\nb', { breaks: true })).toBe('<p>a<br/>\nb</p>');
+            expect(renderMarkdown('a  \nb')).toBe('<p>a<br/>\nb</p>');
+        });
+    });
+
+    describe('XHTML safety', () => {
+        test('should escape raw HTML and entities in prose', () => {
+            const html = renderMarkdown('<script>alert("x")</script> & Tom\'s');
+            expect(html).toBe('<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; Tom&#39;s</p>');
+        });
+
+        test('should strip characters that are illegal in XML', () => {
+            expect(renderMarkdown('bad\u0001char')).toBe('<p>badchar</p>');
+        });
+
+        test('should produce well-formed XHTML for a typical technical answer', () => {
+            const renderer = new MarkdownRenderer({ headingOffset: 2, breaks: true });
+            const html = renderer.render([
+                '## Summary',
+                'Here is how to compare `a < b` in **JS** & friends:',
+                '',
+                '1. First step',
+                '   - detail with [link](https://example.com)',
+                '2. Second step',
+                '',
+                '```javascript',
+                'const ok = a < b && b > c;',
+                '```',
+                '',
+                '| Op | Meaning |',
+                '|----|---------|',
+                '| `<` | less |',
+                '',
+                '> Note: *remember* this',
+            ].join('\n'));
+
+            const document = parseXHTML(html);
+            expect(document.querySelector('h4').textContent).toBe('Summary');
+            expect(document.querySelectorAll('li')).toHaveLength(3);
+            expect(document.querySelector('pre code').textContent).toBe('const ok = a < b && b > c;');
+            expect(document.querySelector('td code').textContent).toBe('<');
+        });
+
+        test('should return an empty string for null input', () => {
+            expect(renderMarkdown(null)).toBe('');
+        });
+    });
+});
@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import { renderMath, texToMathML, texToText } from '../src/mathRenderer.js';
+import { renderMarkdown } from '../src/markdownRenderer.js';
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import KindleEPUBMagazineGenerator from '../src/kindle_epub_generator.js';
+import { checkEPUB } from '../src/epubChecker.js';
+import JSZip from 'jszip';
+
+const MATHML_NS = 'xmlns="http://www.w3.org/1998/Math/MathML"';
+
+describe('texToMathML', () => {
+    test('should render inline and display math with alt text and a TeX annotation', () => {
+        const inline = texToMathML('x^2');
+        expect(inline).toMatch(/^<math alttext="x\^2" xmlns="http:\/\/www\.w3\.org\/1998\/Math\/MathML">/);
+        expect(inline).toMatch(/<msup><mi>x<\/mi><mn[^>]*>2<\/mn><\/msup>/);
+        expect(inline).toContain('<annotation encoding="application/x-tex">x^2</annotation>');
+
+        expect(texToMathML('\\frac{a}{b}', { displayMode: true })).toContain('display="block"');
+    });
+
+    test('should throw on invalid TeX', () => {
+        expect(() => texToMathML('\\frac{a')).toThrow();
+    });
+});
+
+describe('texToText', () => {
+    test.each([
+        ['\\frac{a+1}{b} \\leq x^2', '(a+1)/b ≤ x²'],
+        ['\\sqrt{x_1^2 + x_2^2}', '√(x₁² + x₂²)'],
+        ['\\alpha \\to \\infty', 'α → ∞'],
+        ['\\sum_{i=1}^{n} i', '∑ᵢ₌₁ⁿ i'],
+        ['x \\in \\mathbb{R}', 'x ∈ ℝ'],
+        ['\\sin(x) + \\text{const}', 'sin (x) + const'],
+        ['e^{i\\pi}', 'e^(iπ)']
+    ])('should write %s as %s', (tex, text) => {
+        expect(texToText(tex)).toBe(text);
+    });
+});
+
+describe('renderMath', () => {
+    test('should convert every delimiter style', () => {
+        const html = renderMath('<p>$a$, \\(b\\), $$c$$ and \\[d\\]</p>');
+        expect(html.match(/<math /g)).toHaveLength(4);
+        expect(html.match(/display="block"/g)).toHaveLength(2);
+        expect(html).not.toContain('$');
+    });
+
+    test('should leave prices, code and attributes alone', () => {
+        const input = '<p title="$x$">It costs $5 and $10.</p><pre><code>echo "$HOME" $x$</code></pre><p><code>$y$</code></p>';
+        expect(renderMath(input)).toBe(input);
+    });
+
+    test('should decode entities in the TeX source', () => {
+        const html = renderMath('<p>$a &lt; b$</p>');
+        expect(html).toContain('alttext="a &lt; b"');
+        expect(html).toContain('<mo>&lt;</mo>');
+    });
+
+    test('should write text math when MathML is not wanted', () => {
+        expect(renderMath('<p>$x^2$ and $$\\frac{1}{2}$$</p>', { output: 'text' }))
+            .toBe('<p><span class="math-text">x²</span> and <span class="math-text math-display">1/2</span></p>');
+    });
+
+    test('should fall back to text and warn when TeX does not parse', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const html = renderMath('<p>$\\sqrt{x$</p>', { title: 'Broken' });
+
+        expect(html).toContain('<span class="math-text">');
+        expect(html).not.toContain('<math');
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('"Broken"'));
+        warn.mockRestore();
+    });
+});
+
+describe('Math in Markdown', () => {
+    test('should keep TeX intact when math is enabled', () => {
+        const html = renderMarkdown('Area $a_1 *b* c_1$ and \\$5', { math: true });
+        expect(html).toBe('<p>Area $a_1 *b* c_1$ and &#36;5</p>');
+        expect(renderMath(html)).toContain('<math');
+    });
+
+    test('should read TeX as Markdown when math is disabled', () => {
+        expect(renderMarkdown('$a_1 *b* c_1$')).toContain('<em>');
+    });
+});
+
+describe('Math in generated EPUBs', () => {
+    const content = '<p>Euler: $e^{i\\pi} + 1 = 0$</p>';
+
+    test('should embed MathML and flag the chapter in the manifest', async () => {
+        const generator = new EPUBMagazineGenerator();
+        generator.initializeEPUB('Math', 'Author', 'Description');
+        generator.addArticle('Identity', content);
+        generator.addArticle('Prose', '<p>No formulas here.</p>');
+        const data = await generator.generateBuffer();
+
+        const zip = await JSZip.loadAsync(data);
+        const chapter = await zip.file('OEBPS/chapter1.xhtml').async('string');
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+
+        expect(chapter).toContain(MATHML_NS);
+        expect(opf).toContain('<item id="chapter1" href="chapter1.xhtml" media-type="application/xhtml+xml" properties="mathml"/>');
+        expect(opf).toContain('<item id="chapter2" href="chapter2.xhtml" media-type="application/xhtml+xml"/>');
+        expect((await checkEPUB(data)).errors).toEqual([]);
+    });
+
+    test('should write Unicode text for Kindle-optimised output', async () => {
+        const generator = new KindleEPUBMagazineGenerator();
+        generator.initializeEPUB('Math', 'Author', 'Description');
+        generator.addArticle('Identity', content);
+        const data = await generator.generateBuffer();
+
+        const zip = await JSZip.loadAsync(data);
+        const chapter = await zip.file('OEBPS/chapter1.xhtml').async('string');
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+
+        expect(chapter).toContain('<span class="math-text">e^(iπ) + 1 = 0</span>');
+        expect(chapter).not.toContain('<math');
+        expect(opf).not.toContain('properties="mathml"');
+    });
+
+    test('should report MathML in a chapter without the mathml property', async () => {
+        const generator = new EPUBMagazineGenerator();
+        generator.initializeEPUB('Math', 'Author', 'Description');
+        generator.addArticle('Identity', content);
+        generator.getSpineDocuments = function () {
+            return EPUBMagazineGenerator.prototype.getSpineDocuments.call(this).map(document => ({ ...document, mathml: false }));
+        };
+        generator.setValidationMode('off');
+        const data = await generator.generateBuffer();
+
+        const { errors } = await checkEPUB(data);
+        expect(errors).toEqual([expect.objectContaining({
+            file: 'OEBPS/chapter1.xhtml',
+            message: expect.stringContaining('lacks the mathml property')
+        })]);
+    });
+});
@@ -0,0 +1,328 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import request from 'supertest';
+import { JSDOM } from 'jsdom';
+
+// The web routes run against the real content store in a temporary folder; only the session store is replaced
+const kvStore = new Map();
+jest.unstable_mockModule('@vercel/kv', () => ({
+    kv: {
+        get: jest.fn(async key => kvStore.get(key)),
+        set: jest.fn(async (key, value) => kvStore.set(key, value)),
+        del: jest.fn(async key => kvStore.delete(key))
+    }
+}));
+
+const contentDir = mkdtempSync(path.join(tmpdir(), 'magazeen-opds-'));
+process.env.CONTENT_FILE = path.join(contentDir, 'magazine-content.json');
+
+const { IssueLibrary, getLibraryDir, getIssueMediaType, readEPUBDetails, renderOPDSFeed } = await import('../src/opdsCatalog.js');
+const { default: EPUBMagazineGenerator } = await import('../src/epub_generator.js');
+const { resolveContentPath } = await import('../src/web/auth.js');
+
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+const DCTERMS_NS = 'http://purl.org/dc/terms/';
+
+function parseFeed(xml) {
+    return new JSDOM(xml, { contentType: 'application/xml' }).window.document;
+}
+
+function entryLinks(entry) {
+    return Object.fromEntries([...entry.getElementsByTagNameNS(ATOM_NS, 'link')]
+        .map(link => [link.getAttribute('rel'), { href: link.getAttribute('href'), type: link.getAttribute('type') }]));
+}
+
+function binaryParser(response, callback) {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+async function createIssue() {
+    const generator = new EPUBMagazineGenerator().setBuildDate(new Date('2026-03-15T12:00:00Z')).setIssue(3, 1);
+    generator.initializeEPUB('Reader Monthly', 'Tester', 'Issues for e-readers');
+    generator.addArticle('First Article', '<p>Hello, reader.</p>', 'Tester', 'General');
+    return generator.generateBuffer();
+}
+
+const ISSUE = {
+    number: 3,
+    volume: 1,
+    title: 'Reader Monthly - Issue 3',
+    date: '2026-03-15T12:00:00.000Z',
+    filename: 'magazine-2026-03-issue-3.epub',
+    generatedAt: '2026-03-15T12:00:00.000Z'
+};
+
+afterAll(() => {
+    rmSync(contentDir, { recursive: true, force: true });
+});
+
+describe('getLibraryDir and getIssueMediaType', () => {
+    test('should keep the library next to the content file', () => {
+        expect(getLibraryDir('out/abc123/magazine-content.json')).toBe(path.join('out', 'abc123', 'library'));
+    });
+
+    test('should offer kepubs with their own media type', () => {
+        expect(getIssueMediaType('magazine-2026-03.epub')).toBe('application/epub+zip');
+        expect(getIssueMediaType('magazine-2026-03.kepub.epub')).toBe('application/kepub+zip');
+    });
+});
+
+describe('readEPUBDetails', () => {
+    test('should read the identifier, language, series and cover from the package document', async () => {
+        const details = await readEPUBDetails(await createIssue());
+
+        expect(details.identifier).toMatch(/^urn:uuid:/);
+        expect(details.language).toBe('en');
+        expect(details.description).toBe('Issues for e-readers');
+        expect(details.series).toBe('Reader Monthly');
+        expect(details.seriesPosition).toBe(3);
+        expect(details.cover).toEqual({ path: 'OEBPS/images/cover.png', mediaType: 'image/png' });
+    });
+});
+
+describe('IssueLibrary', () => {
+    function createLibrary(issues, files) {
+        const contentManager = { content: { metadata: { title: 'Reader Monthly' }, issues } };
+        return new IssueLibrary(contentManager, 'library', {
+            existsSync: jest.fn(file => files.includes(file)),
+            mkdirSync: jest.fn(),
+            readFileSync: jest.fn()
+        });
+    }
+
+    test('should list recorded issues whose file is in the library, newest first', () => {
+        const older = { ...ISSUE, number: 2, filename: 'magazine-2026-02-issue-2.epub', generatedAt: '2026-02-15T12:00:00.000Z' };
+        const missing = { ...ISSUE, number: 1, filename: 'magazine-2026-01-issue-1.epub' };
+        const library = createLibrary([older, ISSUE, missing, { ...ISSUE, number: 4, filename: null }], [
+            path.join('library', older.filename),
+            path.join('library', ISSUE.filename)
+        ]);
+
+        expect(library.listIssues()).toEqual([ISSUE, older]);
+        expect(library.findIssue(ISSUE.filename)).toBe(ISSUE);
+        expect(library.findIssue(missing.filename)).toBeNull();
+        expect(library.findIssue('../magazine-content.json')).toBeNull();
+    });
+
+    test('should create the library folder before the first issue is written', () => {
+        const library = createLibrary([], []);
+
+        expect(library.prepareIssuePath(ISSUE.filename)).toBe(path.join('library', ISSUE.filename));
+        expect(library.fsUtils.mkdirSync).toHaveBeenCalledWith('library', { recursive: true });
+    });
+
+    test('should read each issue\'s details again only once its file changes', async () => {
+        const issue = { ...ISSUE, filename: 'magazine-2026-03-issue-3-cached.epub' };
+        const epub = await createIssue();
+        const stats = { mtimeMs: 1000, size: epub.length };
+        const library = createLibrary([issue], [path.join('library', issue.filename)]);
+        library.fsUtils.readFileSync.mockReturnValue(epub);
+        library.fsUtils.statSync = jest.fn(() => stats);
+
+        await library.renderFeed();
+        await library.renderFeed();
+        expect(library.fsUtils.readFileSync).toHaveBeenCalledTimes(1);
+
+        stats.mtimeMs = 2000;
+        expect((await library.readDetails(issue)).seriesPosition).toBe(3);
+        expect(library.fsUtils.readFileSync).toHaveBeenCalledTimes(2);
+
+        expect((await library.readCover(issue)).mediaType).toBe('image/png');
+        expect(library.fsUtils.readFileSync).toHaveBeenCalledTimes(3);
+    });
+
+    test('should forget the details of issues that are no longer listed', async () => {
+        const issue = { ...ISSUE, filename: 'magazine-2026-03-issue-3-removed.epub' };
+        const epub = await createIssue();
+        const files = [path.join('library', issue.filename)];
+        const library = createLibrary([issue], files);
+        library.fsUtils.readFileSync.mockReturnValue(epub);
+        library.fsUtils.statSync = jest.fn(() => ({ mtimeMs: 1000, size: epub.length }));
+
+        await library.renderFeed();
+        files.pop();
+        await library.renderFeed();
+        files.push(path.join('library', issue.filename));
+        await library.renderFeed();
+        expect(library.fsUtils.readFileSync).toHaveBeenCalledTimes(2);
+    });
+
+    test('should leave issues that cannot be read out of the feed', async () => {
+        const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const broken = { ...ISSUE, number: 2, filename: 'magazine-2026-02-broken.epub', generatedAt: '2026-02-15T12:00:00.000Z' };
+        const epub = await createIssue();
+        const library = createLibrary([ISSUE, broken], [path.join('library', ISSUE.filename), path.join('library', broken.filename)]);
+        library.fsUtils.readFileSync.mockImplementation(file => file.endsWith(broken.filename) ? Buffer.from('not a zip') : epub);
+        library.fsUtils.statSync = jest.fn(file => ({ mtimeMs: file.endsWith(broken.filename) ? 1 : 2, size: 1 }));
+
+        const feed = parseFeed(await library.renderFeed());
+        const titles = [...feed.getElementsByTagNameNS(ATOM_NS, 'entry')]
+            .map(entry => entry.getElementsByTagNameNS(ATOM_NS, 'title')[0].textContent);
+        expect(titles).toEqual([ISSUE.title]);
+        expect(consoleErrorSpy).toHaveBeenCalled();
+        consoleErrorSpy.mockRestore();
+    });
+});
+
+describe('renderOPDSFeed', () => {
+    test('should render an acquisition feed with dates, series, covers and download links', async () => {
+        const details = await readEPUBDetails(await createIssue());
+        const kepub = { ...ISSUE, number: 4, title: 'Reader Monthly - Issue 4', filename: 'magazine-2026-04-issue-4.kepub.epub' };
+        const document = parseFeed(renderOPDSFeed([
+            { issue: kepub, details: { ...details, cover: null, seriesPosition: 4 } },
+            { issue: ISSUE, details }
+        ], {
+            id: 'urn:magazeen:library:test',
+            metadata: { title: 'Reader Monthly', author: 'Tester & Co' },
+            baseUrl: '/opds'
+        }));
+
+        const feed = document.documentElement;
+        expect(feed.namespaceURI).toBe(ATOM_NS);
+        expect(feed.getElementsByTagNameNS(ATOM_NS, 'title')[0].textContent).toBe('Reader Monthly');
+        expect(feed.getElementsByTagNameNS(ATOM_NS, 'updated')[0].textContent).toBe(kepub.generatedAt);
+        expect(document.querySelector('feed > link[rel="self"]').getAttribute('type'))
+            .toBe('application/atom+xml;profile=opds-catalog;kind=acquisition');
+
+        const [first, second] = feed.getElementsByTagNameNS(ATOM_NS, 'entry');
+        expect(second.getElementsByTagNameNS(ATOM_NS, 'id')[0].textContent).toBe(details.identifier);
+        expect(second.getElementsByTagNameNS(DCTERMS_NS, 'issued')[0].textContent).toBe('2026-03-15');
+        expect(second.getElementsByTagNameNS(DCTERMS_NS, 'language')[0].textContent).toBe('en');
+        expect(second.getElementsByTagNameNS(DCTERMS_NS, 'isPartOf')[0].textContent).toBe('Reader Monthly');
+        expect(second.getElementsByTagNameNS(ATOM_NS, 'name')[0].textContent).toBe('Tester & Co');
+        expect(second.getElementsByTagNameNS(ATOM_NS, 'content')[0].textContent).toBe('Reader Monthly, Volume 1, Issue 3');
+        expect(entryLinks(second)).toEqual({
+            'http://opds-spec.org/image': { href: '/opds/issues/magazine-2026-03-issue-3.epub/cover', type: 'image/png' },
+            'http://opds-spec.org/image/thumbnail': { href: '/opds/issues/magazine-2026-03-issue-3.epub/cover', type: 'image/png' },
+            'http://opds-spec.org/acquisition': { href: '/opds/issues/magazine-2026-03-issue-3.epub', type: 'application/epub+zip' }
+        });
+        expect(entryLinks(first)).toEqual({
+            'http://opds-spec.org/acquisition': { href: '/opds/issues/magazine-2026-04-issue-4.kepub.epub', type: 'application/kepub+zip' }
+        });
+    });
+
+    test('should word the issue\'s place in the series in its language', async () => {
+        const details = await readEPUBDetails(await createIssue());
+        const document = parseFeed(renderOPDSFeed([{ issue: ISSUE, details: { ...details, language: 'de' } }], {
+            id: 'urn:magazeen:library:test',
+            metadata: { title: 'Reader Monthly' },
+            baseUrl: '/opds'
+        }));
+
+        expect(document.getElementsByTagNameNS(ATOM_NS, 'content')[0].textContent).toBe('Reader Monthly, Jahrgang 1, Ausgabe 3');
+    });
+
+    test('should render an empty feed for an empty library', () => {
+        const document = parseFeed(renderOPDSFeed([], { id: 'urn:magazeen:library:test', metadata: {}, baseUrl: '/opds' }));
+
+        expect(document.getElementsByTagNameNS(ATOM_NS, 'title')[0].textContent).toBe('Magazeen');
+        expect(document.getElementsByTagNameNS(ATOM_NS, 'entry')).toHaveLength(0);
+    });
+});
+
+describe('OPDS routes', () => {
+    let app;
+    const originalEnv = process.env;
+
+    beforeAll(async () => {
+        process.env = {
+            ...originalEnv,
+            NODE_ENV: 'test',
+            MAGAZEEN_USER_SCOPED: 'true',
+            MAGAZEEN_HASH_SECRET: 'secret',
+            KV_REST_API_URL: 'http://kv.invalid',
+            KV_REST_API_TOKEN: 'token'
+        };
+        delete process.env.DEV_STUB_USER;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        ({ default: app } = await import('../src/server.js'));
+    });
+
+    afterAll(() => {
+        process.env = originalEnv;
+        jest.restoreAllMocks();
+    });
+
+    function aliceLibrary() {
+        return getLibraryDir(resolveContentPath(process.env.CONTENT_FILE, { id: 'alice@example.com', email: 'alice@example.com' }));
+    }
+
+    async function generateIssue(user, sessionId) {
+        kvStore.set(sessionId, JSON.stringify([{
+            id: 'c1',
+            title: 'Library Chat',
+            originalChatData: { chat_messages: [{ sender: 'assistant', text: 'Kept for later.' }] }
+        }]));
+        return request(app)
+            .post('/generate-epub')
+            .set('Remote-User', user)
+            .type('form')
+            .send(`selectedChats=c1&sessionId=${sessionId}`)
+            .buffer(true)
+            .parse(binaryParser);
+    }
+
+    test('should list generated issues in the user\'s feed and serve them', async () => {
+        const generated = await generateIssue('alice@example.com', 'session-1');
+        expect(generated.statusCode).toBe(200);
+        const filename = generated.headers['content-disposition'].match(/filename="(.+)"/)[1];
+
+        const feed = await request(app).get('/opds').set('Remote-User', 'alice@example.com');
+        expect(feed.statusCode).toBe(200);
+        expect(feed.headers['content-type']).toMatch(/^application\/atom\+xml;/);
+        expect(feed.headers['content-type']).toContain('profile=opds-catalog');
+        expect(feed.headers['content-type']).toContain('kind=acquisition');
+        const entries = parseFeed(feed.text).getElementsByTagNameNS(ATOM_NS, 'entry');
+        expect(entries).toHaveLength(1);
+        const links = entryLinks(entries[0]);
+        expect(links['http://opds-spec.org/acquisition'].href).toBe(`/opds/issues/${filename}`);
+
+        const download = await request(app)
+            .get(links['http://opds-spec.org/acquisition'].href)
+            .set('Remote-User', 'alice@example.com')
+            .buffer(true)
+            .parse(binaryParser);
+        expect(download.statusCode).toBe(200);
+        expect(download.headers['content-type']).toBe('application/epub+zip');
+        expect(download.body.equals(generated.body)).toBe(true);
+
+        const cover = await request(app)
+            .get(links['http://opds-spec.org/image'].href)
+            .set('Remote-User', 'alice@example.com')
+            .buffer(true)
+            .parse(binaryParser);
+        expect(cover.statusCode).toBe(200);
+        expect(cover.headers['content-type']).toBe('image/png');
+        expect(cover.body.subarray(1, 4).toString()).toBe('PNG');
+    });
+
+    test('should keep each user\'s library to themselves', async () => {
+        const feed = await request(app).get('/opds').set('Remote-User', 'bob@example.com');
+        const [filename] = readdirSync(aliceLibrary());
+        const download = await request(app).get(`/opds/issues/${filename}`).set('Remote-User', 'bob@example.com');
+
+        expect(feed.statusCode).toBe(200);
+        expect(parseFeed(feed.text).getElementsByTagNameNS(ATOM_NS, 'entry')).toHaveLength(0);
+        expect(download.statusCode).toBe(404);
+    });
+
+    test('should only serve files listed in the library', async () => {
+        writeFileSync(path.join(aliceLibrary(), 'unlisted.epub'), 'not an issue');
+
+        const unlisted = await request(app).get('/opds/issues/unlisted.epub').set('Remote-User', 'alice@example.com');
+        const traversal = await request(app).get('/opds/issues/..%2Fmagazine-content.json').set('Remote-User', 'alice@example.com');
+
+        expect(unlisted.statusCode).toBe(404);
+        expect(traversal.statusCode).toBe(404);
+    });
+
+    test('should require authentication', async () => {
+        const res = await request(app).get('/opds');
+
+        expect(res.statusCode).toBe(401);
+    });
+});
@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import { renderIssuePDF, toWinAnsi } from '../src/pdfExport.js';
+import { MagazineGenerator } from '../src/magazineGenerator.js';
+import { ValidationError } from '../src/validation.js';
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { inflateSync } from 'zlib';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createMemoryContentManager } from './helpers/memoryContentManager.js';
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// The text drawn on each page, from PDFKit's compressed content streams in page order
+function pageTexts(pdf) {
+    return [...pdf.toString('latin1').matchAll(/stream\n([\s\S]*?)\nendstream/g)]
+        .map(match => inflateSync(Buffer.from(match[1], 'latin1')).toString('latin1'))
+        .map(content => [...content.matchAll(/\[(.*?)\] TJ/g)]
+            .map(([, array]) => [...array.matchAll(/<([0-9a-f]*)>/g)].map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1')).join(''))
+            .join(' '));
+}
+
+function createIssue() {
+    const generator = new EPUBMagazineGenerator();
+    generator.initializeEPUB('Print Monthly', 'Tester', 'An issue for paper');
+    generator.addSection('Reading');
+    const paragraphs = Array.from({ length: 12 }, (_, i) => `<p>Paragraph ${i}. ${'Lorem ipsum dolor sit amet. '.repeat(12)}</p>`).join('');
+    generator.addArticle('Long Read', `${paragraphs}<pre><code>const line = "${'x'.repeat(200)}";</code></pre>`, 'Ada', 'Essays');
+    generator.addArticle('Short Note', '<p>Brief.</p><ul><li>One</li></ul>');
+    return generator;
+}
+
+describe('toWinAnsi', () => {
+    test('should keep Latin-1 text and replace what the standard fonts cannot show', () => {
+        expect(toWinAnsi('naïve café — “quoted” €5')).toBe('naïve café — “quoted” €5');
+        expect(toWinAnsi('a → b ≤ c')).toBe('a -> b <= c');
+        expect(toWinAnsi('Łódź')).toBe('?ódz');
+        expect(toWinAnsi('日本')).toBe('??');
+    });
+});
+
+describe('renderIssuePDF', () => {
+    test('should lay out a title page, contents with page numbers, a section opener and chapters', async () => {
+        const pdf = await renderIssuePDF(createIssue());
+        const pages = pageTexts(pdf);
+
+        expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+        expect(pdf.toString('latin1')).toContain('/MediaBox [0 0 419.53 595.28]');
+        expect(pages[0]).toContain('Print Monthly');
+        expect(pages[1]).toMatch(/Table of Contents/);
+        expect(pages[1]).toMatch(/Reading 3\b/);
+        expect(pages[1]).toMatch(/Long Read 4\b/);
+        expect(pages[2]).toContain('Reading');
+        expect(pages[3]).toContain('Long Read');
+
+        const shortNote = pages.findIndex(page => page.startsWith('GENERAL Short Note'));
+        expect(shortNote).toBeGreaterThan(4);
+        expect(pages[1]).toMatch(new RegExp(`Short Note ${shortNote + 1}\\b`));
+    });
+
+    test('should print running headers on continued pages and page numbers on all but the title page', async () => {
+        const pages = pageTexts(await renderIssuePDF(createIssue()));
+
+        expect(pages[0]).not.toMatch(/\b1$/);
+        pages.slice(1).forEach((page, index) => expect(page).toMatch(new RegExp(`\\b${index + 2}$`)));
+        expect(pages[3]).not.toContain('Reading Long Read');
+        expect(pages[4]).toContain('Reading Long Read');
+    });
+
+    test('should wrap long code lines instead of cutting them off', async () => {
+        const pages = pageTexts(await renderIssuePDF(createIssue()));
+        const code = pages.join(' ').match(/const line = "x+ (x+ )*x*";/);
+
+        expect(code).not.toBeNull();
+        expect(code[0].replace(/[^x]/g, '')).toHaveLength(200);
+    });
+
+    test('should use Letter pages when asked to and reject unknown sizes', async () => {
+        const pdf = await renderIssuePDF(createIssue(), { pageSize: 'Letter' });
+
+        expect(pdf.toString('latin1')).toContain('/MediaBox [0 0 612 792]');
+        await expect(renderIssuePDF(createIssue(), { pageSize: 'A4' })).rejects.toThrow(ValidationError);
+    });
+});
+
+describe('PDF output from MagazineGenerator', () => {
+    test('should write a .pdf file', async () => {
+        const contentManager = createMemoryContentManager({
+            metadata: { title: 'Print Monthly', author: 'Tester', description: 'An issue for paper' },
+            articles: [{ id: 'a1', title: 'Printed', content: '<p>Text</p>', category: 'Paper' }],
+            interests: [],
+            chatHighlights: [],
+            claudeChats: [],
+            issues: []
+        });
+        const articleGenerator = { generateInterestArticle: jest.fn(), generateChatHighlightsArticle: jest.fn() };
+        const magazineGenerator = new MagazineGenerator(contentManager, articleGenerator);
+        const outputDir = mkdtempSync(path.join(tmpdir(), 'magazeen-pdf-out-'));
+        try {
+            const file = await magazineGenerator.generateMagazine({ format: 'pdf', pageSize: 'Letter', outputDir, enableClustering: false });
+
+            expect(path.basename(file)).toMatch(/^magazine-\d{4}-\d{2}(-issue-\d+)?\.pdf$/);
+            expect(readFileSync(file).subarray(0, 5).toString()).toBe('%PDF-');
+            await expect(magazineGenerator.generateMagazine({ format: 'pdf', pageSize: 'B5', output: 'buffer' })).rejects.toThrow(ValidationError);
+        } finally {
+            rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+});
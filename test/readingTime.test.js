@@ -0,0 +1,140 @@
+import { countWords, estimateReadingMinutes, formatDuration } from '../src/readingTime.js';
+import { Localizer } from '../src/i18n.js';
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import { MagazineGenerator } from '../src/magazineGenerator.js';
+import { CoverGenerator } from '../src/coverGenerator.js';
+import { jest } from '@jest/globals';
+import JSZip from 'jszip';
+
+const BUILD_DATE = new Date('2026-03-15T12:00:00Z');
+
+function words(count) {
+    return `<p>${Array.from({ length: count }, (_, index) => `word${index}`).join(' ')}</p>`;
+}
+
+async function build(generator) {
+    const zip = await JSZip.loadAsync(await generator.generateBuffer());
+    return name => zip.file(`OEBPS/${name}`).async('string');
+}
+
+describe('reading time helpers', () => {
+    test('should count words outside of tags', () => {
+        expect(countWords('<p>Hello <strong>brave</strong> new<br/>world</p>')).toBe(4);
+        expect(countWords('')).toBe(0);
+        expect(countWords(null)).toBe(0);
+    });
+
+    test('should round reading time up to whole minutes', () => {
+        expect(estimateReadingMinutes(0, 200)).toBe(0);
+        expect(estimateReadingMinutes(15, 200)).toBe(1);
+        expect(estimateReadingMinutes(401, 200)).toBe(3);
+    });
+
+    test('should format durations for the locale', () => {
+        const english = new Localizer('en');
+        expect(formatDuration(45, english)).toBe('45 min');
+        expect(formatDuration(60, english)).toBe('1 h');
+        expect(formatDuration(80, english)).toBe('1 h 20 min');
+        expect(formatDuration(80, new Localizer('de'))).toBe('1 Std. 20 Min.');
+    });
+});
+
+describe('reading time in generated issues', () => {
+    function createGenerator() {
+        const generator = new EPUBMagazineGenerator().setBuildDate(BUILD_DATE).setReadingSpeed(100);
+        generator.initializeEPUB('Timed Magazine', 'Tester', 'Reading time test');
+        return generator;
+    }
+
+    test('should show reading time and length in chapter headers and the TOC', async () => {
+        const generator = createGenerator();
+        generator.addArticle('Long Read', words(1250), 'Ada');
+        generator.addArticle('Short Note', words(1));
+        const read = await build(generator);
+
+        const chapter = await read('chapter1.xhtml');
+        expect(chapter).toContain('<span class="article-reading-time">13 min read</span>');
+        expect(chapter).toContain('<span class="article-length">1,250 words</span>');
+        expect(await read('chapter2.xhtml')).toContain('<span class="article-length">1 word</span>');
+
+        const toc = await read('toc.xhtml');
+        expect(toc).toContain('<span class="toc-reading-time">13 min read · 1,250 words</span>');
+        expect(toc).toContain('<span class="toc-reading-time">1 min read · 1 word</span>');
+    });
+
+    test('should show the total reading time on the cover', async () => {
+        const generator = createGenerator();
+        generator.addArticle('First', words(3000));
+        generator.addArticle('Second', words(4950));
+        const read = await build(generator);
+
+        expect(await read('index.xhtml')).toContain('<p class="reading-time">Total reading time: 1 h 20 min</p>');
+        expect(await read('cover.xhtml')).toContain('>Total reading time: 1 h 20 min</text>');
+    });
+
+    test('should leave the appendix out of the article count and total reading time', async () => {
+        const generator = createGenerator();
+        generator.addArticle('First', words(3000));
+        generator.addArticle('Second', words(4950));
+        generator.addAppendix('Code Appendix', words(1000));
+        const read = await build(generator);
+
+        const index = await read('index.xhtml');
+        expect(index).toContain('<p>2 Articles</p>');
+        expect(index).toContain('<p class="reading-time">Total reading time: 1 h 20 min</p>');
+        expect(await read('cover.xhtml')).toContain('>Total reading time: 1 h 20 min</text>');
+    });
+
+    test('should localise reading times in the chapter language', async () => {
+        const generator = createGenerator().setLocale('de');
+        generator.addArticle('Lang', words(2500), null, 'General', 'de');
+        const read = await build(generator);
+
+        const chapter = await read('chapter1.xhtml');
+        expect(chapter).toContain('<span class="article-reading-time">25 Min. Lesezeit</span>');
+        expect(chapter).toContain('<span class="article-length">2.500 Wörter</span>');
+    });
+
+    test('should reject invalid reading speeds', () => {
+        expect(() => new EPUBMagazineGenerator().setReadingSpeed(0)).toThrow('Invalid reading speed: 0');
+    });
+
+    test('should draw the reading time on the generated cover image', () => {
+        const withTime = new CoverGenerator({ title: 'Timed', issueNumber: 1, date: 'March 2026', readingTime: 'Total reading time: 5 min' });
+        const withoutTime = new CoverGenerator({ title: 'Timed', issueNumber: 1, date: 'March 2026' });
+
+        expect(withTime.generateSVG()).toContain('>Total reading time: 5 min</text>');
+        expect(withoutTime.generateSVG()).not.toContain('reading time');
+        expect(withTime.generatePNG().equals(withoutTime.generatePNG())).toBe(false);
+    });
+
+    test('should time chat transcripts with the reading speed from the content metadata', async () => {
+        const contentManager = {
+            content: {
+                metadata: { title: 'Chats', author: 'Tester', wordsPerMinute: 50 },
+                articles: [],
+                interests: [],
+                chatHighlights: [],
+                claudeChats: [{
+                    title: 'Long Chat',
+                    selected: true,
+                    conversation: [
+                        { sender: 'human', text: Array(100).fill('question').join(' ') },
+                        { sender: 'assistant', text: Array(100).fill('answer').join(' ') }
+                    ]
+                }]
+            },
+            getNextIssue: jest.fn(() => ({ number: 1, volume: 1 })),
+            recordIssue: jest.fn()
+        };
+        const articleGenerator = { generateInterestArticle: jest.fn(), generateChatHighlightsArticle: jest.fn() };
+        const buffer = await new MagazineGenerator(contentManager, articleGenerator)
+            .generateMagazine({ output: 'buffer', buildDate: BUILD_DATE });
+        const zip = await JSZip.loadAsync(buffer);
+
+        // 200 message words plus the sender lines
+        const chapter = await zip.file('OEBPS/chapter1.xhtml').async('string');
+        expect(chapter).toContain('<span class="article-reading-time">5 min read</span>');
+        expect(chapter).toMatch(/<span class="article-length">20\d words<\/span>/);
+    });
+});
@@ -0,0 +1,88 @@
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import KindleEPUBMagazineGenerator from '../src/kindle_epub_generator.js';
+import { readFileSync, mkdirSync, existsSync } from 'fs';
+import JSZip from 'jszip';
+
+describe('Reproducible EPUB builds', () => {
+    const testOutputDir = '/tmp/test-epub-reproducible';
+    const buildDate = new Date('2026-03-15T12:00:00Z');
+
+    beforeAll(() => {
+        if (!existsSync(testOutputDir)) {
+            mkdirSync(testOutputDir, { recursive: true });
+        }
+    });
+
+    async function build(filename, { GeneratorClass = EPUBMagazineGenerator, title = 'Repro Magazine', date = buildDate } = {}) {
+        const generator = new GeneratorClass();
+        if (date) {
+            generator.setBuildDate(date);
+        }
+        generator.initializeEPUB(title, 'Test Author', 'Test Description');
+        generator.addSection('Programming');
+        generator.addArticle('Python Tips', '<p>Python</p>', 'Dev', 'Tech');
+        generator.addArticle('Pasta Night', '<p>Pasta</p>', 'Chef', 'Food');
+        const outputPath = `${testOutputDir}/${filename}`;
+        await generator.generateEPUB(outputPath);
+        return readFileSync(outputPath);
+    }
+
+    test('should produce byte-identical EPUBs for identical content and build date', async () => {
+        const first = await build('first.epub');
+        // Entries are otherwise stamped with the time they were added
+        await new Promise(resolve => setTimeout(resolve, 2100));
+        const second = await build('second.epub');
+
+        expect(first.equals(second)).toBe(true);
+    });
+
+    test('should produce byte-identical Kindle EPUBs', async () => {
+        const first = await build('kindle-first.epub', { GeneratorClass: KindleEPUBMagazineGenerator });
+        const second = await build('kindle-second.epub', { GeneratorClass: KindleEPUBMagazineGenerator });
+
+        expect(first.equals(second)).toBe(true);
+    });
+
+    test('should stamp every ZIP entry with the build date', async () => {
+        const zip = await JSZip.loadAsync(await build('dates.epub'));
+        const dates = Object.values(zip.files).map(file => file.date.getTime());
+
+        // DOS timestamps have two-second resolution
+        dates.forEach(time => expect(Math.abs(time - buildDate.getTime())).toBeLessThan(2000));
+    });
+
+    test('should use the same identifier in the OPF and NCX', async () => {
+        const zip = await JSZip.loadAsync(await build('identifier.epub'));
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+        const ncx = await zip.file('OEBPS/toc.ncx').async('string');
+
+        const identifier = opf.match(/<dc:identifier id="bookid">([^<]+)<\/dc:identifier>/)[1];
+        expect(identifier).toMatch(/^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        expect(ncx).toContain(`<meta name="dtb:uid" content="${identifier}"/>`);
+        expect(opf).toContain('<dc:date>2026-03-15</dc:date>');
+    });
+
+    test('should keep the identifier stable across rebuilds but distinct per issue', () => {
+        const identifierFor = (title, date) => {
+            const generator = new EPUBMagazineGenerator().setBuildDate(date);
+            generator.initializeEPUB(title, 'Test Author', 'Test Description');
+            return generator.getIdentifier();
+        };
+
+        expect(identifierFor('Repro Magazine', buildDate)).toBe(identifierFor('Repro Magazine', buildDate));
+        expect(identifierFor('Repro Magazine', buildDate)).not.toBe(identifierFor('Repro Magazine', new Date('2026-04-15T12:00:00Z')));
+        expect(identifierFor('Repro Magazine', buildDate)).not.toBe(identifierFor('Other Magazine', buildDate));
+    });
+
+    test('should take the issue number and date from the build date', () => {
+        const generator = new EPUBMagazineGenerator().setBuildDate(new Date('2026-12-31T23:30:00Z'));
+
+        expect(generator.issueNumber).toBe(12);
+        expect(generator.year).toBe(2026);
+        expect(generator.formatIssueDate()).toBe('December 2026');
+    });
+
+    test('should reject invalid build dates', () => {
+        expect(() => new EPUBMagazineGenerator().setBuildDate('not a date')).toThrow('Invalid build date');
+    });
+});
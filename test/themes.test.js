@@ -0,0 +1,163 @@
+import { jest } from '@jest/globals';
+import { loadTheme, listThemes, renderThemeTemplate, BUILT_IN_THEMES } from '../src/themes.js';
+import { obfuscateFont, generateEncryptionXML } from '../src/fontObfuscation.js';
+import { ValidationError } from '../src/validation.js';
+import { MagazineGenerator } from '../src/magazineGenerator.js';
+import EPUBMagazineGenerator from '../src/epub_generator.js';
+import KindleEPUBMagazineGenerator from '../src/kindle_epub_generator.js';
+import { checkEPUB } from '../src/epubChecker.js';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { createMemoryContentManager } from './helpers/memoryContentManager.js';
+
+// A WOFF2 signature followed by filler is enough for packaging and the checker
+const FONT = Buffer.concat([Buffer.from('wOF2'), Buffer.alloc(2000, 7)]);
+
+let themesDir;
+
+function writeTheme(name, manifest, files = {}) {
+    const dir = path.join(themesDir, name);
+    mkdirSync(path.join(dir, 'fonts'), { recursive: true });
+    writeFileSync(path.join(dir, 'theme.json'), JSON.stringify(manifest));
+    writeFileSync(path.join(dir, 'styles.css'), 'body { font-family: "Test Serif", serif; }');
+    Object.entries(files).forEach(([file, data]) => writeFileSync(path.join(dir, file), data));
+    return dir;
+}
+
+async function generate(theme, GeneratorClass = EPUBMagazineGenerator) {
+    const generator = new GeneratorClass();
+    generator.initializeEPUB('Themed', 'Tester', 'Theme test');
+    if (theme) {
+        generator.setTheme(theme);
+    }
+    generator.addArticle('Typography', '<p>Well set text.</p>', 'Ada', 'Design');
+    const data = await generator.generateBuffer();
+    return { generator, data, zip: await JSZip.loadAsync(data) };
+}
+
+beforeAll(() => {
+    themesDir = mkdtempSync(path.join(tmpdir(), 'magazeen-themes-'));
+    writeTheme('bookish', {
+        name: 'bookish',
+        fonts: [{ file: 'fonts/TestSerif.woff2', family: 'Test Serif', weight: 400, obfuscate: true }],
+        templates: { chapter: 'chapter.xhtml', cover: 'cover.xhtml', toc: 'toc.xhtml' }
+    }, {
+        'fonts/TestSerif.woff2': FONT,
+        'chapter.xhtml': '<article class="bookish" epub:type="{{type}}"><h1>{{title}}</h1><p class="byline">{{author}} · {{readingTime}}</p>{{content}}</article>',
+        'cover.xhtml': '<div class="bookish-cover">{{image}}<p>{{issue}}</p></div>',
+        'toc.xhtml': '<nav epub:type="toc"><h1>{{heading}}</h1><ol class="bookish-toc">{{items}}</ol></nav>'
+    });
+    writeTheme('plain-fonts', { fonts: [{ file: 'fonts/Plain.otf' }] }, { 'fonts/Plain.otf': FONT });
+    writeTheme('escaping', { stylesheet: '../bookish/styles.css' });
+});
+
+afterAll(() => {
+    rmSync(themesDir, { recursive: true, force: true });
+});
+
+describe('loadTheme', () => {
+    test('should ship the default and kindle stylesheets as built-in themes', () => {
+        expect(BUILT_IN_THEMES).toEqual(['default', 'kindle']);
+        expect(loadTheme('default').css).toContain('--font-serif');
+        expect(loadTheme('kindle').css).toContain('Kindle-Optimized');
+        expect(loadTheme('kindle')).toMatchObject({ name: 'kindle', fonts: [], templates: {} });
+    });
+
+    test('should find themes by name in the themes directory or by path', () => {
+        const theme = loadTheme('bookish', { themesDir });
+
+        expect(theme.fonts).toEqual([expect.objectContaining({ href: 'fonts/TestSerif.woff2', mediaType: 'font/woff2', obfuscate: true })]);
+        expect(theme.css).toMatch(/^@font-face \{\n {4}font-family: "Test Serif";\n {4}font-weight: 400;\n {4}font-style: normal;\n {4}src: url\("fonts\/TestSerif.woff2"\);\n\}/);
+        expect(Object.keys(theme.templates)).toEqual(['chapter', 'cover', 'toc']);
+        expect(loadTheme(path.join(themesDir, 'plain-fonts')).name).toBe('plain-fonts');
+        expect(listThemes({ themesDir })).toEqual(['default', 'kindle', 'bookish', 'escaping', 'plain-fonts']);
+    });
+
+    test('should reject unknown themes and files outside the theme', () => {
+        expect(() => loadTheme('nonexistent', { themesDir })).toThrow(ValidationError);
+        expect(() => loadTheme('nonexistent', { themesDir })).toThrow('Available themes: default, kindle, bookish');
+        expect(() => loadTheme('escaping', { themesDir })).toThrow('outside the theme directory');
+    });
+
+    test('should fill in template placeholders and leave unknown ones empty', () => {
+        expect(renderThemeTemplate('<h1>{{title}}</h1>{{missing}}', { title: 'A &amp; B' })).toBe('<h1>A &amp; B</h1>');
+    });
+});
+
+describe('Font obfuscation', () => {
+    test('should scramble the first 1040 bytes and restore them with the same identifier', () => {
+        const obfuscated = obfuscateFont(FONT, 'urn:uuid:1234');
+
+        expect(obfuscated.subarray(0, 1040).equals(FONT.subarray(0, 1040))).toBe(false);
+        expect(obfuscated.subarray(1040).equals(FONT.subarray(1040))).toBe(true);
+        expect(obfuscateFont(obfuscated, ' urn:uuid:1234\n').equals(FONT)).toBe(true);
+    });
+
+    test('should let the checker catch fonts obfuscated with another identifier', async () => {
+        const { zip } = await generate(loadTheme('bookish', { themesDir }));
+        zip.file('OEBPS/fonts/TestSerif.woff2', obfuscateFont(FONT, 'urn:uuid:another-book'));
+        const report = await checkEPUB(await zip.generateAsync({ type: 'nodebuffer' }));
+
+        expect(report.errors).toContainEqual({ file: 'OEBPS/fonts/TestSerif.woff2', message: 'Obfuscated font does not decode with the package identifier' });
+    });
+});
+
+describe('Themes in generated issues', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should package fonts, encryption.xml and the theme templates', async () => {
+        const { generator, data, zip } = await generate(loadTheme('bookish', { themesDir }));
+        const opf = await zip.file('OEBPS/content.opf').async('string');
+        const font = await zip.file('OEBPS/fonts/TestSerif.woff2').async('nodebuffer');
+
+        expect(opf).toContain('<item id="font0" href="fonts/TestSerif.woff2" media-type="font/woff2"/>');
+        expect(obfuscateFont(font, generator.getIdentifier()).equals(FONT)).toBe(true);
+        expect(await zip.file('META-INF/encryption.xml').async('string')).toBe(generateEncryptionXML(['OEBPS/fonts/TestSerif.woff2']));
+        expect(await zip.file('OEBPS/styles.css').async('string')).toContain('@font-face');
+        expect(await zip.file('OEBPS/chapter1.xhtml').async('string'))
+            .toContain('<article class="bookish" epub:type="chapter"><h1>Typography</h1><p class="byline">by Ada · 1 min read</p><p>Well set text.</p></article>');
+        expect(await zip.file('OEBPS/cover.xhtml').async('string')).toMatch(/<div class="bookish-cover"><svg[\s\S]*<p>Issue \d+<\/p><\/div>/);
+        expect(await zip.file('OEBPS/toc.xhtml').async('string')).toContain('<ol class="bookish-toc"><li class="toc-item">');
+        expect((await checkEPUB(data)).errors).toEqual([]);
+    });
+
+    test('should store fonts as they are unless they are marked for obfuscation', async () => {
+        const { zip } = await generate(loadTheme('plain-fonts', { themesDir }));
+
+        expect((await zip.file('OEBPS/fonts/Plain.otf').async('nodebuffer')).equals(FONT)).toBe(true);
+        expect(zip.file('META-INF/encryption.xml')).toBeNull();
+        expect(await zip.file('OEBPS/content.opf').async('string')).toContain('media-type="font/otf"');
+    });
+
+    test('should default Kindle-optimized issues to the kindle theme', async () => {
+        const kindle = await generate(null, KindleEPUBMagazineGenerator);
+        const themed = await generate('default', KindleEPUBMagazineGenerator);
+
+        expect(await kindle.zip.file('OEBPS/styles.css').async('string')).toContain('Kindle-Optimized');
+        expect(await themed.zip.file('OEBPS/styles.css').async('string')).toBe(loadTheme('default').css);
+    });
+
+    test('should take the theme from build options over the content file', () => {
+        const contentManager = createMemoryContentManager({
+            metadata: { title: 'Themed', author: 'Tester', description: 'Theme test', theme: 'kindle' },
+            articles: [{ id: 'a1', title: 'Typography', content: '<p>Text</p>', category: 'Design' }],
+            interests: [],
+            chatHighlights: [],
+            claudeChats: []
+        });
+        const articleGenerator = { generateInterestArticle: jest.fn(), generateChatHighlightsArticle: jest.fn() };
+        const magazineGenerator = new MagazineGenerator(contentManager, articleGenerator);
+
+        expect(magazineGenerator.buildMagazine({ enableClustering: false }).getTheme().name).toBe('kindle');
+        expect(magazineGenerator.buildMagazine({ enableClustering: false, theme: 'default' }).getTheme().name).toBe('default');
+        expect(() => magazineGenerator.buildMagazine({ enableClustering: false, theme: 'nonexistent' })).toThrow(ValidationError);
+    });
+});
@@ -0,0 +1,207 @@
+import { jest } from '@jest/globals';
+import { VaultExporter, htmlToMarkdown, toNoteName, renderFrontmatter } from '../src/vaultExporter.js';
+import { ContentManager } from '../src/contentManager.js';
+import path from 'path';
+
+function createContentManager(content) {
+    const contentManager = new ContentManager('out/test-vault.json', {
+        existsSync: jest.fn(() => false),
+        readFileSync: jest.fn(),
+        writeFileSync: jest.fn(),
+        mkdirSync: jest.fn()
+    });
+    Object.assign(contentManager.content, content);
+    return contentManager;
+}
+
+function createStore() {
+    return {
+        metadata: { title: 'My Magazine', description: 'Monthly reading', enableClustering: true },
+        articles: [
+            {
+                id: 'a1',
+                title: 'Rust ownership: a guide',
+                content: '<h2>Intro</h2><p>Rust <strong>ownership</strong> and borrowing, see <a href="https://doc.rust-lang.org">the book</a>.</p>',
+                category: 'Programming',
+                tags: ['rust', 'systems programming'],
+                dateAdded: '2026-01-01T00:00:00.000Z'
+            },
+            {
+                id: 'a2',
+                title: 'Rust borrowing rules',
+                content: '<p>Rust borrowing and ownership rules.</p>',
+                category: 'Programming',
+                tags: ['rust'],
+                dateAdded: '2026-02-05T00:00:00.000Z'
+            }
+        ],
+        interests: [{ id: 'i1', topic: 'Gardening', description: 'Tomatoes', priority: 'high', dateAdded: '2026-01-01T00:00:00.000Z' }],
+        chatHighlights: [{ id: 'h1', title: 'Good questions', conversation: 'Q and A', insights: 'Ask early', category: 'General', dateAdded: '2026-01-01T00:00:00.000Z' }],
+        claudeChats: [
+            {
+                id: 'c1',
+                title: 'Rust ownership: a guide',
+                conversation: [
+                    { sender: 'human', text: 'Explain Rust ownership' },
+                    { sender: 'assistant', text: 'Ownership in **Rust** means...', starred: true }
+                ],
+                category: 'Programming',
+                dateAdded: '2025-12-01T00:00:00.000Z',
+                originalImportDate: '2026-01-02T00:00:00.000Z',
+                selected: true
+            },
+            {
+                id: 'c2',
+                title: 'Dinner plans',
+                conversation: [{ sender: 'human', text: 'What should I cook?' }],
+                category: 'Claude Import',
+                dateAdded: '2026-01-01T00:00:00.000Z',
+                selected: false
+            }
+        ],
+        issues: [{
+            number: 1,
+            volume: 1,
+            title: 'My Magazine - Issue 1',
+            date: '2026-01-31T00:00:00.000Z',
+            filename: 'magazine-2026-01-issue-1.epub',
+            generatedAt: '2026-01-31T00:00:00.000Z'
+        }]
+    };
+}
+
+function exportVault(content, options) {
+    const files = new Map();
+    const fsUtils = {
+        existsSync: jest.fn(() => false),
+        mkdirSync: jest.fn(),
+        writeFileSync: jest.fn((file, markdown) => files.set(file.split(path.sep).join('/'), markdown))
+    };
+    const result = new VaultExporter(createContentManager(content), fsUtils).exportToVault('vault', options);
+    return { result, files, fsUtils };
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('htmlToMarkdown', () => {
+    test('should convert headings, emphasis, links, lists and code', () => {
+        const markdown = htmlToMarkdown(
+            '<h2>Title</h2><p>Some <em>text</em> with <code>code</code> and a <a href="https://example.com">link</a>.</p>' +
+            '<ul><li>One<ul><li>Nested</li></ul></li><li>Two</li></ul><ol start="3"><li>Three</li></ol>' +
+            '<pre><code class="language-js">let x = 1;\n</code></pre><blockquote><p>Quoted</p></blockquote>'
+        );
+
+        expect(markdown).toBe([
+            '## Title',
+            'Some *text* with `code` and a [link](https://example.com).',
+            '- One\n  - Nested\n- Two',
+            '3. Three',
+            '```js\nlet x = 1;\n```',
+            '> Quoted'
+        ].join('\n\n'));
+    });
+
+    test('should escape Markdown characters in text', () => {
+        expect(htmlToMarkdown('<p>2 * 3 [not a link] snake_case</p>')).toBe('2 \\* 3 \\[not a link\\] snake\\_case');
+    });
+});
+
+describe('toNoteName', () => {
+    test('should replace characters that are not allowed in note names', () => {
+        expect(toNoteName('Rust: a guide? #1 [draft]')).toBe('Rust- a guide- -1 -draft-');
+        expect(toNoteName('  ')).toBe('Untitled');
+    });
+});
+
+describe('renderFrontmatter', () => {
+    test('should quote strings, list arrays and leave out empty fields', () => {
+        expect(renderFrontmatter({ id: 'a1', title: 'Say "hi"', words: 10, selected: false, tags: ['rust'], author: null, empty: [] }))
+            .toBe('---\nid: "a1"\ntitle: "Say \\"hi\\""\nwords: 10\nselected: false\ntags:\n  - "rust"\n---\n');
+    });
+});
+
+describe('VaultExporter', () => {
+    test('should write a note per item in a folder per kind, plus a home note', () => {
+        const { result, files } = exportVault(createStore());
+
+        expect(result).toEqual({
+            success: true,
+            path: 'vault',
+            notes: 7,
+            articles: 2,
+            chats: 1,
+            interests: 1,
+            chatHighlights: 1,
+            issues: 1
+        });
+        expect([...files.keys()].sort()).toEqual([
+            'vault/Articles/Rust borrowing rules.md',
+            'vault/Articles/Rust ownership- a guide.md',
+            'vault/Chats/Rust ownership- a guide (2).md',
+            'vault/Highlights/Good questions.md',
+            'vault/Interests/Gardening.md',
+            'vault/Issues/My Magazine - Issue 1.md',
+            'vault/Magazine.md'
+        ]);
+    });
+
+    test('should write frontmatter with ids, dates, category, tags and section', () => {
+        const { files } = exportVault(createStore());
+        const article = files.get('vault/Articles/Rust ownership- a guide.md');
+        const chat = files.get('vault/Chats/Rust ownership- a guide (2).md');
+
+        expect(article).toMatch(/^---\nid: "a1"\ntype: "article"\ntitle: "Rust ownership: a guide"\n/);
+        expect(article).toContain('created: "2026-01-01T00:00:00.000Z"\ncategory: "Programming"\ntags:\n  - "magazeen/article"\n  - "rust"\n  - "systems-programming"\nsection: "Programming"\n');
+        expect(article).toContain('Rust **ownership** and borrowing, see [the book](https://doc.rust-lang.org).');
+        expect(chat).toContain('id: "c1"\ntype: "chat"');
+        expect(chat).toContain('imported: "2026-01-02T00:00:00.000Z"');
+        expect(chat).toContain('### You\n\nExplain Rust ownership\n\n### Claude ⭐\n\nOwnership in **Rust** means...');
+    });
+
+    test('should link related items and the issues they were in', () => {
+        const { files } = exportVault(createStore());
+        const article = files.get('vault/Articles/Rust ownership- a guide.md');
+        const later = files.get('vault/Articles/Rust borrowing rules.md');
+        const issue = files.get('vault/Issues/My Magazine - Issue 1.md');
+
+        expect(article).toContain('## Related\n\n- [[Rust borrowing rules]]\n- [[Rust ownership- a guide (2)|Rust ownership: a guide]]');
+        expect(article).toContain('## Issues\n\n- [[My Magazine - Issue 1]]');
+        // Added after the issue was made
+        expect(later).not.toContain('## Issues');
+        expect(issue).toContain('number: 1\nvolume: 1\n');
+        expect(issue).toContain('- [[Rust ownership- a guide|Rust ownership: a guide]]\n- [[Rust ownership- a guide (2)|Rust ownership: a guide]]\n');
+        expect(issue).not.toContain('Rust borrowing rules');
+        expect(files.get('vault/Magazine.md')).toContain('## Issues\n\n- [[My Magazine - Issue 1]]');
+    });
+
+    test('should export chats that are not selected when asked to, without a section or issue', () => {
+        const { result, files } = exportVault(createStore(), { chats: 'all' });
+        const chat = files.get('vault/Chats/Dinner plans.md');
+
+        expect(result.chats).toBe(2);
+        expect(chat).toContain('selected: false');
+        expect(chat).not.toContain('section:');
+        expect(files.get('vault/Issues/My Magazine - Issue 1.md')).not.toContain('Dinner plans');
+    });
+
+    test('should leave out sections when clustering is off', () => {
+        const store = createStore();
+        store.metadata.enableClustering = false;
+        const { files } = exportVault(store);
+
+        expect(files.get('vault/Articles/Rust borrowing rules.md')).not.toContain('section:');
+    });
+
+    test('should report failures instead of throwing', () => {
+        const { result, files } = exportVault(createStore(), { chats: 'some' });
+
+        expect(result).toEqual({ success: false, message: 'Unknown chat selection: some' });
+        expect(files.size).toBe(0);
+    });
+});